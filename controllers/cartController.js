@@ -0,0 +1,67 @@
+import db from '../database.js';
+import { quoteCart } from '../models/pricingModel.js';
+import { getVisitorId, recordVisitorCart } from '../models/flashWindowModel.js';
+
+// 🛒 Quote a cart with the same pricing engine as order creation
+export const getCartQuote = async (req, res) => {
+  const {
+    items,
+    currency = 'USD',
+    language = null,
+    shipping_address,
+    address,
+    discount_code
+  } = req.body;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cart must contain at least one item'
+    });
+  }
+
+  const visitorId = getVisitorId(req);
+  const conn = await db.getConnection();
+  try {
+    const quote = await quoteCart(conn, {
+      items,
+      currencyCode: currency,
+      languageCode: language,
+      shippingAddress: shipping_address || address || null,
+      discountCode: discount_code || null,
+      visitorId
+    });
+    // The quoted cart is what cart_abandonment flash triggers measure from
+    await recordVisitorCart(conn, visitorId, quote.lines);
+
+    res.json({
+      success: true,
+      data: {
+        currency: quote.currency,
+        language: quote.language,
+        items: quote.lines,
+        discounts: quote.discounts,
+        flash_discounts: quote.flash_discounts,
+        perks: quote.perks,
+        discount_code: quote.discount_code,
+        ...quote.totals
+      }
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+    console.error('❌ Cart quote error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote cart',
+      error: err.message
+    });
+  } finally {
+    conn.release();
+  }
+};
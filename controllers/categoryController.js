@@ -3,7 +3,7 @@ import * as CategoryModel from '../models/categoryModel.js';
 // 🏷️ Get all categories
 export const getCategories = async (req, res) => {
   try {
-    const categories = await CategoryModel.getAllCategories();
+    const categories = await CategoryModel.getAllCategories(req.query.lang || null);
     res.json(categories);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -13,7 +13,7 @@ export const getCategories = async (req, res) => {
 // 🏷️ Get single category
 export const getCategory = async (req, res) => {
   try {
-    const category = await CategoryModel.getCategoryById(req.params.id);
+    const category = await CategoryModel.getCategoryById(req.params.id, req.query.lang || null);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
@@ -0,0 +1,100 @@
+import * as CurrencyModel from "../models/currencyModel.js";
+import { importExchangeRates } from "../jobs/exchangeRateImporter.js";
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendCurrencyError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// 💱 CURRENCIES
+export const getCurrencies = async (req, res) => {
+  try {
+    const activeOnly = req.query.active === "true" || req.query.active === "1";
+    const currencies = await CurrencyModel.getAllCurrencies({ activeOnly });
+    res.json({ success: true, data: currencies });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to fetch currencies");
+  }
+};
+
+export const getCurrency = async (req, res) => {
+  try {
+    const currency = await CurrencyModel.getCurrencyById(req.params.id);
+    if (!currency) return res.status(404).json({ success: false, message: "Currency not found" });
+    res.json({ success: true, data: currency });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to fetch currency");
+  }
+};
+
+export const createCurrency = async (req, res) => {
+  try {
+    const currency = await CurrencyModel.createCurrency(req.body || {}, { changedBy: req.user?.userId ?? null });
+    res.status(201).json({ success: true, message: "Currency created", data: currency });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to create currency");
+  }
+};
+
+export const updateCurrency = async (req, res) => {
+  try {
+    const currency = await CurrencyModel.updateCurrency(req.params.id, req.body || {}, {
+      changedBy: req.user?.userId ?? null,
+    });
+    res.json({ success: true, message: "Currency updated", data: currency });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to update currency");
+  }
+};
+
+export const setCurrencyStatus = async (req, res) => {
+  try {
+    if (req.body?.is_active === undefined) {
+      return res.status(400).json({ success: false, message: "is_active is required" });
+    }
+    const currency = await CurrencyModel.updateCurrency(
+      req.params.id,
+      { is_active: req.body.is_active },
+      { changedBy: req.user?.userId ?? null }
+    );
+    res.json({ success: true, message: "Currency status updated", data: currency });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to update currency status");
+  }
+};
+
+export const deleteCurrency = async (req, res) => {
+  try {
+    await CurrencyModel.deleteCurrency(req.params.id);
+    res.json({ success: true, message: "Currency deleted" });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to delete currency");
+  }
+};
+
+export const getCurrencyRateHistory = async (req, res) => {
+  try {
+    const currency = await CurrencyModel.getCurrencyById(req.params.id);
+    if (!currency) return res.status(404).json({ success: false, message: "Currency not found" });
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const history = await CurrencyModel.getRateHistory(currency.currency_id, { limit });
+    res.json({ success: true, data: { currency, history } });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to fetch rate history");
+  }
+};
+
+// 🔄 Run the rate import now (body.source overrides EXCHANGE_RATE_SOURCE)
+export const importCurrencyRates = async (req, res) => {
+  try {
+    const report = await importExchangeRates(req.body?.source);
+    res.json({ success: true, message: "Exchange rates imported", data: report });
+  } catch (err) {
+    sendCurrencyError(res, err, "Failed to import exchange rates");
+  }
+};
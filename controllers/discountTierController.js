@@ -1,5 +1,7 @@
 import db from '../database.js';
 import * as DiscountModel from '../models/DiscountModel.js';
+import { evaluateFlashDiscounts, getVisitorId } from '../models/flashWindowModel.js';
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from '../models/LanguageModel.js';
 
 // Create new discount tier
 export const createDiscountTier = async (req, res) => {
@@ -240,7 +242,8 @@ export const getDiscountTiers = async (req, res) => {
 // Get active discount tiers for public display
 export const getActiveDiscountTiers = async (req, res) => {
   try {
-    const { language_code = 'en', type } = req.query;
+    const { type } = req.query;
+    const chain = await resolveLanguageChain(req.query.language_code || req.query.lang);
 
     let query = `
       SELECT 
@@ -257,21 +260,19 @@ export const getActiveDiscountTiers = async (req, res) => {
         dt.free_shipping,
         dt.start_date,
         dt.end_date,
-        COALESCE(dtt.label, dt.label) as label,
-        COALESCE(dtt.description, dt.description) as description,
+        dt.label,
+        dt.description,
         da.amount_type,
         da.value,
         da.applies_to
       FROM discount_tiers dt
-      LEFT JOIN discount_tier_translations dtt ON dt.tier_id = dtt.tier_id
-      LEFT JOIN languages l ON dtt.language_id = l.language_id AND l.code = ?
       LEFT JOIN discount_amounts da ON dt.tier_id = da.discount_id
       WHERE dt.is_active = 1
         AND (dt.start_date IS NULL OR dt.start_date <= CURDATE())
         AND (dt.end_date IS NULL OR dt.end_date >= CURDATE())
     `;
 
-    const params = [language_code];
+    const params = [];
 
     if (type) {
       query += ` AND dt.type = ?`;
@@ -280,7 +281,25 @@ export const getActiveDiscountTiers = async (req, res) => {
 
     query += ` ORDER BY dt.created_at DESC`;
 
-    const [tiers] = await db.query(query, params);
+    const [rows] = await db.query(query, params);
+
+    // Labels come from the first language of the chain that translates the tier
+    const tierIds = [...new Set(rows.map(t => t.tier_id))];
+    const [translations] = tierIds.length
+      ? await db.query(
+          `SELECT tier_id, language_id, label, description FROM discount_tier_translations
+           WHERE tier_id IN (?) AND language_id IN (?)`,
+          [tierIds, chainLanguageIds(chain)]
+        )
+      : [[]];
+    const tiers = rows.map(tier => {
+      const t = pickTranslation(translations.filter(tt => tt.tier_id === tier.tier_id), chain, ["label", "description"]);
+      return {
+        ...tier,
+        label: t?.label || tier.label,
+        description: t?.description || tier.description
+      };
+    });
 
     // Group amounts by tier
     const groupedTiers = tiers.reduce((acc, tier) => {
@@ -753,6 +772,41 @@ export const updateFlashDiscount = async (req, res) => {
   }
 }
 
+// Storefront: evaluate a product's flash triggers and open countdown windows
+export const evaluateFlashDiscount = async (req, res) => {
+  try {
+    const { product_id, cart_items } = req.body;
+
+    if (!product_id || isNaN(parseInt(product_id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid product ID is required."
+      });
+    }
+
+    // Cart age for cart_abandonment is tracked server-side from the carts we see
+    const windows = await evaluateFlashDiscounts(parseInt(product_id), getVisitorId(req), {
+      cartItems: Array.isArray(cart_items) ? cart_items : null
+    });
+
+    return res.status(200).json({
+      success: true,
+      server_time: new Date().toISOString(),
+      data: windows
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error("❌ evaluateFlashDiscount error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+};
+
 export const deleteFlashDiscount = async (req, res) => {
   try {
     const { id } = req.params;
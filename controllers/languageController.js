@@ -1,5 +1,14 @@
 import * as languageModel from '../models/LanguageModel.js';
 
+// Model errors carry their HTTP status; anything else is a 500
+const sendLanguageError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
 // 🏷️ Get all languages
 export const getLanguages = async (req, res) => {
   try {
@@ -10,3 +19,74 @@ export const getLanguages = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch languages' });
   }
 };
+
+// 🏷️ All languages, inactive included (admin)
+export const getAdminLanguages = async (req, res) => {
+  try {
+    const languages = await languageModel.getAllLanguagesForAdmin();
+    res.json({ success: true, data: languages });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to fetch languages');
+  }
+};
+
+// 🔗 Languages a read for `code` falls back through
+export const getFallbackChain = async (req, res) => {
+  try {
+    const chain = await languageModel.resolveLanguageChain(req.params.code);
+    res.json({
+      success: true,
+      data: chain.map((l) => ({ language_id: l.language_id, code: l.code, name: l.name })),
+    });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to resolve fallback chain');
+  }
+};
+
+export const createLanguage = async (req, res) => {
+  try {
+    const language = await languageModel.createLanguage(req.body || {});
+    res.status(201).json({ success: true, message: 'Language created', data: language });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to create language');
+  }
+};
+
+export const updateLanguage = async (req, res) => {
+  try {
+    const language = await languageModel.updateLanguage(req.params.id, req.body || {});
+    res.json({ success: true, message: 'Language updated', data: language });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to update language');
+  }
+};
+
+export const setLanguageStatus = async (req, res) => {
+  try {
+    if (req.body?.is_active === undefined) {
+      return res.status(400).json({ success: false, message: 'is_active is required' });
+    }
+    const language = await languageModel.setLanguageStatus(req.params.id, req.body.is_active);
+    res.json({ success: true, message: 'Language status updated', data: language });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to update language status');
+  }
+};
+
+export const setDefaultLanguage = async (req, res) => {
+  try {
+    const language = await languageModel.setDefaultLanguage(req.params.id);
+    res.json({ success: true, message: 'Default language updated', data: language });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to set default language');
+  }
+};
+
+export const reorderLanguages = async (req, res) => {
+  try {
+    const languages = await languageModel.reorderLanguages(req.body?.language_ids);
+    res.json({ success: true, message: 'Languages reordered', data: languages });
+  } catch (err) {
+    sendLanguageError(res, err, 'Failed to reorder languages');
+  }
+};
@@ -0,0 +1,132 @@
+import * as MediaModel from '../models/mediaModel.js';
+import { processUploadedImages, removeProcessedImages } from '../services/imagePipeline.js';
+
+// Model and image errors carry their HTTP status; anything else is a 500
+const sendMediaError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const parseMediaId = (req) => {
+  const id = parseInt(req.params.id, 10);
+  return id > 0 ? id : null;
+};
+
+// 🖼️ GET /api/media — ?q= searches name, alt text and URL; ?kind=image|file;
+// ?unused=true|false filters on the last usage scan
+export const listMedia = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await MediaModel.listMedia({
+      q: req.query.q?.trim() || undefined,
+      kind: ['image', 'file'].includes(req.query.kind) ? req.query.kind : undefined,
+      unused: req.query.unused === undefined ? undefined : isTrue(req.query.unused),
+      limit,
+      offset,
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendMediaError(res, err, 'Failed to fetch media');
+  }
+};
+
+// 🖼️ GET /api/media/:id — with its stored files and where it is used
+export const getMedia = async (req, res) => {
+  try {
+    const id = parseMediaId(req);
+    const media = id && (await MediaModel.getMedia(id));
+    if (!media) return res.status(404).json({ success: false, message: 'Media not found' });
+    res.json({ success: true, data: media });
+  } catch (err) {
+    sendMediaError(res, err, 'Failed to fetch media');
+  }
+};
+
+// 📤 POST /api/media — images in the "files" field, rendered like product images
+export const uploadMedia = async (req, res) => {
+  let images = [];
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ success: false, message: 'Upload images in the "files" field' });
+    }
+
+    images = await processUploadedImages(req.files, { prefix: 'media' });
+    const ids = await MediaModel.recordProcessedImages(images, { createdBy: req.user?.userId ?? null });
+    if (req.body.alt_text) {
+      await Promise.all(ids.map((id) => MediaModel.updateMedia(id, { alt_text: req.body.alt_text })));
+    }
+
+    res.status(201).json({ success: true, data: await Promise.all(ids.map(MediaModel.getMedia)) });
+  } catch (err) {
+    await removeProcessedImages(images);
+    sendMediaError(res, err, 'Failed to upload media');
+  }
+};
+
+// ✏️ PATCH /api/media/:id — { alt_text }
+export const updateMedia = async (req, res) => {
+  try {
+    const id = parseMediaId(req);
+    if (!id) return res.status(404).json({ success: false, message: 'Media not found' });
+    const media = await MediaModel.updateMedia(id, { alt_text: req.body.alt_text });
+    res.json({ success: true, message: 'Media updated', data: media });
+  } catch (err) {
+    sendMediaError(res, err, 'Failed to update media');
+  }
+};
+
+// 🔁 PUT /api/media/:id/file — new image in the "file" field; every page,
+// product and setting using the old file is pointed at the new one
+export const replaceMediaFile = async (req, res) => {
+  let images = [];
+  try {
+    const id = parseMediaId(req);
+    if (!id) return res.status(404).json({ success: false, message: 'Media not found' });
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload an image in the "file" field' });
+    }
+
+    images = await processUploadedImages([req.file], { prefix: 'media' });
+    const media = await MediaModel.replaceMediaFile(id, images[0]);
+    res.json({ success: true, message: 'Media file replaced', data: media });
+  } catch (err) {
+    await removeProcessedImages(images);
+    sendMediaError(res, err, 'Failed to replace media file');
+  }
+};
+
+// 🗑️ DELETE /api/media/:id — only when nothing uses it (409 lists the usages)
+export const deleteMedia = async (req, res) => {
+  try {
+    const id = parseMediaId(req);
+    if (!id) return res.status(404).json({ success: false, message: 'Media not found' });
+    await MediaModel.deleteMedia(id);
+    res.json({ success: true, message: 'Media deleted' });
+  } catch (err) {
+    sendMediaError(res, err, 'Failed to delete media');
+  }
+};
+
+// 🧹 POST /api/media/sweep — { dry_run, grace_hours }. Dry runs (the default)
+// only report which unused media would be deleted.
+export const sweepMedia = async (req, res) => {
+  try {
+    const dryRun = req.body?.dry_run === undefined ? true : isTrue(req.body.dry_run);
+    const graceHours =
+      req.body?.grace_hours === undefined ? MediaModel.MEDIA_ORPHAN_GRACE_HOURS : Number(req.body.grace_hours);
+    if (!Number.isInteger(graceHours) || graceHours < 1) {
+      return res.status(400).json({ success: false, message: 'grace_hours must be a whole number of at least 1' });
+    }
+
+    const report = await MediaModel.sweepOrphanedMedia({ dryRun, graceHours });
+    res.json({ success: true, ...report });
+  } catch (err) {
+    sendMediaError(res, err, 'Media sweep failed');
+  }
+};
@@ -1,9 +1,17 @@
 // controllers/productController.js
 import * as ProductModel from '../models/productModel.js';
-import fs from 'fs/promises';
 import db from '../database.js';
 import path from "path";
 import Joi from "joi";
+import { getVisitorId, getOpenWindows, isCampaignWide } from '../models/flashWindowModel.js';
+import { getCurrencyByCode, roundCurrency, BASE_CURRENCY } from '../models/currencyModel.js';
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from '../models/LanguageModel.js';
+import { autoTranslateProduct } from '../models/machineTranslationModel.js';
+import { searchProducts as runProductSearch, invalidateProductSearchIndex } from '../models/productSearchModel.js';
+import { listProducts, LISTING_SORTS, LISTING_STATUSES } from '../models/productListingModel.js';
+import { PRODUCT_STATUSES, isProductLive } from '../models/productPublishingModel.js';
+import { processUploadedImages, removeProcessedImages } from '../services/imagePipeline.js';
+import { recordProcessedImages } from '../models/mediaModel.js';
 
 export const getProducts = async (req, res) => {
   try {
@@ -50,6 +58,7 @@ function safeJSONParse(value) {
 
 // 🏷️ create Product
 export const createProduct = async (req, res) => {
+  let images = [];
 
 
   try {
@@ -66,6 +75,10 @@ export const createProduct = async (req, res) => {
       themeName: Joi.string().required(),
       is_featured: Joi.string().valid("true", "false").required(),
       is_active: Joi.string().valid("true", "false").required(),
+      // Overrides is_active when given; publish_at / unpublish_at schedule a launch
+      status: Joi.string().valid(...PRODUCT_STATUSES).optional(),
+      publish_at: Joi.date().iso().optional().allow(""),
+      unpublish_at: Joi.date().iso().optional().allow(""),
       seo_meta_title: Joi.string().required(),
       seo_meta_description: Joi.string().required(),
       seo_meta_keywords: Joi.string().optional().allow(""),
@@ -76,6 +89,8 @@ export const createProduct = async (req, res) => {
       size_variants_data: Joi.string().optional().allow(""),
       color_variants_data: Joi.string().optional().allow(""),
       faqs: Joi.string().optional().allow(""),
+      options: Joi.string().optional().allow(""),
+      auto_translate: Joi.string().valid("true", "false").optional(),
     });
 
     const { error } = schema.validate(req.body);
@@ -94,6 +109,9 @@ export const createProduct = async (req, res) => {
       themeName,
       is_featured,
       is_active,
+      status,
+      publish_at,
+      unpublish_at,
       seo_meta_title,
       seo_meta_description,
       seo_meta_keywords,
@@ -104,6 +122,7 @@ export const createProduct = async (req, res) => {
       size_variants_data,
       color_variants_data,
       faqs,
+      options,
     } = req.body;
 
     // 🔹 Parse JSON safely
@@ -114,6 +133,7 @@ export const createProduct = async (req, res) => {
       size_variants_data: safeJSONParse(size_variants_data) || [],
       color_variants_data: safeJSONParse(color_variants_data) || [],
       faqs: safeJSONParse(faqs) || [],
+      options: safeJSONParse(options) || [],
       seo_meta_keywords: safeJSONParse(seo_meta_keywords) || [],
     };
 
@@ -134,20 +154,22 @@ export const createProduct = async (req, res) => {
       });
     }
 
-    // 🔹 Organize uploaded files
-    const productImages = (req.files || []).filter(
-      (f) => f.fieldname === "productImages"
+    // 🔹 Decode, validate and render the uploads into their size variants
+    images = await processUploadedImages(
+      (req.files || []).filter((f) => f.fieldname === "productImages" || f.fieldname.startsWith("colorImages["))
     );
 
+    const productImages = images.filter((img) => img.fieldname === "productImages");
+
     const colorImages = {};
-    (req.files || []).forEach((f) => {
-      const match = f.fieldname.match(/^colorImages\[(.+)\]$/);
+    images.forEach((img) => {
+      const match = img.fieldname.match(/^colorImages\[(.+)\]$/);
       if (match) {
         const colorHex = match[1];
         if (!colorImages[colorHex]) colorImages[colorHex] = [];
         colorImages[colorHex].push({
-          path: f.path,
-          filename: f.filename,
+          url: img.url,
+          variants: img.variants,
           alt_text: `Product Image ${colorHex}`,
         });
       }
@@ -166,6 +188,9 @@ export const createProduct = async (req, res) => {
       themeName,
       is_featured: is_featured === "true",
       is_active: is_active === "true",
+      status,
+      publish_at: publish_at || null,
+      unpublish_at: unpublish_at || null,
       seo_meta_title,
       seo_meta_description,
       seo_meta_keywords: parsedData.seo_meta_keywords,
@@ -173,28 +198,51 @@ export const createProduct = async (req, res) => {
       size_variants_data: parsedData.size_variants_data,
       color_variants_data: parsedData.color_variants_data,
       faqs: parsedData.faqs,
+      options: parsedData.options,
       inventory: Number(inventory),
-      product_images: productImages.map((f) => ({
-        path: f.path,
-        filename: f.filename,
+      product_images: productImages.map((img) => ({
+        url: img.url,
+        variants: img.variants,
+        width: img.width,
+        height: img.height,
         alt_text: base_name,
       })),
       color_images: colorImages,
     };
 
     // 🔹 Save to DB
-    const productId = await ProductModel.createFullProduct(productData, req.files);
+    const productId = await ProductModel.createFullProduct(productData);
+    invalidateProductSearchIndex();
+
+    // 🔹 Add the images to the media library; files it misses are adopted by the sweep
+    await recordProcessedImages(images, { createdBy: req.user?.userId ?? null }).catch((mediaErr) =>
+      console.warn("Failed to record product images in the media library:", mediaErr.message)
+    );
+
+    // 🔹 Optionally machine-translate the languages the request left out. The
+    // product is already saved, so a translator failure is only reported.
+    let machineTranslation = null;
+    const autoTranslate =
+      req.body.auto_translate !== undefined
+        ? req.body.auto_translate === "true"
+        : process.env.AUTO_TRANSLATE_PRODUCTS === "true";
+    if (autoTranslate) {
+      try {
+        machineTranslation = await autoTranslateProduct(productId);
+      } catch (mtErr) {
+        console.error("❌ Auto-translation failed:", mtErr);
+        machineTranslation = { error: mtErr.message };
+      }
+    }
 
     // 🔹 Sanitize response
     const sanitizedProduct = {
       ...productData,
-      product_images: productData.product_images.map(
-        (img) => `/uploads/${img.filename}`
-      ),
+      product_images: productData.product_images.map((img) => img.url),
       color_images: Object.fromEntries(
         Object.entries(productData.color_images).map(([hex, imgs]) => [
           hex,
-          imgs.map((img) => `/uploads/${img.filename}`),
+          imgs.map((img) => img.url),
         ])
       ),
     };
@@ -203,22 +251,16 @@ export const createProduct = async (req, res) => {
       message: "✅ Product created successfully",
       productId,
       product: sanitizedProduct,
+      machine_translation: machineTranslation,
     });
   } catch (err) {
     console.error("❌ Error creating product:", err);
 
-    // 🔹 Cleanup uploaded files on error
-    const files = req.files || [];
-    for (const file of files) {
-      try {
-        await fs.access(file.path);
-        await fs.unlink(file.path);
-      } catch {
-        console.warn(`File not found for deletion: ${file.path}`);
-      }
-    }
+    // 🔹 Cleanup rendered images on error
+    await removeProcessedImages(images);
 
-    res.status(500).json({ error: err.message || "Failed to create product" });
+    // Option / variant validation errors carry their own status
+    res.status(err.status || 500).json({ error: err.message || "Failed to create product", ...err.details });
   }
 };
 // 🏷️ Update Product — only update provided fields
@@ -228,13 +270,14 @@ export const updateProduct = async (req, res) => {
 
   try {
     const updatedProduct = await ProductModel.updateProductPartial(id, data);
+    invalidateProductSearchIndex();
     res.status(200).json({
       success: true,
       product: updatedProduct,
     });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: err.message });
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ success: false, message: err.message });
   }
 };
 
@@ -244,12 +287,96 @@ export const deleteProduct = async (req, res) => {
     const { id } = req.params;
 
 await ProductModel.deleteProduct(parseInt(id));
+    invalidateProductSearchIndex();
     res.status(200).json({ message: 'product deleted successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message || 'Failed to delete category' });
   }
 };
 
+// 🔍 Storefront search: GET /api/products/search?q=&lang=&limit=&offset=
+export const searchProducts = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ success: false, error: 'Query parameter q is required' });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({ success: false, error: 'Query is too long (max 200 characters)' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await runProductSearch({ q, lang: req.query.lang || null, limit, offset });
+
+    res.json({ success: true, query: q, limit, offset, ...result });
+  } catch (err) {
+    console.error('❌ Error searching products:', err);
+    res.status(500).json({ success: false, error: err.message || 'Failed to search products' });
+  }
+};
+
+// 🗂️ Faceted listing query: comma-separated ids / hex codes, opaque cursor
+const listingQuerySchema = Joi.object({
+  category: Joi.string().pattern(/^\d+(,\d+)*$/),
+  size: Joi.string().pattern(/^\d+(,\d+)*$/),
+  color: Joi.string().pattern(/^#?[0-9a-fA-F]{3,8}(,#?[0-9a-fA-F]{3,8})*$/),
+  min_price: Joi.number().min(0),
+  max_price: Joi.number().min(0),
+  in_stock: Joi.boolean().truthy("1").falsy("0"),
+  on_sale: Joi.boolean().truthy("1").falsy("0"),
+  status: Joi.string().valid(...LISTING_STATUSES),
+  sort: Joi.string().valid(...LISTING_SORTS).default("newest"),
+  limit: Joi.number().integer().min(1).max(100).default(24),
+  cursor: Joi.string().max(512),
+  lang: Joi.string().max(10),
+}).unknown(true);
+
+const splitList = (value, map = (v) => v) =>
+  value ? [...new Set(value.split(",").map(map))] : [];
+
+const sendListing = async (req, res, includeInactive) => {
+  try {
+    const { error, value: q } = listingQuerySchema.validate(req.query);
+    if (error) return res.status(400).json({ success: false, error: error.message });
+    if (q.min_price !== undefined && q.max_price !== undefined && q.min_price > q.max_price) {
+      return res.status(400).json({ success: false, error: "min_price cannot be greater than max_price" });
+    }
+
+    const result = await listProducts({
+      filters: {
+        categories: splitList(q.category, Number),
+        sizes: splitList(q.size, Number),
+        colors: splitList(q.color, (hex) => hex.replace(/^#/, "").toLowerCase()),
+        minPrice: q.min_price ?? null,
+        maxPrice: q.max_price ?? null,
+        inStock: q.in_stock === true,
+        onSale: q.on_sale === true,
+        status: includeInactive ? q.status || null : null,
+      },
+      sort: q.sort,
+      limit: q.limit,
+      cursor: q.cursor || null,
+      lang: q.lang || null,
+      includeInactive,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+    }
+    console.error("❌ Error listing products:", err);
+    res.status(500).json({ success: false, error: err.message || "Failed to list products" });
+  }
+};
+
+// Storefront: active products only
+export const frontendProductListing = (req, res) => sendListing(req, res, false);
+
+// Admin: inactive products too (`status` filter), with stock and sales figures
+export const adminProductListing = (req, res) => sendListing(req, res, true);
+
 // frontend get product
 
 export const frontendProductData = async (req, res) => {
@@ -385,6 +512,8 @@ export const frontendProductDetails = async (req, res) => {
         swatch: variant.hex_code ? {
           hex_code: variant.hex_code,
           image_url: variant.swatch_image,
+          image_variants: variant.swatch_image_variants,
+          srcset: variant.swatch_srcset,
           label: variant.swatch_label
         } : null
       })),
@@ -423,7 +552,7 @@ export const frontendProductDetails = async (req, res) => {
       metadata: {
         created_at: product.created_at,
         updated_at: product.updated_at,
-        active: product.isactive === 'Y' || product.isactive === '1'
+        active: isProductLive(product)
       }
     };
 
@@ -446,7 +575,7 @@ export const frontendProductDetails = async (req, res) => {
 export const frontendMultiProductDetails = async (req, res) => {
   try {
     const { id } = req.params;
-    const langCode = req.query.lang || 'en';
+    const langCode = req.query.lang || null;
     const currencyCode = (req.query.currency || 'USD').toUpperCase();
 
 
@@ -461,19 +590,12 @@ export const frontendMultiProductDetails = async (req, res) => {
 
     const productId = parseInt(id);
 
-    // 🔹 Get language_id
-    const [langResult] = await db.execute(
-      `SELECT language_id FROM languages WHERE code = ? AND is_active = 1`,
-      [langCode]
-    );
-    const language_id = langResult?.[0]?.language_id || 1; // default English
+    // 🔹 Languages to try, in order (requested → fallbacks → default)
+    const languageChain = await resolveLanguageChain(langCode);
+    const languageIds = chainLanguageIds(languageChain);
 
     // 🔹 Get currency info
-    const [currencyResult] = await db.execute(
-      `SELECT * FROM currencies WHERE code = ?`,
-      [currencyCode]
-    );
-    const currency = currencyResult?.[0] || { code: 'USD', symbol: '$', exchange_rate: 1.0 };
+    const currency = (await getCurrencyByCode(currencyCode)) || BASE_CURRENCY;
 
     // 🔹 Fetch base product
     const product = await ProductModel.getFrontendProductDetailsById(productId);
@@ -484,49 +606,62 @@ export const frontendMultiProductDetails = async (req, res) => {
       });
     }
 
-    // 🔹 Load translations
+    // 🔹 Triggered/time-boxed flash discounts only apply inside the visitor's window
+    const flashDiscounts = product.flash_discounts || [];
+    const flashWindows = await getOpenWindows(
+      db,
+      getVisitorId(req),
+      flashDiscounts.filter((fd) => !isCampaignWide(fd)).map((fd) => fd.flash_id)
+    );
+    const applicableFlash = flashDiscounts.filter(
+      (fd) => isCampaignWide(fd) || flashWindows[fd.flash_id]
+    );
+
+    // 🔹 Load translations for every language of the chain
+    const sizeIds = product.sizes.map(s => s.size_id);
+    const faqIds = product.faqs.map(f => f.faq_id);
     const [
       [productTrans],
       [categoryTrans],
       [sizeTrans],
       [faqTrans],
     ] = await Promise.all([
-      db.execute(
-        `SELECT * FROM product_translations WHERE product_id = ? AND language_id = ?`,
-        [productId, language_id]
+      db.query(
+        `SELECT * FROM product_translations WHERE product_id = ? AND language_id IN (?)`,
+        [productId, languageIds]
       ),
-      db.execute(
-        `SELECT * FROM category_translations WHERE category_id = ? AND language_id = ?`,
-        [product.category_id, language_id]
+      db.query(
+        `SELECT * FROM category_translations WHERE category_id = ? AND language_id IN (?)`,
+        [product.category_id, languageIds]
       ),
-      db.execute(
-        `SELECT * FROM product_size_translations WHERE language_id = ? AND size_id IN (?)`,
-        [language_id, product.sizes.map(s => s.size_id).length ? product.sizes.map(s => s.size_id) : [0]]
+      db.query(
+        `SELECT * FROM product_size_translations WHERE language_id IN (?) AND size_id IN (?)`,
+        [languageIds, sizeIds.length ? sizeIds : [0]]
       ),
-      db.execute(
-        `SELECT * FROM product_faq_translations WHERE language_id = ? AND faq_id IN (?)`,
-        [language_id, product.faqs.map(f => f.faq_id).length ? product.faqs.map(f => f.faq_id) : [0]]
+      db.query(
+        `SELECT * FROM product_faq_translations WHERE language_id IN (?) AND faq_id IN (?)`,
+        [languageIds, faqIds.length ? faqIds : [0]]
       ),
     ]);
 
-    // 🔹 Apply translations
-    if (productTrans.length > 0) {
-      const t = productTrans[0];
-      product.base_name = t.name || product.base_name;
-      product.base_description = t.description || product.base_description;
+    // 🔹 Apply the best translation available for each entity
+    const productT = pickTranslation(productTrans, languageChain, ['name', 'description', 'meta_title', 'meta_description']);
+    if (productT) {
+      product.base_name = productT.name || product.base_name;
+      product.base_description = productT.description || product.base_description;
       if (product.seo) {
-        product.seo.meta_title = t.meta_title || product.seo.meta_title;
-        product.seo.meta_description = t.meta_description || product.seo.meta_description;
+        product.seo.meta_title = productT.meta_title || product.seo.meta_title;
+        product.seo.meta_description = productT.meta_description || product.seo.meta_description;
       }
     }
-    if (categoryTrans.length > 0) {
-      const c = categoryTrans[0];
-      product.category_name = c.name || product.category_name;
-      product.category_description = c.description || product.category_description;
+    const categoryT = pickTranslation(categoryTrans, languageChain, ['name', 'description']);
+    if (categoryT) {
+      product.category_name = categoryT.name || product.category_name;
+      product.category_description = categoryT.description || product.category_description;
     }
     if (sizeTrans.length > 0) {
       product.sizes = product.sizes.map(size => {
-        const t = sizeTrans.find(st => st.size_id === size.size_id);
+        const t = pickTranslation(sizeTrans.filter(st => st.size_id === size.size_id), languageChain, ['label']);
         return {
           ...size,
           size_lebel_text: t?.label || size.size_lebel_text,
@@ -535,7 +670,7 @@ export const frontendMultiProductDetails = async (req, res) => {
     }
     if (faqTrans.length > 0) {
       product.faqs = product.faqs.map(faq => {
-        const t = faqTrans.find(ft => ft.faq_id === faq.faq_id);
+        const t = pickTranslation(faqTrans.filter(ft => ft.faq_id === faq.faq_id), languageChain, ['question', 'answer']);
         return {
           ...faq,
           question: t?.question || faq.question,
@@ -547,7 +682,7 @@ export const frontendMultiProductDetails = async (req, res) => {
     // 🔹 Currency Conversion Helper
     const convert = (price) =>
       price && !isNaN(price)
-        ? parseFloat((price * currency.exchange_rate).toFixed(2))
+        ? roundCurrency(price * currency.exchange_rate, currency)
         : price;
 
     // 🔹 Calculate final price (with discount)
@@ -560,8 +695,8 @@ export const frontendMultiProductDetails = async (req, res) => {
         basePrice = parseFloat(productData.base_price);
       }
 
-      if (productData.flash_discounts && productData.flash_discounts.length > 0) {
-        const discount = productData.flash_discounts[0];
+      if (applicableFlash.length > 0) {
+        const discount = applicableFlash[0];
         if (discount.percentage_discount) {
           basePrice = basePrice * (1 - discount.percentage_discount / 100);
         } else if (discount.fixed_discount) {
@@ -593,8 +728,10 @@ export const frontendMultiProductDetails = async (req, res) => {
         final_price: finalPriceConverted,
         currency: currency.code,
         symbol: currency.symbol,
-        has_discount: product.flash_discounts && product.flash_discounts.length > 0,
-        discount_message: product.flash_discounts?.[0]?.message || null,
+        symbol_position: currency.symbol_position || 'before',
+        decimal_places: currency.decimal_places ?? 2,
+        has_discount: applicableFlash.length > 0,
+        discount_message: applicableFlash[0]?.message || null,
       },
       theme: {
         color: product.theme_color || '#000000',
@@ -638,6 +775,8 @@ export const frontendMultiProductDetails = async (req, res) => {
           ? {
               hex_code: variant.hex_code,
               image_url: variant.swatch_image,
+              image_variants: variant.swatch_image_variants,
+              srcset: variant.swatch_srcset,
               label: variant.swatch_label,
             }
           : null,
@@ -671,7 +810,7 @@ export const frontendMultiProductDetails = async (req, res) => {
           return available > 0 && available <= 10;
         }),
       },
-      flash_discounts: (product.flash_discounts || []).map((fd) => ({
+      flash_discounts: flashDiscounts.map((fd) => ({
         id: fd.flash_id,
         percentage: fd.percentage_discount ? parseFloat(fd.percentage_discount) : null,
         fixed: fd.fixed_discount ? parseFloat(fd.fixed_discount) : null,
@@ -681,17 +820,23 @@ export const frontendMultiProductDetails = async (req, res) => {
         start_date: fd.start_date,
         end_date: fd.end_date,
         is_active: fd.is_active === 1 || fd.is_active === 'Y',
+        requires_trigger: !isCampaignWide(fd),
+        applied: isCampaignWide(fd) || Boolean(flashWindows[fd.flash_id]),
+        expires_at: isCampaignWide(fd)
+          ? fd.end_date || null
+          : flashWindows[fd.flash_id]?.expires_at || null,
       })),
       metadata: {
         created_at: product.created_at,
         updated_at: product.updated_at,
-        active: product.isactive === 'Y' || product.isactive === '1',
+        active: isProductLive(product),
       },
     };
 
     res.status(200).json({
       success: true,
-      language: langCode,
+      language: languageChain[0].code,
+      requested_language: langCode,
       currency: currency.code,
       data: transformedProduct,
     });
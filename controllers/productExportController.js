@@ -0,0 +1,96 @@
+import * as ProductExportModel from '../models/productExportModel.js';
+import { toCsvRow } from '../services/csv.js';
+
+const STATUS_FILTERS = { all: undefined, active: true, inactive: false };
+
+// Resolve once the response can take more data (or the client went away)
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await waitForDrain(res);
+};
+
+/**
+ * 📦 GET /api/products/export — the whole catalog as CSV or NDJSON, streamed
+ *
+ * ?format=csv|ndjson (default csv)
+ * ?category=1,2 — only these categories
+ * ?status=all|active|inactive (default all)
+ *
+ * CSV: the product import layout, so the file can be imported again. See
+ * productExportColumns() for the column order. NDJSON: one product per line
+ * with its SEO, translations, options, variants, sizes and images.
+ */
+export const exportCatalog = async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!ProductExportModel.PRODUCT_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of ${ProductExportModel.PRODUCT_EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const status = String(req.query.status || 'all').toLowerCase();
+  if (!(status in STATUS_FILTERS)) {
+    return res.status(400).json({ success: false, message: 'status must be all, active or inactive' });
+  }
+
+  const categoryIds = req.query.category
+    ? String(req.query.category)
+        .split(',')
+        .map((id) => Number(id.trim()))
+    : [];
+
+  let products;
+  let languages;
+  let first;
+  try {
+    languages = await ProductExportModel.getExportLanguages();
+    products = ProductExportModel.exportProducts({ categoryIds, active: STATUS_FILTERS[status], languages });
+    // Pull the first batch before sending headers so filter errors are still JSON
+    first = await products.next();
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('❌ Failed to export catalog:', err);
+    return res.status(500).json({ success: false, message: 'Failed to export catalog', error: err.message });
+  }
+
+  const filename = `catalog-${status}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const columns = ProductExportModel.productExportColumns(languages);
+  try {
+    if (format === 'csv') await write(res, toCsvRow(columns));
+
+    for (let batch = first; !batch.done && !res.destroyed; batch = await products.next()) {
+      let chunk = '';
+      for (const product of batch.value) {
+        chunk +=
+          format === 'csv'
+            ? ProductExportModel.productCsvRows(product)
+                .map((row) => toCsvRow(columns.map((c) => row[c])))
+                .join('')
+            : `${JSON.stringify(product)}\n`;
+      }
+      await write(res, chunk);
+    }
+    if (res.destroyed) await products.return();
+    res.end();
+  } catch (err) {
+    // Headers are gone; cutting the stream is the only way to tell the client
+    console.error('❌ Catalog export failed mid-stream:', err);
+    res.destroy(err);
+  }
+};
@@ -0,0 +1,132 @@
+import * as ProductImportModel from '../models/productImportModel.js';
+import { processProductImports } from '../jobs/productImportRunner.js';
+import { toCsv, parseCsv } from '../services/csv.js';
+import { parseXlsx } from '../services/xlsx.js';
+
+const IMPORT_ERROR_COLUMNS = ['line', 'handle', 'column', 'message'];
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendImportError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// 🔹 Turn an uploaded CSV or XLSX file into import rows
+const readImportRows = (file) => {
+  // .xlsx files are zip archives, which start with "PK"
+  const isXlsx = /\.xlsx$/i.test(file.originalname) || file.buffer.subarray(0, 2).toString('latin1') === 'PK';
+  const rows = isXlsx ? parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+
+  if (rows.length && !('Handle' in rows[0])) {
+    throw Object.assign(new Error('The file has no Handle column'), {
+      status: 400,
+      details: { columns: ProductImportModel.PRODUCT_IMPORT_COLUMNS },
+    });
+  }
+  return rows;
+};
+
+// 📄 GET /api/products/import/template — header row of an import file
+export const getImportTemplate = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="product-import-template.csv"');
+  res.send(toCsv(ProductImportModel.PRODUCT_IMPORT_COLUMNS, []));
+};
+
+// 📥 POST /api/products/import — CSV or XLSX in the "file" field.
+// ?dry_run=true validates and reports what would change; otherwise the
+// import is queued as a background job.
+export const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a CSV or XLSX file in the "file" field' });
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(req.file);
+    } catch (err) {
+      if (err.status) throw err;
+      return res.status(400).json({ success: false, message: `Could not parse file: ${err.message}` });
+    }
+    if (!rows.length) {
+      return res.status(400).json({ success: false, message: 'The file contains no product rows' });
+    }
+
+    if (isTrue(req.query.dry_run ?? req.body?.dry_run)) {
+      const plan = await ProductImportModel.planProductImport(rows);
+      return res.json({
+        success: true,
+        message: 'Dry run complete; nothing was saved',
+        data: {
+          summary: plan.summary,
+          products: plan.products.map(({ data, ...product }) => product),
+          errors: plan.errors,
+          warnings: plan.warnings,
+        },
+      });
+    }
+
+    const job = await ProductImportModel.createImportJob({
+      fileName: req.file.originalname,
+      rows,
+      createdBy: req.user?.userId ?? null,
+    });
+    processProductImports();
+
+    res.status(202).json({ success: true, message: 'Import queued', data: job });
+  } catch (err) {
+    sendImportError(res, err, 'Failed to import products');
+  }
+};
+
+// 📋 GET /api/products/import/jobs
+export const listImportJobs = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const jobs = await ProductImportModel.listImportJobs({ limit, offset });
+    res.json({ success: true, data: jobs, pagination: { limit, offset } });
+  } catch (err) {
+    sendImportError(res, err, 'Failed to fetch import jobs');
+  }
+};
+
+// 🔍 GET /api/products/import/jobs/:jobId
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await ProductImportModel.getImportJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (err) {
+    sendImportError(res, err, 'Failed to fetch import job');
+  }
+};
+
+// 📤 GET /api/products/import/jobs/:jobId/errors — CSV download (?format=json for JSON)
+export const downloadImportErrors = async (req, res) => {
+  try {
+    const job = await ProductImportModel.getImportJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+
+    const errors = await ProductImportModel.getImportJobErrors(job.job_id);
+    if (req.query.format === 'json') {
+      return res.json({ success: true, data: errors });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="product-import-${job.job_id}-errors.csv"`);
+    res.send(toCsv(IMPORT_ERROR_COLUMNS, errors));
+  } catch (err) {
+    sendImportError(res, err, 'Failed to fetch import errors');
+  }
+};
@@ -0,0 +1,57 @@
+import {
+  getProductPublishing,
+  updateProductPublishing,
+  getUpcomingLaunches,
+  getPublishEvents,
+} from '../models/productPublishingModel.js';
+import { invalidateProductSearchIndex } from '../models/productSearchModel.js';
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendPublishingError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// 🗓️ GET /api/products/launches?days=30 — scheduled launches and upcoming unpublishes
+export const listUpcomingLaunches = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const data = await getUpcomingLaunches({ days, limit });
+    res.json({ success: true, data });
+  } catch (err) {
+    sendPublishingError(res, err, 'Failed to fetch upcoming launches');
+  }
+};
+
+// 📄 GET /api/products/:id/publishing — status, schedule and publish history
+export const getPublishing = async (req, res) => {
+  try {
+    const publishing = await getProductPublishing(req.params.id);
+    if (!publishing) return res.status(404).json({ success: false, message: 'Product not found' });
+    const events = await getPublishEvents(req.params.id);
+    res.json({ success: true, data: { ...publishing, events } });
+  } catch (err) {
+    sendPublishingError(res, err, 'Failed to fetch publishing');
+  }
+};
+
+// 🚀 PUT /api/products/:id/publishing — { status?, publish_at?, unpublish_at? };
+// null clears a date
+export const updatePublishing = async (req, res) => {
+  try {
+    const { status, publish_at, unpublish_at } = req.body || {};
+    const data = await updateProductPublishing(
+      req.params.id,
+      { status, publish_at, unpublish_at },
+      { changedBy: req.user?.userId ?? null }
+    );
+    invalidateProductSearchIndex();
+    res.json({ success: true, message: 'Publishing updated', data });
+  } catch (err) {
+    sendPublishingError(res, err, 'Failed to update publishing');
+  }
+};
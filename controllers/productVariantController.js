@@ -0,0 +1,79 @@
+import db from '../database.js';
+import {
+  getProductOptions,
+  getProductVariants,
+  setProductOptions,
+  updateProductVariants,
+} from '../models/productVariantModel.js';
+import { invalidateProductSearchIndex } from '../models/productSearchModel.js';
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendVariantError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const getProductPrice = async (productId) => {
+  const [rows] = await db.query('SELECT base_price, sale_price FROM products WHERE product_id = ?', [productId]);
+  if (!rows.length) return null;
+  const sale = parseFloat(rows[0].sale_price);
+  return sale > 0 ? sale : parseFloat(rows[0].base_price) || 0;
+};
+
+// 📋 GET /api/products/:id/variants — options and the full matrix (inactive too)
+export const getVariantMatrix = async (req, res) => {
+  try {
+    const productPrice = await getProductPrice(req.params.id);
+    if (productPrice === null) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const [options, variants] = await Promise.all([
+      getProductOptions(req.params.id),
+      getProductVariants(req.params.id, { productPrice }),
+    ]);
+    res.json({ success: true, data: { options, variants } });
+  } catch (err) {
+    sendVariantError(res, err, 'Failed to fetch variants');
+  }
+};
+
+// 🧩 PUT /api/products/:id/options — replace the options, regenerate the matrix
+export const replaceProductOptions = async (req, res) => {
+  try {
+    const result = await setProductOptions(req.params.id, req.body?.options);
+    invalidateProductSearchIndex();
+
+    const productPrice = await getProductPrice(req.params.id);
+    const [options, variants] = await Promise.all([
+      getProductOptions(req.params.id),
+      getProductVariants(req.params.id, { productPrice }),
+    ]);
+
+    res.json({
+      success: true,
+      message: `Variant matrix updated: ${result.created.length} created, ${result.deactivated.length} deactivated`,
+      changes: result,
+      data: { options, variants },
+    });
+  } catch (err) {
+    sendVariantError(res, err, 'Failed to update options');
+  }
+};
+
+// ✏️ PATCH /api/products/:id/variants — per-variant SKU, barcode, price, weight, stock
+export const patchProductVariants = async (req, res) => {
+  try {
+    await updateProductVariants(req.params.id, req.body?.variants);
+    invalidateProductSearchIndex();
+
+    const productPrice = await getProductPrice(req.params.id);
+    const variants = await getProductVariants(req.params.id, { productPrice });
+    res.json({ success: true, message: 'Variants updated', data: variants });
+  } catch (err) {
+    sendVariantError(res, err, 'Failed to update variants');
+  }
+};
@@ -1,5 +1,6 @@
 import * as SettingModel from "../models/settingModel.js";
 import db from '../database.js';
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from "../models/LanguageModel.js";
 
 // 🎨 COLORS
 export const getColors = async (req, res) => {
@@ -66,7 +67,7 @@ export const deleteColor = async (req, res) => {
 // 📏 SIZES
 export const getSizes = async (req, res) => {
   try {
-    const sizes = await SettingModel.getAllSizes();
+    const sizes = await SettingModel.getAllSizes(req.query.lang || null);
     res.json(sizes);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -271,6 +272,15 @@ export const getPage = async (req, res) => {
       translations: translations
     };
 
+    // ?lang= resolves title/content through the language's fallback chain
+    if (req.query.lang) {
+      const chain = await resolveLanguageChain(req.query.lang);
+      const t = pickTranslation(translations, chain, ["title", "content"]);
+      pageWithTranslations.title = t?.title || page.title;
+      pageWithTranslations.content = t?.content || page.content;
+      pageWithTranslations.language = t?.language_code || null;
+    }
+
     res.json(pageWithTranslations);
   } catch (err) {
     console.error("Error fetching page:", err);
@@ -723,9 +733,9 @@ export const getTopHeader = async (req, res) => {
 // Get active headers for public display
 export const getActiveTopHeaders = async (req, res) => {
   try {
-    const { language_code = 'en' } = req.query;
+    const chain = await resolveLanguageChain(req.query.language_code || req.query.lang);
 
-    const [headers] = await db.query(
+    const [rows] = await db.query(
       `SELECT 
         th.id,
         th.type,
@@ -734,20 +744,28 @@ export const getActiveTopHeaders = async (req, res) => {
         th.link_url,
         th.priority,
         tht.text,
+        tht.language_id,
         l.code as language_code
  
       FROM top_header th
       INNER JOIN top_header_translations tht ON th.id = tht.top_header_id
       INNER JOIN languages l ON tht.language_id = l.language_id
       WHERE th.is_active = 1
-        AND l.code = ?
+        AND tht.language_id IN (?)
         AND (th.start_date IS NULL OR th.start_date <= NOW())
         AND (th.end_date IS NULL OR th.end_date >= NOW())
-        AND l.is_active = 1
       ORDER BY th.priority ASC, th.created_at DESC`,
-      [language_code]
+      [chainLanguageIds(chain)]
     );
 
+    // One row per header: the text in the first language of the chain that has one
+    const headers = [];
+    for (const row of rows) {
+      if (headers.some(h => h.id === row.id)) continue;
+      const { language_id, ...header } = pickTranslation(rows.filter(r => r.id === row.id), chain, ["text"]) || row;
+      headers.push(header);
+    }
+
     res.json({
       success: true,
       data: headers
@@ -1104,6 +1122,7 @@ export const deleteLogo = async (req, res) =>{
       });
     }
 
+    // The logo file is left to the media sweep, which checks nothing else uses it
     await db.execute('DELETE FROM website_logo WHERE logo_id = ?', [id]);
     
     res.json({
@@ -0,0 +1,272 @@
+import * as TranslationModel from '../models/translationModel.js';
+import * as MachineTranslationModel from '../models/machineTranslationModel.js';
+import { getDefaultLanguage } from '../models/LanguageModel.js';
+import { toCsv, parseCsv } from '../services/csv.js';
+import { buildXliff, parseXliff, parseUnitId } from '../services/xliff.js';
+
+// Columns of the gap/full export; translators fill in `translation` and the
+// same file can be imported back
+export const GAP_CSV_COLUMNS = [
+  'entity_type',
+  'entity_id',
+  'entity_label',
+  'language_code',
+  'field',
+  'status',
+  'source_text',
+  'translation',
+];
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendTranslationError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+const exportFilename = (prefix, languages, ext) =>
+  `${prefix}-${(languages || 'all').replace(/[^A-Za-z0-9,-]/g, '').replace(/,/g, '_')}-${new Date()
+    .toISOString()
+    .slice(0, 10)}.${ext}`;
+
+// 📊 Completeness per active language (?languages=fr,de&entities=product,faq)
+export const getCompletenessReport = async (req, res) => {
+  try {
+    const report = await TranslationModel.getCompletenessReport({
+      languages: req.query.languages,
+      entities: req.query.entities,
+    });
+    res.json({ success: true, data: report });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to build translation report');
+  }
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Shared by the gap and full exports: JSON, CSV or XLIFF 2.0 (one language)
+const sendTranslationStrings = async (req, res, { onlyGaps, filePrefix }) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv', 'xliff'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'format must be json, csv or xliff' });
+  }
+
+  const languages = req.query.languages || req.query.language;
+  if (format === 'xliff' && (!languages || languages.includes(','))) {
+    return res.status(400).json({
+      success: false,
+      message: 'XLIFF export needs exactly one target language (?language=fr)',
+    });
+  }
+
+  const strings = await TranslationModel.getTranslationStrings({
+    languages,
+    entities: req.query.entities,
+    onlyGaps,
+  });
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(filePrefix, languages, 'csv')}"`);
+    return res.send(toCsv(GAP_CSV_COLUMNS, strings));
+  }
+
+  if (format === 'xliff') {
+    const sourceLanguage = await getDefaultLanguage();
+    const xliff = buildXliff({
+      sourceLanguage: sourceLanguage.code,
+      targetLanguage: languages,
+      units: strings.map((s) => ({
+        entity_type: s.entity_type,
+        entity_id: s.entity_id,
+        field: s.field,
+        source: s.source_text,
+        target: s.translation,
+        note: s.entity_label,
+      })),
+    });
+    res.setHeader('Content-Type', 'application/xliff+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(filePrefix, languages, 'xlf')}"`);
+    return res.send(xliff);
+  }
+
+  res.json({ success: true, count: strings.length, data: strings });
+};
+
+// 📤 Untranslated fields as JSON, CSV or XLIFF 2.0 (?format=csv|xliff)
+export const exportTranslationGaps = async (req, res) => {
+  try {
+    await sendTranslationStrings(req, res, { onlyGaps: true, filePrefix: 'translation-gaps' });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to export translation gaps');
+  }
+};
+
+// 📤 All source strings with their current translations (?only_gaps=true to trim)
+export const exportTranslations = async (req, res) => {
+  try {
+    await sendTranslationStrings(req, res, {
+      onlyGaps: isTrue(req.query.only_gaps),
+      filePrefix: 'translations',
+    });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to export translations');
+  }
+};
+
+// 🔹 Turn an uploaded CSV or XLIFF file into import rows
+const readImportRows = (file, format) => {
+  const text = file.buffer.toString('utf8');
+  const detected =
+    format ||
+    (/\.(xlf|xliff|xml)$/i.test(file.originalname) || text.trimStart().startsWith('<') ? 'xliff' : 'csv');
+
+  if (detected === 'xliff') {
+    const doc = parseXliff(text);
+    if (!doc.targetLanguage) throw Object.assign(new Error('XLIFF file has no trgLang'), { status: 400 });
+    return doc.units.map((unit) => {
+      const parsed = parseUnitId(unit.id);
+      return {
+        ref: `unit ${unit.id}`,
+        entity_type: parsed?.entity_type ?? null,
+        entity_id: parsed?.entity_id ?? null,
+        field: parsed?.field ?? null,
+        language_code: doc.targetLanguage,
+        translation: unit.target ?? '',
+      };
+    });
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length) {
+    const missing = TranslationModel.TRANSLATION_IMPORT_COLUMNS.filter((c) => !(c in rows[0]));
+    if (missing.length) {
+      throw Object.assign(new Error('CSV is missing required columns'), {
+        status: 400,
+        details: { missing_columns: missing, required_columns: TranslationModel.TRANSLATION_IMPORT_COLUMNS },
+      });
+    }
+  }
+  return rows.map((row) => ({
+    ref: `line ${row.__line}`,
+    entity_type: row.entity_type.trim(),
+    entity_id: row.entity_id.trim(),
+    field: row.field.trim(),
+    language_code: row.language_code.trim(),
+    translation: row.translation,
+  }));
+};
+
+// 📥 Import translations from CSV or XLIFF 2.0 (multipart field "file")
+export const importTranslations = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a CSV or XLIFF file in the "file" field' });
+    }
+
+    const format = req.query.format || req.body?.format;
+    if (format && !['csv', 'xliff'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be csv or xliff' });
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(req.file, format);
+    } catch (err) {
+      if (err.status) throw err;
+      return res.status(400).json({ success: false, message: `Could not parse file: ${err.message}` });
+    }
+    if (!rows.length) {
+      return res.status(400).json({ success: false, message: 'The file contains no translation rows' });
+    }
+
+    const report = await TranslationModel.importTranslations(rows, {
+      dryRun: isTrue(req.query.dry_run ?? req.body?.dry_run),
+      allOrNothing: isTrue(req.query.all_or_nothing ?? req.body?.all_or_nothing),
+    });
+
+    // Row errors are reported per row; only an aborted all-or-nothing import fails the request
+    const aborted = !report.applied && !report.dry_run;
+    res.status(aborted ? 422 : 200).json({
+      success: !aborted,
+      message: report.dry_run
+        ? 'Dry run complete; nothing was saved'
+        : report.applied
+          ? 'Translations imported'
+          : 'Import aborted; nothing was saved',
+      data: report,
+    });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to import translations');
+  }
+};
+
+// 🤖 Machine translations awaiting review (?entity=&language=&product_id=)
+export const getPendingMachineTranslations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await MachineTranslationModel.listPendingMachineTranslations({
+      entity: req.query.entity,
+      language: req.query.language,
+      productId: req.query.product_id,
+      limit,
+      offset,
+    });
+    res.json({ success: true, total: result.total, data: result.items });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to fetch machine translations');
+  }
+};
+
+// 🤖 Fill a product's missing translations now (body: { languages?, provider? })
+export const autoTranslateProduct = async (req, res) => {
+  try {
+    const languages = Array.isArray(req.body?.languages) ? req.body.languages : null;
+    const summary = await MachineTranslationModel.autoTranslateProduct(req.params.productId, {
+      languages,
+      provider: req.body?.provider,
+    });
+    res.json({ success: true, message: 'Missing translations filled', data: summary });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to auto-translate product');
+  }
+};
+
+export const approveProductMachineTranslations = async (req, res) => {
+  try {
+    const result = await MachineTranslationModel.approveProductMachineTranslations(req.params.productId, {
+      userId: req.user?.userId ?? null,
+      language: req.body?.language || null,
+    });
+    res.json({ success: true, message: 'Machine translations approved', data: result });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to approve machine translations');
+  }
+};
+
+// ✅ Approve one machine translation (body: optional corrected fields)
+export const approveMachineTranslation = async (req, res) => {
+  try {
+    const { entityType, entityId, languageCode } = req.params;
+    const result = await MachineTranslationModel.approveMachineTranslation(entityType, entityId, languageCode, {
+      userId: req.user?.userId ?? null,
+      edits: req.body?.fields || {},
+    });
+    res.json({ success: true, message: 'Machine translation approved', data: result });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to approve machine translation');
+  }
+};
+
+export const rejectMachineTranslation = async (req, res) => {
+  try {
+    const { entityType, entityId, languageCode } = req.params;
+    const result = await MachineTranslationModel.rejectMachineTranslation(entityType, entityId, languageCode);
+    res.json({ success: true, message: 'Machine translation rejected', data: result });
+  } catch (err) {
+    sendTranslationError(res, err, 'Failed to reject machine translation');
+  }
+};
@@ -3,8 +3,6 @@ import cors from "cors";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import multer from "multer";
-import path from "path";
-import fs from "fs";
 import  passport  from "passport";
 
 import db from "./database.js";
@@ -21,9 +19,25 @@ import discountTiersRouter from './routes/discountTiersRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 
 import orderRoutes from './routes/orderRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import translationRoutes from './routes/translationRoutes.js';
+import productImportRoutes from './routes/productImportRoutes.js';
+import mediaRoutes from './routes/mediaRoutes.js';
+import { localStorageDir } from './services/storage/index.js';
+import { assertPaymentProviderConfigured } from './services/payments/index.js';
 // Import webhook routes
 import webhookRoutes from './routes/webhookRoutes.js';
 
+// Background jobs
+import { startReservationSweeper } from './jobs/reservationSweeper.js';
+import { startIdempotencyKeySweeper } from './jobs/idempotencyKeySweeper.js';
+import { startExchangeRateImporter } from './jobs/exchangeRateImporter.js';
+import { startProductImportRunner } from './jobs/productImportRunner.js';
+import { startMediaSweeper } from './jobs/mediaSweeper.js';
+import { startProductPublishScheduler } from './jobs/productPublishScheduler.js';
+
 dotenv.config();
 
 const app = express();
@@ -46,17 +60,15 @@ app.use(cors({
 // ====================
 // 🧩 Middleware Setup
 // ====================
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 app.use(passport.initialize());
 
-// Ensure Uploads folder exists
-const uploadDir = path.join(process.cwd(), "Uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-  console.log(`✅ Created Upload directory: ${uploadDir}`);
-}
-
 // Middleware - IMPORTANT: Webhooks need raw body for verification
 app.use((req, res, next) => {
   if (req.originalUrl === '/api/webhooks/clerk') {
@@ -65,21 +77,28 @@ app.use((req, res, next) => {
     express.json()(req, res, next); // JSON for other routes
   }
 });
-// Serve uploaded files statically
-app.use("/Uploads", express.static(uploadDir));
+// Serve uploaded files statically (local storage driver; the directory is
+// created on the first upload)
+app.use("/Uploads", express.static(localStorageDir()));
 
 // ====================
 // 🚏 Routes
 // ====================
 app.use("/api/users", userRoutes);
+app.use("/api/products/import", productImportRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/languages", languageRoutes);
 app.use("/api/settings", settingRoutes);
 app.use("/api/file", UploadRoutes);
+app.use("/api/media", mediaRoutes);
 app.use("/api/discount-tiers", discountTiersRouter);
 
 app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/translations', translationRoutes);
 
 // Webhook routes (NO CORS for webhooks - they're server-to-server)
 app.use("/api/webhooks", webhookRoutes);
@@ -111,7 +130,7 @@ app.get("/api/webhooks/test", (req, res) => {
   res.json({ 
     success: true, 
     message: "Webhook endpoint is accessible!",
-    url: "Use POST /api/webhooks/clerk for Clerk webhooks"
+    url: "Use POST /api/webhooks/clerk for Clerk webhooks, POST /api/webhooks/payments for payment events"
   });
 });
 // ====================
@@ -139,8 +158,18 @@ app.use((err, req, res, next) => {
 // ====================
 const PORT = process.env.PORT || 3009;
 
+// Refuse to start without a real payment gateway in production
+assertPaymentProviderConfigured();
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📂 Static uploads served at /Uploads`);
+
+  startReservationSweeper();
+  startIdempotencyKeySweeper();
+  startExchangeRateImporter();
+  startProductImportRunner();
+  startMediaSweeper();
+  startProductPublishScheduler();
 });
 
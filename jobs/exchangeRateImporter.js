@@ -0,0 +1,35 @@
+// jobs/exchangeRateImporter.js
+import { getExchangeRateSource } from "../services/exchangeRates/index.js";
+import { applyImportedRates } from "../models/currencyModel.js";
+
+const IMPORT_INTERVAL_MS = parseInt(process.env.EXCHANGE_RATE_IMPORT_INTERVAL_MS || "21600000", 10);
+
+// 🔄 Pull rates from the configured source and store the ones that moved
+export const importExchangeRates = async (sourceName) => {
+  const source = getExchangeRateSource(sourceName);
+  const feed = await source.fetchRates();
+  const report = await applyImportedRates(feed, { source: source.name });
+  return { ...report, feed_date: feed.date };
+};
+
+const runImport = async () => {
+  try {
+    const report = await importExchangeRates();
+    if (report.updated.length > 0) {
+      console.log(`💱 Updated ${report.updated.length} exchange rate(s) from ${report.source}`);
+    }
+  } catch (err) {
+    console.error("❌ Exchange rate import failed:", err);
+  }
+};
+
+// Only runs when EXCHANGE_RATE_SOURCE is configured; rates are manual otherwise
+export const startExchangeRateImporter = () => {
+  if (!process.env.EXCHANGE_RATE_SOURCE) return null;
+  const timer = setInterval(runImport, IMPORT_INTERVAL_MS);
+  timer.unref();
+  runImport();
+  return timer;
+};
+
+export default startExchangeRateImporter;
@@ -0,0 +1,23 @@
+// jobs/idempotencyKeySweeper.js
+import { purgeExpiredIdempotencyKeys } from "../middleware/idempotency.js";
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS || "3600000", 10);
+
+const sweep = async () => {
+  try {
+    const purged = await purgeExpiredIdempotencyKeys();
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} expired idempotency key(s)`);
+    }
+  } catch (err) {
+    console.error("❌ Idempotency key sweep failed:", err);
+  }
+};
+
+export const startIdempotencyKeySweeper = () => {
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startIdempotencyKeySweeper;
@@ -0,0 +1,41 @@
+// jobs/mediaSweeper.js
+import { sweepOrphanedMedia } from "../models/mediaModel.js";
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.MEDIA_SWEEP_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10);
+// MEDIA_SWEEP_DRY_RUN=true only logs what would be deleted
+const DRY_RUN = process.env.MEDIA_SWEEP_DRY_RUN === "true";
+
+let running = false;
+
+// 🧹 Delete uploaded files nothing has referenced for the grace period
+const sweep = async () => {
+  if (running) return; // previous sweep still busy
+  running = true;
+  try {
+    const report = await sweepOrphanedMedia({ dryRun: DRY_RUN });
+
+    if (report.adopted.items > 0) {
+      console.log(`🧹 Media sweep found ${report.adopted.items} untracked upload(s)`);
+    }
+    if (DRY_RUN && report.orphans.length > 0) {
+      console.log(`🧹 Media sweep (dry run): ${report.orphans.length} orphaned item(s) would be deleted`);
+    } else if (report.deleted > 0) {
+      console.log(`🧹 Deleted ${report.deleted} orphaned media item(s), ${report.freed_bytes} bytes`);
+    }
+    for (const failure of report.failed) {
+      console.error(`❌ Failed to delete media ${failure.media_id}: ${failure.error}`);
+    }
+  } catch (err) {
+    console.error("❌ Media sweep failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const startMediaSweeper = () => {
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startMediaSweeper;
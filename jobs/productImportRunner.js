@@ -0,0 +1,51 @@
+// jobs/productImportRunner.js
+import {
+  claimNextImportJob,
+  requeueInterruptedImportJobs,
+  runImportJob,
+} from "../models/productImportModel.js";
+import { invalidateProductSearchIndex } from "../models/productSearchModel.js";
+
+const POLL_INTERVAL_MS = parseInt(process.env.PRODUCT_IMPORT_POLL_INTERVAL_MS || "10000", 10);
+
+let running = false;
+
+// 📥 Work through queued product imports one at a time
+export const processProductImports = async () => {
+  if (running) return; // the current pass picks up newly queued jobs too
+  running = true;
+  try {
+    let job;
+    while ((job = await claimNextImportJob())) {
+      try {
+        const done = await runImportJob(job);
+        console.log(
+          `📥 Product import ${done.job_id}: ${done.created_count} created, ${done.updated_count} updated, ${done.failed_count} failed`
+        );
+      } catch (err) {
+        console.error(`❌ Product import ${job.job_id} failed:`, err);
+      } finally {
+        invalidateProductSearchIndex();
+      }
+    }
+  } catch (err) {
+    console.error("❌ Product import runner failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const startProductImportRunner = () => {
+  requeueInterruptedImportJobs()
+    .then((count) => {
+      if (count > 0) console.log(`📥 Re-queued ${count} interrupted product import(s)`);
+    })
+    .catch((err) => console.error("❌ Failed to re-queue product imports:", err))
+    .finally(processProductImports);
+
+  const timer = setInterval(processProductImports, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startProductImportRunner;
@@ -0,0 +1,39 @@
+// jobs/productPublishScheduler.js
+import { applyScheduledPublishing } from "../models/productPublishingModel.js";
+import { invalidateProductSearchIndex } from "../models/productSearchModel.js";
+
+const CHECK_INTERVAL_MS = parseInt(process.env.PRODUCT_PUBLISH_INTERVAL_MS || "60000", 10);
+
+let running = false;
+
+// 🚀 Publish and unpublish products whose publish_at / unpublish_at has passed.
+// Storefront reads already check the window themselves; this keeps isactive,
+// the search index and the publish events in step.
+const checkSchedule = async () => {
+  if (running) return; // previous check still busy
+  running = true;
+  try {
+    const events = await applyScheduledPublishing();
+    if (events.length > 0) {
+      invalidateProductSearchIndex();
+      for (const e of events) {
+        console.log(`🚀 Product ${e.product_id} (${e.handle}) ${e.event} on schedule`);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Product publish schedule check failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const startProductPublishScheduler = () => {
+  // Catch up on launches that passed while the server was down
+  checkSchedule();
+
+  const timer = setInterval(checkSchedule, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startProductPublishScheduler;
@@ -0,0 +1,50 @@
+// jobs/reservationSweeper.js
+import { getOrdersWithExpiredReservations } from "../models/inventoryModel.js";
+import { changeOrderStatus } from "../models/orderStatusModel.js";
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || "60000", 10);
+
+let running = false;
+
+// Cancel unpaid orders whose reservation expired; cancellation releases the
+// stock and voids any payment still waiting for customer action
+const sweep = async () => {
+  if (running) return; // previous sweep still busy
+  running = true;
+  try {
+    const orderIds = await getOrdersWithExpiredReservations();
+    let cancelled = 0;
+
+    for (const orderId of orderIds) {
+      try {
+        // onlyFrom re-checks under lock: the order may have been paid meanwhile
+        await changeOrderStatus(orderId, "cancelled", {
+          changedByType: "system",
+          note: "Payment timeout",
+          onlyFrom: ["pending"],
+        });
+        cancelled++;
+      } catch (err) {
+        if (err.status !== 409) {
+          console.error(`❌ Failed to release reservation for order ${orderId}:`, err);
+        }
+      }
+    }
+
+    if (cancelled > 0) {
+      console.log(`⏰ Released stock for ${cancelled} unpaid order(s)`);
+    }
+  } catch (err) {
+    console.error("❌ Reservation sweep failed:", err);
+  } finally {
+    running = false;
+  }
+};
+
+export const startReservationSweeper = () => {
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startReservationSweeper;
@@ -0,0 +1,148 @@
+// middleware/idempotency.js
+import crypto from 'crypto';
+import db from '../database.js';
+
+// How long a key is remembered; retries after that run as new requests
+export const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+const MAX_KEY_LENGTH = 255;
+
+// Key order must not change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const fingerprint = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+// Keys are per caller: the same key from two users never collides
+const ownerOf = (req) =>
+  req.clerkUser?.id ? `clerk:${req.clerkUser.id}` : req.user?.userId ? `user:${req.user.userId}` : 'anonymous';
+
+/**
+ * Honor an `Idempotency-Key` header on a mutating route. Must run after the
+ * auth middleware. The first request with a key runs normally and its
+ * response (2xx/4xx) is stored; retries with the same body get that response
+ * back with `Idempotent-Replayed: true`. Reusing a key with a different body
+ * is rejected with 422; a retry while the original is still running gets 409,
+ * even if the original client has disconnected. 5xx responses are not stored
+ * so the client can retry them.
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const owner = ownerOf(req);
+  const requestHash = fingerprint(req);
+
+  try {
+    // Forget this key if it already expired
+    await db.query(
+      `DELETE FROM idempotency_keys
+       WHERE scope = ? AND owner = ? AND idempotency_key = ? AND expires_at < NOW()`,
+      [scope, owner, key]
+    );
+
+    const [result] = await db.query(
+      `INSERT IGNORE INTO idempotency_keys (idempotency_key, scope, owner, request_hash, status, expires_at)
+       VALUES (?, ?, ?, ?, 'processing', DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [key, scope, owner, requestHash, IDEMPOTENCY_TTL_HOURS]
+    );
+
+    if (result.affectedRows === 0) {
+      const [rows] = await db.query(
+        `SELECT request_hash, status, response_status, response_body
+         FROM idempotency_keys
+         WHERE scope = ? AND owner = ? AND idempotency_key = ?`,
+        [scope, owner, key]
+      );
+      const stored = rows[0];
+
+      if (!stored) {
+        return res.status(409).json({ success: false, message: 'Idempotency-Key conflict, please retry' });
+      }
+      if (stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+      if (stored.status === 'processing') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      const body = typeof stored.response_body === 'string'
+        ? JSON.parse(stored.response_body)
+        : stored.response_body;
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(body);
+    }
+  } catch (err) {
+    console.error('❌ Idempotency check failed:', err);
+    return res.status(500).json({ success: false, message: 'Failed to process Idempotency-Key' });
+  }
+
+  // Settle the key with whatever the handler answers, before it goes out.
+  // A client that hangs up doesn't stop the handler, so the key stays
+  // 'processing' until the handler is done; only its own failure (a 5xx)
+  // frees the key for another attempt.
+  const settle = async (statusCode, body) => {
+    try {
+      if (statusCode >= 500) {
+        await db.query(
+          `DELETE FROM idempotency_keys WHERE scope = ? AND owner = ? AND idempotency_key = ?`,
+          [scope, owner, key]
+        );
+      } else {
+        await db.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = ?, response_body = ?, completed_at = NOW()
+           WHERE scope = ? AND owner = ? AND idempotency_key = ?`,
+          [statusCode, JSON.stringify(body), scope, owner, key]
+        );
+      }
+    } catch (err) {
+      console.error('❌ Failed to store idempotent response:', err);
+    }
+  };
+
+  let settled = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (settled) return originalJson(body);
+    settled = true;
+    settle(res.statusCode, body).finally(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+/**
+ * Drop keys past their TTL
+ */
+export const purgeExpiredIdempotencyKeys = async () => {
+  const [result] = await db.query(`DELETE FROM idempotency_keys WHERE expires_at < NOW()`);
+  return result.affectedRows;
+};
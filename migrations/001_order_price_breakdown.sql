@@ -0,0 +1,16 @@
+-- Server-side order pricing: persist the authoritative breakdown on each order
+-- and the product/line totals on each order item.
+
+ALTER TABLE orders
+  ADD COLUMN subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER user_id,
+  ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER subtotal_amount,
+  ADD COLUMN tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER discount_amount,
+  ADD COLUMN shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER tax_amount;
+
+ALTER TABLE order_items
+  MODIFY variant_id INT NULL,
+  ADD COLUMN product_id INT NULL AFTER order_id,
+  ADD COLUMN line_subtotal DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER unit_price,
+  ADD COLUMN line_total DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER line_subtotal;
+
+CREATE INDEX idx_order_items_product_id ON order_items(product_id);
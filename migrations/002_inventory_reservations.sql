@@ -0,0 +1,20 @@
+-- Stock reservations: order placement reserves inventory_levels.reserved,
+-- shipment converts the reservation into an on_hand deduction and
+-- cancellation / payment timeout releases it.
+
+CREATE TABLE inventory_reservations (
+  reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  variant_id INT NOT NULL,
+  inventory_id INT NOT NULL,
+  quantity INT NOT NULL,
+  status ENUM('reserved', 'committed', 'released') NOT NULL DEFAULT 'reserved',
+  expires_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  KEY idx_inventory_reservations_order (order_id, status),
+  KEY idx_inventory_reservations_expiry (status, expires_at)
+);
+
+CREATE INDEX idx_inventory_levels_variant_id ON inventory_levels(variant_id);
@@ -0,0 +1,21 @@
+-- Order status state machine: widen the status column for the new branches
+-- and keep a full audit trail of every transition.
+
+ALTER TABLE orders MODIFY status VARCHAR(30) NOT NULL DEFAULT 'pending';
+
+CREATE TABLE order_status_history (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(30) NULL,
+  to_status VARCHAR(30) NOT NULL,
+  changed_by_type ENUM('customer', 'admin', 'system') NOT NULL DEFAULT 'system',
+  changed_by_id INT NULL,
+  note VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  KEY idx_order_status_history_order (order_id, created_at)
+);
+
+-- Seed the trail with each existing order's current status
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by_type, created_at)
+SELECT order_id, NULL, status, 'system', created_at FROM orders;
@@ -0,0 +1,18 @@
+-- Discount tiers / codes applied at checkout, stored per order and per line.
+
+ALTER TABLE order_items
+  ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER line_subtotal;
+
+CREATE TABLE order_discounts (
+  order_discount_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  tier_id INT NULL,
+  discount_code VARCHAR(100) NULL,
+  label VARCHAR(255) NULL,
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  shipping_discount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  free_ebook TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  KEY idx_order_discounts_order (order_id)
+);
@@ -0,0 +1,27 @@
+-- Per-visitor flash discount windows: once a trigger fires for a visitor the
+-- server fixes the expiry, and checkout only honors the discount until then.
+
+CREATE TABLE flash_discount_windows (
+  window_id INT AUTO_INCREMENT PRIMARY KEY,
+  flash_id INT NOT NULL,
+  visitor_id VARCHAR(64) NOT NULL,
+  trigger_condition VARCHAR(100) NOT NULL,
+  started_at DATETIME NOT NULL,
+  expires_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (flash_id) REFERENCES flash_discounts(flash_id) ON DELETE CASCADE,
+  UNIQUE KEY uq_flash_window_visitor (flash_id, visitor_id),
+  KEY idx_flash_window_visitor (visitor_id, expires_at)
+);
+
+-- Last cart the server saw per visitor, so cart_abandonment triggers measure
+-- the cart's age from our own clock instead of a client-sent time.
+-- updated_at only moves when the cart's contents change.
+CREATE TABLE visitor_carts (
+  visitor_id VARCHAR(64) NOT NULL PRIMARY KEY,
+  -- [{ "product_id": 1, "quantity": 2 }, ...] sorted by product_id
+  items JSON NOT NULL,
+  updated_at DATETIME NOT NULL,
+  seen_at DATETIME NOT NULL,
+  KEY idx_visitor_carts_updated (updated_at)
+);
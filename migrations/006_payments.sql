@@ -0,0 +1,42 @@
+-- Payments: one row per payment intent against an order, plus an event log of
+-- every provider operation and webhook (webhooks are de-duplicated by event id).
+
+ALTER TABLE orders ADD COLUMN payment_method VARCHAR(30) NOT NULL DEFAULT 'card' AFTER status;
+
+CREATE TABLE payments (
+  payment_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  provider VARCHAR(30) NOT NULL,
+  provider_payment_id VARCHAR(100) NULL,
+  payment_method VARCHAR(30) NOT NULL DEFAULT 'card',
+  capture_method ENUM('automatic', 'manual') NOT NULL DEFAULT 'automatic',
+  status VARCHAR(30) NOT NULL DEFAULT 'created',
+  amount DECIMAL(10,2) NOT NULL,
+  amount_captured DECIMAL(10,2) NOT NULL DEFAULT 0,
+  amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency_code CHAR(3) NOT NULL DEFAULT 'USD',
+  next_action JSON NULL,
+  failure_reason VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  UNIQUE KEY uq_payments_provider_ref (provider, provider_payment_id),
+  KEY idx_payments_order (order_id)
+);
+
+CREATE TABLE payment_events (
+  event_id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  source ENUM('api', 'webhook') NOT NULL DEFAULT 'api',
+  provider_event_id VARCHAR(100) NULL,
+  provider_reference VARCHAR(100) NULL,
+  amount DECIMAL(10,2) NULL,
+  status VARCHAR(30) NULL,
+  note VARCHAR(500) NULL,
+  payload JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE CASCADE,
+  UNIQUE KEY uq_payment_events_provider_event (provider_event_id),
+  KEY idx_payment_events_payment (payment_id, created_at)
+);
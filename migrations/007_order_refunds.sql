@@ -0,0 +1,52 @@
+-- Refunds: full or partial, per line or by amount, with optional restock.
+-- Running totals on orders/order_items keep the order detail cheap to read.
+-- Refund state is kept apart from fulfilment: a partial refund only sets
+-- refund_status, a full refund ends the order as 'refunded'.
+
+ALTER TABLE orders
+  ADD COLUMN refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER total_amount,
+  ADD COLUMN refund_status ENUM('none', 'partial', 'full') NOT NULL DEFAULT 'none' AFTER refunded_amount;
+
+ALTER TABLE order_items
+  ADD COLUMN refunded_quantity INT NOT NULL DEFAULT 0 AFTER line_total,
+  ADD COLUMN refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER refunded_quantity;
+
+CREATE TABLE order_refunds (
+  refund_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  reason VARCHAR(50) NOT NULL,
+  note VARCHAR(500) NULL,
+  restocked TINYINT(1) NOT NULL DEFAULT 0,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  KEY idx_order_refunds_order (order_id)
+);
+
+CREATE TABLE order_refund_items (
+  refund_item_id INT AUTO_INCREMENT PRIMARY KEY,
+  refund_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  quantity INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  restocked TINYINT(1) NOT NULL DEFAULT 0,
+  FOREIGN KEY (refund_id) REFERENCES order_refunds(refund_id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE
+);
+
+-- Which payment(s) each refund was paid back from
+CREATE TABLE order_refund_payments (
+  refund_id INT NOT NULL,
+  payment_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  PRIMARY KEY (refund_id, payment_id),
+  FOREIGN KEY (refund_id) REFERENCES order_refunds(refund_id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE CASCADE
+);
+
+-- Units of a committed reservation put back into stock, so a restock can
+-- never return more than actually shipped
+ALTER TABLE inventory_reservations
+  ADD COLUMN returned_quantity INT NOT NULL DEFAULT 0 AFTER quantity;
@@ -0,0 +1,41 @@
+-- Customer returns (RMA): a request per order with the lines being sent back,
+-- moving requested → approved/rejected → received → inspected → refunded/exchanged.
+
+CREATE TABLE order_returns (
+  return_id INT AUTO_INCREMENT PRIMARY KEY,
+  rma_number VARCHAR(20) NOT NULL,
+  order_id INT NOT NULL,
+  user_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'requested',
+  resolution ENUM('refund', 'exchange') NULL,
+  customer_note VARCHAR(500) NULL,
+  admin_note VARCHAR(500) NULL,
+  refund_id INT NULL,
+  exchange_order_id INT NULL,
+  approved_at DATETIME NULL,
+  received_at DATETIME NULL,
+  inspected_at DATETIME NULL,
+  closed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (refund_id) REFERENCES order_refunds(refund_id) ON DELETE SET NULL,
+  UNIQUE KEY uq_order_returns_rma (rma_number),
+  KEY idx_order_returns_status (status, created_at)
+);
+
+CREATE TABLE order_return_items (
+  return_item_id INT AUTO_INCREMENT PRIMARY KEY,
+  return_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  quantity INT NOT NULL,
+  reason VARCHAR(50) NOT NULL,
+  comment VARCHAR(500) NULL,
+  received_quantity INT NULL,
+  accepted_quantity INT NULL,
+  restockable TINYINT(1) NULL,
+  inspection_note VARCHAR(500) NULL,
+  exchange_variant_id INT NULL,
+  FOREIGN KEY (return_id) REFERENCES order_returns(return_id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- Idempotency-Key support: remember each key's request fingerprint and the
+-- response it produced so client retries replay instead of re-running.
+
+CREATE TABLE idempotency_keys (
+  key_id INT AUTO_INCREMENT PRIMARY KEY,
+  idempotency_key VARCHAR(255) NOT NULL,
+  scope VARCHAR(50) NOT NULL,
+  owner VARCHAR(100) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+  response_status INT NULL,
+  response_body JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  UNIQUE KEY uq_idempotency_scope_owner_key (scope, owner, idempotency_key),
+  KEY idx_idempotency_expires (expires_at)
+);
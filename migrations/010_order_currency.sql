@@ -0,0 +1,27 @@
+-- Multi-currency orders: amounts on orders/order_items are in the customer's
+-- (presentment) currency; base_* columns keep the store-currency figures and
+-- exchange_rate snapshots the rate used at checkout.
+
+ALTER TABLE orders
+  ADD COLUMN currency_code CHAR(3) NOT NULL DEFAULT 'USD' AFTER currency_id,
+  ADD COLUMN exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1 AFTER currency_code,
+  ADD COLUMN language_code VARCHAR(10) NOT NULL DEFAULT 'en' AFTER language_id,
+  ADD COLUMN base_subtotal_amount DECIMAL(10,2) NULL AFTER total_amount,
+  ADD COLUMN base_discount_amount DECIMAL(10,2) NULL AFTER base_subtotal_amount,
+  ADD COLUMN base_tax_amount DECIMAL(10,2) NULL AFTER base_discount_amount,
+  ADD COLUMN base_shipping_amount DECIMAL(10,2) NULL AFTER base_tax_amount,
+  ADD COLUMN base_total_amount DECIMAL(10,2) NULL AFTER base_shipping_amount;
+
+-- Existing orders were all placed in the base currency
+UPDATE orders SET
+  base_subtotal_amount = subtotal_amount,
+  base_discount_amount = discount_amount,
+  base_tax_amount = tax_amount,
+  base_shipping_amount = shipping_amount,
+  base_total_amount = total_amount;
+
+ALTER TABLE order_items
+  ADD COLUMN base_unit_price DECIMAL(10,2) NULL AFTER unit_price,
+  ADD COLUMN base_line_total DECIMAL(10,2) NULL AFTER line_total;
+
+UPDATE order_items SET base_unit_price = unit_price, base_line_total = line_total;
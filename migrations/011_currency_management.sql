@@ -0,0 +1,28 @@
+-- Currency management: enable/disable, display and rounding rules per
+-- currency, and a history of every exchange-rate change.
+
+ALTER TABLE currencies
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN is_base TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN symbol_position ENUM('before', 'after') NOT NULL DEFAULT 'before',
+  ADD COLUMN decimal_places TINYINT NOT NULL DEFAULT 2,
+  ADD COLUMN rounding_increment DECIMAL(10,4) NULL,
+  ADD COLUMN sort_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN rate_updated_at DATETIME NULL;
+
+ALTER TABLE currencies MODIFY exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+
+-- The store currency (USD) is the reference every other rate is quoted against
+UPDATE currencies SET is_base = 1, exchange_rate = 1 WHERE code = 'USD';
+
+CREATE TABLE currency_rate_history (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  currency_id INT NOT NULL,
+  previous_rate DECIMAL(18,8) NULL,
+  rate DECIMAL(18,8) NOT NULL,
+  source VARCHAR(50) NOT NULL DEFAULT 'manual',
+  changed_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (currency_id) REFERENCES currencies(currency_id) ON DELETE CASCADE,
+  KEY idx_currency_rate_history (currency_id, created_at)
+);
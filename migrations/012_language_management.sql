@@ -0,0 +1,14 @@
+-- Language management: ordering, a single default language and explicit
+-- fallback chains (fr-CA -> fr -> default). Without an explicit fallback a
+-- regional code falls back to its base language automatically.
+
+ALTER TABLE languages
+  ADD COLUMN is_default TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN sort_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN fallback_language_id INT NULL,
+  ADD CONSTRAINT fk_languages_fallback
+    FOREIGN KEY (fallback_language_id) REFERENCES languages(language_id) ON DELETE SET NULL;
+
+-- English has always been the implicit default (language_id 1)
+UPDATE languages SET is_default = 1 WHERE language_id = 1;
+UPDATE languages SET sort_order = language_id;
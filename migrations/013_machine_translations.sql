@@ -0,0 +1,25 @@
+-- Machine-generated translations: rows filled by the auto-translate step are
+-- flagged with the provider that produced them and stay pending until an
+-- admin approves (reviewed_at set) or rejects (row deleted) them.
+
+ALTER TABLE product_translations
+  ADD COLUMN is_machine_translated TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN machine_provider VARCHAR(50) NULL,
+  ADD COLUMN reviewed_by INT NULL,
+  ADD COLUMN reviewed_at DATETIME NULL;
+
+ALTER TABLE product_faq_translations
+  ADD COLUMN is_machine_translated TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN machine_provider VARCHAR(50) NULL,
+  ADD COLUMN reviewed_by INT NULL,
+  ADD COLUMN reviewed_at DATETIME NULL;
+
+ALTER TABLE product_size_translations
+  ADD COLUMN is_machine_translated TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN machine_provider VARCHAR(50) NULL,
+  ADD COLUMN reviewed_by INT NULL,
+  ADD COLUMN reviewed_at DATETIME NULL;
+
+CREATE INDEX idx_product_translations_mt ON product_translations (is_machine_translated, reviewed_at);
+CREATE INDEX idx_product_faq_translations_mt ON product_faq_translations (is_machine_translated, reviewed_at);
+CREATE INDEX idx_product_size_translations_mt ON product_size_translations (is_machine_translated, reviewed_at);
@@ -0,0 +1,7 @@
+-- Faceted product listings: keyset pagination sorts on created_at within the
+-- active catalog, and the color / size / popularity facets join on these.
+
+CREATE INDEX idx_products_active_created ON products (isactive, created_at, product_id);
+CREATE INDEX idx_color_swatches_hex_code ON color_swatches (hex_code);
+CREATE INDEX idx_product_sizes_product_size ON product_sizes (product_id, size_tbl_id);
+CREATE INDEX idx_orders_status_created ON orders (status, created_at);
@@ -0,0 +1,99 @@
+-- Option / variant matrix: a product declares option types (color, size,
+-- material, ...) with their values, and every combination of values is one
+-- concrete product_variants row with its own SKU, barcode, price, weight and
+-- stock. product_variants.option_signature is the sorted value ids of the
+-- combination ("12.40"), so regenerating the matrix finds existing variants.
+
+CREATE TABLE product_options (
+  option_id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+  UNIQUE KEY uq_product_options_name (product_id, name)
+);
+
+CREATE TABLE product_option_values (
+  value_id INT AUTO_INCREMENT PRIMARY KEY,
+  option_id INT NOT NULL,
+  value VARCHAR(100) NOT NULL,
+  hex_code VARCHAR(9) NULL,
+  position INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (option_id) REFERENCES product_options(option_id) ON DELETE CASCADE,
+  UNIQUE KEY uq_product_option_values_value (option_id, value)
+);
+
+CREATE TABLE product_variant_option_values (
+  variant_id INT NOT NULL,
+  value_id INT NOT NULL,
+  PRIMARY KEY (variant_id, value_id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+  FOREIGN KEY (value_id) REFERENCES product_option_values(value_id) ON DELETE CASCADE,
+  KEY idx_product_variant_option_values_value (value_id)
+);
+
+-- price: overrides the product price when set (price_modifier is then ignored)
+-- weight: kg, for shipping
+-- is_active: variants whose combination left the matrix are kept for order history
+ALTER TABLE product_variants
+  ADD COLUMN barcode VARCHAR(64) NULL AFTER sku,
+  ADD COLUMN price DECIMAL(10,2) NULL AFTER price_modifier,
+  ADD COLUMN weight DECIMAL(10,3) NULL AFTER price,
+  ADD COLUMN option_signature VARCHAR(255) NULL,
+  ADD COLUMN position INT NOT NULL DEFAULT 0,
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD UNIQUE KEY uq_product_variants_barcode (barcode),
+  ADD KEY idx_product_variants_signature (product_id, option_signature);
+
+-- Order lines keep the SKU and option labels they were bought with
+ALTER TABLE order_items
+  ADD COLUMN sku VARCHAR(100) NULL AFTER variant_id,
+  ADD COLUMN variant_title VARCHAR(255) NULL AFTER sku;
+
+-- 🔹 Backfill: the legacy color / size / material columns become options
+
+INSERT INTO product_options (product_id, name, position)
+SELECT DISTINCT product_id, 'Color', 1 FROM product_variants WHERE color IS NOT NULL AND color <> '';
+INSERT INTO product_options (product_id, name, position)
+SELECT DISTINCT product_id, 'Size', 2 FROM product_variants WHERE size IS NOT NULL AND size <> '';
+INSERT INTO product_options (product_id, name, position)
+SELECT DISTINCT product_id, 'Material', 3 FROM product_variants WHERE material IS NOT NULL AND material <> '';
+
+INSERT INTO product_option_values (option_id, value, hex_code, position)
+SELECT o.option_id, pv.color, MIN(cs.hex_code), MIN(pv.variant_id)
+FROM product_variants pv
+INNER JOIN product_options o ON o.product_id = pv.product_id AND o.name = 'Color'
+LEFT JOIN color_swatches cs ON cs.swatch_id = pv.swatch_id
+WHERE pv.color IS NOT NULL AND pv.color <> ''
+GROUP BY o.option_id, pv.color;
+
+INSERT INTO product_option_values (option_id, value, position)
+SELECT o.option_id, pv.size, MIN(pv.variant_id)
+FROM product_variants pv
+INNER JOIN product_options o ON o.product_id = pv.product_id AND o.name = 'Size'
+WHERE pv.size IS NOT NULL AND pv.size <> ''
+GROUP BY o.option_id, pv.size;
+
+INSERT INTO product_option_values (option_id, value, position)
+SELECT o.option_id, pv.material, MIN(pv.variant_id)
+FROM product_variants pv
+INNER JOIN product_options o ON o.product_id = pv.product_id AND o.name = 'Material'
+WHERE pv.material IS NOT NULL AND pv.material <> ''
+GROUP BY o.option_id, pv.material;
+
+INSERT INTO product_variant_option_values (variant_id, value_id)
+SELECT pv.variant_id, ov.value_id
+FROM product_variants pv
+INNER JOIN product_options o ON o.product_id = pv.product_id
+INNER JOIN product_option_values ov ON ov.option_id = o.option_id
+WHERE (o.name = 'Color' AND ov.value = pv.color)
+   OR (o.name = 'Size' AND ov.value = pv.size)
+   OR (o.name = 'Material' AND ov.value = pv.material);
+
+UPDATE product_variants pv
+SET option_signature = (
+  SELECT GROUP_CONCAT(pvov.value_id ORDER BY pvov.value_id SEPARATOR '.')
+  FROM product_variant_option_values pvov
+  WHERE pvov.variant_id = pv.variant_id
+);
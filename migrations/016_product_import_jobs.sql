@@ -0,0 +1,34 @@
+-- Bulk product imports run as background jobs: the upload is parsed and
+-- queued, jobs/productImportRunner.js works through the queue, and the
+-- per-row errors stay downloadable afterwards.
+
+CREATE TABLE product_import_jobs (
+  job_id INT AUTO_INCREMENT PRIMARY KEY,
+  status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  file_name VARCHAR(255) NULL,
+  -- parsed rows as JSON; cleared once the job has finished
+  payload LONGTEXT NULL,
+  total_rows INT NOT NULL DEFAULT 0,
+  total_products INT NOT NULL DEFAULT 0,
+  created_count INT NOT NULL DEFAULT 0,
+  updated_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  error_count INT NOT NULL DEFAULT 0,
+  error_message TEXT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  KEY idx_product_import_jobs_status (status, job_id)
+);
+
+CREATE TABLE product_import_job_errors (
+  error_id INT AUTO_INCREMENT PRIMARY KEY,
+  job_id INT NOT NULL,
+  line INT NULL,
+  handle VARCHAR(255) NULL,
+  column_name VARCHAR(100) NULL,
+  message VARCHAR(500) NOT NULL,
+  FOREIGN KEY (job_id) REFERENCES product_import_jobs(job_id) ON DELETE CASCADE,
+  KEY idx_product_import_job_errors_job (job_id, line)
+);
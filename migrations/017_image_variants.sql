@@ -0,0 +1,13 @@
+-- Uploaded images are stored as responsive WebP/AVIF variants
+-- (services/imagePipeline.js). `variants` holds
+-- { thumbnail|card|zoom: { width, height, avif, webp } }; image_url keeps the
+-- largest WebP for readers that only know one URL. Rows from before the
+-- pipeline have NULL variants.
+
+ALTER TABLE product_images
+  ADD COLUMN variants JSON NULL AFTER image_url,
+  ADD COLUMN width INT NULL AFTER variants,
+  ADD COLUMN height INT NULL AFTER width;
+
+ALTER TABLE color_swatches
+  ADD COLUMN image_variants JSON NULL AFTER image_url;
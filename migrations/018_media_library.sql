@@ -0,0 +1,48 @@
+-- Media library: every uploaded file is a media row. A processed image is one
+-- media item stored as several files (its WebP/AVIF size variants), so the
+-- stored keys live in media_files. media_usages is rebuilt by scanning the
+-- tables that reference uploads (models/mediaModel.js, MEDIA_REFERENCES);
+-- media that stays unused for the grace period is deleted by
+-- jobs/mediaSweeper.js. unused_since starts at upload time, so files that are
+-- uploaded but never attached are swept as well.
+
+CREATE TABLE media (
+  media_id INT AUTO_INCREMENT PRIMARY KEY,
+  kind ENUM('image', 'file') NOT NULL DEFAULT 'image',
+  -- URL readers use: the largest WebP for processed images
+  url VARCHAR(500) NOT NULL,
+  variants JSON NULL,
+  content_type VARCHAR(100) NULL,
+  size_bytes BIGINT NULL,
+  width INT NULL,
+  height INT NULL,
+  original_name VARCHAR(255) NULL,
+  alt_text VARCHAR(255) NULL,
+  usage_count INT NOT NULL DEFAULT 0,
+  unused_since DATETIME NULL,
+  -- 'upload' or 'adopted' (found in storage by the sweep, e.g. pre-library files)
+  source ENUM('upload', 'adopted') NOT NULL DEFAULT 'upload',
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_media_unused (usage_count, unused_since),
+  KEY idx_media_created (created_at)
+);
+
+CREATE TABLE media_files (
+  storage_key VARCHAR(255) PRIMARY KEY,
+  media_id INT NOT NULL,
+  FOREIGN KEY (media_id) REFERENCES media(media_id) ON DELETE CASCADE,
+  KEY idx_media_files_media (media_id)
+);
+
+CREATE TABLE media_usages (
+  media_id INT NOT NULL,
+  -- product_image, color_swatch, website_logo, product, product_translation, page, ...
+  owner_type VARCHAR(50) NOT NULL,
+  owner_id INT NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  PRIMARY KEY (media_id, owner_type, owner_id, field),
+  FOREIGN KEY (media_id) REFERENCES media(media_id) ON DELETE CASCADE,
+  KEY idx_media_usages_owner (owner_type, owner_id)
+);
@@ -0,0 +1,30 @@
+-- Product publishing: status replaces the isactive flag as the source of
+-- truth. A product is live while it is published and inside its optional
+-- publish_at / unpublish_at window; storefront reads check that at query time
+-- (models/productPublishingModel.js, liveProductSql). isactive is kept as a
+-- mirror of "live right now" for older readers, and jobs/productPublishScheduler.js
+-- flips it and records an event when a window opens or closes.
+
+ALTER TABLE products
+  ADD COLUMN status ENUM('draft', 'published', 'archived') NOT NULL DEFAULT 'draft' AFTER isactive,
+  ADD COLUMN publish_at DATETIME NULL AFTER status,
+  ADD COLUMN unpublish_at DATETIME NULL AFTER publish_at,
+  ADD KEY idx_products_status_publish (status, publish_at),
+  ADD KEY idx_products_status_unpublish (status, unpublish_at);
+
+UPDATE products SET status = IF(isactive IN ('Y', '1'), 'published', 'draft');
+
+CREATE TABLE product_publish_events (
+  event_id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  event ENUM('published', 'unpublished') NOT NULL,
+  -- 'schedule': a publish_at / unpublish_at passed; 'admin': a direct change
+  source ENUM('schedule', 'admin') NOT NULL,
+  status ENUM('draft', 'published', 'archived') NOT NULL,
+  publish_at DATETIME NULL,
+  unpublish_at DATETIME NULL,
+  changed_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+  KEY idx_product_publish_events_product (product_id, created_at)
+);
@@ -297,3 +297,23 @@ export const updateTranslations = async (flashId, translations) => {
     connection.release();
   }
 };
+
+/**
+ * 🟢 Tiers that may apply at checkout right now: every active AUTO tier plus
+ * the code-based tier matching `discountCode` (case-insensitive), if any.
+ */
+export const getCheckoutDiscountTiers = async (conn, discountCode = null) => {
+  const [rows] = await conn.query(
+    `SELECT 
+      tier_id, Discount_APPLY_type, discount_code, type, min_quantity, max_quantity,
+      percentage_discount, fixed_discount, price_per_unit, free_ebook, free_shipping,
+      label, description
+     FROM discount_tiers
+     WHERE is_active = 1
+       AND (start_date IS NULL OR start_date <= CURDATE())
+       AND (end_date IS NULL OR end_date >= CURDATE())
+       AND (Discount_APPLY_type = 'AUTO' OR (discount_code IS NOT NULL AND UPPER(discount_code) = UPPER(?)))`,
+    [discountCode || '']
+  );
+  return rows;
+};
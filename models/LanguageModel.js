@@ -1,9 +1,300 @@
 import db from '../database.js';
 
-// ✅ GET all Languages
+// Used when the languages table has no default row
+export const DEFAULT_LANGUAGE = { language_id: 1, code: 'en', name: 'English', is_active: 1, is_default: 1 };
+
+const languageError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// 🔹 Every translated read resolves a fallback chain, so the (small) languages
+// table is cached briefly and dropped on every write made through this model
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { languages: null, loadedAt: 0 };
+
+const invalidateLanguageCache = () => {
+  cache = { languages: null, loadedAt: 0 };
+};
+
+const loadLanguages = async () => {
+  if (cache.languages && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.languages;
+  const [rows] = await db.query('SELECT * FROM languages ORDER BY sort_order ASC, name ASC');
+  cache = { languages: rows, loadedAt: Date.now() };
+  return rows;
+};
+
+// "fr_ca" / "FR-CA" → "fr-CA"
+export const normalizeLanguageCode = (code) => {
+  const [lang, ...rest] = String(code || '').trim().replace(/_/g, '-').split('-');
+  if (!lang) return '';
+  return [lang.toLowerCase(), ...rest.map((part) => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+};
+
+// "fr-CA" → "fr", "zh-Hant-TW" → "zh-Hant", "fr" → null
+const parentCode = (code) => {
+  const idx = code.lastIndexOf('-');
+  return idx > 0 ? code.slice(0, idx) : null;
+};
+
+// ✅ GET all active Languages
 export const getAllLanguage = async () => {
   const [rows] = await db.query(
-    'SELECT * FROM languages WHERE is_active = 1 ORDER BY name ASC;'
+    'SELECT * FROM languages WHERE is_active = 1 ORDER BY sort_order ASC, name ASC;'
+  );
+  return rows;
+};
+
+// ✅ GET all languages for admin, including inactive ones
+export const getAllLanguagesForAdmin = async () => {
+  const [rows] = await db.query(
+    `SELECT l.*, f.code AS fallback_code
+     FROM languages l
+     LEFT JOIN languages f ON f.language_id = l.fallback_language_id
+     ORDER BY l.sort_order ASC, l.name ASC`
   );
   return rows;
 };
+
+// ✅ GET active language by code
+export const getLanguageByCode = async (code, conn = db) => {
+  const [rows] = await conn.query(
+    'SELECT * FROM languages WHERE code = ? AND is_active = 1',
+    [code]
+  );
+  return rows[0] || null;
+};
+
+export const getLanguageById = async (id, conn = db) => {
+  const [rows] = await conn.query('SELECT * FROM languages WHERE language_id = ?', [id]);
+  return rows[0] || null;
+};
+
+// ✅ GET the default language
+export const getDefaultLanguage = async () => {
+  const languages = await loadLanguages();
+  return languages.find((l) => l.is_default) || languages.find((l) => l.language_id === 1) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * 🟢 Ordered list of active languages to try for `code`: the language itself,
+ * its explicit fallback chain (or its base language, "fr-CA" → "fr"), and
+ * finally the default language. Unknown or inactive codes still follow their
+ * chain, so the result is never empty.
+ */
+export const resolveLanguageChain = async (code) => {
+  const languages = await loadLanguages();
+  const byCode = new Map(languages.map((l) => [normalizeLanguageCode(l.code), l]));
+  const byId = new Map(languages.map((l) => [l.language_id, l]));
+
+  const chain = [];
+  const seen = new Set();
+  const add = (lang) => {
+    if (lang && lang.is_active && !seen.has(lang.language_id)) {
+      seen.add(lang.language_id);
+      chain.push(lang);
+    }
+  };
+
+  let current = normalizeLanguageCode(code);
+  const visited = new Set();
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const lang = byCode.get(current);
+    add(lang);
+    const fallback = lang?.fallback_language_id ? byId.get(lang.fallback_language_id) : null;
+    current = fallback ? normalizeLanguageCode(fallback.code) : parentCode(current);
+  }
+
+  add(await getDefaultLanguage());
+  if (!chain.length) chain.push(DEFAULT_LANGUAGE);
+  return chain;
+};
+
+// A row counts for a language only if at least one of the wanted fields has text,
+// so an empty "fr-CA" row doesn't hide a filled-in "fr" one
+const hasText = (row, fields) =>
+  !fields.length || fields.some((f) => row[f] != null && String(row[f]).trim() !== '');
+
+// 🔹 Best row for a chain from translation rows that carry `language_id`,
+// skipping rows where every one of `fields` is blank
+export const pickTranslation = (rows, chain, fields = []) => {
+  for (const lang of chain) {
+    const row = rows.find((r) => r.language_id === lang.language_id && hasText(r, fields));
+    if (row) return row;
+  }
+  return null;
+};
+
+// 🔹 Same, for translations keyed by language code ({ en: {...}, fr: {...} });
+// the result says which language it came from in `language_code`
+export const pickTranslationByCode = (translations, chain, fields = []) => {
+  for (const lang of chain) {
+    const row = translations?.[lang.code];
+    if (row && hasText(row, fields)) return { ...row, language_code: lang.code };
+  }
+  return null;
+};
+
+// 🔹 language_ids of a chain, for `language_id IN (?)` filters
+export const chainLanguageIds = (chain) => chain.map((l) => l.language_id);
+
+// 🔹 Reject fallbacks that point at the language itself or loop back to it
+const assertNoFallbackCycle = async (conn, languageId, fallbackId) => {
+  const seen = new Set([Number(languageId)]);
+  let current = fallbackId ? Number(fallbackId) : null;
+  while (current) {
+    if (seen.has(current)) throw languageError('Fallback chain would loop back to this language', 400);
+    seen.add(current);
+    const lang = await getLanguageById(current, conn);
+    if (!lang) throw languageError(`Fallback language ${current} not found`, 400);
+    current = lang.fallback_language_id;
+  }
+};
+
+const resolveFallbackId = async (conn, data) => {
+  if (data.fallback_code !== undefined) {
+    if (!data.fallback_code) return null;
+    const [rows] = await conn.query('SELECT language_id FROM languages WHERE code = ?', [
+      normalizeLanguageCode(data.fallback_code),
+    ]);
+    if (!rows.length) throw languageError(`Fallback language ${data.fallback_code} not found`, 400);
+    return rows[0].language_id;
+  }
+  return data.fallback_language_id ?? null;
+};
+
+const toFlag = (value) => (value === true || value === 1 || value === '1' || value === 'active' ? 1 : 0);
+
+const withTransaction = async (work) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    invalidateLanguageCache();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// ✅ CREATE language
+export const createLanguage = async (data) => {
+  const code = normalizeLanguageCode(data.code);
+  if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code)) {
+    throw languageError('code must be a language tag such as "fr" or "fr-CA"', 400);
+  }
+  if (!data.name || !String(data.name).trim()) throw languageError('name is required', 400);
+
+  return withTransaction(async (conn) => {
+    const [existing] = await conn.query('SELECT language_id FROM languages WHERE code = ?', [code]);
+    if (existing.length) throw languageError(`Language ${code} already exists`, 409);
+
+    const fallbackId = await resolveFallbackId(conn, data);
+    if (fallbackId && !(await getLanguageById(fallbackId, conn))) {
+      throw languageError(`Fallback language ${fallbackId} not found`, 400);
+    }
+
+    const [[{ nextOrder }]] = await conn.query(
+      'SELECT COALESCE(MAX(sort_order), 0) + 1 AS nextOrder FROM languages'
+    );
+    const [result] = await conn.query(
+      `INSERT INTO languages (code, name, is_active, sort_order, fallback_language_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [code, String(data.name).trim(), data.is_active === undefined ? 1 : toFlag(data.is_active), nextOrder, fallbackId]
+    );
+    return getLanguageById(result.insertId, conn);
+  });
+};
+
+// ✅ UPDATE language name / code / fallback
+export const updateLanguage = async (id, data) =>
+  withTransaction(async (conn) => {
+    const language = await getLanguageById(id, conn);
+    if (!language) throw languageError('Language not found', 404);
+
+    const updates = {};
+    if (data.name !== undefined) {
+      if (!String(data.name).trim()) throw languageError('name cannot be empty', 400);
+      updates.name = String(data.name).trim();
+    }
+    if (data.code !== undefined) {
+      const code = normalizeLanguageCode(data.code);
+      if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code)) {
+        throw languageError('code must be a language tag such as "fr" or "fr-CA"', 400);
+      }
+      const [dup] = await conn.query('SELECT language_id FROM languages WHERE code = ? AND language_id <> ?', [
+        code,
+        id,
+      ]);
+      if (dup.length) throw languageError(`Language ${code} already exists`, 409);
+      updates.code = code;
+    }
+    if (data.fallback_code !== undefined || data.fallback_language_id !== undefined) {
+      const fallbackId = await resolveFallbackId(conn, data);
+      await assertNoFallbackCycle(conn, id, fallbackId);
+      updates.fallback_language_id = fallbackId;
+    }
+
+    const fields = Object.keys(updates);
+    if (!fields.length) throw languageError('No valid fields to update', 400);
+
+    await conn.query(
+      `UPDATE languages SET ${fields.map((f) => `${f} = ?`).join(', ')} WHERE language_id = ?`,
+      [...fields.map((f) => updates[f]), id]
+    );
+    return getLanguageById(id, conn);
+  });
+
+// ✅ Activate / deactivate (the default language must stay active)
+export const setLanguageStatus = async (id, isActive) =>
+  withTransaction(async (conn) => {
+    const language = await getLanguageById(id, conn);
+    if (!language) throw languageError('Language not found', 404);
+    if (!toFlag(isActive) && language.is_default) {
+      throw languageError('The default language cannot be deactivated', 409);
+    }
+    await conn.query('UPDATE languages SET is_active = ? WHERE language_id = ?', [toFlag(isActive), id]);
+    return getLanguageById(id, conn);
+  });
+
+// ✅ Make a language the default (activates it if needed)
+export const setDefaultLanguage = async (id) =>
+  withTransaction(async (conn) => {
+    const language = await getLanguageById(id, conn);
+    if (!language) throw languageError('Language not found', 404);
+    await conn.query('UPDATE languages SET is_default = 0 WHERE is_default = 1');
+    await conn.query('UPDATE languages SET is_default = 1, is_active = 1 WHERE language_id = ?', [id]);
+    return getLanguageById(id, conn);
+  });
+
+// ✅ Reorder: `ids` is the full display order; languages left out keep their
+// relative order after the listed ones
+export const reorderLanguages = async (ids) => {
+  if (!Array.isArray(ids) || !ids.length) throw languageError('language_ids must be a non-empty array', 400);
+
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query('SELECT language_id FROM languages ORDER BY sort_order ASC, name ASC');
+    const known = new Set(rows.map((r) => r.language_id));
+    const ordered = ids.map(Number);
+
+    const unknown = ordered.filter((id) => !known.has(id));
+    if (unknown.length) throw languageError('Unknown language ids', 400, { unknown_ids: unknown });
+    if (new Set(ordered).size !== ordered.length) throw languageError('language_ids contains duplicates', 400);
+
+    const rest = rows.map((r) => r.language_id).filter((id) => !ordered.includes(id));
+    const final = [...ordered, ...rest];
+    for (let i = 0; i < final.length; i++) {
+      await conn.query('UPDATE languages SET sort_order = ? WHERE language_id = ?', [i + 1, final[i]]);
+    }
+
+    const [languages] = await conn.query('SELECT * FROM languages ORDER BY sort_order ASC');
+    return languages;
+  });
+};
@@ -1,7 +1,9 @@
 import db from '../database.js';
+import { resolveLanguageChain, pickTranslationByCode, pickTranslation } from './LanguageModel.js';
 
-// ✅ GET all categories
-export const getAllCategories = async () => {
+// ✅ GET all categories; with `langCode`, name/description are resolved
+// through that language's fallback chain
+export const getAllCategories = async (langCode = null) => {
   const [rows] = await db.query(`
     SELECT 
       c.category_id AS id,
@@ -41,17 +43,43 @@ export const getAllCategories = async () => {
     }
   }
 
-  return Object.values(categoriesMap);
+  const categories = Object.values(categoriesMap);
+  if (!langCode) return categories;
+
+  const chain = await resolveLanguageChain(langCode);
+  return categories.map((category) => {
+    const t = pickTranslationByCode(category.translations, chain, ['name', 'description']);
+    return {
+      ...category,
+      name: t?.name || category.name,
+      description: t?.description || category.description,
+      language: t?.language_code || null,
+    };
+  });
 };
 
 
-// ✅ GET category by ID
-export const getCategoryById = async (id) => {
+// ✅ GET category by ID (translated when `langCode` is given)
+export const getCategoryById = async (id, langCode = null) => {
   const [rows] = await db.query(
     'SELECT category_id AS id, name, description, CASE is_active WHEN "Y" THEN "active" WHEN "N" THEN "inactive" END AS is_active, created_at FROM categories WHERE category_id = ?',
     [id]
   );
-  return rows[0];
+  const category = rows[0];
+  if (!category || !langCode) return category;
+
+  const chain = await resolveLanguageChain(langCode);
+  const [translations] = await db.query(
+    'SELECT language_id, name, description FROM category_translations WHERE category_id = ? AND language_id IN (?)',
+    [id, chain.map((l) => l.language_id)]
+  );
+  const t = pickTranslation(translations, chain, ['name', 'description']);
+  return {
+    ...category,
+    name: t?.name || category.name,
+    description: t?.description || category.description,
+    language: t ? chain.find((l) => l.language_id === t.language_id).code : null,
+  };
 };
 
 
@@ -0,0 +1,296 @@
+import db from '../database.js';
+
+// Used when the currencies table has no row for the store's base currency
+export const BASE_CURRENCY = {
+  currency_id: 1,
+  code: 'USD',
+  symbol: '$',
+  exchange_rate: 1.0,
+  symbol_position: 'before',
+  decimal_places: 2,
+  rounding_increment: null,
+};
+
+const currencyError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// 🔹 Round an amount with the currency's rules: its decimal places, then an
+// optional cash increment (e.g. 0.05 CHF, 10 JPY)
+export const roundCurrency = (value, currency = BASE_CURRENCY) => {
+  const places = currency?.decimal_places ?? 2;
+  const factor = 10 ** places;
+  let amount = Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+
+  const increment = parseFloat(currency?.rounding_increment);
+  if (increment > 0) {
+    amount = Math.round(amount / increment) * increment;
+    amount = Math.round(amount * factor) / factor;
+  }
+  return amount;
+};
+
+// 🔹 "$12.50" / "12,50 €" style display string
+export const formatCurrency = (value, currency = BASE_CURRENCY) => {
+  const places = currency?.decimal_places ?? 2;
+  const number = roundCurrency(value, currency).toFixed(places);
+  return currency?.symbol_position === 'after'
+    ? `${number} ${currency.symbol}`
+    : `${currency?.symbol ?? ''}${number}`;
+};
+
+// ✅ GET active currency by ISO code
+export const getCurrencyByCode = async (code, conn = db) => {
+  const [rows] = await conn.query('SELECT * FROM currencies WHERE code = ? AND is_active = 1', [
+    String(code || '').toUpperCase(),
+  ]);
+  return rows[0] || null;
+};
+
+// ✅ GET all currencies (optionally only the active ones)
+export const getAllCurrencies = async ({ activeOnly = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM currencies ${activeOnly ? 'WHERE is_active = 1' : ''}
+     ORDER BY is_base DESC, sort_order ASC, code ASC`
+  );
+  return rows;
+};
+
+export const getCurrencyById = async (id, conn = db) => {
+  const [rows] = await conn.query('SELECT * FROM currencies WHERE currency_id = ?', [id]);
+  return rows[0] || null;
+};
+
+// ✅ Exchange-rate history, newest first
+export const getRateHistory = async (currencyId, { limit = 50 } = {}) => {
+  const [rows] = await db.query(
+    `SELECT h.history_id, h.previous_rate, h.rate, h.source, h.changed_by, h.created_at,
+            u.first_name AS changed_by_first_name, u.last_name AS changed_by_last_name
+     FROM currency_rate_history h
+     LEFT JOIN users u ON u.user_id = h.changed_by
+     WHERE h.currency_id = ?
+     ORDER BY h.created_at DESC, h.history_id DESC
+     LIMIT ?`,
+    [currencyId, limit]
+  );
+  return rows;
+};
+
+const recordRateChange = async (conn, currencyId, { previousRate, rate, source, changedBy }) => {
+  await conn.query(
+    `INSERT INTO currency_rate_history (currency_id, previous_rate, rate, source, changed_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [currencyId, previousRate, rate, source, changedBy]
+  );
+};
+
+// 🔹 Validation shared by create and update
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'symbol',
+  'exchange_rate',
+  'symbol_position',
+  'decimal_places',
+  'rounding_increment',
+  'sort_order',
+  'is_active',
+];
+
+const validateCurrencyFields = (data) => {
+  if (data.code !== undefined && !/^[A-Z]{3}$/.test(String(data.code).toUpperCase())) {
+    throw currencyError('code must be a 3-letter ISO 4217 code', 400);
+  }
+  if (data.exchange_rate !== undefined && !(parseFloat(data.exchange_rate) > 0)) {
+    throw currencyError('exchange_rate must be greater than 0', 400);
+  }
+  if (data.symbol_position !== undefined && !['before', 'after'].includes(data.symbol_position)) {
+    throw currencyError("symbol_position must be 'before' or 'after'", 400);
+  }
+  if (data.decimal_places !== undefined) {
+    const places = Number(data.decimal_places);
+    if (!Number.isInteger(places) || places < 0 || places > 4) {
+      throw currencyError('decimal_places must be between 0 and 4', 400);
+    }
+  }
+  if (
+    data.rounding_increment !== undefined &&
+    data.rounding_increment !== null &&
+    !(parseFloat(data.rounding_increment) > 0)
+  ) {
+    throw currencyError('rounding_increment must be greater than 0 or null', 400);
+  }
+};
+
+const normalizeField = (field, value) => {
+  if (field === 'code') return String(value).toUpperCase();
+  if (field === 'is_active') return value === true || value === 1 || value === '1' || value === 'active' ? 1 : 0;
+  return value;
+};
+
+// ✅ CREATE currency
+export const createCurrency = async (data, { changedBy = null } = {}) => {
+  if (!data.code || !data.symbol || data.exchange_rate === undefined) {
+    throw currencyError('code, symbol and exchange_rate are required', 400);
+  }
+  validateCurrencyFields(data);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query('SELECT currency_id FROM currencies WHERE code = ?', [
+      String(data.code).toUpperCase(),
+    ]);
+    if (existing.length) throw currencyError(`Currency ${data.code} already exists`, 409);
+
+    const fields = EDITABLE_FIELDS.filter((f) => data[f] !== undefined);
+    const [result] = await conn.query(
+      `INSERT INTO currencies (${fields.join(', ')}, rate_updated_at)
+       VALUES (${fields.map(() => '?').join(', ')}, NOW())`,
+      fields.map((f) => normalizeField(f, data[f]))
+    );
+
+    await recordRateChange(conn, result.insertId, {
+      previousRate: null,
+      rate: data.exchange_rate,
+      source: 'manual',
+      changedBy,
+    });
+
+    await conn.commit();
+    return getCurrencyById(result.insertId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// ✅ UPDATE currency (partial); rate changes are written to the history
+export const updateCurrency = async (id, data, { changedBy = null, source = 'manual' } = {}) => {
+  validateCurrencyFields(data);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT * FROM currencies WHERE currency_id = ? FOR UPDATE', [id]);
+    const currency = rows[0];
+    if (!currency) throw currencyError('Currency not found', 404);
+
+    if (currency.is_base) {
+      if (data.exchange_rate !== undefined && parseFloat(data.exchange_rate) !== 1) {
+        throw currencyError('The base currency rate is always 1', 409);
+      }
+      if (data.is_active !== undefined && !normalizeField('is_active', data.is_active)) {
+        throw currencyError('The base currency cannot be disabled', 409);
+      }
+      if (data.code !== undefined && String(data.code).toUpperCase() !== currency.code) {
+        throw currencyError('The base currency code cannot be changed', 409);
+      }
+    }
+
+    if (data.code !== undefined && String(data.code).toUpperCase() !== currency.code) {
+      const [dup] = await conn.query('SELECT currency_id FROM currencies WHERE code = ? AND currency_id <> ?', [
+        String(data.code).toUpperCase(),
+        id,
+      ]);
+      if (dup.length) throw currencyError(`Currency ${data.code} already exists`, 409);
+    }
+
+    const fields = EDITABLE_FIELDS.filter((f) => data[f] !== undefined);
+    if (!fields.length) throw currencyError('No valid fields to update', 400);
+
+    const rateChanged =
+      data.exchange_rate !== undefined && parseFloat(data.exchange_rate) !== parseFloat(currency.exchange_rate);
+
+    await conn.query(
+      `UPDATE currencies
+       SET ${fields.map((f) => `${f} = ?`).join(', ')}${rateChanged ? ', rate_updated_at = NOW()' : ''}
+       WHERE currency_id = ?`,
+      [...fields.map((f) => normalizeField(f, data[f])), id]
+    );
+
+    if (rateChanged) {
+      await recordRateChange(conn, id, {
+        previousRate: currency.exchange_rate,
+        rate: data.exchange_rate,
+        source,
+        changedBy,
+      });
+    }
+
+    await conn.commit();
+    return getCurrencyById(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// ✅ DELETE currency (only if no order ever used it; otherwise disable it)
+export const deleteCurrency = async (id) => {
+  const currency = await getCurrencyById(id);
+  if (!currency) throw currencyError('Currency not found', 404);
+  if (currency.is_base) throw currencyError('The base currency cannot be deleted', 409);
+
+  const [[{ used }]] = await db.query('SELECT COUNT(*) AS used FROM orders WHERE currency_id = ?', [id]);
+  if (used > 0) {
+    throw currencyError('Currency is used by existing orders; disable it instead', 409, { orders: used });
+  }
+
+  await db.query('DELETE FROM currencies WHERE currency_id = ?', [id]);
+  return true;
+};
+
+/**
+ * 🟡 Apply a batch of imported rates. `rates` are quoted against `base`; they
+ * are re-based onto the store currency when the feed uses another base.
+ * Returns which currencies were updated, unchanged or missing from the feed.
+ */
+export const applyImportedRates = async ({ base, rates }, { source = 'import' } = {}) => {
+  const [[storeBase]] = await db.query('SELECT code FROM currencies WHERE is_base = 1 LIMIT 1');
+  const baseCode = storeBase?.code || BASE_CURRENCY.code;
+  const feedBase = String(base || baseCode).toUpperCase();
+
+  const quoted = Object.fromEntries(
+    Object.entries(rates || {}).map(([code, rate]) => [code.toUpperCase(), parseFloat(rate)])
+  );
+  quoted[feedBase] = 1;
+
+  const baseInFeed = quoted[baseCode];
+  if (!(baseInFeed > 0)) {
+    throw currencyError(`Rate feed has no rate for the store currency ${baseCode}`, 422);
+  }
+
+  const report = { base: baseCode, source, updated: [], unchanged: [], missing: [] };
+  const currencies = await getAllCurrencies();
+
+  for (const currency of currencies) {
+    if (currency.is_base) continue;
+
+    const raw = quoted[currency.code];
+    if (!(raw > 0)) {
+      report.missing.push(currency.code);
+      continue;
+    }
+
+    const rate = Math.round((raw / baseInFeed) * 1e8) / 1e8;
+    if (rate === parseFloat(currency.exchange_rate)) {
+      report.unchanged.push(currency.code);
+      continue;
+    }
+
+    await updateCurrency(currency.currency_id, { exchange_rate: rate }, { source });
+    report.updated.push({ code: currency.code, previous_rate: parseFloat(currency.exchange_rate), rate });
+  }
+
+  return report;
+};
@@ -0,0 +1,243 @@
+import db from "../database.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// A cart untouched for this long counts as abandoned
+const CART_ABANDONMENT_MINUTES = parseInt(process.env.FLASH_CART_ABANDONMENT_MINUTES || "30", 10);
+
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const windowError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+/**
+ * 🟢 Visitor id sent by the storefront (X-Visitor-Id header or body field).
+ * Returns null when missing or malformed.
+ */
+export const getVisitorId = (req) => {
+  const raw = req.get?.("X-Visitor-Id") || req.body?.visitor_id || null;
+  if (!raw) return null;
+  const visitorId = String(raw).trim();
+  return VISITOR_ID_PATTERN.test(visitorId) ? visitorId : null;
+};
+
+/**
+ * `trigger_condition` is a name with an optional parameter, e.g.
+ * `on_page_load`, `first_visit`, `cart_abandonment`, `quantity_threshold:3`.
+ */
+export const parseTrigger = (triggerCondition) => {
+  const [name, param] = String(triggerCondition || "on_page_load").trim().split(":");
+  return { name: name.toLowerCase(), param: param !== undefined ? param.trim() : null };
+};
+
+// Discounts that run for everyone without a per-visitor countdown
+export const isCampaignWide = (flash) =>
+  parseTrigger(flash.trigger_condition).name === "on_page_load" && !flash.duration_minutes;
+
+const quantityThreshold = (param) => parseInt(param, 10) || 2;
+
+/**
+ * 🔹 Whether a flash discount still holds for `quantity` units of its product
+ * being bought. An open window only proves the trigger fired once, so
+ * quantity triggers are checked again against the priced lines at checkout.
+ */
+export const meetsOrderConditions = (flash, quantity) => {
+  const { name, param } = parseTrigger(flash.trigger_condition);
+  if (name !== "quantity_threshold") return true;
+  return quantity >= quantityThreshold(param);
+};
+
+/**
+ * 🟡 Remember the cart a visitor sent. updated_at moves only when the
+ * contents change, so it is the server's own "last touched" time for
+ * cart_abandonment triggers.
+ */
+export const recordVisitorCart = async (conn, visitorId, cartItems) => {
+  if (!visitorId || !Array.isArray(cartItems)) return;
+
+  const quantities = {};
+  for (const item of cartItems) {
+    const productId = parseInt(item?.product_id, 10);
+    const quantity = parseInt(item?.quantity, 10) || 0;
+    if (productId > 0 && quantity > 0) quantities[productId] = (quantities[productId] || 0) + quantity;
+  }
+  const items = Object.keys(quantities)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((productId) => ({ product_id: productId, quantity: quantities[productId] }));
+
+  await conn.query(
+    `INSERT INTO visitor_carts (visitor_id, items, updated_at, seen_at)
+     VALUES (?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE
+       updated_at = IF(items = VALUES(items), updated_at, NOW()),
+       items = VALUES(items),
+       seen_at = NOW()`,
+    [visitorId, JSON.stringify(items)]
+  );
+};
+
+const evaluateTrigger = async (conn, flash, visitorId, context) => {
+  const { name, param } = parseTrigger(flash.trigger_condition);
+
+  switch (name) {
+    case "on_page_load":
+      return true;
+
+    case "first_visit": {
+      // First time we see this visitor (no window on any flash discount yet)
+      const [rows] = await conn.query(
+        `SELECT 1 FROM flash_discount_windows WHERE visitor_id = ? LIMIT 1`,
+        [visitorId]
+      );
+      return rows.length === 0;
+    }
+
+    case "cart_abandonment": {
+      // Age of the cart as recorded by recordVisitorCart, never the client's clock
+      const minutes = parseInt(param, 10) || CART_ABANDONMENT_MINUTES;
+      const [carts] = await conn.query(
+        `SELECT items FROM visitor_carts
+         WHERE visitor_id = ? AND updated_at <= NOW() - INTERVAL ? MINUTE`,
+        [visitorId, minutes]
+      );
+      if (!carts.length) return false;
+      const items = typeof carts[0].items === "string" ? JSON.parse(carts[0].items) : carts[0].items;
+      return items.some((i) => i.product_id === flash.product_id);
+    }
+
+    case "quantity_threshold": {
+      const quantity = (context.cartItems || [])
+        .filter((i) => Number(i.product_id) === flash.product_id)
+        .reduce((sum, i) => sum + (parseInt(i.quantity, 10) || 0), 0);
+      return quantity >= quantityThreshold(param);
+    }
+
+    default:
+      return false;
+  }
+};
+
+const formatWindow = (flash, window) => {
+  const expiresAt = window.expires_at ? new Date(window.expires_at) : null;
+  return {
+    flash_id: flash.flash_id,
+    product_id: flash.product_id,
+    percentage: flash.percentage_discount ? parseFloat(flash.percentage_discount) : null,
+    fixed: flash.fixed_discount ? parseFloat(flash.fixed_discount) : null,
+    message: flash.message || "",
+    trigger_condition: flash.trigger_condition || "on_page_load",
+    started_at: window.started_at,
+    expires_at: window.expires_at,
+    remaining_seconds: expiresAt
+      ? Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000))
+      : null,
+  };
+};
+
+/**
+ * 🟡 Evaluate the running flash discounts of a product for a visitor and open
+ * a window for each one whose trigger fires. An existing window is returned
+ * as-is: reloading the page never restarts the countdown, and an expired
+ * window does not reopen.
+ *
+ * context: { cartItems: [{ product_id, quantity }] }; the cart is recorded
+ * first when given, so cart_abandonment measures from the last change we saw.
+ */
+export const evaluateFlashDiscounts = async (productId, visitorId, context = {}) => {
+  if (!visitorId) throw windowError("A valid visitor id is required", 400);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await recordVisitorCart(conn, visitorId, context.cartItems);
+
+    const [flashes] = await conn.query(
+      `SELECT flash_id, product_id, percentage_discount, fixed_discount, message,
+              trigger_condition, duration_minutes, end_date
+       FROM flash_discounts
+       WHERE product_id = ?
+         AND (is_active = 1 OR is_active = 'Y')
+         AND NOW() BETWEEN start_date AND COALESCE(end_date, '9999-12-31')
+       ORDER BY flash_id ASC`,
+      [productId]
+    );
+
+    const windows = [];
+    for (const flash of flashes) {
+      const [existing] = await conn.query(
+        `SELECT started_at, expires_at FROM flash_discount_windows
+         WHERE flash_id = ? AND visitor_id = ?
+         FOR UPDATE`,
+        [flash.flash_id, visitorId]
+      );
+
+      if (existing.length) {
+        const window = existing[0];
+        if (!window.expires_at || new Date(window.expires_at) > new Date()) {
+          windows.push(formatWindow(flash, window));
+        }
+        continue;
+      }
+
+      if (!(await evaluateTrigger(conn, flash, visitorId, context))) continue;
+
+      // Expiry from duration_minutes, never past the campaign's own end date
+      await conn.query(
+        `INSERT INTO flash_discount_windows
+          (flash_id, visitor_id, trigger_condition, started_at, expires_at)
+         VALUES (?, ?, ?, NOW(),
+           CASE
+             WHEN ? IS NULL THEN ?
+             WHEN ? IS NULL THEN DATE_ADD(NOW(), INTERVAL ? MINUTE)
+             ELSE LEAST(DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)
+           END)`,
+        [
+          flash.flash_id,
+          visitorId,
+          flash.trigger_condition || "on_page_load",
+          flash.duration_minutes || null,
+          flash.end_date || null,
+          flash.end_date || null,
+          flash.duration_minutes || 0,
+          flash.duration_minutes || 0,
+          flash.end_date || null,
+        ]
+      );
+
+      const [[created]] = await conn.query(
+        `SELECT started_at, expires_at FROM flash_discount_windows
+         WHERE flash_id = ? AND visitor_id = ?`,
+        [flash.flash_id, visitorId]
+      );
+      windows.push(formatWindow(flash, created));
+    }
+
+    await conn.commit();
+    return windows;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * 🟢 Unexpired windows of a visitor, keyed by flash_id
+ */
+export const getOpenWindows = async (conn, visitorId, flashIds) => {
+  if (!visitorId || !flashIds.length) return {};
+  const [rows] = await conn.query(
+    `SELECT flash_id, started_at, expires_at
+     FROM flash_discount_windows
+     WHERE visitor_id = ? AND flash_id IN (?)
+       AND (expires_at IS NULL OR expires_at > NOW())`,
+    [visitorId, flashIds]
+  );
+  return Object.fromEntries(rows.map((r) => [r.flash_id, r]));
+};
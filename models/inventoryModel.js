@@ -0,0 +1,273 @@
+import db from "../database.js";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Unpaid orders hold their stock for this long before the sweeper releases it
+export const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES || "30", 10);
+
+const inventoryError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+/**
+ * 🟢 Reserve stock for every variant line of an order. Stock is only kept
+ * per variant; priceOrderItems binds product-only lines to the product's
+ * variant, so a line without one is a product sold without variants.
+ * Must run inside the caller's transaction: variant and inventory rows are
+ * locked (in variant_id order) so concurrent checkouts cannot both take the
+ * last unit.
+ */
+export const reserveStock = async (conn, orderId, lines) => {
+  const requested = {};
+  for (const line of lines) {
+    if (!line.variant_id) continue;
+    requested[line.variant_id] = (requested[line.variant_id] || 0) + line.quantity;
+  }
+
+  const variantIds = Object.keys(requested).map(Number).sort((a, b) => a - b);
+  if (!variantIds.length) return [];
+
+  // 🔹 Serialize checkouts per variant before touching inventory rows
+  const [variants] = await conn.query(
+    `SELECT variant_id, sku, stock_quantity
+     FROM product_variants
+     WHERE variant_id IN (?)
+     ORDER BY variant_id
+     FOR UPDATE`,
+    [variantIds]
+  );
+
+  // 🔹 Older variants may predate inventory_levels: seed them from stock_quantity
+  const [existing] = await conn.query(
+    `SELECT DISTINCT variant_id FROM inventory_levels WHERE variant_id IN (?)`,
+    [variantIds]
+  );
+  const tracked = new Set(existing.map((r) => r.variant_id));
+  for (const v of variants) {
+    if (!tracked.has(v.variant_id)) {
+      await conn.query(
+        `INSERT INTO inventory_levels (variant_id, location_id, on_hand, reserved)
+         VALUES (?, 0, ?, 0)`,
+        [v.variant_id, v.stock_quantity || 0]
+      );
+    }
+  }
+
+  const [levels] = await conn.query(
+    `SELECT inventory_id, variant_id, on_hand, reserved
+     FROM inventory_levels
+     WHERE variant_id IN (?)
+     ORDER BY variant_id, inventory_id
+     FOR UPDATE`,
+    [variantIds]
+  );
+
+  const skuMap = Object.fromEntries(variants.map((v) => [v.variant_id, v.sku]));
+  const shortages = [];
+  const allocations = [];
+
+  for (const variantId of variantIds) {
+    const rows = levels.filter((l) => l.variant_id === variantId);
+    const available = rows.reduce((sum, l) => sum + Math.max(l.on_hand - l.reserved, 0), 0);
+
+    if (available < requested[variantId]) {
+      shortages.push({
+        variant_id: variantId,
+        sku: skuMap[variantId] || null,
+        requested: requested[variantId],
+        available,
+      });
+      continue;
+    }
+
+    // Take from locations in order until the line is covered
+    let remaining = requested[variantId];
+    for (const row of rows) {
+      if (remaining === 0) break;
+      const take = Math.min(Math.max(row.on_hand - row.reserved, 0), remaining);
+      if (take > 0) {
+        allocations.push({ variant_id: variantId, inventory_id: row.inventory_id, quantity: take });
+        remaining -= take;
+      }
+    }
+  }
+
+  if (shortages.length) {
+    throw inventoryError("Insufficient stock for one or more items", 409, { shortages });
+  }
+
+  for (const a of allocations) {
+    await conn.query(
+      `UPDATE inventory_levels SET reserved = reserved + ? WHERE inventory_id = ?`,
+      [a.quantity, a.inventory_id]
+    );
+    await conn.query(
+      `INSERT INTO inventory_reservations (order_id, variant_id, inventory_id, quantity, status, expires_at)
+       VALUES (?, ?, ?, ?, 'reserved', DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [orderId, a.variant_id, a.inventory_id, a.quantity, PAYMENT_TIMEOUT_MINUTES]
+    );
+  }
+
+  return allocations;
+};
+
+const lockActiveReservations = async (conn, orderId) => {
+  const [rows] = await conn.query(
+    `SELECT reservation_id, variant_id, inventory_id, quantity
+     FROM inventory_reservations
+     WHERE order_id = ? AND status = 'reserved'
+     ORDER BY variant_id, inventory_id
+     FOR UPDATE`,
+    [orderId]
+  );
+  return rows;
+};
+
+/**
+ * 🟡 Shipment: turn the order's reservations into real deductions
+ */
+export const commitReservations = async (conn, orderId) => {
+  const reservations = await lockActiveReservations(conn, orderId);
+
+  for (const r of reservations) {
+    await conn.query(
+      `UPDATE inventory_levels
+       SET on_hand = on_hand - ?, reserved = GREATEST(reserved - ?, 0)
+       WHERE inventory_id = ?`,
+      [r.quantity, r.quantity, r.inventory_id]
+    );
+    await conn.query(
+      `UPDATE product_variants SET stock_quantity = stock_quantity - ? WHERE variant_id = ?`,
+      [r.quantity, r.variant_id]
+    );
+    await conn.query(
+      `UPDATE inventory_reservations SET status = 'committed' WHERE reservation_id = ?`,
+      [r.reservation_id]
+    );
+  }
+
+  return reservations.length;
+};
+
+/**
+ * 🔴 Cancellation / timeout: hand the reserved units back
+ */
+export const releaseReservations = async (conn, orderId) => {
+  const reservations = await lockActiveReservations(conn, orderId);
+
+  for (const r of reservations) {
+    await conn.query(
+      `UPDATE inventory_levels SET reserved = GREATEST(reserved - ?, 0) WHERE inventory_id = ?`,
+      [r.quantity, r.inventory_id]
+    );
+    await conn.query(
+      `UPDATE inventory_reservations SET status = 'released' WHERE reservation_id = ?`,
+      [r.reservation_id]
+    );
+  }
+
+  return reservations.length;
+};
+
+/**
+ * 🟢 Pending orders holding a reservation past its payment deadline. Orders
+ * with an authorized payment waiting for manual capture keep their stock
+ * until an admin captures or voids it.
+ */
+export const getOrdersWithExpiredReservations = async () => {
+  const [rows] = await db.query(
+    `SELECT DISTINCT r.order_id
+     FROM inventory_reservations r
+     INNER JOIN orders o ON o.order_id = r.order_id
+     WHERE r.status = 'reserved' AND r.expires_at < NOW() AND o.status = 'pending'
+       AND NOT EXISTS (
+         SELECT 1 FROM payments p WHERE p.order_id = r.order_id AND p.status = 'authorized'
+       )`
+  );
+  return rows.map((r) => r.order_id);
+};
+
+/**
+ * 🟡 Release up to `quantity` units of a variant still reserved for an order
+ * (refunded before shipment). Returns how many units were released.
+ */
+export const releaseReservedUnits = async (conn, orderId, variantId, quantity) => {
+  let remaining = quantity;
+
+  const [reservations] = await conn.query(
+    `SELECT reservation_id, inventory_id, quantity
+     FROM inventory_reservations
+     WHERE order_id = ? AND variant_id = ? AND status = 'reserved'
+     ORDER BY inventory_id
+     FOR UPDATE`,
+    [orderId, variantId]
+  );
+
+  for (const r of reservations) {
+    if (remaining === 0) break;
+    const take = Math.min(r.quantity, remaining);
+    await conn.query(
+      `UPDATE inventory_levels SET reserved = GREATEST(reserved - ?, 0) WHERE inventory_id = ?`,
+      [take, r.inventory_id]
+    );
+    if (take === r.quantity) {
+      await conn.query(
+        `UPDATE inventory_reservations SET status = 'released' WHERE reservation_id = ?`,
+        [r.reservation_id]
+      );
+    } else {
+      await conn.query(
+        `UPDATE inventory_reservations SET quantity = quantity - ? WHERE reservation_id = ?`,
+        [take, r.reservation_id]
+      );
+    }
+    remaining -= take;
+  }
+
+  return quantity - remaining;
+};
+
+/**
+ * 🟡 Put up to `quantity` shipped units of a variant back into stock, at the
+ * locations they shipped from. Only units of the order's committed
+ * reservations that haven't been returned yet count, so nothing is restocked
+ * that never left. Returns how many units were returned.
+ */
+export const returnCommittedUnits = async (conn, orderId, variantId, quantity) => {
+  let remaining = quantity;
+
+  const [reservations] = await conn.query(
+    `SELECT reservation_id, inventory_id, quantity - returned_quantity AS returnable
+     FROM inventory_reservations
+     WHERE order_id = ? AND variant_id = ? AND status = 'committed' AND returned_quantity < quantity
+     ORDER BY inventory_id
+     FOR UPDATE`,
+    [orderId, variantId]
+  );
+
+  for (const r of reservations) {
+    if (remaining === 0) break;
+    const take = Math.min(r.returnable, remaining);
+    await conn.query(`UPDATE inventory_levels SET on_hand = on_hand + ? WHERE inventory_id = ?`, [
+      take,
+      r.inventory_id,
+    ]);
+    await conn.query(
+      `UPDATE inventory_reservations SET returned_quantity = returned_quantity + ? WHERE reservation_id = ?`,
+      [take, r.reservation_id]
+    );
+    remaining -= take;
+  }
+
+  const returned = quantity - remaining;
+  if (returned > 0) {
+    await conn.query(
+      `UPDATE product_variants SET stock_quantity = stock_quantity + ? WHERE variant_id = ?`,
+      [returned, variantId]
+    );
+  }
+  return returned;
+};
@@ -0,0 +1,300 @@
+import db from '../database.js';
+import { getAllLanguage, getDefaultLanguage } from './LanguageModel.js';
+import { TRANSLATABLE_ENTITIES } from './translationModel.js';
+import { getMachineTranslator } from '../services/machineTranslation/index.js';
+
+/**
+ * Entities the auto-translate step fills for a product. `sources` yields the
+ * default-language text of one product's rows; `reviewJoin`/`sourceColumns`
+ * put that text next to a translation row for review.
+ */
+const MACHINE_TRANSLATED = {
+  product: {
+    sources: `SELECT p.product_id AS entity_id, p.base_name AS name, p.base_description AS description,
+                     ps.meta_title, ps.meta_description
+              FROM products p
+              LEFT JOIN product_seo ps ON ps.product_id = p.product_id
+              WHERE p.product_id = ?`,
+    reviewJoin: `INNER JOIN products src ON src.product_id = t.product_id
+                 LEFT JOIN product_seo seo ON seo.product_id = t.product_id`,
+    sourceColumns: {
+      name: 'src.base_name',
+      description: 'src.base_description',
+      meta_title: 'seo.meta_title',
+      meta_description: 'seo.meta_description',
+    },
+  },
+  faq: {
+    sources: `SELECT faq_id AS entity_id, question, ques_ans AS answer FROM product_faqs WHERE product_id = ?`,
+    reviewJoin: `INNER JOIN product_faqs src ON src.faq_id = t.faq_id`,
+    sourceColumns: { question: 'src.question', answer: 'src.ques_ans' },
+  },
+  product_size: {
+    sources: `SELECT size_id AS entity_id, size_lebel_text AS label FROM product_sizes WHERE product_id = ?`,
+    reviewJoin: `INNER JOIN product_sizes src ON src.size_id = t.size_id`,
+    sourceColumns: { label: 'src.size_lebel_text' },
+  },
+};
+
+export const MACHINE_TRANSLATED_ENTITIES = Object.keys(MACHINE_TRANSLATED);
+
+const machineTranslationError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const withTransaction = async (work) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Target languages: every active language but the default (the source), or
+// the requested codes
+const resolveTargets = async (codes) => {
+  const [languages, source] = await Promise.all([getAllLanguage(), getDefaultLanguage()]);
+  const targets = languages.filter((l) => l.language_id !== source.language_id);
+  if (!codes?.length) return { source, targets };
+
+  const unknown = codes.filter((c) => !targets.some((l) => l.code === c));
+  if (unknown.length) {
+    throw machineTranslationError('Unknown, inactive or default language', 400, { unknown_languages: unknown });
+  }
+  return { source, targets: targets.filter((l) => codes.includes(l.code)) };
+};
+
+/**
+ * 🟡 Machine-translate a product's missing translations (product, FAQs and
+ * sizes) into every other active language. Only rows that don't exist at all
+ * are filled, so human translations are never touched; new rows are flagged
+ * `is_machine_translated` and wait for review. The translator is called
+ * before the write transaction so no locks are held during the API calls.
+ */
+export const autoTranslateProduct = async (productId, { provider: providerName, languages: codes } = {}) => {
+  const translator = getMachineTranslator(providerName);
+  const { source, targets } = await resolveTargets(codes);
+
+  const summary = {
+    product_id: Number(productId),
+    provider: translator.name,
+    source_language: source.code,
+    languages: targets.map((l) => l.code),
+    created: Object.fromEntries(MACHINE_TRANSLATED_ENTITIES.map((e) => [e, 0])),
+  };
+  if (!targets.length) return summary;
+
+  // 🔹 Work out which rows are missing per language
+  const missing = []; // { entityType, entityId, language, fields: { field: sourceText } }
+  for (const entityType of MACHINE_TRANSLATED_ENTITIES) {
+    const entity = TRANSLATABLE_ENTITIES[entityType];
+    const [sources] = await db.query(MACHINE_TRANSLATED[entityType].sources, [productId]);
+    if (!sources.length) continue;
+
+    const [existing] = await db.query(
+      `SELECT ${entity.key} AS entity_id, language_id FROM ${entity.table}
+       WHERE ${entity.key} IN (?) AND language_id IN (?)`,
+      [sources.map((s) => s.entity_id), targets.map((l) => l.language_id)]
+    );
+    const present = new Set(existing.map((r) => `${r.entity_id}:${r.language_id}`));
+
+    for (const row of sources) {
+      const fields = Object.fromEntries(entity.fields.filter((f) => !isBlank(row[f])).map((f) => [f, row[f]]));
+      if (!Object.keys(fields).length) continue;
+      for (const language of targets) {
+        if (!present.has(`${row.entity_id}:${language.language_id}`)) {
+          missing.push({ entityType, entityId: row.entity_id, language, fields });
+        }
+      }
+    }
+  }
+  if (!missing.length) return summary;
+
+  // 🔹 One translator call per target language
+  for (const language of targets) {
+    const jobs = missing.filter((m) => m.language.language_id === language.language_id);
+    const texts = jobs.flatMap((job) => Object.values(job.fields));
+    if (!texts.length) continue;
+
+    const translated = await translator.translate(texts, { from: source.code, to: language.code });
+    if (!Array.isArray(translated) || translated.length !== texts.length) {
+      throw new Error(`Translator ${translator.name} returned ${translated?.length ?? 0} texts for ${texts.length}`);
+    }
+
+    let cursor = 0;
+    for (const job of jobs) {
+      job.translated = Object.fromEntries(Object.keys(job.fields).map((f) => [f, translated[cursor++]]));
+    }
+  }
+
+  // 🔹 Store them, skipping rows someone added in the meantime
+  await withTransaction(async (conn) => {
+    for (const job of missing) {
+      const entity = TRANSLATABLE_ENTITIES[job.entityType];
+      const [[taken]] = await conn.query(
+        `SELECT COUNT(*) AS count FROM ${entity.table} WHERE ${entity.key} = ? AND language_id = ? FOR UPDATE`,
+        [job.entityId, job.language.language_id]
+      );
+      if (taken.count > 0) continue;
+
+      await conn.query(
+        `INSERT INTO ${entity.table}
+          (${entity.key}, language_id, ${entity.fields.join(', ')}, is_machine_translated, machine_provider)
+         VALUES (?, ?, ${entity.fields.map(() => '?').join(', ')}, 1, ?)`,
+        [
+          job.entityId,
+          job.language.language_id,
+          ...entity.fields.map((f) => job.translated[f] ?? ''),
+          translator.name,
+        ]
+      );
+      summary.created[job.entityType]++;
+    }
+  });
+
+  return summary;
+};
+
+const assertMachineEntity = (entityType) => {
+  if (!MACHINE_TRANSLATED[entityType]) {
+    throw machineTranslationError('Unknown entity type', 400, { allowed_entities: MACHINE_TRANSLATED_ENTITIES });
+  }
+};
+
+/**
+ * 🟢 Machine translations waiting for review, with the source text beside
+ * each translated field. Filters: entity, language (code), product_id.
+ */
+export const listPendingMachineTranslations = async ({ entity, language, productId, limit = 50, offset = 0 } = {}) => {
+  if (entity) assertMachineEntity(entity);
+  const entityTypes = entity ? [entity] : MACHINE_TRANSLATED_ENTITIES;
+
+  const items = [];
+  for (const entityType of entityTypes) {
+    const { table, key, fields } = TRANSLATABLE_ENTITIES[entityType];
+    const { reviewJoin, sourceColumns } = MACHINE_TRANSLATED[entityType];
+
+    const conditions = ['t.is_machine_translated = 1', 't.reviewed_at IS NULL'];
+    const params = [];
+    if (language) {
+      conditions.push('l.code = ?');
+      params.push(language);
+    }
+    if (productId) {
+      conditions.push('src.product_id = ?');
+      params.push(productId);
+    }
+
+    const [rows] = await db.query(
+      `SELECT t.${key} AS entity_id, src.product_id, l.code AS language_code, t.machine_provider,
+              ${fields.map((f) => `t.${f}, ${sourceColumns[f]} AS source_${f}`).join(', ')}
+       FROM ${table} t
+       INNER JOIN languages l ON l.language_id = t.language_id
+       ${reviewJoin}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY src.product_id DESC, t.${key} ASC, l.code ASC`,
+      params
+    );
+
+    for (const row of rows) {
+      items.push({
+        entity_type: entityType,
+        entity_id: row.entity_id,
+        product_id: row.product_id,
+        language_code: row.language_code,
+        provider: row.machine_provider,
+        fields: Object.fromEntries(
+          fields.map((f) => [f, { source: row[`source_${f}`], translation: row[f] }])
+        ),
+      });
+    }
+  }
+
+  return { total: items.length, items: items.slice(offset, offset + limit) };
+};
+
+const findPendingRow = async (conn, entityType, entityId, languageCode) => {
+  assertMachineEntity(entityType);
+  const { table, key } = TRANSLATABLE_ENTITIES[entityType];
+  const [rows] = await conn.query(
+    `SELECT t.language_id, t.is_machine_translated, t.reviewed_at
+     FROM ${table} t
+     INNER JOIN languages l ON l.language_id = t.language_id
+     WHERE t.${key} = ? AND l.code = ?
+     FOR UPDATE`,
+    [entityId, languageCode]
+  );
+  const row = rows[0];
+  if (!row || !row.is_machine_translated) {
+    throw machineTranslationError('Machine translation not found', 404);
+  }
+  if (row.reviewed_at) throw machineTranslationError('Machine translation was already reviewed', 409);
+  return row;
+};
+
+/**
+ * 🟢 Approve one machine translation, optionally correcting its text first
+ * (`edits` keyed by field). The row keeps its machine flag for the record.
+ */
+export const approveMachineTranslation = async (entityType, entityId, languageCode, { userId = null, edits = {} } = {}) =>
+  withTransaction(async (conn) => {
+    const row = await findPendingRow(conn, entityType, entityId, languageCode);
+    const { table, key, fields } = TRANSLATABLE_ENTITIES[entityType];
+
+    const editFields = Object.keys(edits || {}).filter((f) => fields.includes(f) && typeof edits[f] === 'string');
+    await conn.query(
+      `UPDATE ${table}
+       SET ${editFields.map((f) => `${f} = ?, `).join('')}reviewed_by = ?, reviewed_at = NOW()
+       WHERE ${key} = ? AND language_id = ?`,
+      [...editFields.map((f) => edits[f]), userId, entityId, row.language_id]
+    );
+    return { entity_type: entityType, entity_id: Number(entityId), language_code: languageCode, edited: editFields };
+  });
+
+/**
+ * 🟢 Reject one machine translation: the row is removed so the field shows
+ * up as a gap again (and the storefront falls back)
+ */
+export const rejectMachineTranslation = async (entityType, entityId, languageCode) =>
+  withTransaction(async (conn) => {
+    const row = await findPendingRow(conn, entityType, entityId, languageCode);
+    const { table, key } = TRANSLATABLE_ENTITIES[entityType];
+    await conn.query(`DELETE FROM ${table} WHERE ${key} = ? AND language_id = ?`, [entityId, row.language_id]);
+    return { entity_type: entityType, entity_id: Number(entityId), language_code: languageCode };
+  });
+
+/**
+ * 🟢 Approve every pending machine translation of a product (optionally one
+ * language only)
+ */
+export const approveProductMachineTranslations = async (productId, { userId = null, language = null } = {}) =>
+  withTransaction(async (conn) => {
+    const approved = {};
+    for (const entityType of MACHINE_TRANSLATED_ENTITIES) {
+      const { table } = TRANSLATABLE_ENTITIES[entityType];
+      const { reviewJoin } = MACHINE_TRANSLATED[entityType];
+      const [result] = await conn.query(
+        `UPDATE ${table} t
+         INNER JOIN languages l ON l.language_id = t.language_id
+         ${reviewJoin}
+         SET t.reviewed_by = ?, t.reviewed_at = NOW()
+         WHERE src.product_id = ? AND t.is_machine_translated = 1 AND t.reviewed_at IS NULL
+           ${language ? 'AND l.code = ?' : ''}`,
+        [userId, productId, ...(language ? [language] : [])]
+      );
+      approved[entityType] = result.affectedRows;
+    }
+    return { product_id: Number(productId), approved };
+  });
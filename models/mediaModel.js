@@ -0,0 +1,495 @@
+import db from '../database.js';
+import { getStorage, publicUrl, deleteFile, absoluteUrl } from '../services/storage/index.js';
+import { IMAGE_SIZES, IMAGE_FORMATS, imageSrcset } from '../services/imagePipeline.js';
+
+// Unused media is kept this long before the sweep deletes it
+export const MEDIA_ORPHAN_GRACE_HOURS = parseInt(process.env.MEDIA_ORPHAN_GRACE_HOURS || '72', 10);
+
+/**
+ * Every place an uploaded file can be referenced. `column` holds a single URL
+ * unless `text` is set, in which case any number of URLs are embedded in it
+ * (Tiptap HTML, JSON settings). `key` identifies the row, `ownerId` the owner
+ * recorded in media_usages. A table missing here means its files look unused
+ * and get swept, so new upload fields must be added.
+ */
+const MEDIA_REFERENCES = [
+  { owner: 'product_image', table: 'product_images', key: ['image_id'], column: 'image_url', variantsColumn: 'variants', sizeColumns: true },
+  { owner: 'color_swatch', table: 'color_swatches', key: ['swatch_id'], column: 'image_url', variantsColumn: 'image_variants' },
+  { owner: 'website_logo', table: 'website_logo', key: ['logo_id'], column: 'logo_url' },
+  { owner: 'product', table: 'products', key: ['product_id'], column: 'base_description', text: true },
+  { owner: 'product', table: 'product_translations', key: ['product_id', 'language_id'], column: 'description', field: 'translated_description', text: true },
+  { owner: 'page', table: 'pages', key: ['id'], column: 'content', text: true },
+  { owner: 'page', table: 'page_translations', key: ['id'], ownerId: 'page_id', column: 'content', field: 'translated_content', text: true },
+  { owner: 'global_seo', table: 'global_seo_settings', key: ['id'], column: 'social_media', text: true },
+];
+
+// Absolute or root-relative URLs inside text; trailing punctuation is not part of the URL
+const URL_IN_TEXT = /(?:https?:\/\/|\/)[^\s"'<>()\\,]*[^\s"'<>()\\,.;:!?]/g;
+
+// "<name>-<size>.<format>": one variant file of a processed image
+const VARIANT_KEY = new RegExp(
+  `^(.+)-(${Object.keys(IMAGE_SIZES).join('|')})\\.(${IMAGE_FORMATS.join('|')})$`
+);
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+const MEDIA_COLUMNS = `media_id, kind, url, variants, content_type, size_bytes, width, height,
+  original_name, alt_text, usage_count, unused_since, source, created_by, created_at, updated_at`;
+
+const mediaError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+
+// 🔹 Storage key a stored URL points at. Absolute URLs on another host name
+// for this server (e.g. saved while BASE_URL was unset) are matched by path,
+// so a file is rather kept than deleted while still in use.
+const referencedKey = (storage, url) => {
+  const key = storage.keyFromUrl(url);
+  if (key || !/^https?:\/\//i.test(url)) return key;
+  try {
+    return storage.keyFromUrl(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+};
+
+// New URL in the form of the old one: absolute stays absolute on the same origin
+const sameForm = (oldUrl, newUrl) => {
+  if (/^https?:\/\//i.test(newUrl) || !/^https?:\/\//i.test(oldUrl)) return newUrl;
+  try {
+    return `${new URL(oldUrl).origin}${newUrl}`;
+  } catch {
+    return absoluteUrl(newUrl);
+  }
+};
+
+const referenceUrls = (ref, value) => {
+  if (value == null) return [];
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return ref.text ? text.match(URL_IN_TEXT) || [] : [text];
+};
+
+const readReferenceRows = async (ref, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT ${ref.key.join(', ')}, ${ref.ownerId || ref.key[0]} AS owner_id, ${ref.column} AS value
+     FROM ${ref.table}
+     WHERE ${ref.column} IS NOT NULL`
+  );
+  return rows;
+};
+
+const withMediaUrls = (media) => {
+  const variants = parseJson(media.variants);
+  const absoluteVariants = variants
+    ? Object.fromEntries(
+        Object.entries(variants).map(([size, v]) => [size, { ...v, avif: absoluteUrl(v.avif), webp: absoluteUrl(v.webp) }])
+      )
+    : null;
+  return {
+    ...media,
+    url: absoluteUrl(media.url),
+    variants: absoluteVariants,
+    srcset: imageSrcset(absoluteVariants),
+  };
+};
+
+// 🔹 Stored keys → the image's URL they should point at after a replace
+const replacementUrls = (keys, oldVariants, image) => {
+  const storage = getStorage();
+  const byOldKey = new Map(keys.map((key) => [key, image.url]));
+  for (const [size, variant] of Object.entries(parseJson(oldVariants) || {})) {
+    for (const format of IMAGE_FORMATS) {
+      const oldKey = variant[format] && referencedKey(storage, variant[format]);
+      const newUrl = image.variants?.[size]?.[format];
+      if (oldKey && newUrl) byOldKey.set(oldKey, newUrl);
+    }
+  }
+  return byOldKey;
+};
+
+// =========================
+// 🔹 Library
+// =========================
+
+export const listMedia = async ({ q, kind, unused, limit = 50, offset = 0 } = {}) => {
+  const where = [];
+  const params = [];
+  if (q) {
+    where.push('(original_name LIKE ? OR alt_text LIKE ? OR url LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+  if (kind) {
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (unused !== undefined) where.push(unused ? 'usage_count = 0' : 'usage_count > 0');
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM media ${whereSql}`, params);
+  const [rows] = await db.query(
+    `SELECT ${MEDIA_COLUMNS} FROM media ${whereSql} ORDER BY media_id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { items: rows.map(withMediaUrls), total, limit, offset };
+};
+
+export const getMedia = async (id) => {
+  const [rows] = await db.query(`SELECT ${MEDIA_COLUMNS} FROM media WHERE media_id = ?`, [id]);
+  if (!rows.length) return null;
+
+  const [[files], [usages]] = await Promise.all([
+    db.query('SELECT storage_key FROM media_files WHERE media_id = ? ORDER BY storage_key', [id]),
+    db.query(
+      'SELECT owner_type, owner_id, field FROM media_usages WHERE media_id = ? ORDER BY owner_type, owner_id, field',
+      [id]
+    ),
+  ]);
+  return { ...withMediaUrls(rows[0]), files: files.map((f) => f.storage_key), usages };
+};
+
+/**
+ * 🟢 Record an upload. `keys` are all stored files of the item. Keys the sweep
+ * already adopted (uploaded just before a scan) move over to the new row.
+ */
+export const createMedia = async ({
+  kind = 'image',
+  url,
+  variants = null,
+  keys,
+  contentType = null,
+  sizeBytes = null,
+  width = null,
+  height = null,
+  originalName = null,
+  altText = null,
+  createdBy = null,
+}) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO media
+        (kind, url, variants, content_type, size_bytes, width, height, original_name, alt_text, created_by, unused_since)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        kind,
+        url,
+        variants ? JSON.stringify(variants) : null,
+        contentType,
+        sizeBytes,
+        width,
+        height,
+        originalName ? String(originalName).slice(0, 255) : null,
+        altText ? String(altText).slice(0, 255) : null,
+        createdBy,
+      ]
+    );
+    await conn.query(
+      `INSERT INTO media_files (storage_key, media_id) VALUES ?
+       ON DUPLICATE KEY UPDATE media_id = VALUES(media_id)`,
+      [keys.map((key) => [key, result.insertId])]
+    );
+    await conn.query(
+      `DELETE m FROM media m
+       LEFT JOIN media_files f ON f.media_id = m.media_id
+       WHERE m.source = 'adopted' AND f.media_id IS NULL`
+    );
+    await conn.commit();
+    return result.insertId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// 🟢 Record images from services/imagePipeline.js; returns their media ids
+export const recordProcessedImages = async (images = [], { createdBy = null } = {}) => {
+  const ids = [];
+  for (const image of images) {
+    ids.push(
+      await createMedia({
+        url: image.url,
+        variants: image.variants,
+        keys: image.keys,
+        contentType: 'image/webp',
+        sizeBytes: image.bytes,
+        width: image.width,
+        height: image.height,
+        originalName: image.originalname,
+        createdBy,
+      })
+    );
+  }
+  return ids;
+};
+
+export const updateMedia = async (id, { alt_text }) => {
+  if (alt_text === undefined) throw mediaError('No valid fields to update', 400);
+  const [result] = await db.query('UPDATE media SET alt_text = ? WHERE media_id = ?', [
+    alt_text ? String(alt_text).slice(0, 255) : null,
+    id,
+  ]);
+  if (!result.affectedRows) throw mediaError('Media not found', 404);
+  return getMedia(id);
+};
+
+/**
+ * 🟢 Swap a media item's file for a newly processed image. Every stored
+ * reference (image columns and URLs inside HTML) is rewritten to the new
+ * files, size variant for size variant, and the old files are deleted once
+ * the change is committed. The caller removes `image` if this throws.
+ */
+export const replaceMediaFile = async (id, image) => {
+  const storage = getStorage();
+  const conn = await db.getConnection();
+  let oldKeys;
+  let rewritten = 0;
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query('SELECT media_id, variants FROM media WHERE media_id = ? FOR UPDATE', [id]);
+    if (!rows.length) throw mediaError('Media not found', 404);
+
+    const [files] = await conn.query('SELECT storage_key FROM media_files WHERE media_id = ?', [id]);
+    oldKeys = files.map((f) => f.storage_key);
+    const urlForKey = replacementUrls(oldKeys, rows[0].variants, image);
+    const variantsJson = JSON.stringify(image.variants);
+
+    for (const ref of MEDIA_REFERENCES) {
+      for (const row of await readReferenceRows(ref, conn)) {
+        const sets = {};
+        if (ref.text) {
+          const text = typeof row.value === 'string' ? row.value : JSON.stringify(row.value);
+          const next = text.replace(URL_IN_TEXT, (url) => {
+            const newUrl = urlForKey.get(referencedKey(storage, url));
+            return newUrl ? sameForm(url, newUrl) : url;
+          });
+          if (next !== text) sets[ref.column] = next;
+        } else {
+          // Image columns always point at the main URL; their variants column lists the rest
+          if (urlForKey.has(referencedKey(storage, String(row.value)))) {
+            sets[ref.column] = sameForm(String(row.value), image.url);
+            if (ref.variantsColumn) sets[ref.variantsColumn] = variantsJson;
+            if (ref.sizeColumns) Object.assign(sets, { width: image.width, height: image.height });
+          }
+        }
+        if (!Object.keys(sets).length) continue;
+
+        await conn.query(
+          `UPDATE ${ref.table} SET ${Object.keys(sets).map((c) => `${c} = ?`).join(', ')}
+           WHERE ${ref.key.map((k) => `${k} = ?`).join(' AND ')}`,
+          [...Object.values(sets), ...ref.key.map((k) => row[k])]
+        );
+        rewritten++;
+      }
+    }
+
+    await conn.query(
+      `UPDATE media
+       SET kind = 'image', url = ?, variants = ?, content_type = 'image/webp', size_bytes = ?, width = ?, height = ?
+       WHERE media_id = ?`,
+      [image.url, variantsJson, image.bytes, image.width, image.height, id]
+    );
+    await conn.query('DELETE FROM media_files WHERE media_id = ?', [id]);
+    await conn.query('INSERT INTO media_files (storage_key, media_id) VALUES ?', [image.keys.map((key) => [key, id])]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  for (const key of oldKeys) {
+    await deleteFile(key).catch((err) => console.warn(`Failed to delete replaced file ${key}:`, err.message));
+  }
+  return { ...(await getMedia(id)), rewritten_references: rewritten };
+};
+
+// 🟢 Delete a media item and its files; refused while anything uses it
+export const deleteMedia = async (id) => {
+  await refreshMediaUsage();
+  const media = await getMedia(id);
+  if (!media) throw mediaError('Media not found', 404);
+  if (media.usage_count > 0) {
+    throw mediaError('Media is still in use', 409, { usages: media.usages });
+  }
+  await removeMedia(id, media.files);
+};
+
+const removeMedia = async (id, keys) => {
+  // Files first: if one fails the row stays, and the next sweep retries
+  for (const key of keys) await deleteFile(key);
+  await db.query('DELETE FROM media WHERE media_id = ? AND usage_count = 0', [id]);
+};
+
+// =========================
+// 🔹 Usage scan and orphan sweep
+// =========================
+
+/**
+ * Rebuild media_usages from MEDIA_REFERENCES and update usage_count.
+ * unused_since is set when an item's count drops to 0 and cleared when it is
+ * used again. A reference table that can't be read fails the scan, rather
+ * than making its files look unused.
+ */
+export const refreshMediaUsage = async () => {
+  const storage = getStorage();
+  const [files] = await db.query('SELECT storage_key, media_id FROM media_files');
+  const mediaByKey = new Map(files.map((f) => [f.storage_key, f.media_id]));
+
+  const usages = new Map();
+  for (const ref of MEDIA_REFERENCES) {
+    for (const row of await readReferenceRows(ref)) {
+      for (const url of referenceUrls(ref, row.value)) {
+        const mediaId = mediaByKey.get(referencedKey(storage, url));
+        if (!mediaId) continue;
+        const usage = [mediaId, ref.owner, row.owner_id, ref.field || ref.column];
+        usages.set(usage.join('|'), usage);
+      }
+    }
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM media_usages');
+    const tuples = [...usages.values()];
+    for (let i = 0; i < tuples.length; i += 500) {
+      await conn.query('INSERT INTO media_usages (media_id, owner_type, owner_id, field) VALUES ?', [
+        tuples.slice(i, i + 500),
+      ]);
+    }
+    await conn.query(
+      `UPDATE media m
+       LEFT JOIN (SELECT media_id, COUNT(*) AS uses FROM media_usages GROUP BY media_id) u
+         ON u.media_id = m.media_id
+       SET m.usage_count = COALESCE(u.uses, 0),
+           m.unused_since = CASE WHEN u.uses IS NULL THEN COALESCE(m.unused_since, NOW()) ELSE NULL END`
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { usages: usages.size };
+};
+
+/**
+ * 🟢 Record stored files that have no media row (uploaded before the media
+ * library, or by a request that failed before recording them). The variant
+ * files of one processed image become one item. Their grace period starts now.
+ */
+export const adoptUntrackedFiles = async ({ dryRun = false } = {}) => {
+  const storage = getStorage();
+  if (!storage.list) return { items: 0, files: 0 };
+
+  const [files] = await db.query('SELECT storage_key FROM media_files');
+  const known = new Set(files.map((f) => f.storage_key));
+
+  const groups = new Map();
+  for await (const file of storage.list()) {
+    if (known.has(file.key) || file.key.split('/').some((part) => part.startsWith('.'))) continue;
+    const base = VARIANT_KEY.exec(file.key)?.[1] || file.key;
+    if (!groups.has(base)) groups.set(base, []);
+    groups.get(base).push(file);
+  }
+
+  let fileCount = 0;
+  for (const [base, group] of groups) {
+    fileCount += group.length;
+    if (dryRun) continue;
+
+    const main = group.find((f) => f.key === `${base}-zoom.webp`) || group[0];
+    const extension = main.key.split('.').pop().toLowerCase();
+    const contentType = CONTENT_TYPES[extension] || null;
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [result] = await conn.query(
+        `INSERT INTO media (kind, url, content_type, size_bytes, original_name, source, unused_since)
+         VALUES (?, ?, ?, ?, ?, 'adopted', NOW())`,
+        [
+          contentType?.startsWith('image/') ? 'image' : 'file',
+          publicUrl(main.key),
+          contentType,
+          group.reduce((sum, f) => sum + (f.size || 0), 0),
+          main.key.split('/').pop().slice(0, 255),
+        ]
+      );
+      await conn.query('INSERT IGNORE INTO media_files (storage_key, media_id) VALUES ?', [
+        group.map((f) => [f.key, result.insertId]),
+      ]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { items: groups.size, files: fileCount };
+};
+
+/**
+ * 🟢 Find media unused for longer than the grace period and delete it with
+ * its files. With dryRun nothing is adopted, changed or deleted beyond the
+ * usage scan, and the report lists what would be removed.
+ */
+export const sweepOrphanedMedia = async ({ dryRun = false, graceHours = MEDIA_ORPHAN_GRACE_HOURS } = {}) => {
+  const adopted = await adoptUntrackedFiles({ dryRun });
+  const { usages } = await refreshMediaUsage();
+
+  const [orphans] = await db.query(
+    `SELECT m.media_id, m.url, m.original_name, m.size_bytes, m.unused_since, m.source,
+            GROUP_CONCAT(f.storage_key ORDER BY f.storage_key SEPARATOR '\n') AS storage_keys
+     FROM media m
+     LEFT JOIN media_files f ON f.media_id = m.media_id
+     WHERE m.usage_count = 0 AND m.unused_since <= NOW() - INTERVAL ? HOUR
+     GROUP BY m.media_id
+     ORDER BY m.unused_since, m.media_id`,
+    [graceHours]
+  );
+
+  const report = {
+    dry_run: dryRun,
+    grace_hours: graceHours,
+    adopted,
+    usages,
+    orphans: orphans.map(({ storage_keys, ...m }) => ({ ...m, files: storage_keys ? storage_keys.split('\n') : [] })),
+    deleted: 0,
+    failed: [],
+    freed_bytes: 0,
+  };
+  if (dryRun) return report;
+
+  for (const orphan of report.orphans) {
+    try {
+      await removeMedia(orphan.media_id, orphan.files);
+      report.deleted++;
+      report.freed_bytes += Number(orphan.size_bytes) || 0;
+    } catch (err) {
+      report.failed.push({ media_id: orphan.media_id, error: err.message });
+    }
+  }
+  return report;
+};
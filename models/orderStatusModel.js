@@ -0,0 +1,152 @@
+import db from "../database.js";
+import { commitReservations, releaseReservations } from "./inventoryModel.js";
+import { voidOrderPayments } from "./paymentModel.js";
+
+// 🔹 Allowed order status transitions
+// Partial refunds only set orders.refund_status and leave fulfilment alone;
+// a full refund ends the order
+export const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "returned", "refunded"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const statusError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+export const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * 🟢 Append a row to the order's status trail
+ */
+export const recordStatusHistory = async (
+  conn,
+  orderId,
+  { fromStatus = null, toStatus, changedByType = "system", changedById = null, note = null }
+) => {
+  await conn.query(
+    `INSERT INTO order_status_history
+      (order_id, from_status, to_status, changed_by_type, changed_by_id, note, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [orderId, fromStatus, toStatus, changedByType, changedById, note]
+  );
+};
+
+/**
+ * 🟡 Move an order to a new status inside the caller's transaction.
+ * Locks the order row, validates the edge against ORDER_TRANSITIONS, applies
+ * the inventory side effects and records history.
+ *
+ * Options:
+ * - `userId`: restrict to orders owned by this user (customer actions)
+ * - `onlyFrom`: further restrict which current statuses are accepted
+ */
+export const transitionOrderStatus = async (
+  conn,
+  orderId,
+  toStatus,
+  { changedByType = "system", changedById = null, note = null, userId = null, onlyFrom = null } = {}
+) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw statusError("Invalid status", 400, { allowed_statuses: ORDER_STATUSES });
+  }
+
+  const [orders] = await conn.query(
+    `SELECT order_id, user_id, status FROM orders WHERE order_id = ? FOR UPDATE`,
+    [orderId]
+  );
+  const order = orders[0];
+  if (!order || (userId && order.user_id !== userId)) {
+    throw statusError("Order not found", 404);
+  }
+
+  const fromStatus = order.status;
+  if (!canTransition(fromStatus, toStatus) || (onlyFrom && !onlyFrom.includes(fromStatus))) {
+    throw statusError(`Cannot change order status from ${fromStatus} to ${toStatus}`, 409, {
+      current_status: fromStatus,
+      allowed_transitions:
+        onlyFrom && !onlyFrom.includes(fromStatus) ? [] : ORDER_TRANSITIONS[fromStatus] || [],
+    });
+  }
+
+  await conn.query(
+    `UPDATE orders SET status = ?, updated_at = NOW() WHERE order_id = ?`,
+    [toStatus, orderId]
+  );
+
+  // 🔹 Inventory side effects
+  if (toStatus === "shipped") {
+    await commitReservations(conn, orderId);
+  } else if (toStatus === "cancelled" || toStatus === "refunded") {
+    // Units that never shipped go back to available stock
+    await releaseReservations(conn, orderId);
+  }
+
+  // 🔹 A cancelled order must not be charged later
+  if (toStatus === "cancelled") {
+    await voidOrderPayments(conn, orderId, { note: note || "Order cancelled" });
+  }
+
+  await recordStatusHistory(conn, orderId, {
+    fromStatus,
+    toStatus,
+    changedByType,
+    changedById,
+    note,
+  });
+
+  return { order_id: order.order_id, from_status: fromStatus, to_status: toStatus };
+};
+
+/**
+ * 🟢 Run a single transition in its own transaction
+ */
+export const changeOrderStatus = async (orderId, toStatus, options) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await transitionOrderStatus(conn, orderId, toStatus, options);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * 🟢 Status trail for an order, oldest first
+ */
+export const getStatusHistory = async (orderId) => {
+  const [rows] = await db.query(
+    `SELECT
+      h.history_id,
+      h.from_status,
+      h.to_status,
+      h.changed_by_type,
+      h.changed_by_id,
+      h.note,
+      h.created_at,
+      u.first_name AS changed_by_first_name,
+      u.last_name AS changed_by_last_name
+     FROM order_status_history h
+     LEFT JOIN users u ON u.user_id = h.changed_by_id
+     WHERE h.order_id = ?
+     ORDER BY h.created_at ASC, h.history_id ASC`,
+    [orderId]
+  );
+  return rows;
+};
@@ -0,0 +1,465 @@
+import db from "../database.js";
+import { getPaymentProvider } from "../services/payments/index.js";
+import { transitionOrderStatus } from "./orderStatusModel.js";
+import { roundMoney, PRICE_TOLERANCE } from "./pricingModel.js";
+
+// Payments in these states block a second payment for the same order
+const OPEN_PAYMENT_STATUSES = ["created", "requires_action", "authorized", "captured", "partially_refunded"];
+
+// Payments that have not been captured, voided or failed yet
+const UNSETTLED_PAYMENT_STATUSES = ["created", "requires_action", "authorized"];
+
+const paymentError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const withTransaction = async (work) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+const formatPayment = (row) => ({
+  payment_id: row.payment_id,
+  order_id: row.order_id,
+  provider: row.provider,
+  provider_payment_id: row.provider_payment_id,
+  payment_method: row.payment_method,
+  capture_method: row.capture_method,
+  status: row.status,
+  amount: parseFloat(row.amount),
+  amount_captured: parseFloat(row.amount_captured),
+  amount_refunded: parseFloat(row.amount_refunded),
+  currency_code: row.currency_code,
+  next_action: typeof row.next_action === "string" ? JSON.parse(row.next_action) : row.next_action,
+  failure_reason: row.failure_reason,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+/**
+ * 🟢 Append a row to the payment's event log
+ */
+export const recordPaymentEvent = async (
+  conn,
+  paymentId,
+  {
+    eventType,
+    source = "api",
+    providerEventId = null,
+    providerReference = null,
+    amount = null,
+    status = null,
+    note = null,
+    payload = null,
+  }
+) => {
+  await conn.query(
+    `INSERT INTO payment_events
+      (payment_id, event_type, source, provider_event_id, provider_reference, amount, status, note, payload)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      paymentId,
+      eventType,
+      source,
+      providerEventId,
+      providerReference,
+      amount,
+      status,
+      note,
+      payload ? JSON.stringify(payload) : null,
+    ]
+  );
+};
+
+// Lock a payment (and read its order) for the rest of the transaction
+const lockPayment = async (conn, paymentId, { userId = null } = {}) => {
+  const [rows] = await conn.query(
+    `SELECT p.*, o.user_id, o.status AS order_status
+     FROM payments p
+     INNER JOIN orders o ON o.order_id = p.order_id
+     WHERE p.payment_id = ?
+     FOR UPDATE`,
+    [paymentId]
+  );
+  const payment = rows[0];
+  if (!payment || (userId && payment.user_id !== userId)) {
+    throw paymentError("Payment not found", 404);
+  }
+  return payment;
+};
+
+const assertStatus = (payment, allowed, action) => {
+  if (!allowed.includes(payment.status)) {
+    throw paymentError(`Cannot ${action} a payment that is ${payment.status}`, 409, {
+      payment_status: payment.status,
+    });
+  }
+};
+
+// Store the outcome of createPayment / confirmPayment
+const applyAuthorization = async (conn, payment, result, source = "api") => {
+  await conn.query(
+    `UPDATE payments
+     SET provider_payment_id = ?, status = ?, next_action = ?, failure_reason = ?
+     WHERE payment_id = ?`,
+    [
+      result.providerPaymentId,
+      result.status,
+      result.nextAction ? JSON.stringify(result.nextAction) : null,
+      result.failureReason || null,
+      payment.payment_id,
+    ]
+  );
+  await recordPaymentEvent(conn, payment.payment_id, {
+    eventType: `payment.${result.status}`,
+    source,
+    amount: payment.amount,
+    status: result.status,
+    note: result.failureReason || null,
+  });
+  payment.status = result.status;
+  payment.provider_payment_id = result.providerPaymentId;
+};
+
+/**
+ * 🟡 Mark a payment captured and move its order to processing.
+ * An order that is no longer pending (e.g. cancelled by the payment timeout)
+ * keeps its status; the capture is recorded so an admin can refund it.
+ */
+const applyCapture = async (conn, payment, { amount, reference = null, source = "api", providerEventId = null }) => {
+  await conn.query(
+    `UPDATE payments
+     SET status = 'captured', amount_captured = ?, next_action = NULL, failure_reason = NULL
+     WHERE payment_id = ?`,
+    [amount, payment.payment_id]
+  );
+
+  let note = null;
+  if (payment.order_status === "pending") {
+    await transitionOrderStatus(conn, payment.order_id, "processing", {
+      changedByType: "system",
+      note: "Payment captured",
+      onlyFrom: ["pending"],
+    });
+  } else {
+    note = `Captured while order was ${payment.order_status}`;
+    console.warn(`⚠️ Payment ${payment.payment_id}: ${note}`);
+  }
+
+  await recordPaymentEvent(conn, payment.payment_id, {
+    eventType: "payment.captured",
+    source,
+    providerEventId,
+    providerReference: reference,
+    amount,
+    status: "captured",
+    note,
+  });
+  payment.status = "captured";
+};
+
+// The amount to capture (all of it when none is given), or null if it is
+// not positive or exceeds what was authorized
+const resolveCaptureAmount = (payment, amount = null) => {
+  const authorized = parseFloat(payment.amount);
+  const captureAmount = amount === null || amount === undefined ? authorized : roundMoney(amount);
+  return captureAmount > 0 && captureAmount - authorized <= PRICE_TOLERANCE ? captureAmount : null;
+};
+
+const capture = async (conn, payment, amount = null) => {
+  if (payment.order_status === "cancelled") {
+    throw paymentError("Cannot capture a payment for a cancelled order", 409, {
+      order_status: payment.order_status,
+    });
+  }
+
+  const captureAmount = resolveCaptureAmount(payment, amount);
+  if (captureAmount === null) {
+    throw paymentError("Capture amount must be positive and not exceed the authorized amount", 400, {
+      authorized_amount: parseFloat(payment.amount),
+    });
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.capture(payment.provider_payment_id, captureAmount);
+  await applyCapture(conn, payment, { amount: captureAmount, reference: result.reference });
+};
+
+// Void a payment with its provider and mark it voided
+const applyVoid = async (conn, payment, note = null) => {
+  if (payment.provider_payment_id) {
+    await getPaymentProvider(payment.provider).void(payment.provider_payment_id);
+  }
+  await conn.query(
+    `UPDATE payments SET status = 'voided', next_action = NULL WHERE payment_id = ?`,
+    [payment.payment_id]
+  );
+  await recordPaymentEvent(conn, payment.payment_id, { eventType: "payment.voided", status: "voided", note });
+  payment.status = "voided";
+};
+
+export const getPaymentById = async (paymentId, conn = db) => {
+  const [rows] = await conn.query(`SELECT * FROM payments WHERE payment_id = ?`, [paymentId]);
+  return rows[0] ? formatPayment(rows[0]) : null;
+};
+
+export const getOrderPayments = async (orderId, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM payments WHERE order_id = ? ORDER BY created_at ASC, payment_id ASC`,
+    [orderId]
+  );
+  return rows.map(formatPayment);
+};
+
+/**
+ * 🟢 Start paying a pending order with the configured provider.
+ * With automatic capture an authorized payment is captured straight away.
+ */
+export const createPayment = async ({ orderId, userId = null, token = null, captureMethod = "automatic" }) =>
+  withTransaction(async (conn) => {
+    if (!["automatic", "manual"].includes(captureMethod)) {
+      throw paymentError("capture_method must be automatic or manual", 400);
+    }
+
+    const [orders] = await conn.query(
+      `SELECT order_id, user_id, status, total_amount, currency_code, payment_method
+       FROM orders WHERE order_id = ? FOR UPDATE`,
+      [orderId]
+    );
+    const order = orders[0];
+    if (!order || (userId && order.user_id !== userId)) {
+      throw paymentError("Order not found", 404);
+    }
+    if (order.status !== "pending") {
+      throw paymentError(`Order is ${order.status} and cannot be paid`, 409, {
+        current_status: order.status,
+      });
+    }
+
+    const [open] = await conn.query(
+      `SELECT payment_id, status FROM payments WHERE order_id = ? AND status IN (?)`,
+      [orderId, OPEN_PAYMENT_STATUSES]
+    );
+    if (open.length) {
+      throw paymentError("Order already has a payment in progress", 409, {
+        payment_id: open[0].payment_id,
+        payment_status: open[0].status,
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const [insert] = await conn.query(
+      `INSERT INTO payments (order_id, provider, payment_method, capture_method, status, amount, currency_code)
+       VALUES (?, ?, ?, ?, 'created', ?, ?)`,
+      [orderId, provider.name, order.payment_method || "card", captureMethod, order.total_amount, order.currency_code]
+    );
+
+    const payment = {
+      payment_id: insert.insertId,
+      order_id: order.order_id,
+      order_status: order.status,
+      provider: provider.name,
+      amount: order.total_amount,
+    };
+
+    const result = await provider.createPayment({
+      amount: parseFloat(order.total_amount),
+      currency: order.currency_code,
+      orderId,
+      token,
+    });
+    await applyAuthorization(conn, payment, result);
+
+    if (payment.status === "authorized" && captureMethod === "automatic") {
+      await capture(conn, payment);
+    }
+
+    return getPaymentById(payment.payment_id, conn);
+  });
+
+/**
+ * 🟡 Finish a payment that required customer action (3-D Secure etc.)
+ */
+export const confirmPayment = async (paymentId, { userId = null, actionResult } = {}) =>
+  withTransaction(async (conn) => {
+    const payment = await lockPayment(conn, paymentId, { userId });
+    assertStatus(payment, ["requires_action"], "confirm");
+
+    const provider = getPaymentProvider(payment.provider);
+    const result = await provider.confirmPayment(payment.provider_payment_id, { actionResult });
+    await applyAuthorization(conn, payment, result);
+
+    if (payment.status === "authorized" && payment.capture_method === "automatic") {
+      await capture(conn, payment);
+    }
+
+    return getPaymentById(payment.payment_id, conn);
+  });
+
+export const capturePayment = async (paymentId, { amount = null } = {}) =>
+  withTransaction(async (conn) => {
+    const payment = await lockPayment(conn, paymentId);
+    assertStatus(payment, ["authorized"], "capture");
+    await capture(conn, payment, amount);
+    return getPaymentById(payment.payment_id, conn);
+  });
+
+export const voidPayment = async (paymentId, { note = null } = {}) =>
+  withTransaction(async (conn) => {
+    const payment = await lockPayment(conn, paymentId);
+    assertStatus(payment, UNSETTLED_PAYMENT_STATUSES, "void");
+    await applyVoid(conn, payment, note);
+    return getPaymentById(payment.payment_id, conn);
+  });
+
+/**
+ * 🟡 Void every payment of an order that hasn't settled yet, inside the
+ * caller's transaction, so an open authorization of a cancelled order can't
+ * be captured later. Returns how many were voided.
+ */
+export const voidOrderPayments = async (conn, orderId, { note = null } = {}) => {
+  const [payments] = await conn.query(
+    `SELECT * FROM payments WHERE order_id = ? AND status IN (?) ORDER BY payment_id FOR UPDATE`,
+    [orderId, UNSETTLED_PAYMENT_STATUSES]
+  );
+  for (const payment of payments) {
+    await applyVoid(conn, payment, note);
+  }
+  return payments.length;
+};
+
+/**
+ * 🔴 Refund part or all of a captured payment inside the caller's transaction.
+ * Returns the refunded amount and the payment's new status.
+ */
+export const refundPaymentInTransaction = async (conn, paymentId, amount = null, { note = null } = {}) => {
+  const payment = await lockPayment(conn, paymentId);
+  assertStatus(payment, ["captured", "partially_refunded"], "refund");
+
+  const refundable = roundMoney(parseFloat(payment.amount_captured) - parseFloat(payment.amount_refunded));
+  const refundAmount = amount === null || amount === undefined ? refundable : roundMoney(amount);
+  if (!(refundAmount > 0) || refundAmount - refundable > PRICE_TOLERANCE) {
+    throw paymentError("Refund amount must be positive and not exceed the refundable amount", 400, {
+      refundable_amount: refundable,
+    });
+  }
+
+  const result = await getPaymentProvider(payment.provider).refund(payment.provider_payment_id, refundAmount);
+  const refunded = roundMoney(parseFloat(payment.amount_refunded) + refundAmount);
+  const status = refunded >= parseFloat(payment.amount_captured) ? "refunded" : "partially_refunded";
+
+  await conn.query(
+    `UPDATE payments SET amount_refunded = ?, status = ? WHERE payment_id = ?`,
+    [refunded, status, payment.payment_id]
+  );
+  await recordPaymentEvent(conn, payment.payment_id, {
+    eventType: "payment.refunded",
+    providerReference: result.reference,
+    amount: refundAmount,
+    status,
+    note,
+  });
+
+  return { payment_id: payment.payment_id, amount: refundAmount, status };
+};
+
+/**
+ * 🟢 Apply a verified provider webhook. Replayed events are ignored, and so
+ * are events that arrive too late to apply (e.g. a capture for a payment
+ * that was voided or refunded meanwhile): those are logged with a note.
+ * event: { id, type, data: { provider_payment_id, amount?, failure_reason? } }
+ */
+export const handlePaymentWebhook = async (providerName, event) =>
+  withTransaction(async (conn) => {
+    const [seen] = await conn.query(
+      `SELECT event_id FROM payment_events WHERE provider_event_id = ?`,
+      [event.id]
+    );
+    if (seen.length) return { handled: false, reason: "duplicate" };
+
+    const [rows] = await conn.query(
+      `SELECT payment_id FROM payments WHERE provider = ? AND provider_payment_id = ?`,
+      [providerName, event.data?.provider_payment_id || null]
+    );
+    if (!rows.length) return { handled: false, reason: "unknown_payment" };
+
+    const payment = await lockPayment(conn, rows[0].payment_id);
+    const base = { source: "webhook", providerEventId: event.id, payload: event };
+    const unsettled = UNSETTLED_PAYMENT_STATUSES.includes(payment.status);
+    let ignored = null;
+
+    switch (event.type) {
+      case "payment.captured": {
+        if (!unsettled) {
+          ignored = `Ignored: payment is already ${payment.status}`;
+          break;
+        }
+        const amount = resolveCaptureAmount(payment, event.data.amount);
+        if (amount === null) {
+          ignored = `Ignored: capture amount ${event.data.amount} is not within the authorized ${payment.amount}`;
+          break;
+        }
+        await applyCapture(conn, payment, { amount, source: "webhook", providerEventId: event.id });
+        return { handled: true, payment_id: payment.payment_id };
+      }
+
+      case "payment.authorized":
+        if (["created", "requires_action"].includes(payment.status)) {
+          await conn.query(
+            `UPDATE payments SET status = 'authorized', next_action = NULL WHERE payment_id = ?`,
+            [payment.payment_id]
+          );
+        } else {
+          ignored = `Ignored: payment is already ${payment.status}`;
+        }
+        break;
+
+      case "payment.failed":
+        if (unsettled) {
+          await conn.query(
+            `UPDATE payments SET status = 'failed', failure_reason = ? WHERE payment_id = ?`,
+            [event.data.failure_reason || null, payment.payment_id]
+          );
+        } else {
+          ignored = `Ignored: payment is already ${payment.status}`;
+        }
+        break;
+
+      case "payment.voided":
+        if (unsettled) {
+          await conn.query(`UPDATE payments SET status = 'voided' WHERE payment_id = ?`, [
+            payment.payment_id,
+          ]);
+        } else {
+          ignored = `Ignored: payment is already ${payment.status}`;
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    if (ignored) console.warn(`⚠️ Payment ${payment.payment_id} webhook ${event.id}: ${ignored}`);
+    await recordPaymentEvent(conn, payment.payment_id, {
+      ...base,
+      eventType: event.type,
+      amount: event.data.amount ?? null,
+      note: ignored,
+    });
+    return ignored
+      ? { handled: false, reason: "ignored", payment_id: payment.payment_id }
+      : { handled: true, payment_id: payment.payment_id };
+  });
@@ -0,0 +1,610 @@
+import dotenv from "dotenv";
+import { getCheckoutDiscountTiers } from "./DiscountModel.js";
+import { getCurrencyByCode, roundCurrency, BASE_CURRENCY } from "./currencyModel.js";
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from "./LanguageModel.js";
+import { isCampaignWide, getOpenWindows, meetsOrderConditions } from "./flashWindowModel.js";
+import { attachVariantOptions, findVariantByOptions } from "./productVariantModel.js";
+import { isProductLive } from "./productPublishingModel.js";
+dotenv.config();
+
+// 🔹 Checkout pricing rules (amounts in the store's base currency)
+const TAX_RATE = parseFloat(process.env.TAX_RATE || "0"); // percent, e.g. 8.5
+const TAX_RATES_BY_COUNTRY = (() => {
+  // e.g. TAX_RATES_BY_COUNTRY={"US":7.25,"DE":19}; falls back to TAX_RATE
+  try {
+    return JSON.parse(process.env.TAX_RATES_BY_COUNTRY || "{}");
+  } catch {
+    console.warn("⚠️ TAX_RATES_BY_COUNTRY is not valid JSON, ignoring it");
+    return {};
+  }
+})();
+const SHIPPING_FLAT_RATE = parseFloat(process.env.SHIPPING_FLAT_RATE || "0");
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || "0");
+
+// Client-sent amounts may differ from ours by at most one cent
+export const PRICE_TOLERANCE = 0.01;
+
+export const roundMoney = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const pricingError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// Same rule the storefront detail endpoints use: a non-zero sale price wins
+const effectiveProductPrice = (product) => {
+  const sale = parseFloat(product.sale_price);
+  if (sale && sale > 0) return sale;
+  return parseFloat(product.base_price) || 0;
+};
+
+// Flash discounts apply to the product price, before the variant modifier
+const applyFlashDiscount = (price, flash) => {
+  if (!flash) return price;
+  const percentage = parseFloat(flash.percentage_discount);
+  const fixed = parseFloat(flash.fixed_discount);
+  if (percentage) return price * (1 - percentage / 100);
+  if (fixed) return Math.max(0, price - fixed);
+  return price;
+};
+
+/**
+ * 🟢 Flash discount currently running for each product (first one wins, as
+ * on the product page). Triggered or time-boxed discounts only count while
+ * the visitor holds an unexpired window for them, and quantity triggers only
+ * while `quantities[product_id]` still meets their threshold.
+ */
+const getActiveFlashDiscounts = async (conn, productIds, visitorId = null, quantities = {}) => {
+  if (!productIds.length) return {};
+  const [rows] = await conn.query(
+    `SELECT flash_id, product_id, percentage_discount, fixed_discount, message,
+            trigger_condition, duration_minutes, end_date
+     FROM flash_discounts
+     WHERE product_id IN (?)
+       AND (is_active = 1 OR is_active = 'Y')
+       AND NOW() BETWEEN start_date AND COALESCE(end_date, '9999-12-31')
+     ORDER BY flash_id ASC`,
+    [productIds]
+  );
+
+  const windows = await getOpenWindows(
+    conn,
+    visitorId,
+    rows.filter((r) => !isCampaignWide(r)).map((r) => r.flash_id)
+  );
+
+  const map = {};
+  for (const row of rows) {
+    if (map[row.product_id]) continue;
+    if (!meetsOrderConditions(row, quantities[row.product_id] || 0)) continue;
+    if (isCampaignWide(row)) {
+      map[row.product_id] = { ...row, expires_at: row.end_date || null };
+    } else if (windows[row.flash_id]) {
+      map[row.product_id] = { ...row, expires_at: windows[row.flash_id].expires_at };
+    }
+  }
+  return map;
+};
+
+/**
+ * 🟢 Resolve every requested line to its catalog price.
+ * Items are `{ variant_id?, product_id?, options?, quantity }`: a product with
+ * variants is bought as one of them, picked by id or by `options`
+ * ({ Color: "Red", Size: "42" }); naming only the product picks its variant
+ * when it has exactly one. Any price sent by the client is
+ * ignored here and only compared later by `assertClientTotals`.
+ * `visitorId` unlocks the visitor's open flash discount windows.
+ */
+export const priceOrderItems = async (conn, requestedItems, { visitorId = null } = {}) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw pricingError("Order must contain at least one item", 400);
+  }
+
+  requestedItems.forEach((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw pricingError(`Item ${index + 1}: quantity must be a positive integer`, 400);
+    }
+    if (!item.variant_id && !item.product_id) {
+      throw pricingError(`Item ${index + 1}: variant_id or product_id is required`, 400);
+    }
+  });
+
+  // 🔹 Lines that pick options instead of a variant id
+  const items = [];
+  for (const [index, item] of requestedItems.entries()) {
+    if (item.variant_id || !item.options) {
+      items.push(item);
+      continue;
+    }
+    try {
+      const variant = await findVariantByOptions(conn, item.product_id, item.options);
+      items.push({ ...item, variant_id: variant.variant_id });
+    } catch (err) {
+      if (!err.status) throw err;
+      throw pricingError(`Item ${index + 1}: ${err.message}`, err.status, err.details);
+    }
+  }
+
+  // 🔹 Stock is kept per variant: a product-only line is bought as the
+  // product's single variant, and a product with several must name one
+  const productOnlyIds = [...new Set(items.filter((i) => !i.variant_id).map((i) => Number(i.product_id)))];
+  const [activeVariants] = productOnlyIds.length
+    ? await conn.query(
+        `SELECT variant_id, product_id FROM product_variants
+         WHERE product_id IN (?) AND is_active = 1
+         ORDER BY variant_id`,
+        [productOnlyIds]
+      )
+    : [[]];
+  for (const [index, item] of items.entries()) {
+    if (item.variant_id) continue;
+    const choices = activeVariants.filter((v) => v.product_id === Number(item.product_id));
+    if (choices.length > 1) {
+      throw pricingError(`Item ${index + 1}: choose a variant (variant_id or options) of this product`, 400, {
+        product_id: Number(item.product_id),
+      });
+    }
+    if (choices.length === 1) items[index] = { ...item, variant_id: choices[0].variant_id };
+  }
+
+  const variantIds = [...new Set(items.filter((i) => i.variant_id).map((i) => Number(i.variant_id)))];
+  const [variantRows] = variantIds.length
+    ? await conn.query(
+        `SELECT variant_id, product_id, sku, color, size, price_modifier, price, is_active
+         FROM product_variants
+         WHERE variant_id IN (?)`,
+        [variantIds]
+      )
+    : [[]];
+  const variants = await attachVariantOptions(variantRows, conn);
+  const variantMap = Object.fromEntries(variants.map((v) => [v.variant_id, v]));
+
+  const productIds = [
+    ...new Set([
+      ...variants.map((v) => v.product_id),
+      ...items.filter((i) => !i.variant_id).map((i) => Number(i.product_id)),
+    ]),
+  ];
+  const [products] = productIds.length
+    ? await conn.query(
+        `SELECT product_id, base_name, sku, base_price, sale_price, status, publish_at, unpublish_at
+         FROM products
+         WHERE product_id IN (?)`,
+        [productIds]
+      )
+    : [[]];
+  const productMap = Object.fromEntries(products.map((p) => [p.product_id, p]));
+
+  // Units ordered per product, for flash discounts with a quantity trigger
+  const quantities = {};
+  for (const item of items) {
+    const productId = item.variant_id ? variantMap[Number(item.variant_id)]?.product_id : Number(item.product_id);
+    if (productId) quantities[productId] = (quantities[productId] || 0) + Number(item.quantity);
+  }
+  const flashMap = await getActiveFlashDiscounts(conn, productIds, visitorId, quantities);
+
+  return items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    let variant = null;
+    let product;
+
+    if (item.variant_id) {
+      variant = variantMap[Number(item.variant_id)];
+      if (!variant) {
+        throw pricingError(`Item ${index + 1}: variant ${item.variant_id} not found`, 400);
+      }
+      if (item.product_id && Number(item.product_id) !== variant.product_id) {
+        throw pricingError(
+          `Item ${index + 1}: variant ${item.variant_id} does not belong to product ${item.product_id}`,
+          400
+        );
+      }
+      if (!variant.is_active) {
+        throw pricingError(`Item ${index + 1}: variant ${item.variant_id} is no longer available`, 400);
+      }
+      product = productMap[variant.product_id];
+    } else {
+      product = productMap[Number(item.product_id)];
+    }
+
+    if (!product || !isProductLive(product)) {
+      throw pricingError(`Item ${index + 1}: product is not available`, 400);
+    }
+
+    // A variant price override replaces the product price (flash discounts
+    // still apply to it); otherwise the variant's modifier is added on top
+    const hasOverride = variant && variant.price !== null && variant.price !== undefined;
+    const modifier = variant && !hasOverride ? parseFloat(variant.price_modifier) || 0 : 0;
+    const productPrice = hasOverride ? parseFloat(variant.price) : effectiveProductPrice(product);
+    const flash = flashMap[product.product_id] || null;
+    const listPrice = roundMoney(productPrice + modifier);
+    const unitPrice = roundMoney(applyFlashDiscount(productPrice, flash) + modifier);
+    const lineSubtotal = roundMoney(unitPrice * quantity);
+
+    return {
+      index,
+      product_id: product.product_id,
+      variant_id: variant ? variant.variant_id : null,
+      sku: variant?.sku || product.sku,
+      name: product.base_name,
+      variant_title: variant?.title || null,
+      options: variant?.options || null,
+      quantity,
+      list_price: listPrice,
+      flash_discount: flash
+        ? {
+            flash_id: flash.flash_id,
+            percentage: flash.percentage_discount ? parseFloat(flash.percentage_discount) : null,
+            fixed: flash.fixed_discount ? parseFloat(flash.fixed_discount) : null,
+            message: flash.message || "",
+            expires_at: flash.expires_at,
+            amount_per_unit: roundMoney(listPrice - unitPrice),
+          }
+        : null,
+      unit_price: unitPrice,
+      line_subtotal: lineSubtotal,
+      discount_amount: 0,
+      line_total: lineSubtotal,
+    };
+  });
+};
+
+export const calculateShipping = (subtotal) => {
+  if (FREE_SHIPPING_THRESHOLD > 0 && subtotal >= FREE_SHIPPING_THRESHOLD) return 0;
+  return roundMoney(SHIPPING_FLAT_RATE);
+};
+
+export const calculateTax = (taxableAmount, address = null) => {
+  const country = address?.country ? String(address.country).toUpperCase() : null;
+  const rate = country && TAX_RATES_BY_COUNTRY[country] !== undefined
+    ? parseFloat(TAX_RATES_BY_COUNTRY[country])
+    : TAX_RATE;
+  return roundMoney((taxableAmount * rate) / 100);
+};
+
+/**
+ * 🟢 Build the order-level breakdown from priced lines
+ */
+export const buildPriceBreakdown = (lines, { freeShipping = false, shippingAddress = null } = {}) => {
+  const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.line_subtotal, 0));
+  const discount = roundMoney(lines.reduce((sum, l) => sum + l.discount_amount, 0));
+  const shipping = freeShipping ? 0 : calculateShipping(subtotal - discount);
+  const tax = calculateTax(subtotal - discount, shippingAddress);
+  const total = roundMoney(subtotal - discount + shipping + tax);
+
+  return { subtotal, discount, shipping, tax, total };
+};
+
+// 🔹 Spread an order-level amount over lines by their share of the subtotal
+const allocateProportionally = (amount, lines) => {
+  const subtotal = lines.reduce((sum, l) => sum + l.line_subtotal, 0);
+  if (!subtotal) return lines.map(() => 0);
+
+  let allocated = 0;
+  return lines.map((line, i) => {
+    if (i === lines.length - 1) return roundMoney(amount - allocated);
+    const share = roundMoney((amount * line.line_subtotal) / subtotal);
+    allocated += share;
+    return share;
+  });
+};
+
+const tierMatchesQuantity = (tier, quantity) =>
+  (tier.min_quantity == null || quantity >= tier.min_quantity) &&
+  (tier.max_quantity == null || quantity <= tier.max_quantity);
+
+/**
+ * Per-line money off for one tier. A tier carries a single price rule,
+ * checked in this order: price_per_unit, percentage_discount, fixed_discount.
+ */
+const tierLineDiscounts = (tier, lines) => {
+  const pricePerUnit = parseFloat(tier.price_per_unit);
+  const percentage = parseFloat(tier.percentage_discount);
+  const fixed = parseFloat(tier.fixed_discount);
+
+  if (pricePerUnit > 0) {
+    return lines.map((l) => roundMoney(Math.max(l.unit_price - pricePerUnit, 0) * l.quantity));
+  }
+  if (percentage > 0) {
+    return lines.map((l) => roundMoney((l.line_subtotal * Math.min(percentage, 100)) / 100));
+  }
+  if (fixed > 0) {
+    const subtotal = lines.reduce((sum, l) => sum + l.line_subtotal, 0);
+    return allocateProportionally(roundMoney(Math.min(fixed, subtotal)), lines);
+  }
+  return lines.map(() => 0);
+};
+
+/**
+ * 🟡 Pick the single best discount tier for the priced lines.
+ * Every eligible AUTO tier and the tier behind `discountCode` are scored by
+ * money off the lines plus shipping saved; the highest score wins (the
+ * customer's code wins ties). Tiers never stack.
+ */
+export const evaluateDiscountTiers = (lines, tiers, discountCode = null) => {
+  const quantity = lines.reduce((sum, l) => sum + l.quantity, 0);
+  const subtotal = lines.reduce((sum, l) => sum + l.line_subtotal, 0);
+  const code = discountCode ? String(discountCode).trim().toUpperCase() : null;
+  const isCodeTier = (t) => code && t.discount_code && t.discount_code.toUpperCase() === code;
+
+  const codeTier = code ? tiers.find(isCodeTier) : null;
+  if (code && !codeTier) {
+    throw pricingError("Invalid or expired discount code", 400, { discount_code: discountCode });
+  }
+
+  const candidates = tiers
+    .filter((t) => t.Discount_APPLY_type === "AUTO" || isCodeTier(t))
+    .filter((t) => tierMatchesQuantity(t, quantity))
+    .map((tier) => {
+      const lineDiscounts = tierLineDiscounts(tier, lines);
+      const discountAmount = roundMoney(lineDiscounts.reduce((sum, d) => sum + d, 0));
+      const shippingDiscount = tier.free_shipping ? calculateShipping(subtotal - discountAmount) : 0;
+      return {
+        tier,
+        lineDiscounts,
+        discountAmount,
+        shippingDiscount,
+        score: discountAmount + shippingDiscount,
+        fromCode: Boolean(isCodeTier(tier)),
+      };
+    })
+    // Highest saving first; perk-only tiers (e.g. free ebook) score 0 but still apply
+    .sort((a, b) => b.score - a.score || b.fromCode - a.fromCode || a.tier.tier_id - b.tier.tier_id);
+
+  const best = candidates[0] || null;
+
+  let codeStatus = null;
+  if (codeTier) {
+    let reason = null;
+    if (!tierMatchesQuantity(codeTier, quantity)) reason = "Quantity requirements not met";
+    else if (!best?.fromCode) reason = "A better automatic discount was applied";
+    codeStatus = { code: codeTier.discount_code, applied: !reason, reason };
+  }
+
+  return { best, codeStatus };
+};
+
+/**
+ * 🟢 Full checkout pricing: catalog prices, best discount tier, shipping and tax.
+ * Shared by order creation so the charged amount is always recomputed here.
+ */
+export const priceCart = async (
+  conn,
+  { items, discountCode = null, shippingAddress = null, visitorId = null }
+) => {
+  const lines = await priceOrderItems(conn, items, { visitorId });
+  const tiers = await getCheckoutDiscountTiers(conn, discountCode);
+  const { best, codeStatus } = evaluateDiscountTiers(lines, tiers, discountCode);
+
+  if (best) {
+    lines.forEach((line, i) => {
+      line.discount_amount = best.lineDiscounts[i];
+      line.line_total = roundMoney(line.line_subtotal - line.discount_amount);
+    });
+  }
+
+  const freeShipping = Boolean(best?.tier.free_shipping);
+  const totals = buildPriceBreakdown(lines, { freeShipping, shippingAddress });
+
+  const discounts = best
+    ? [
+        {
+          tier_id: best.tier.tier_id,
+          label: best.tier.label,
+          type: best.tier.type,
+          discount_code: best.fromCode ? best.tier.discount_code : null,
+          discount_amount: best.discountAmount,
+          shipping_discount: best.shippingDiscount,
+          free_shipping: freeShipping,
+          free_ebook: Boolean(best.tier.free_ebook),
+        },
+      ]
+    : [];
+
+  const flashDiscounts = Object.values(
+    Object.fromEntries(
+      lines
+        .filter((l) => l.flash_discount)
+        .map((l) => [l.flash_discount.flash_id, { product_id: l.product_id, ...l.flash_discount }])
+    )
+  );
+
+  return {
+    lines,
+    totals,
+    discounts,
+    flash_discounts: flashDiscounts,
+    perks: {
+      free_shipping: freeShipping,
+      free_ebook: Boolean(best?.tier.free_ebook),
+    },
+    discount_code: codeStatus,
+  };
+};
+
+/**
+ * 🟡 Reject a checkout whose client-side amounts disagree with ours.
+ * Only fields the client actually sent are compared.
+ */
+export const assertClientTotals = (lines, totals, clientItems, clientTotals = {}) => {
+  const mismatches = [];
+  const differs = (a, b) => Math.abs(Number(a) - Number(b)) > PRICE_TOLERANCE;
+
+  lines.forEach((line) => {
+    const sent = clientItems[line.index];
+    const clientPrice = sent.unit_price ?? sent.price;
+    if (clientPrice !== undefined && clientPrice !== null && differs(clientPrice, line.unit_price)) {
+      mismatches.push({
+        field: `items[${line.index}].unit_price`,
+        expected: line.unit_price,
+        received: Number(clientPrice),
+      });
+    }
+  });
+
+  for (const field of ["subtotal", "discount", "shipping", "tax", "total"]) {
+    const sent = clientTotals[field];
+    if (sent !== undefined && sent !== null && differs(sent, totals[field])) {
+      mismatches.push({ field, expected: totals[field], received: Number(sent) });
+    }
+  }
+
+  if (mismatches.length > 0) {
+    throw pricingError("Order amounts do not match current prices", 409, {
+      mismatches,
+      pricing: { items: lines, ...totals },
+    });
+  }
+};
+
+/**
+ * 🟢 Swap product names and tier labels for the requested language, walking
+ * the language's fallback chain for anything it has no translation of
+ */
+export const localizePricing = async (conn, pricing, languageChain) => {
+  if (!languageChain?.length) return pricing;
+
+  const languageIds = chainLanguageIds(languageChain);
+  const productIds = [...new Set(pricing.lines.map((l) => l.product_id))];
+  const tierIds = pricing.discounts.map((d) => d.tier_id);
+
+  const [[productTrans], [tierTrans]] = await Promise.all([
+    productIds.length
+      ? conn.query(
+          `SELECT product_id, language_id, name FROM product_translations
+           WHERE language_id IN (?) AND product_id IN (?)`,
+          [languageIds, productIds]
+        )
+      : [[]],
+    tierIds.length
+      ? conn.query(
+          `SELECT tier_id, language_id, label FROM discount_tier_translations
+           WHERE language_id IN (?) AND tier_id IN (?)`,
+          [languageIds, tierIds]
+        )
+      : [[]],
+  ]);
+
+  const nameFor = (productId) =>
+    pickTranslation(productTrans.filter((t) => t.product_id === productId), languageChain, ["name"])?.name;
+  const labelFor = (tierId) =>
+    pickTranslation(tierTrans.filter((t) => t.tier_id === tierId), languageChain, ["label"])?.label;
+
+  return {
+    ...pricing,
+    lines: pricing.lines.map((l) => ({ ...l, name: nameFor(l.product_id) || l.name })),
+    discounts: pricing.discounts.map((d) => ({ ...d, label: labelFor(d.tier_id) || d.label })),
+  };
+};
+
+/**
+ * 🟡 Express a base-currency pricing result in another currency.
+ * Line amounts are converted one by one and the totals re-added from them, so
+ * the converted order always sums up exactly.
+ */
+export const convertPricing = (pricing, currency) => {
+  const rate = parseFloat(currency?.exchange_rate) || 1;
+  const round = (value) => roundCurrency(value, currency || BASE_CURRENCY);
+  const convert = (value) => (value === null || value === undefined ? value : round(value * rate));
+
+  const lines = pricing.lines.map((l) => ({
+    ...l,
+    list_price: convert(l.list_price),
+    unit_price: convert(l.unit_price),
+    line_subtotal: convert(l.line_subtotal),
+    discount_amount: convert(l.discount_amount),
+    line_total: convert(l.line_total),
+    flash_discount: l.flash_discount
+      ? {
+          ...l.flash_discount,
+          fixed: convert(l.flash_discount.fixed),
+          amount_per_unit: convert(l.flash_discount.amount_per_unit),
+        }
+      : null,
+  }));
+
+  const subtotal = round(lines.reduce((sum, l) => sum + l.line_subtotal, 0));
+  const discount = round(lines.reduce((sum, l) => sum + l.discount_amount, 0));
+  const shipping = convert(pricing.totals.shipping);
+  const tax = convert(pricing.totals.tax);
+
+  return {
+    ...pricing,
+    lines,
+    totals: {
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      total: round(subtotal - discount + shipping + tax),
+    },
+    discounts: pricing.discounts.map((d) => ({
+      ...d,
+      discount_amount: convert(d.discount_amount),
+      shipping_discount: convert(d.shipping_discount),
+    })),
+    flash_discounts: pricing.flash_discounts.map((f) => ({
+      ...f,
+      fixed: convert(f.fixed),
+      amount_per_unit: convert(f.amount_per_unit),
+    })),
+    currency: {
+      code: currency?.code || BASE_CURRENCY.code,
+      symbol: currency?.symbol || BASE_CURRENCY.symbol,
+      symbol_position: currency?.symbol_position || BASE_CURRENCY.symbol_position,
+      decimal_places: currency?.decimal_places ?? BASE_CURRENCY.decimal_places,
+      rate,
+    },
+  };
+};
+
+/**
+ * 🟢 Currency and language a cart or order is presented in.
+ * Unknown currencies are rejected; languages resolve through their fallback
+ * chain, so `language` is the first active language of the chain.
+ */
+export const resolveLocale = async (conn, { currencyCode = BASE_CURRENCY.code, languageCode = null } = {}) => {
+  const code = String(currencyCode || BASE_CURRENCY.code).toUpperCase();
+  const [currency, languageChain] = await Promise.all([
+    getCurrencyByCode(code, conn),
+    resolveLanguageChain(languageCode),
+  ]);
+
+  if (!currency && code !== BASE_CURRENCY.code) {
+    throw pricingError(`Unsupported currency: ${currencyCode}`, 400);
+  }
+
+  return {
+    currency: currency || BASE_CURRENCY,
+    language: languageChain[0],
+    languageChain,
+  };
+};
+
+/**
+ * 🟢 Price a cart for display in the customer's currency and language.
+ * Runs exactly the same engine as order creation (`priceCart`).
+ */
+export const quoteCart = async (
+  conn,
+  {
+    items,
+    currencyCode = BASE_CURRENCY.code,
+    languageCode = null,
+    shippingAddress = null,
+    discountCode = null,
+    visitorId = null,
+  }
+) => {
+  const { currency, language, languageChain } = await resolveLocale(conn, { currencyCode, languageCode });
+
+  const pricing = await priceCart(conn, { items, discountCode, shippingAddress, visitorId });
+  const localized = await localizePricing(conn, pricing, languageChain);
+  const converted = convertPricing(localized, currency);
+
+  return { ...converted, language: language.code };
+};
@@ -0,0 +1,352 @@
+import db from '../database.js';
+import { PRODUCT_IMPORT_COLUMNS } from './productImportModel.js';
+import { attachVariantOptions, variantPrice } from './productVariantModel.js';
+import { liveProductSql, isProductLive } from './productPublishingModel.js';
+import { absoluteUrl } from '../services/storage/index.js';
+
+export const PRODUCT_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const EXPORT_BATCH_SIZE = parseInt(process.env.PRODUCT_EXPORT_BATCH_SIZE || '100', 10);
+
+/**
+ * Columns the export adds after the import columns. The import ignores them
+ * except for Variant Active; sizes and swatches are exported for backups only.
+ */
+export const PRODUCT_EXPORT_ONLY_COLUMNS = [
+  'Product ID',
+  'Variant ID',
+  'Swatch Label',
+  'Swatch Hex',
+  'Swatch Image',
+  'Size ID',
+  'Size Label',
+  'Size Quantity',
+  'Size Active',
+  'Created At',
+  'Updated At',
+];
+
+// Per-language columns, "<column> [<language code>]"
+const TRANSLATION_COLUMNS = ['Title', 'Body (HTML)', 'SEO Title', 'SEO Description', 'Size Label'];
+
+const LEGACY_OPTION_COLUMNS = [
+  ['Color', 'color'],
+  ['Size', 'size'],
+  ['Material', 'material'],
+];
+
+const exportError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const isYes = (value) => value === 'Y' || value === '1' || value === 1 || value === true;
+
+/**
+ * 🟢 Every language with its code, in code order. The CSV has one set of
+ * translation columns per language, so this fixes the column layout.
+ */
+export const getExportLanguages = async () => {
+  const [languages] = await db.query('SELECT language_id, code FROM languages ORDER BY code');
+  return languages;
+};
+
+/**
+ * 🟢 CSV header: the import columns, the export-only columns, then for each
+ * language (by code) Title, Body (HTML), SEO Title, SEO Description and
+ * Size Label as "<column> [<code>]". Columns are only ever appended, so
+ * files from older exports keep their meaning.
+ */
+export const productExportColumns = (languages) => [
+  ...PRODUCT_IMPORT_COLUMNS,
+  ...PRODUCT_EXPORT_ONLY_COLUMNS,
+  ...languages.flatMap((l) => TRANSLATION_COLUMNS.map((column) => `${column} [${l.code}]`)),
+];
+
+// 🔹 Full export records for one batch of product ids
+const loadExportBatch = async (productIds, languageCodes) => {
+  const [[products], [translations], [options], [variantRows], [images], [sizes]] = await Promise.all([
+    db.query(
+      `SELECT p.product_id, p.handle, p.sku, p.base_name, p.base_description, p.base_price, p.sale_price,
+              p.theme_name, p.theme_color, p.status, p.publish_at, p.unpublish_at,
+              p.category_id, c.name AS category_name,
+              p.created_at, p.updated_at, ps.meta_title, ps.meta_description, ps.meta_keywords
+       FROM products p
+       LEFT JOIN categories c ON c.category_id = p.category_id
+       LEFT JOIN product_seo ps ON ps.product_id = p.product_id
+       WHERE p.product_id IN (?)
+       ORDER BY p.product_id`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT product_id, language_id, name, description, meta_title, meta_description
+       FROM product_translations WHERE product_id IN (?)`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT o.product_id, o.option_id, o.name, ov.value, ov.hex_code
+       FROM product_options o
+       INNER JOIN product_option_values ov ON ov.option_id = o.option_id
+       WHERE o.product_id IN (?)
+       ORDER BY o.product_id, o.position, o.option_id, ov.position, ov.value_id`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT pv.variant_id, pv.product_id, pv.sku, pv.barcode, pv.price, pv.price_modifier, pv.weight,
+              pv.color, pv.size, pv.material, pv.is_active,
+              COALESCE(il.on_hand, pv.stock_quantity, 0) AS stock,
+              cs.label AS swatch_label, cs.hex_code AS swatch_hex, cs.image_url AS swatch_image
+       FROM product_variants pv
+       LEFT JOIN (
+         SELECT variant_id, SUM(on_hand) AS on_hand FROM inventory_levels GROUP BY variant_id
+       ) il ON il.variant_id = pv.variant_id
+       LEFT JOIN color_swatches cs ON cs.variant_id = pv.variant_id
+       WHERE pv.product_id IN (?)
+       ORDER BY pv.product_id, pv.is_active DESC, pv.position, pv.variant_id`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT product_id, variant_id, image_url, alt_text, is_primary
+       FROM product_images WHERE product_id IN (?)
+       ORDER BY product_id, is_primary DESC, image_id`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT size_id, product_id, size_tbl_id, size_lebel_text, quantity, is_active
+       FROM product_sizes WHERE product_id IN (?)
+       ORDER BY product_id, size_id`,
+      [productIds]
+    ),
+  ]);
+
+  const [sizeTranslations] = sizes.length
+    ? await db.query('SELECT size_id, language_id, label FROM product_size_translations WHERE size_id IN (?)', [
+        sizes.map((s) => s.size_id),
+      ])
+    : [[]];
+  const variants = await attachVariantOptions(variantRows);
+
+  return products.map((p) => {
+    const base = parseFloat(p.base_price) || 0;
+    const sale = parseFloat(p.sale_price);
+    const onSale = sale > 0 && sale < base;
+    const productPrice = onSale ? sale : base;
+
+    const productOptions = [];
+    for (const o of options.filter((row) => row.product_id === p.product_id)) {
+      let option = productOptions.find((existing) => existing.option_id === o.option_id);
+      if (!option) productOptions.push((option = { option_id: o.option_id, name: o.name, values: [] }));
+      option.values.push({ value: o.value, hex_code: o.hex_code });
+    }
+
+    return {
+      product_id: p.product_id,
+      handle: p.handle,
+      sku: p.sku,
+      name: p.base_name,
+      description: p.base_description,
+      category: { id: p.category_id, name: p.category_name },
+      base_price: base,
+      sale_price: onSale ? sale : null,
+      is_active: isProductLive(p),
+      status: p.status,
+      publish_at: p.publish_at,
+      unpublish_at: p.unpublish_at,
+      theme_name: p.theme_name,
+      theme_color: p.theme_color,
+      seo: { title: p.meta_title, description: p.meta_description, keywords: p.meta_keywords },
+      translations: translations
+        .filter((t) => t.product_id === p.product_id && languageCodes[t.language_id])
+        .map((t) => ({
+          language_code: languageCodes[t.language_id],
+          name: t.name,
+          description: t.description,
+          meta_title: t.meta_title,
+          meta_description: t.meta_description,
+        })),
+      options: productOptions.map(({ option_id, ...option }) => option),
+      variants: variants
+        .filter((v) => v.product_id === p.product_id)
+        .map((v) => ({
+          variant_id: v.variant_id,
+          sku: v.sku,
+          barcode: v.barcode,
+          title: v.title,
+          options: v.options,
+          price: variantPrice(productPrice, v),
+          price_override: v.price === null ? null : parseFloat(v.price),
+          price_modifier: parseFloat(v.price_modifier) || 0,
+          weight: v.weight === null ? null : parseFloat(v.weight),
+          stock: Number(v.stock),
+          is_active: Boolean(v.is_active),
+          color: v.color,
+          size: v.size,
+          material: v.material,
+          swatch: v.swatch_label || v.swatch_hex || v.swatch_image
+            ? { label: v.swatch_label, hex_code: v.swatch_hex, image_url: absoluteUrl(v.swatch_image) }
+            : null,
+        })),
+      sizes: sizes
+        .filter((s) => s.product_id === p.product_id)
+        .map((s) => ({
+          size_id: s.size_id,
+          size_tbl_id: s.size_tbl_id,
+          label: s.size_lebel_text,
+          quantity: s.quantity,
+          is_active: isYes(s.is_active),
+          translations: sizeTranslations
+            .filter((t) => t.size_id === s.size_id && languageCodes[t.language_id])
+            .map((t) => ({ language_code: languageCodes[t.language_id], label: t.label })),
+        })),
+      images: images
+        .filter((i) => i.product_id === p.product_id)
+        .map((i) => ({
+          image_url: absoluteUrl(i.image_url),
+          alt_text: i.alt_text,
+          is_primary: Boolean(i.is_primary),
+          variant_id: i.variant_id,
+        })),
+      created_at: p.created_at,
+      updated_at: p.updated_at,
+    };
+  });
+};
+
+/**
+ * 🟢 Export records for the catalog, in product_id order, a batch at a time
+ * so the whole catalog is never in memory.
+ * filters: { categoryIds?: number[], active?: boolean }
+ */
+export async function* exportProducts({ categoryIds = [], active, languages } = {}) {
+  if (categoryIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw exportError('category must be a list of category ids', 400);
+  }
+
+  const where = ['p.product_id > ?'];
+  const filterParams = [];
+  if (categoryIds.length) {
+    where.push('p.category_id IN (?)');
+    filterParams.push(categoryIds);
+  }
+  if (active !== undefined) {
+    where.push(active ? liveProductSql('p') : `NOT ${liveProductSql('p')}`);
+  }
+
+  const languageCodes = Object.fromEntries((languages || (await getExportLanguages())).map((l) => [l.language_id, l.code]));
+
+  let lastId = 0;
+  for (;;) {
+    const [rows] = await db.query(
+      `SELECT p.product_id FROM products p WHERE ${where.join(' AND ')} ORDER BY p.product_id LIMIT ?`,
+      [lastId, ...filterParams, EXPORT_BATCH_SIZE]
+    );
+    if (!rows.length) return;
+
+    yield await loadExportBatch(rows.map((r) => r.product_id), languageCodes);
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].product_id;
+  }
+}
+
+/**
+ * 🟢 CSV rows of one export record, keyed by productExportColumns(). The
+ * first row carries the product fields; variants, images and sizes each take
+ * one row from the top, so a product spans as many rows as its longest list.
+ */
+export const productCsvRows = (product) => {
+  const variants = product.variants.length ? product.variants : [null];
+  const count = Math.max(variants.length, product.images.length, product.sizes.length);
+
+  // Products built before the option matrix only have the legacy columns
+  let optionNames = product.options.map((o) => o.name);
+  let optionValue = (variant, name) => variant.options?.[name];
+  if (!optionNames.length && product.variants.length) {
+    const legacy = LEGACY_OPTION_COLUMNS.filter(([, column]) => product.variants.every((v) => v[column]));
+    optionNames = legacy.map(([name]) => name);
+    optionValue = (variant, name) => variant[legacy.find(([n]) => n === name)[1]];
+  }
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const row = { Handle: product.handle };
+    const variant = variants[i];
+    const image = product.images[i];
+    const size = product.sizes[i];
+
+    if (i === 0) {
+      Object.assign(row, {
+        Title: product.name,
+        'Body (HTML)': product.description,
+        'Product Category': product.category.name,
+        'Category ID': product.category.id,
+        Tags: product.seo.keywords,
+        Published: product.status === 'published' ? 'TRUE' : 'FALSE',
+        Status: product.status === 'published' ? 'active' : product.status,
+        'Publish At': product.publish_at,
+        'Unpublish At': product.unpublish_at,
+        'SEO Title': product.seo.title,
+        'SEO Description': product.seo.description,
+        'Product SKU': product.sku,
+        'Theme Name': product.theme_name,
+        'Theme Color': product.theme_color,
+        'Product ID': product.product_id,
+        'Created At': product.created_at,
+        'Updated At': product.updated_at,
+      });
+      for (const t of product.translations) {
+        row[`Title [${t.language_code}]`] = t.name;
+        row[`Body (HTML) [${t.language_code}]`] = t.description;
+        row[`SEO Title [${t.language_code}]`] = t.meta_title;
+        row[`SEO Description [${t.language_code}]`] = t.meta_description;
+      }
+      if (!optionNames.length) {
+        row['Option1 Name'] = 'Title';
+        row['Option1 Value'] = 'Default Title';
+      }
+      optionNames.forEach((name, n) => (row[`Option${n + 1} Name`] = name));
+    }
+
+    if (i === 0 && !variant) {
+      // No variants at all: the product itself is the one thing sold
+      row['Variant Price'] = product.sale_price ?? product.base_price;
+      if (product.sale_price !== null) row['Variant Compare At Price'] = product.base_price;
+    }
+
+    if (variant) {
+      optionNames.forEach((name, n) => (row[`Option${n + 1} Value`] = optionValue(variant, name)));
+      Object.assign(row, {
+        'Variant SKU': variant.sku,
+        'Variant Barcode': variant.barcode,
+        'Variant Price': variant.price,
+        'Variant Compare At Price': product.sale_price !== null ? product.base_price : null,
+        'Variant Grams': variant.weight === null ? null : Math.round(variant.weight * 1000),
+        'Variant Inventory Qty': variant.stock,
+        'Variant Active': variant.is_active ? 'TRUE' : 'FALSE',
+        'Variant ID': variant.variant_id,
+        'Swatch Label': variant.swatch?.label,
+        'Swatch Hex': variant.swatch?.hex_code,
+        'Swatch Image': variant.swatch?.image_url,
+      });
+    }
+
+    if (image) {
+      row['Image Src'] = image.image_url;
+      row['Image Alt Text'] = image.alt_text;
+    }
+
+    if (size) {
+      Object.assign(row, {
+        'Size ID': size.size_id,
+        'Size Label': size.label,
+        'Size Quantity': size.quantity,
+        'Size Active': size.is_active ? 'TRUE' : 'FALSE',
+      });
+      for (const t of size.translations) row[`Size Label [${t.language_code}]`] = t.label;
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+};
@@ -0,0 +1,589 @@
+import db from '../database.js';
+import { createFullProduct, updateProductPartial } from './productModel.js';
+import { MAX_VARIANTS_PER_PRODUCT } from './productVariantModel.js';
+
+/**
+ * Columns of a product import file. The Shopify product CSV columns keep
+ * their meaning: rows sharing a Handle are one product, the first row carries
+ * the product fields and every row with option values or a Variant SKU/Price
+ * is one variant. Our own columns are Product SKU, Category ID, Theme Name,
+ * Theme Color, Variant Active (FALSE keeps a variant off sale) and Publish At /
+ * Unpublish At (ISO 8601 launch window; Status active means published).
+ * Translations go in "<column> [<language code>]" columns
+ * (e.g. "Title [fr]") for Title, Body (HTML), SEO Title and SEO Description.
+ */
+export const PRODUCT_IMPORT_COLUMNS = [
+  'Handle',
+  'Title',
+  'Body (HTML)',
+  'Product Category',
+  'Type',
+  'Category ID',
+  'Tags',
+  'Published',
+  'Status',
+  'Publish At',
+  'Unpublish At',
+  'Option1 Name',
+  'Option1 Value',
+  'Option2 Name',
+  'Option2 Value',
+  'Option3 Name',
+  'Option3 Value',
+  'Variant SKU',
+  'Variant Barcode',
+  'Variant Price',
+  'Variant Compare At Price',
+  'Variant Grams',
+  'Variant Inventory Qty',
+  'Variant Active',
+  'Image Src',
+  'Image Alt Text',
+  'SEO Title',
+  'SEO Description',
+  'Product SKU',
+  'Theme Name',
+  'Theme Color',
+];
+
+const TRANSLATED_FIELDS = {
+  Title: 'name',
+  'Body (HTML)': 'description',
+  'SEO Title': 'meta_title',
+  'SEO Description': 'meta_description',
+};
+const TRANSLATION_COLUMN = /^(Title|Body \(HTML\)|SEO Title|SEO Description) \[([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})?)\]$/;
+
+const HANDLE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const OPTION_SLOTS = [1, 2, 3];
+// Shopify product statuses → ours
+const PRODUCT_STATUSES = { active: 'published', draft: 'draft', archived: 'archived' };
+const ERROR_BATCH_SIZE = 500;
+
+const cell = (row, column) => String(row[column] ?? '').trim();
+
+// Shopify gives products without options one "Title: Default Title" option
+const isDefaultOption = (name, value) => name.toLowerCase() === 'title' && value.toLowerCase() === 'default title';
+
+// Every combination of one value per option
+const combinations = (lists) =>
+  lists.reduce((combos, values) => combos.flatMap((combo) => values.map((v) => [...combo, v])), [[]]);
+
+/**
+ * 🟢 Validate import rows and work out what each product would become.
+ * Nothing is written. Returns `products` (one plan per handle: create,
+ * update, or skip when it has errors), per-row `errors` and `warnings`
+ * ({ line, handle, column, message }) and a `summary`.
+ */
+export const planProductImport = async (rows) => {
+  const errors = [];
+  const warnings = [];
+
+  // 🔹 Group rows by handle, in file order
+  const groups = new Map();
+  for (const row of rows) {
+    const handle = cell(row, 'Handle');
+    if (!handle) {
+      errors.push({ line: row.__line, handle: null, column: 'Handle', message: 'Handle is required' });
+    } else if (!HANDLE_PATTERN.test(handle)) {
+      errors.push({
+        line: row.__line,
+        handle,
+        column: 'Handle',
+        message: 'Handle must be lowercase letters, digits and dashes',
+      });
+    } else {
+      if (!groups.has(handle)) groups.set(handle, []);
+      groups.get(handle).push(row);
+    }
+  }
+
+  // 🔹 Everything the rows refer to, loaded once
+  const handles = [...groups.keys()];
+  const fileSkus = [...new Set(rows.map((r) => cell(r, 'Variant SKU')).filter(Boolean))];
+  const fileBarcodes = [...new Set(rows.map((r) => cell(r, 'Variant Barcode')).filter(Boolean))];
+  const productSkus = [...new Set(rows.map((r) => cell(r, 'Product SKU')).filter(Boolean))];
+
+  const [[existing], [categories], [languages], [skuRows], [barcodeRows], [productSkuRows]] = await Promise.all([
+    handles.length
+      ? db.query(
+          `SELECT p.product_id, p.handle, ps.meta_title, ps.meta_description, ps.meta_keywords
+           FROM products p
+           LEFT JOIN product_seo ps ON ps.product_id = p.product_id
+           WHERE p.handle IN (?)`,
+          [handles]
+        )
+      : [[]],
+    db.query('SELECT category_id, name FROM categories'),
+    db.query('SELECT language_id, code FROM languages'),
+    fileSkus.length
+      ? db.query('SELECT sku, product_id FROM product_variants WHERE sku IN (?)', [fileSkus])
+      : [[]],
+    fileBarcodes.length
+      ? db.query('SELECT barcode, product_id FROM product_variants WHERE barcode IN (?)', [fileBarcodes])
+      : [[]],
+    productSkus.length ? db.query('SELECT sku, product_id FROM products WHERE sku IN (?)', [productSkus]) : [[]],
+  ]);
+
+  const existingByHandle = Object.fromEntries(existing.map((p) => [p.handle, p]));
+  const categoryIds = new Set(categories.map((c) => c.category_id));
+  const categoryByName = Object.fromEntries(categories.map((c) => [c.name.trim().toLowerCase(), c.category_id]));
+  const languageByCode = Object.fromEntries(languages.map((l) => [l.code.toLowerCase(), l.language_id]));
+  const skuOwner = Object.fromEntries(skuRows.map((r) => [r.sku.toUpperCase(), r.product_id]));
+  const barcodeOwner = Object.fromEntries(barcodeRows.map((r) => [r.barcode, r.product_id]));
+  const productSkuOwner = Object.fromEntries(productSkuRows.map((r) => [r.sku.toUpperCase(), r.product_id]));
+
+  const headerColumns = rows.length ? Object.keys(rows[0]) : [];
+  const translationColumns = headerColumns
+    .map((column) => ({ column, match: column.match(TRANSLATION_COLUMN) }))
+    .filter((c) => c.match)
+    .map(({ column, match }) => ({ column, field: TRANSLATED_FIELDS[match[1]], code: match[2] }));
+
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+  const products = [];
+
+  for (const [handle, groupRows] of groups) {
+    const first = groupRows[0];
+    const current = existingByHandle[handle] || null;
+    const action = current ? 'update' : 'create';
+    const errorsBefore = errors.length;
+    const fail = (row, column, message) => errors.push({ line: row.__line, handle, column, message });
+    const warn = (row, column, message) => warnings.push({ line: row.__line, handle, column, message });
+
+    // 🔹 Product fields (first row)
+    const title = cell(first, 'Title');
+    const body = cell(first, 'Body (HTML)');
+    if (action === 'create' && !title) fail(first, 'Title', 'Title is required for a new product');
+
+    let categoryId;
+    const categoryIdCell = cell(first, 'Category ID');
+    const categoryName = cell(first, 'Product Category') || cell(first, 'Type');
+    if (categoryIdCell) {
+      categoryId = Number(categoryIdCell);
+      if (!categoryIds.has(categoryId)) fail(first, 'Category ID', `Category ${categoryIdCell} does not exist`);
+    } else if (categoryName) {
+      // Shopify categories are taxonomy paths ("Apparel > Shirts"); match the leaf
+      categoryId = categoryByName[categoryName.split('>').pop().trim().toLowerCase()];
+      if (!categoryId) fail(first, 'Product Category', `Category "${categoryName}" does not exist`);
+    } else if (action === 'create') {
+      fail(first, 'Product Category', 'A category is required for a new product');
+    }
+
+    let productStatus = action === 'create' ? 'published' : undefined;
+    const status = cell(first, 'Status').toLowerCase();
+    const published = cell(first, 'Published').toLowerCase();
+    if (status) {
+      if (!PRODUCT_STATUSES[status]) {
+        fail(first, 'Status', `Status must be one of ${Object.keys(PRODUCT_STATUSES).join(', ')}`);
+      }
+      productStatus = PRODUCT_STATUSES[status];
+    } else if (published) {
+      if (!['true', 'false', 'yes', 'no', '1', '0'].includes(published)) {
+        fail(first, 'Published', 'Published must be TRUE or FALSE');
+      }
+      productStatus = ['true', 'yes', '1'].includes(published) ? 'published' : 'draft';
+    }
+
+    const schedule = {};
+    for (const [column, field] of [['Publish At', 'publish_at'], ['Unpublish At', 'unpublish_at']]) {
+      const value = cell(first, column);
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) fail(first, column, `${column} must be a date and time (e.g. 2026-03-01T09:00:00Z)`);
+      else schedule[field] = date;
+    }
+    if (schedule.publish_at && schedule.unpublish_at && schedule.unpublish_at <= schedule.publish_at) {
+      fail(first, 'Unpublish At', 'Unpublish At must be after Publish At');
+    }
+
+    const productSku = cell(first, 'Product SKU');
+    if (productSku) {
+      const owner = productSkuOwner[productSku.toUpperCase()];
+      if (owner && owner !== current?.product_id) fail(first, 'Product SKU', `SKU ${productSku} belongs to another product`);
+    }
+
+    // 🔹 Options: names come from the first row, values from each variant row
+    const slots = OPTION_SLOTS.filter((n) => cell(first, `Option${n} Name`));
+    const simple =
+      slots.length === 0 ||
+      (slots.length === 1 && isDefaultOption(cell(first, `Option${slots[0]} Name`), cell(first, `Option${slots[0]} Value`)));
+    const optionNames = simple ? [] : slots.map((n) => cell(first, `Option${n} Name`));
+    if (new Set(optionNames.map((n) => n.toLowerCase())).size !== optionNames.length) {
+      fail(first, 'Option1 Name', 'Option names must be different');
+    }
+
+    // 🔹 Variant and image rows
+    const variants = [];
+    const images = [];
+    const seenCombos = new Set();
+
+    for (const row of groupRows) {
+      const imageSrc = cell(row, 'Image Src');
+      if (imageSrc) {
+        if (/^https?:\/\/\S+$/i.test(imageSrc)) {
+          images.push({ url: imageSrc, alt_text: cell(row, 'Image Alt Text') || title || handle });
+        } else {
+          fail(row, 'Image Src', 'Image Src must be an http(s) URL');
+        }
+      }
+
+      const values = slots.map((n) => cell(row, `Option${n} Value`));
+      if (!values.some(Boolean) && !cell(row, 'Variant SKU') && !cell(row, 'Variant Price')) continue; // image-only row
+
+      if (!simple) {
+        const missing = slots.find((n, i) => !values[i]);
+        if (missing) {
+          fail(row, `Option${missing} Value`, 'Every option needs a value on a variant row');
+          continue;
+        }
+        const key = values.map((v) => v.toLowerCase()).join('\u0000');
+        if (seenCombos.has(key)) {
+          fail(row, `Option${slots[0]} Value`, `Variant ${values.join(' / ')} is listed twice`);
+          continue;
+        }
+        seenCombos.add(key);
+      } else if (variants.length) {
+        fail(row, 'Variant SKU', 'A product without options has a single variant row');
+        continue;
+      }
+
+      const number = (column, { integer = false } = {}) => {
+        const raw = cell(row, column);
+        if (raw === '') return null;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+          fail(row, column, `${column} must be ${integer ? 'a whole number' : 'a number'}, zero or more`);
+          return null;
+        }
+        return value;
+      };
+
+      const sku = cell(row, 'Variant SKU');
+      if (sku) {
+        const key = sku.toUpperCase();
+        const owner = skuOwner[key];
+        if (seenSkus.has(key)) fail(row, 'Variant SKU', `SKU ${sku} is also used on line ${seenSkus.get(key)}`);
+        else if (owner && owner !== current?.product_id) fail(row, 'Variant SKU', `SKU ${sku} belongs to another product`);
+        seenSkus.set(key, row.__line);
+      }
+
+      const barcode = cell(row, 'Variant Barcode');
+      if (barcode) {
+        const owner = barcodeOwner[barcode];
+        if (!/^[0-9A-Za-z-]{4,64}$/.test(barcode)) {
+          fail(row, 'Variant Barcode', 'Barcode must be 4-64 letters, digits or dashes');
+        } else if (seenBarcodes.has(barcode)) {
+          fail(row, 'Variant Barcode', `Barcode ${barcode} is also used on line ${seenBarcodes.get(barcode)}`);
+        } else if (owner && owner !== current?.product_id) {
+          fail(row, 'Variant Barcode', `Barcode ${barcode} belongs to another product`);
+        }
+        seenBarcodes.set(barcode, row.__line);
+      }
+
+      variants.push({
+        row,
+        values,
+        options: Object.fromEntries(optionNames.map((name, i) => [name, values[i]])),
+        sku,
+        barcode,
+        price: number('Variant Price'),
+        compareAt: number('Variant Compare At Price'),
+        grams: number('Variant Grams'),
+        stock: number('Variant Inventory Qty', { integer: true }),
+        active: !['false', 'no', '0'].includes(cell(row, 'Variant Active').toLowerCase()),
+      });
+    }
+
+    const lead = variants[0];
+    if (action === 'create' && !(lead?.price > 0)) {
+      fail(lead?.row || first, 'Variant Price', 'A new product needs a variant row with a price above zero');
+    }
+    // The matrix holds every combination, including the ones the file leaves out
+    const valueLists = optionNames.map((_, i) => [
+      ...new Map(variants.map((v) => [v.values[i].toLowerCase(), v.values[i]])).values(),
+    ]);
+    const matrixSize = valueLists.reduce((n, values) => n * values.length, 1);
+    if (!simple && matrixSize > MAX_VARIANTS_PER_PRODUCT) {
+      fail(first, 'Option1 Value', `The options make ${matrixSize} variants; the limit is ${MAX_VARIANTS_PER_PRODUCT}`);
+    }
+    if (simple && lead && (lead.barcode || lead.grams !== null || lead.stock !== null)) {
+      warn(lead.row, 'Variant Inventory Qty', 'Stock, barcode and weight are only stored for products with options');
+    }
+    if (action === 'update' && images.length) {
+      warn(first, 'Image Src', 'Images are only imported for new products');
+    }
+
+    // 🔹 Translations (first row)
+    const translations = {};
+    for (const { column, field, code } of translationColumns) {
+      const value = cell(first, column);
+      if (!value) continue;
+      const languageId = languageByCode[code.toLowerCase()];
+      if (!languageId) {
+        fail(first, column, `Language ${code} does not exist`);
+        continue;
+      }
+      translations[code] ||= { language_id: languageId, code };
+      translations[code][field] = value;
+    }
+
+    const valid = errors.length === errorsBefore;
+    const plan = {
+      handle,
+      action: valid ? action : 'skip',
+      product_id: current?.product_id ?? null,
+      lines: groupRows.map((r) => r.__line),
+      option_names: optionNames,
+      variant_count: simple ? 0 : variants.length,
+      valid,
+      data: null,
+    };
+
+    if (valid) {
+      // The first variant's price is the product price; a compare-at price
+      // above it makes that the list price and puts the product on sale
+      let basePrice;
+      let salePrice;
+      if (lead?.price !== null && lead?.price !== undefined) {
+        const onSale = lead.compareAt !== null && lead.compareAt > lead.price;
+        basePrice = onSale ? lead.compareAt : lead.price;
+        salePrice = onSale ? lead.price : null;
+      }
+
+      let options;
+      let variantUpdates = [];
+      if (!simple) {
+        options = optionNames.map((name, i) => ({ name, values: valueLists[i] }));
+
+        variantUpdates = variants.map((v) => ({
+          options: v.options,
+          ...(v.sku && { sku: v.sku }),
+          ...(v.barcode && { barcode: v.barcode }),
+          ...(v.price !== null && { price: v.price === lead.price ? null : v.price }),
+          ...(v.grams !== null && { weight: v.grams / 1000 }),
+          ...(v.stock !== null && { stock: v.stock }),
+          is_active: v.active,
+        }));
+
+        // Combinations the file leaves out exist in the matrix but are not sold
+        for (const combo of combinations(valueLists)) {
+          if (seenCombos.has(combo.map((v) => v.toLowerCase()).join('\u0000'))) continue;
+          variantUpdates.push({ options: Object.fromEntries(optionNames.map((n, i) => [n, combo[i]])), is_active: false });
+        }
+      }
+
+      const tags = cell(first, 'Tags');
+      const seoTitle = cell(first, 'SEO Title');
+      const seoDescription = cell(first, 'SEO Description');
+
+      plan.data =
+        action === 'create'
+          ? {
+              category_id: categoryId,
+              sku: productSku || (simple && lead.sku) || handle.toUpperCase(),
+              handle,
+              base_name: title,
+              description: body,
+              base_price: basePrice,
+              sale_price: salePrice,
+              themeColor: cell(first, 'Theme Color'),
+              themeName: cell(first, 'Theme Name'),
+              status: productStatus,
+              publish_at: schedule.publish_at || null,
+              unpublish_at: schedule.unpublish_at || null,
+              translations: Object.values(translations),
+              options: options || [],
+              variant_updates: variantUpdates,
+              product_images: images,
+              seo_meta_title: seoTitle || title,
+              seo_meta_description: seoDescription,
+              seo_meta_keywords: tags ? tags.split(',').map((t) => t.trim()).filter(Boolean) : [],
+            }
+          : {
+              base_name: title || undefined,
+              base_description: body || undefined,
+              base_price: basePrice,
+              sale_price: basePrice !== undefined ? salePrice : undefined,
+              theme_name: cell(first, 'Theme Name') || undefined,
+              theme_color: cell(first, 'Theme Color') || undefined,
+              category_id: categoryId,
+              status: productStatus,
+              publish_at: schedule.publish_at,
+              unpublish_at: schedule.unpublish_at,
+              seo:
+                seoTitle || seoDescription || tags
+                  ? {
+                      title: seoTitle || current.meta_title || '',
+                      description: seoDescription || current.meta_description || '',
+                      keywords: tags || current.meta_keywords || '',
+                    }
+                  : undefined,
+              translations: Object.values(translations),
+              options,
+              variant_updates: variantUpdates,
+            };
+    }
+
+    products.push(plan);
+  }
+
+  return {
+    products,
+    errors,
+    warnings,
+    summary: {
+      rows: rows.length,
+      products: products.length,
+      create: products.filter((p) => p.action === 'create').length,
+      update: products.filter((p) => p.action === 'update').length,
+      skip: products.filter((p) => p.action === 'skip').length,
+      errors: errors.length,
+      warnings: warnings.length,
+    },
+  };
+};
+
+/**
+ * 🟢 Write the valid products of a plan, one transaction per product, with
+ * the same code paths as the product create / update endpoints. A product
+ * that fails is reported and the rest carry on.
+ */
+export const executeProductImport = async (plans) => {
+  const result = { created: 0, updated: 0, failed: 0, errors: [] };
+
+  for (const plan of plans) {
+    if (!plan.valid) continue;
+    try {
+      if (plan.action === 'create') {
+        plan.product_id = await createFullProduct(plan.data, []);
+        result.created++;
+      } else {
+        await updateProductPartial(plan.product_id, plan.data);
+        result.updated++;
+      }
+    } catch (err) {
+      result.failed++;
+      result.errors.push({ line: plan.lines[0], handle: plan.handle, column: null, message: err.message });
+    }
+  }
+
+  return result;
+};
+
+// ====================
+// 🗂️ Import jobs
+// ====================
+
+const JOB_COLUMNS = `job_id, status, file_name, total_rows, total_products, created_count, updated_count,
+  failed_count, error_count, error_message, created_by, created_at, started_at, finished_at`;
+
+export const getImportJob = async (jobId) => {
+  const [rows] = await db.query(`SELECT ${JOB_COLUMNS} FROM product_import_jobs WHERE job_id = ?`, [jobId]);
+  return rows[0] || null;
+};
+
+export const listImportJobs = async ({ limit = 20, offset = 0 } = {}) => {
+  const [rows] = await db.query(
+    `SELECT ${JOB_COLUMNS} FROM product_import_jobs ORDER BY job_id DESC LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+  return rows;
+};
+
+export const getImportJobErrors = async (jobId) => {
+  const [rows] = await db.query(
+    `SELECT line, handle, column_name AS \`column\`, message
+     FROM product_import_job_errors
+     WHERE job_id = ?
+     ORDER BY line IS NULL, line, error_id`,
+    [jobId]
+  );
+  return rows;
+};
+
+/**
+ * 🟢 Queue parsed rows for the background runner
+ */
+export const createImportJob = async ({ fileName = null, rows, createdBy = null }) => {
+  const handles = new Set(rows.map((r) => cell(r, 'Handle')).filter(Boolean));
+  const [result] = await db.query(
+    `INSERT INTO product_import_jobs (file_name, payload, total_rows, total_products, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [fileName, JSON.stringify(rows), rows.length, handles.size, createdBy]
+  );
+  return getImportJob(result.insertId);
+};
+
+/**
+ * 🟢 Take the oldest queued job. The status check in the UPDATE means two
+ * runners can never take the same job.
+ */
+export const claimNextImportJob = async () => {
+  const [queued] = await db.query(
+    `SELECT job_id FROM product_import_jobs WHERE status = 'queued' ORDER BY job_id LIMIT 1`
+  );
+  if (!queued.length) return null;
+
+  const [claimed] = await db.query(
+    `UPDATE product_import_jobs SET status = 'running', started_at = NOW() WHERE job_id = ? AND status = 'queued'`,
+    [queued[0].job_id]
+  );
+  if (!claimed.affectedRows) return claimNextImportJob();
+
+  const [rows] = await db.query('SELECT job_id, payload FROM product_import_jobs WHERE job_id = ?', [
+    queued[0].job_id,
+  ]);
+  return rows[0];
+};
+
+/**
+ * 🟢 Jobs left running by a stopped server go back to the queue. Imports
+ * match products by handle, so running one again updates what it created.
+ */
+export const requeueInterruptedImportJobs = async () => {
+  const [result] = await db.query(
+    `UPDATE product_import_jobs SET status = 'queued', started_at = NULL WHERE status = 'running'`
+  );
+  return result.affectedRows;
+};
+
+/**
+ * 🟢 Plan and run a claimed job, store its errors and counts, and drop the
+ * payload. The plan is made again here because the catalog may have changed
+ * since the upload.
+ */
+export const runImportJob = async (job) => {
+  try {
+    const plan = await planProductImport(JSON.parse(job.payload || '[]'));
+    const result = await executeProductImport(plan.products);
+    const errors = [...plan.errors, ...result.errors];
+
+    for (let i = 0; i < errors.length; i += ERROR_BATCH_SIZE) {
+      await db.query(
+        `INSERT INTO product_import_job_errors (job_id, line, handle, column_name, message) VALUES ?`,
+        [
+          errors
+            .slice(i, i + ERROR_BATCH_SIZE)
+            .map((e) => [job.job_id, e.line ?? null, e.handle, e.column, String(e.message).slice(0, 500)]),
+        ]
+      );
+    }
+
+    await db.query(
+      `UPDATE product_import_jobs
+       SET status = 'completed', payload = NULL, created_count = ?, updated_count = ?, failed_count = ?,
+           error_count = ?, finished_at = NOW()
+       WHERE job_id = ?`,
+      [result.created, result.updated, result.failed + plan.summary.skip, errors.length, job.job_id]
+    );
+  } catch (err) {
+    await db.query(
+      `UPDATE product_import_jobs SET status = 'failed', error_message = ?, finished_at = NOW() WHERE job_id = ?`,
+      [err.message, job.job_id]
+    );
+    throw err;
+  }
+
+  return getImportJob(job.job_id);
+};
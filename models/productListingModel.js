@@ -0,0 +1,389 @@
+import db from '../database.js';
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from './LanguageModel.js';
+import { liveProductSql } from './productPublishingModel.js';
+
+export const LISTING_SORTS = ['newest', 'price_asc', 'price_desc', 'popularity'];
+
+// Admin status filter: active / inactive is "live right now"; the rest match
+// the product status, with scheduled = published but publish_at still ahead
+export const LISTING_STATUSES = ['active', 'inactive', 'draft', 'published', 'archived', 'scheduled'];
+
+// Lower bounds of the price facet buckets; the last one is open-ended
+export const PRICE_BUCKETS = [0, 25, 50, 100, 200, 500];
+
+// Popularity = units sold (net of refunds) over this many days
+const POPULARITY_WINDOW_DAYS = parseInt(process.env.POPULARITY_WINDOW_DAYS || '90', 10);
+
+// Sort column per sort; product_id breaks ties so cursors never skip or repeat
+const SORTS = {
+  newest: { column: 'created_at', dir: 'DESC' },
+  price_asc: { column: 'effective_price', dir: 'ASC' },
+  price_desc: { column: 'effective_price', dir: 'DESC' },
+  popularity: { column: 'units_sold', dir: 'DESC' },
+};
+
+const ON_SALE_SQL = 'p.sale_price > 0 AND p.sale_price < p.base_price';
+const HEX_SQL = "LOWER(TRIM(LEADING '#' FROM cs.hex_code))";
+
+const listingError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// 🔹 One row per product with everything the filters and sorts look at.
+// Stock comes from the variants (inventory_levels, else stock_quantity) and,
+// for products without variants, from their active sizes.
+const listingSource = (includeInactive) => ({
+  sql: `(
+    SELECT p.product_id, p.category_id, p.created_at, p.status, p.publish_at, p.unpublish_at,
+           CASE WHEN ${liveProductSql('p')} THEN 1 ELSE 0 END AS is_live,
+           CASE WHEN ${ON_SALE_SQL} THEN p.sale_price ELSE p.base_price END AS effective_price,
+           CASE WHEN ${ON_SALE_SQL} THEN 1 ELSE 0 END AS on_sale,
+           COALESCE(vs.available, ss.available, 0) AS available,
+           COALESCE(sold.units_sold, 0) AS units_sold
+    FROM products p
+    LEFT JOIN (
+      SELECT pv.product_id, SUM(GREATEST(COALESCE(il.available, pv.stock_quantity, 0), 0)) AS available
+      FROM product_variants pv
+      LEFT JOIN (
+        SELECT variant_id, SUM(GREATEST(on_hand - reserved, 0)) AS available
+        FROM inventory_levels
+        GROUP BY variant_id
+      ) il ON il.variant_id = pv.variant_id
+      WHERE pv.is_active = 1
+      GROUP BY pv.product_id
+    ) vs ON vs.product_id = p.product_id
+    LEFT JOIN (
+      SELECT product_id, SUM(GREATEST(quantity, 0)) AS available
+      FROM product_sizes
+      WHERE is_active IN ('Y', '1')
+      GROUP BY product_id
+    ) ss ON ss.product_id = p.product_id
+    LEFT JOIN (
+      SELECT oi.product_id, SUM(oi.quantity - oi.refunded_quantity) AS units_sold
+      FROM order_items oi
+      INNER JOIN orders o ON o.order_id = oi.order_id
+      WHERE o.status NOT IN ('pending', 'cancelled', 'refunded')
+        AND o.created_at >= NOW() - INTERVAL ? DAY
+      GROUP BY oi.product_id
+    ) sold ON sold.product_id = p.product_id
+    ${includeInactive ? '' : `WHERE ${liveProductSql('p')}`}
+  ) lp`,
+  params: [POPULARITY_WINDOW_DAYS],
+});
+
+// 🔹 WHERE clauses for the active filters. Facet counts leave out their own
+// filter (`except`) so picking "red" still shows how many blue products exist.
+const filterClauses = (filters, except = null) => {
+  const where = [];
+  const params = [];
+
+  if (filters.categories.length && except !== 'category') {
+    where.push('lp.category_id IN (?)');
+    params.push(filters.categories);
+  }
+  if (except !== 'price') {
+    if (filters.minPrice !== null) {
+      where.push('lp.effective_price >= ?');
+      params.push(filters.minPrice);
+    }
+    if (filters.maxPrice !== null) {
+      where.push('lp.effective_price <= ?');
+      params.push(filters.maxPrice);
+    }
+  }
+  if (filters.colors.length && except !== 'color') {
+    where.push(`EXISTS (
+      SELECT 1 FROM product_variants fpv
+      INNER JOIN color_swatches cs ON cs.swatch_id = fpv.swatch_id
+      WHERE fpv.product_id = lp.product_id AND fpv.is_active = 1 AND ${HEX_SQL} IN (?)
+    )`);
+    params.push(filters.colors);
+  }
+  if (filters.sizes.length && except !== 'size') {
+    where.push(`EXISTS (
+      SELECT 1 FROM product_sizes fps
+      WHERE fps.product_id = lp.product_id AND fps.is_active IN ('Y', '1') AND fps.size_tbl_id IN (?)
+    )`);
+    params.push(filters.sizes);
+  }
+  if (filters.inStock && except !== 'in_stock') where.push('lp.available > 0');
+  if (filters.onSale && except !== 'on_sale') where.push('lp.on_sale = 1');
+  if (filters.status === 'active' || filters.status === 'inactive') {
+    where.push('lp.is_live = ?');
+    params.push(filters.status === 'active' ? 1 : 0);
+  } else if (filters.status === 'scheduled') {
+    where.push("lp.status = 'published' AND lp.publish_at > NOW()");
+  } else if (filters.status) {
+    where.push('lp.status = ?');
+    params.push(filters.status);
+  }
+
+  return { where, params };
+};
+
+const whereSql = (where) => (where.length ? `WHERE ${where.join(' AND ')}` : '');
+
+// 🔹 Cursors are opaque to clients: the sort they belong to plus the last
+// row's sort value and id
+const encodeCursor = (sort, row) => {
+  const value = row[SORTS[sort].column];
+  return Buffer.from(
+    JSON.stringify({ s: sort, v: value instanceof Date ? value.toISOString() : value, id: row.product_id })
+  ).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw listingError('Invalid cursor', 400);
+  }
+  if (!parsed || parsed.s !== sort || !Number.isInteger(parsed.id) || parsed.v === undefined) {
+    throw listingError('Invalid cursor for this sort order', 400, { sort });
+  }
+  return {
+    value: SORTS[sort].column === 'created_at' ? new Date(parsed.v) : parsed.v,
+    id: parsed.id,
+  };
+};
+
+// 🔹 Facet counts, each computed with every filter but its own
+const loadFacets = async (source, filters, chain) => {
+  const run = async (except, select, joins = '', extraWhere = [], groupBy = '') => {
+    const { where, params } = filterClauses(filters, except);
+    const [rows] = await db.query(
+      `SELECT ${select} FROM ${source.sql} ${joins} ${whereSql([...where, ...extraWhere])} ${groupBy}`,
+      [...source.params, ...params]
+    );
+    return rows;
+  };
+
+  const bucketSelect = PRICE_BUCKETS.map((from, i) => {
+    const to = PRICE_BUCKETS[i + 1];
+    const range = to === undefined ? `lp.effective_price >= ${from}` : `lp.effective_price >= ${from} AND lp.effective_price < ${to}`;
+    return `SUM(CASE WHEN ${range} THEN 1 ELSE 0 END) AS b${i}`;
+  }).join(', ');
+
+  const [categories, [price], colors, sizes, [stock], [sale]] = await Promise.all([
+    run('category', 'lp.category_id AS value, COUNT(*) AS count', '', ['lp.category_id IS NOT NULL'], 'GROUP BY lp.category_id'),
+    run('price', `MIN(lp.effective_price) AS min, MAX(lp.effective_price) AS max, ${bucketSelect}`),
+    run(
+      'color',
+      `${HEX_SQL} AS value, MIN(cs.label) AS label, COUNT(DISTINCT lp.product_id) AS count`,
+      `INNER JOIN product_variants pv ON pv.product_id = lp.product_id AND pv.is_active = 1
+       INNER JOIN color_swatches cs ON cs.swatch_id = pv.swatch_id`,
+      ['cs.hex_code IS NOT NULL'],
+      'GROUP BY value ORDER BY count DESC, value'
+    ),
+    run(
+      'size',
+      'ps.size_tbl_id AS value, s.name AS label, COUNT(DISTINCT lp.product_id) AS count',
+      `INNER JOIN product_sizes ps ON ps.product_id = lp.product_id AND ps.is_active IN ('Y', '1')
+       INNER JOIN sizes s ON s.id = ps.size_tbl_id`,
+      [],
+      'GROUP BY ps.size_tbl_id, s.name ORDER BY s.name'
+    ),
+    run('in_stock', 'COALESCE(SUM(CASE WHEN lp.available > 0 THEN 1 ELSE 0 END), 0) AS count'),
+    run('on_sale', 'COALESCE(SUM(lp.on_sale), 0) AS count'),
+  ]);
+
+  // 🔹 Category and size names in the requested language
+  const languageIds = chainLanguageIds(chain);
+  const categoryIds = categories.map((c) => c.value);
+  const sizeIds = sizes.map((s) => s.value);
+  const [[categoryRows], [categoryTranslations], [sizeTranslations]] = await Promise.all([
+    categoryIds.length
+      ? db.query('SELECT category_id, name FROM categories WHERE category_id IN (?)', [categoryIds])
+      : [[]],
+    categoryIds.length
+      ? db.query(
+          'SELECT category_id, language_id, name FROM category_translations WHERE category_id IN (?) AND language_id IN (?)',
+          [categoryIds, languageIds]
+        )
+      : [[]],
+    sizeIds.length
+      ? db.query(
+          'SELECT size_tbl_id, language_id, label FROM product_size_translations WHERE size_tbl_id IN (?) AND language_id IN (?)',
+          [sizeIds, languageIds]
+        )
+      : [[]],
+  ]);
+  const categoryNames = Object.fromEntries(categoryRows.map((c) => [c.category_id, c.name]));
+
+  return {
+    category: categories
+      .map((c) => ({
+        value: c.value,
+        label:
+          pickTranslation(categoryTranslations.filter((t) => t.category_id === c.value), chain, ['name'])?.name ||
+          categoryNames[c.value] ||
+          null,
+        count: Number(c.count),
+        selected: filters.categories.includes(c.value),
+      }))
+      .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label))),
+    price: {
+      min: price?.min != null ? parseFloat(price.min) : null,
+      max: price?.max != null ? parseFloat(price.max) : null,
+      selected: { min: filters.minPrice, max: filters.maxPrice },
+      buckets: PRICE_BUCKETS.map((from, i) => ({
+        min: from,
+        max: PRICE_BUCKETS[i + 1] ?? null,
+        count: Number(price?.[`b${i}`] || 0),
+      })),
+    },
+    color: colors.map((c) => ({
+      value: `#${c.value}`,
+      label: c.label,
+      count: Number(c.count),
+      selected: filters.colors.includes(c.value),
+    })),
+    size: sizes.map((s) => ({
+      value: s.value,
+      label:
+        pickTranslation(sizeTranslations.filter((t) => t.size_tbl_id === s.value), chain, ['label'])?.label || s.label,
+      count: Number(s.count),
+      selected: filters.sizes.includes(s.value),
+    })),
+    in_stock: { count: Number(stock?.count || 0), selected: filters.inStock },
+    on_sale: { count: Number(sale?.count || 0), selected: filters.onSale },
+  };
+};
+
+// 🔹 Display data for one page of products
+const loadPageProducts = async (rows, chain, includeInactive) => {
+  if (!rows.length) return [];
+  const productIds = rows.map((r) => r.product_id);
+
+  const [[products], [translations], [images], [swatches]] = await Promise.all([
+    db.query(
+      `SELECT p.product_id, p.handle, p.sku, p.base_name, p.base_price, p.sale_price, p.theme_name,
+              p.theme_color, p.category_id, c.name AS category_name
+       FROM products p
+       LEFT JOIN categories c ON c.category_id = p.category_id
+       WHERE p.product_id IN (?)`,
+      [productIds]
+    ),
+    db.query(
+      'SELECT product_id, language_id, name FROM product_translations WHERE product_id IN (?) AND language_id IN (?)',
+      [productIds, chainLanguageIds(chain)]
+    ),
+    db.query(
+      `SELECT product_id, image_url, alt_text FROM product_images
+       WHERE product_id IN (?)
+       ORDER BY is_primary DESC, image_id ASC`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT pv.product_id, cs.hex_code, cs.label, cs.image_url
+       FROM product_variants pv
+       INNER JOIN color_swatches cs ON cs.swatch_id = pv.swatch_id
+       WHERE pv.product_id IN (?) AND pv.is_active = 1
+       ORDER BY pv.position, pv.variant_id`,
+      [productIds]
+    ),
+  ]);
+
+  const productMap = Object.fromEntries(products.map((p) => [p.product_id, p]));
+
+  return rows
+    .filter((r) => productMap[r.product_id])
+    .map((r) => {
+      const p = productMap[r.product_id];
+      const t = pickTranslation(translations.filter((tr) => tr.product_id === p.product_id), chain, ['name']);
+      const item = {
+        product_id: p.product_id,
+        slug: p.handle,
+        sku: p.sku,
+        name: t?.name || p.base_name,
+        category: { id: p.category_id, name: p.category_name },
+        base_price: p.base_price,
+        sale_price: p.sale_price,
+        price: parseFloat(r.effective_price),
+        on_sale: Boolean(r.on_sale),
+        in_stock: Number(r.available) > 0,
+        theme_name: p.theme_name,
+        colorWay: p.theme_name ? `${p.theme_name}-${p.theme_color}` : p.theme_color || '',
+        releaseDate: new Date(r.created_at || Date.now()).toISOString().split('T')[0],
+        images: images.filter((img) => img.product_id === p.product_id).map((img) => img.image_url),
+        swatches: swatches
+          .filter((s) => s.product_id === p.product_id)
+          .map((s) => ({ hex_code: s.hex_code, label: s.label, image_url: s.image_url })),
+      };
+      if (includeInactive) {
+        item.is_active = Boolean(r.is_live);
+        item.status = r.status;
+        item.publish_at = r.publish_at;
+        item.unpublish_at = r.unpublish_at;
+        item.available = Number(r.available);
+        item.units_sold = Number(r.units_sold);
+      }
+      return item;
+    });
+};
+
+/**
+ * 🟢 One page of a filtered, sorted product listing with facet counts.
+ *
+ * filters: { categories: [id], minPrice, maxPrice, colors: ['ff0000'],
+ * sizes: [sizes.id], inStock, onSale, status? } — colors are lower-case hex
+ * without '#'. `cursor` is the `next_cursor` of the previous page.
+ * `includeInactive` (admin) lists inactive products too and adds stock and
+ * sales figures to each item.
+ */
+export const listProducts = async ({
+  filters,
+  sort = 'newest',
+  limit = 24,
+  cursor = null,
+  lang = null,
+  includeInactive = false,
+}) => {
+  if (!SORTS[sort]) throw listingError('Invalid sort', 400, { allowed_sorts: LISTING_SORTS });
+
+  const chain = await resolveLanguageChain(lang);
+  const source = listingSource(includeInactive);
+  const { where, params } = filterClauses(filters);
+  const { column, dir } = SORTS[sort];
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    const op = dir === 'ASC' ? '>' : '<';
+    pageWhere.push(`(lp.${column} ${op} ? OR (lp.${column} = ? AND lp.product_id ${op} ?))`);
+    pageParams.push(after.value, after.value, after.id);
+  }
+
+  const [[pageRows], [[{ total }]], facets] = await Promise.all([
+    db.query(
+      `SELECT lp.* FROM ${source.sql}
+       ${whereSql(pageWhere)}
+       ORDER BY lp.${column} ${dir}, lp.product_id ${dir}
+       LIMIT ?`,
+      [...source.params, ...pageParams, limit + 1]
+    ),
+    db.query(`SELECT COUNT(*) AS total FROM ${source.sql} ${whereSql(where)}`, [...source.params, ...params]),
+    loadFacets(source, filters, chain),
+  ]);
+
+  const hasMore = pageRows.length > limit;
+  const rows = pageRows.slice(0, limit);
+
+  return {
+    data: await loadPageProducts(rows, chain, includeInactive),
+    facets,
+    sort,
+    language: chain[0].code,
+    pagination: {
+      limit,
+      total: Number(total),
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(sort, rows[rows.length - 1]) : null,
+    },
+  };
+};
@@ -1,6 +1,50 @@
 import db from "../database.js";
-import fs from "fs/promises";
+import { getCurrencyByCode, roundCurrency, BASE_CURRENCY } from "./currencyModel.js";
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from "./LanguageModel.js";
+import {
+  getProductOptions,
+  attachVariantOptions,
+  variantPrice,
+  generateVariantMatrix,
+  applyVariantUpdates,
+} from "./productVariantModel.js";
+import { imageSrcset, removeProcessedImages } from "../services/imagePipeline.js";
+import {
+  liveProductSql,
+  isProductLive,
+  resolvePublishing,
+  hasPublishingChanges,
+  applyPublishingChange,
+  recordPublishEvent,
+  emitPublishEvents,
+} from "./productPublishingModel.js";
+import { publicUrl, deleteFileByUrl } from "../services/storage/index.js";
+
+const productError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
 
+// 🔹 code → language_id of every active language a translation may be saved in
+const loadActiveLanguageMap = async (conn) => {
+  const [languages] = await conn.query(`SELECT language_id, code FROM languages WHERE is_active = 1`);
+  return Object.fromEntries(languages.map((l) => [l.code, l.language_id]));
+};
+
+// Translations for unknown or inactive languages are rejected, not filed under another one
+const languageIdFor = (langMap, { language_id, code }) => {
+  const langId = language_id
+    ? Object.values(langMap).find((id) => id === Number(language_id))
+    : langMap[code];
+  if (!langId) {
+    throw productError(`Unknown or inactive language: ${language_id || code}`, 400, {
+      allowed_languages: Object.keys(langMap),
+    });
+  }
+  return langId;
+};
 
 export const getAllProductsWithDetails = async () => {
   const conn = await db.getConnection();
@@ -176,6 +220,9 @@ export const getAllProducts = async () => {
         p.theme_color,
         p.theme_name,
         p.isactive,
+        p.status,
+        p.publish_at,
+        p.unpublish_at,
         p.created_at,
         p.updated_at,
         ps.meta_title,
@@ -265,6 +312,17 @@ export const getAllProducts = async () => {
   }
 };
 
+// 🔹 Stored files of a failed save: processed images (all their size variants)
+// or single files by url / storage key
+const removeUploadedFiles = async (files) => {
+  await removeProcessedImages(files.filter((f) => f.variants));
+  for (const file of files.filter((f) => !f.variants && (f.url || f.filename))) {
+    await deleteFileByUrl(file.url || publicUrl(file.filename)).catch((err) =>
+      console.warn(`Failed to delete ${file.url || file.filename}:`, err.message)
+    );
+  }
+};
+
 export const createFullProduct = async (productData, files = []) => {
   const conn = await db.getConnection();
   await conn.beginTransaction();
@@ -281,10 +339,15 @@ export const createFullProduct = async (productData, files = []) => {
       themeColor,
       themeName,
       is_active,
+      status,
+      publish_at,
+      unpublish_at,
       translations = [],
       size_variants_data = [],
       color_variants_data = [],
       faqs = [],
+      options = [],
+      variant_updates = [],
       product_images = [],
       color_images = {},
       seo_meta_title,
@@ -312,17 +375,23 @@ export const createFullProduct = async (productData, files = []) => {
     };
 
     // 🔹 Get active languages
-    const [languages] = await conn.query(
-      `SELECT language_id, code FROM languages WHERE is_active = 1`
-    );
-    const langMap = {};
-    languages.forEach((l) => (langMap[l.code] = l.language_id));
+    const langMap = await loadActiveLanguageMap(conn);
+
+    // 🔹 Status and schedule; without a status, is_active publishes or drafts
+    const publishing = resolvePublishing(null, {
+      status,
+      publish_at,
+      unpublish_at,
+      isactive: status === undefined ? Boolean(is_active) : undefined,
+    });
+    const isLive = isProductLive(publishing);
 
     // 🔹 Insert main product
     const [productResult] = await conn.query(
       `INSERT INTO products 
-        (category_id, sku, handle, base_name, base_description, base_price, sale_price, theme_color, theme_name, isactive, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        (category_id, sku, handle, base_name, base_description, base_price, sale_price, theme_color, theme_name, isactive,
+         status, publish_at, unpublish_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
       [
         category_id,
         sku,
@@ -333,11 +402,17 @@ export const createFullProduct = async (productData, files = []) => {
         sale_price || null,
         themeColor,
         themeName,
-        is_active ? "Y" : "N",
+        isLive ? "Y" : "N",
+        publishing.status,
+        publishing.publish_at,
+        publishing.unpublish_at,
       ]
     );
 
     const product_id = productResult.insertId;
+    const publishEvent = isLive
+      ? await recordPublishEvent(conn, { product_id, handle, base_name, ...publishing }, { source: "admin" })
+      : null;
 
     // 🔹 Insert SEO
     const seoKeywordsString = Array.isArray(seo_meta_keywords)
@@ -353,8 +428,7 @@ export const createFullProduct = async (productData, files = []) => {
 
     // 🔹 Insert translations
     for (const tr of jsonData.translations) {
-      const langId = tr.language_id || langMap[tr.code];
-      if (!langId) continue;
+      const langId = languageIdFor(langMap, tr);
       await conn.query(
         `INSERT INTO product_translations 
           (product_id, language_id, name, description, meta_title, meta_description)
@@ -378,7 +452,7 @@ export const createFullProduct = async (productData, files = []) => {
 
       if (s.translations) {
         for (const [langKey, val] of Object.entries(s.translations)) {
-          const langId = langMap[langKey] || 1;
+          const langId = languageIdFor(langMap, { code: langKey });
           await conn.query(
             `INSERT INTO product_size_translations (size_id, language_id, label, description)
              VALUES (?, ?, ?, ?)`,
@@ -418,22 +492,22 @@ export const createFullProduct = async (productData, files = []) => {
       0, // initial reserved quantity
     ]
   );
-      // 🔹 Determine swatch image
-      let image_url = null;
-      if (color_images && color_images[colorVariant.color_hex]) {
-        image_url = `/uploads/${color_images[colorVariant.color_hex].filename}`;
-      } else {
-        const hexKey = colorVariant.color_hex?.replace("#", "");
-        const fileKey = `colorImages[${hexKey}]`;
-        const colorFile = files.find((f) => f.fieldname === fileKey);
-        if (colorFile) image_url = `/uploads/${colorFile.filename}`;
-      }
+      // 🔹 Determine swatch image (processed upload keyed by hex, with or without "#")
+      const hexKey = colorVariant.color_hex?.replace("#", "");
+      const colorImage = [].concat(color_images[colorVariant.color_hex] || color_images[hexKey] || [])[0];
+      const image_url = colorImage ? colorImage.url || publicUrl(colorImage.filename) : null;
 
       // 🔹 Insert color swatch
       const [swatchResult] = await conn.query(
-        `INSERT INTO color_swatches (variant_id, hex_code, image_url, label)
-         VALUES (?, ?, ?, ?)`,
-        [variant_id, colorVariant.color_hex || null, image_url, colorVariant.color_name || null]
+        `INSERT INTO color_swatches (variant_id, hex_code, image_url, image_variants, label)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          variant_id,
+          colorVariant.color_hex || null,
+          image_url,
+          colorImage?.variants ? JSON.stringify(colorImage.variants) : null,
+          colorVariant.color_name || null,
+        ]
       );
 
       const swatch_id = swatchResult.insertId;
@@ -448,9 +522,17 @@ export const createFullProduct = async (productData, files = []) => {
     // 🔹 Insert product images
     for (const [i, img] of product_images.entries()) {
       await conn.query(
-        `INSERT INTO product_images (product_id, variant_id, image_url, alt_text, is_primary)
-         VALUES (?, NULL, ?, ?, ?)`,
-        [product_id, `/uploads/${img.filename}`, img.alt_text, i === 0 ? 1 : 0]
+        `INSERT INTO product_images (product_id, variant_id, image_url, variants, width, height, alt_text, is_primary)
+         VALUES (?, NULL, ?, ?, ?, ?, ?, ?)`,
+        [
+          product_id,
+          img.url || publicUrl(img.filename),
+          img.variants ? JSON.stringify(img.variants) : null,
+          img.width || null,
+          img.height || null,
+          img.alt_text,
+          i === 0 ? 1 : 0,
+        ]
       );
     }
 
@@ -465,7 +547,7 @@ export const createFullProduct = async (productData, files = []) => {
       const faq_id = faqResult.insertId;
 
       for (const [langKey, tr] of Object.entries(f.translations || {})) {
-        const langId = langMap[langKey] || 1;
+        const langId = languageIdFor(langMap, { code: langKey });
         await conn.query(
           `INSERT INTO product_faq_translations (faq_id, language_id, question, answer)
            VALUES (?, ?, ?, ?)`,
@@ -474,20 +556,25 @@ export const createFullProduct = async (productData, files = []) => {
       }
     }
 
+    // 🔹 Variant matrix (the color variants above are adopted where they match)
+    // and per-variant SKU / barcode / price / weight / stock
+    const optionList = parseSafe(options);
+    if (optionList.length) {
+      await generateVariantMatrix(conn, product_id, optionList);
+    }
+    const variantUpdates = parseSafe(variant_updates);
+    if (variantUpdates.length) {
+      await applyVariantUpdates(conn, product_id, variantUpdates);
+    }
+
     await conn.commit();
+    emitPublishEvents([publishEvent]);
     return product_id;
   } catch (err) {
     await conn.rollback();
 
     // Delete uploaded files on rollback
-    for (const file of files) {
-      try {
-        await fs.access(file.path);
-        await fs.unlink(file.path);
-      } catch {
-        console.warn(`File not found for deletion: ${file.path}`);
-      }
-    }
+    await removeUploadedFiles(files);
 
     throw err;
   } finally {
@@ -509,7 +596,6 @@ export const updateProductPartial = async (id, data, files = []) => {
       "theme_color",
       "theme_name",
       "category_id",
-      "isactive",
     ];
 
     const setClauses = [];
@@ -528,6 +614,9 @@ export const updateProductPartial = async (id, data, files = []) => {
       await conn.query(sql, values);
     }
 
+    // Status / schedule (isactive from older clients publishes or drafts)
+    const publishEvent = hasPublishingChanges(data) ? await applyPublishingChange(conn, id, data) : null;
+
     // 2️⃣ Update SEO
 // 2️⃣ Update SEO
 if (data.seo) {
@@ -574,11 +663,12 @@ if (data.seo) {
         // Update color swatch if new image or hex
         if (variant.color_hex || variant.color_image) {
           const image_url = variant.color_image
-            ? `/uploads/${variant.color_image.filename}`
+            ? variant.color_image.url || publicUrl(variant.color_image.filename)
             : null;
+          const image_variants = variant.color_image?.variants ? JSON.stringify(variant.color_image.variants) : null;
           await conn.query(
-            `UPDATE color_swatches SET hex_code = ?, image_url = ?, label = ? WHERE variant_id = ?`,
-            [variant.color_hex || null, image_url, variant.color_name || null, variant.variant_id]
+            `UPDATE color_swatches SET hex_code = ?, image_url = ?, image_variants = ?, label = ? WHERE variant_id = ?`,
+            [variant.color_hex || null, image_url, image_variants, variant.color_name || null, variant.variant_id]
           );
         }
       }
@@ -605,32 +695,75 @@ if (data.seo) {
       }
     }
 
-    // 5️⃣ Update product images
+    // 5️⃣ Upsert translations ({ language_id | code, name, description, meta_title, meta_description })
+    if (data.translations?.length) {
+      const langMap = await loadActiveLanguageMap(conn);
+      const fields = ["name", "description", "meta_title", "meta_description"];
+
+      for (const tr of data.translations) {
+        const langId = languageIdFor(langMap, tr);
+        const given = fields.filter((f) => tr[f] !== undefined);
+        const [existing] = await conn.query(
+          `SELECT product_id FROM product_translations WHERE product_id = ? AND language_id = ?`,
+          [id, langId]
+        );
+        if (existing.length) {
+          if (given.length) {
+            await conn.query(
+              `UPDATE product_translations SET ${given.map((f) => `${f} = ?`).join(", ")}
+               WHERE product_id = ? AND language_id = ?`,
+              [...given.map((f) => tr[f]), id, langId]
+            );
+          }
+        } else {
+          await conn.query(
+            `INSERT INTO product_translations (product_id, language_id, name, description, meta_title, meta_description)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [id, langId, ...fields.map((f) => tr[f] ?? null)]
+          );
+        }
+      }
+    }
+
+    // 6️⃣ Variant matrix and per-variant details
+    if (Array.isArray(data.options)) {
+      await generateVariantMatrix(conn, id, data.options);
+    }
+    if (data.variant_updates?.length) {
+      await applyVariantUpdates(conn, id, data.variant_updates);
+    }
+
+    // 7️⃣ Update product images
     if (files.length) {
       for (const img of files) {
         const altText = img.alt_text || "";
         await conn.query(
-          `INSERT INTO product_images (product_id, variant_id, image_url, alt_text, is_primary, created_at, updated_at)
-           VALUES (?, NULL, ?, ?, 0, NOW(), NOW())
-           ON DUPLICATE KEY UPDATE image_url = VALUES(image_url), alt_text = VALUES(alt_text), updated_at = NOW()`,
-          [id, `/uploads/${img.filename}`, altText]
+          `INSERT INTO product_images
+             (product_id, variant_id, image_url, variants, width, height, alt_text, is_primary, created_at, updated_at)
+           VALUES (?, NULL, ?, ?, ?, ?, ?, 0, NOW(), NOW())
+           ON DUPLICATE KEY UPDATE image_url = VALUES(image_url), variants = VALUES(variants),
+             width = VALUES(width), height = VALUES(height), alt_text = VALUES(alt_text), updated_at = NOW()`,
+          [
+            id,
+            img.url || publicUrl(img.filename),
+            img.variants ? JSON.stringify(img.variants) : null,
+            img.width || null,
+            img.height || null,
+            altText,
+          ]
         );
       }
     }
 
     await conn.commit();
+    emitPublishEvents([publishEvent]);
 
-    // 6️⃣ Return updated product
+    // 8️⃣ Return updated product
     const [rows] = await conn.query("SELECT * FROM products WHERE product_id = ?", [id]);
     return rows[0];
   } catch (err) {
     await conn.rollback();
-    for (const file of files) {
-      try {
-        await fs.access(file.path);
-        await fs.unlink(file.path);
-      } catch {}
-    }
+    await removeUploadedFiles(files);
     throw err;
   } finally {
     conn.release();
@@ -645,6 +778,8 @@ export const deleteProduct = async (id) => {
   if (result.affectedRows === 0) {
     throw new Error('product not found');
   }
+  // Image files may be shared through the media library; the media sweep
+  // deletes them once nothing references them
 };
 
 export const getProductById = async(id) =>{
@@ -673,7 +808,7 @@ export const getAllProductsImgFrontend = async () => {
         c.name AS category_name
       FROM products p
       LEFT JOIN categories c ON c.category_id = p.category_id
-      WHERE p.isactive = 'Y'
+      WHERE ${liveProductSql("p")}
       ORDER BY p.product_id DESC
     `);
 
@@ -730,6 +865,28 @@ export const getAllProductsImgFrontend = async () => {
 
 
 
+// 🔹 Matrix options, title and base-currency unit price for each variant
+const withVariantOptions = async (variants, product) => {
+  const sale = parseFloat(product.sale_price);
+  const productPrice = sale > 0 ? sale : parseFloat(product.base_price) || 0;
+  const rows = await attachVariantOptions(variants);
+  return rows.map((v) => ({
+    ...v,
+    price: variantPrice(productPrice, { price: v.price_override, price_modifier: v.price_modifier }),
+    swatch_image_variants: parseImageVariants(v.swatch_image_variants),
+    swatch_srcset: imageSrcset(v.swatch_image_variants),
+  }));
+};
+
+const parseImageVariants = (variants) => (typeof variants === "string" ? JSON.parse(variants) : variants ?? null);
+
+// 🔹 Size variants and srcset strings of a product_images row (null before the pipeline)
+const withImageSrcset = (img) => ({
+  ...img,
+  variants: parseImageVariants(img.variants),
+  srcset: imageSrcset(img.variants),
+});
+
 // models/ProductModel.js - Fixed version
 export const getFrontendProductDetailsById = async (id) => {
   try {
@@ -743,7 +900,7 @@ export const getFrontendProductDetailsById = async (id) => {
         c.description as category_description
       FROM products p
       LEFT JOIN categories c ON p.category_id = c.category_id
-      WHERE p.product_id = ? AND (p.isactive = 'Y' OR p.isactive = '1')
+      WHERE p.product_id = ? AND ${liveProductSql("p")}
     `;
     
     const [baseProductResult] = await db.execute(baseProductQuery, [id]);
@@ -759,6 +916,7 @@ export const getFrontendProductDetailsById = async (id) => {
     // Execute all related queries in parallel
     const [
       variantsResult,
+      options,
       sizesResult,
       imagesResult,
       seoResult,
@@ -771,19 +929,27 @@ export const getFrontendProductDetailsById = async (id) => {
         SELECT 
           pv.variant_id,
           pv.sku,
+          pv.barcode,
           pv.color,
           pv.size,
           pv.material,
           pv.stock_quantity,
           pv.price_modifier,
+          pv.price AS price_override,
+          pv.weight,
           pv.swatch_id,
           cs.hex_code,
           cs.image_url as swatch_image,
+          cs.image_variants as swatch_image_variants,
           cs.label as swatch_label
         FROM product_variants pv
         LEFT JOIN color_swatches cs ON pv.swatch_id = cs.swatch_id
-        WHERE pv.product_id = ?
+        WHERE pv.product_id = ? AND pv.is_active = 1
+        ORDER BY pv.position, pv.variant_id
       `, [id]),
+
+      // Option types and values of the variant matrix
+      getProductOptions(id),
       
       // Sizes
       db.execute(`
@@ -826,6 +992,7 @@ export const getFrontendProductDetailsById = async (id) => {
         WHERE product_id = ? 
           AND (is_active = 1 OR is_active = 'Y')
           AND NOW() BETWEEN start_date AND COALESCE(end_date, '9999-12-31')
+        ORDER BY flash_id ASC
       `, [id])
     ]);
 
@@ -833,9 +1000,10 @@ export const getFrontendProductDetailsById = async (id) => {
     // Build the complete product object
     const completeProduct = {
       ...baseProduct,
-      variants: variantsResult[0] || [],
+      variants: await withVariantOptions(variantsResult[0] || [], baseProduct),
+      options,
       sizes: sizesResult[0] || [],
-      images: imagesResult[0] || [],
+      images: (imagesResult[0] || []).map(withImageSrcset),
       seo: seoResult[0]?.[0] || {},
       faqs: faqsResult[0] || [],
       inventory: inventoryResult[0] || [],
@@ -852,24 +1020,18 @@ export const getFrontendProductDetailsById = async (id) => {
 };
 
 
-export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', currencyCode = 'USD') => {
+export const getFrontendMultiProductDetailsById = async (id, langCode = null, currencyCode = 'USD') => {
   try {
  
 
-    // 🔹 Get language_id and currency
-    const [[langResult], [currencyResult]] = await Promise.all([
-      db.execute(
-        `SELECT language_id FROM languages WHERE code = ? AND is_active = 1`,
-        [langCode]
-      ),
-      db.execute(
-        `SELECT * FROM currencies WHERE code = ?`,
-        [currencyCode]
-      ),
+    // 🔹 Language fallback chain and currency
+    const [languageChain, currencyResult] = await Promise.all([
+      resolveLanguageChain(langCode),
+      getCurrencyByCode(currencyCode),
     ]);
 
-    const language_id = langResult?.language_id || 1; // default English
-    const currency = currencyResult || { code: 'USD', symbol: '$', exchange_rate: 1.0 };
+    const languageIds = chainLanguageIds(languageChain);
+    const currency = currencyResult || BASE_CURRENCY;
 
     // 🔹 Base product query
     const baseProductQuery = `
@@ -879,7 +1041,7 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
         c.description as category_description
       FROM products p
       LEFT JOIN categories c ON p.category_id = c.category_id
-      WHERE p.product_id = ? AND (p.isactive = 'Y' OR p.isactive = '1')
+      WHERE p.product_id = ? AND ${liveProductSql("p")}
     `;
     const [baseProductResult] = await db.execute(baseProductQuery, [id]);
     if (baseProductResult.length === 0) return null;
@@ -889,6 +1051,7 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     // 🔹 Related queries (run parallel)
     const [
       variantsResult,
+      options,
       sizesResult,
       imagesResult,
       seoResult,
@@ -905,20 +1068,28 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
         SELECT 
           pv.variant_id,
           pv.sku,
+          pv.barcode,
           pv.color,
           pv.size,
           pv.material,
           pv.stock_quantity,
           pv.price_modifier,
+          pv.price AS price_override,
+          pv.weight,
           pv.swatch_id,
           cs.hex_code,
           cs.image_url as swatch_image,
+          cs.image_variants as swatch_image_variants,
           cs.label as swatch_label
         FROM product_variants pv
         LEFT JOIN color_swatches cs ON pv.swatch_id = cs.swatch_id
-        WHERE pv.product_id = ?
+        WHERE pv.product_id = ? AND pv.is_active = 1
+        ORDER BY pv.position, pv.variant_id
       `, [id]),
 
+      // Option types and values of the variant matrix
+      getProductOptions(id),
+
       // Sizes
       db.execute(`
         SELECT * FROM product_sizes 
@@ -962,26 +1133,29 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
           AND NOW() BETWEEN start_date AND COALESCE(end_date, '9999-12-31')
       `, [id]),
 
-      // Translations (product, category, sizes, faqs)
-      db.execute(`SELECT * FROM product_translations WHERE product_id = ? AND language_id = ?`, [id, language_id]),
-      db.execute(`SELECT * FROM category_translations WHERE category_id = ? AND language_id = ?`, [baseProduct.category_id, language_id]),
-      db.execute(`
-        SELECT * FROM product_size_translations 
-        WHERE language_id = ? AND size_id IN (?)`,
-        [language_id, (await db.execute(`SELECT size_id FROM product_sizes WHERE product_id = ?`, [id]))[0].map(s => s.size_id) || [0]]
+      // Translations (product, category, sizes, faqs) for the whole fallback chain
+      db.query(`SELECT * FROM product_translations WHERE product_id = ? AND language_id IN (?)`, [id, languageIds]),
+      db.query(`SELECT * FROM category_translations WHERE category_id = ? AND language_id IN (?)`, [baseProduct.category_id, languageIds]),
+      db.query(`
+        SELECT pst.* FROM product_size_translations pst
+        INNER JOIN product_sizes ps ON ps.size_id = pst.size_id
+        WHERE ps.product_id = ? AND pst.language_id IN (?)`,
+        [id, languageIds]
       ),
-      db.execute(`
-        SELECT * FROM product_faq_translations 
-        WHERE language_id = ? AND faq_id IN (?)`,
-        [language_id, (await db.execute(`SELECT faq_id FROM product_faqs WHERE product_id = ?`, [id]))[0].map(f => f.faq_id) || [0]]
+      db.query(`
+        SELECT pft.* FROM product_faq_translations pft
+        INNER JOIN product_faqs pf ON pf.faq_id = pft.faq_id
+        WHERE pf.product_id = ? AND pft.language_id IN (?)`,
+        [id, languageIds]
       )
     ]);
 
     const product = {
       ...baseProduct,
-      variants: variantsResult[0],
+      variants: await withVariantOptions(variantsResult[0], baseProduct),
+      options,
       sizes: sizesResult[0],
-      images: imagesResult[0],
+      images: imagesResult[0].map(withImageSrcset),
       seo: seoResult[0]?.[0] || {},
       faqs: faqsResult[0],
       inventory: inventoryResult[0],
@@ -989,14 +1163,14 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     };
 
     // 🔹 Apply translations
-    const productTrans = productTransResult[0]?.[0];
+    const productTrans = pickTranslation(productTransResult[0], languageChain, ["name", "description"]);
     if (productTrans) {
       product.base_name = productTrans.name || product.base_name;
       product.base_description = productTrans.description || product.base_description;
      
     }
 
-    const categoryTrans = categoryTransResult[0]?.[0];
+    const categoryTrans = pickTranslation(categoryTransResult[0], languageChain, ["name", "description"]);
     if (categoryTrans) {
       product.category_name = categoryTrans.name || product.category_name;
       product.category_description = categoryTrans.description || product.category_description;
@@ -1005,7 +1179,7 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     const sizeTrans = sizeTransResult[0];
     if (sizeTrans?.length > 0) {
       product.sizes = product.sizes.map(size => {
-        const t = sizeTrans.find(st => st.size_id === size.size_id);
+        const t = pickTranslation(sizeTrans.filter(st => st.size_id === size.size_id), languageChain, ["label", "description"]);
         return {
           ...size,
           label: t?.label || size.label,
@@ -1017,7 +1191,7 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     const faqTrans = faqTransResult[0];
     if (faqTrans?.length > 0) {
       product.faqs = product.faqs.map(faq => {
-        const t = faqTrans.find(ft => ft.faq_id === faq.faq_id);
+        const t = pickTranslation(faqTrans.filter(ft => ft.faq_id === faq.faq_id), languageChain, ["question", "answer"]);
         return {
           ...faq,
           question: t?.question || faq.question,
@@ -1029,7 +1203,7 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     // 🔹 Convert prices
     const convert = (price) =>
       price && !isNaN(price)
-        ? parseFloat((price * currency.exchange_rate).toFixed(2))
+        ? roundCurrency(price * currency.exchange_rate, currency)
         : price;
 
     product.base_price_converted = convert(product.base_price);
@@ -1037,12 +1211,15 @@ export const getFrontendMultiProductDetailsById = async (id, langCode = 'en', cu
     product.currency = {
       code: currency.code,
       symbol: currency.symbol,
+      symbol_position: currency.symbol_position || 'before',
+      decimal_places: currency.decimal_places ?? 2,
       rate: currency.exchange_rate
     };
 
     product.variants = product.variants.map(v => ({
       ...v,
-      price_modifier_converted: convert(v.price_modifier)
+      price_modifier_converted: convert(v.price_modifier),
+      price_converted: convert(v.price)
     }));
 
   
@@ -0,0 +1,290 @@
+import db from '../database.js';
+import { emitProductEvent } from '../services/productEvents.js';
+
+export const PRODUCT_STATUSES = ['draft', 'published', 'archived'];
+
+const publishingError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+/**
+ * 🔹 SQL condition for "shoppers can see this product now". Checked at read
+ * time, so a launch goes live exactly at publish_at rather than at the
+ * scheduler's next tick.
+ */
+export const liveProductSql = (alias = 'p') =>
+  `(${alias}.status = 'published'
+    AND (${alias}.publish_at IS NULL OR ${alias}.publish_at <= NOW())
+    AND (${alias}.unpublish_at IS NULL OR ${alias}.unpublish_at > NOW()))`;
+
+export const isProductLive = (product, now = new Date()) =>
+  product?.status === 'published' &&
+  (!product.publish_at || new Date(product.publish_at) <= now) &&
+  (!product.unpublish_at || new Date(product.unpublish_at) > now);
+
+// Where a product stands for the admin: draft, scheduled, live, ended or archived
+export const publishingState = (product, now = new Date()) => {
+  if (product.status !== 'published') return product.status;
+  if (product.publish_at && new Date(product.publish_at) > now) return 'scheduled';
+  if (product.unpublish_at && new Date(product.unpublish_at) <= now) return 'ended';
+  return 'live';
+};
+
+const parseTimestamp = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw publishingError(`${field} must be a date and time`, 400);
+  return date;
+};
+
+/**
+ * 🔹 Apply requested changes to the current publishing fields. Accepts
+ * `status`, `publish_at`, `unpublish_at` and, for older clients, `isactive`
+ * ('Y' publishes, 'N' moves to draft) when no status is given.
+ */
+export const resolvePublishing = (current, changes = {}) => {
+  let status = changes.status ?? current?.status ?? 'draft';
+  if (changes.status === undefined && changes.isactive !== undefined) {
+    status = ['Y', '1', 1, true].includes(changes.isactive) ? 'published' : 'draft';
+  }
+  if (!PRODUCT_STATUSES.includes(status)) {
+    throw publishingError(`status must be one of ${PRODUCT_STATUSES.join(', ')}`, 400);
+  }
+
+  const publishAt =
+    changes.publish_at !== undefined ? parseTimestamp(changes.publish_at, 'publish_at') : current?.publish_at ?? null;
+  const unpublishAt =
+    changes.unpublish_at !== undefined
+      ? parseTimestamp(changes.unpublish_at, 'unpublish_at')
+      : current?.unpublish_at ?? null;
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+    throw publishingError('unpublish_at must be after publish_at', 400);
+  }
+
+  return { status, publish_at: publishAt, unpublish_at: unpublishAt };
+};
+
+export const hasPublishingChanges = (data) =>
+  ['status', 'publish_at', 'unpublish_at', 'isactive'].some((field) => data[field] !== undefined);
+
+/**
+ * 🟡 Record that a product went live or left the storefront, inside the
+ * caller's transaction. Returns the event for emitPublishEvents once committed.
+ */
+export const recordPublishEvent = async (conn, product, { source, changedBy = null }) => {
+  const event = isProductLive(product) ? 'published' : 'unpublished';
+  const [result] = await conn.query(
+    `INSERT INTO product_publish_events
+      (product_id, event, source, status, publish_at, unpublish_at, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [product.product_id, event, source, product.status, product.publish_at, product.unpublish_at, changedBy]
+  );
+  return {
+    event_id: result.insertId,
+    product_id: product.product_id,
+    handle: product.handle,
+    name: product.base_name,
+    event,
+    source,
+    status: product.status,
+    publish_at: product.publish_at,
+    unpublish_at: product.unpublish_at,
+    changed_by: changedBy,
+  };
+};
+
+// 🔹 Announce committed publish events
+export const emitPublishEvents = (events) => {
+  for (const event of events) {
+    if (event) emitProductEvent(`product.${event.event}`, event);
+  }
+};
+
+/**
+ * 🟡 Change a product's status and schedule inside the caller's transaction.
+ * Keeps isactive in step and records an event when the product goes live or
+ * comes off the storefront. Returns that event, or null.
+ */
+export const applyPublishingChange = async (conn, productId, changes, { changedBy = null } = {}) => {
+  const [rows] = await conn.query(
+    `SELECT product_id, handle, base_name, status, publish_at, unpublish_at, isactive
+     FROM products WHERE product_id = ? FOR UPDATE`,
+    [productId]
+  );
+  if (!rows.length) throw publishingError('Product not found', 404);
+  const current = rows[0];
+
+  const next = { ...current, ...resolvePublishing(current, changes) };
+  const live = isProductLive(next);
+  await conn.query(
+    `UPDATE products SET status = ?, publish_at = ?, unpublish_at = ?, isactive = ?, updated_at = NOW()
+     WHERE product_id = ?`,
+    [next.status, next.publish_at, next.unpublish_at, live ? 'Y' : 'N', productId]
+  );
+
+  const wasLive = ['Y', '1'].includes(current.isactive);
+  return live === wasLive ? null : recordPublishEvent(conn, next, { source: 'admin', changedBy });
+};
+
+export const getProductPublishing = async (productId) => {
+  const [rows] = await db.query(
+    `SELECT product_id, handle, base_name, status, publish_at, unpublish_at, isactive
+     FROM products WHERE product_id = ?`,
+    [productId]
+  );
+  if (!rows.length) return null;
+  const product = rows[0];
+  return {
+    product_id: product.product_id,
+    handle: product.handle,
+    name: product.base_name,
+    status: product.status,
+    publish_at: product.publish_at,
+    unpublish_at: product.unpublish_at,
+    state: publishingState(product),
+    is_live: isProductLive(product),
+  };
+};
+
+// 🟢 Change a product's status and schedule on its own
+export const updateProductPublishing = async (productId, changes, { changedBy = null } = {}) => {
+  if (!hasPublishingChanges(changes)) {
+    throw publishingError('Nothing to change: send status, publish_at or unpublish_at', 400);
+  }
+
+  const conn = await db.getConnection();
+  let event;
+  try {
+    await conn.beginTransaction();
+    event = await applyPublishingChange(conn, productId, changes, { changedBy });
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  emitPublishEvents([event]);
+  return { ...(await getProductPublishing(productId)), event };
+};
+
+/**
+ * 🟢 Catch isactive up with the schedule: products whose publish_at or
+ * unpublish_at has passed since the last run are flipped and their events
+ * recorded and emitted. Returns the events.
+ */
+export const applyScheduledPublishing = async () => {
+  const live = liveProductSql('p');
+  const [due] = await db.query(
+    `SELECT p.product_id FROM products p
+     WHERE (${live} AND p.isactive NOT IN ('Y', '1'))
+        OR (NOT ${live} AND p.isactive IN ('Y', '1'))
+     ORDER BY p.product_id`
+  );
+
+  const events = [];
+  for (const { product_id: productId } of due) {
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      // Re-checked under lock: an admin may have changed the product meanwhile
+      const [rows] = await conn.query(
+        `SELECT product_id, handle, base_name, status, publish_at, unpublish_at, isactive
+         FROM products WHERE product_id = ? FOR UPDATE`,
+        [productId]
+      );
+      const product = rows[0];
+      const isLive = product && isProductLive(product);
+      if (!product || isLive === ['Y', '1'].includes(product.isactive)) {
+        await conn.rollback();
+        continue;
+      }
+
+      await conn.query('UPDATE products SET isactive = ? WHERE product_id = ?', [isLive ? 'Y' : 'N', productId]);
+      events.push(await recordPublishEvent(conn, product, { source: 'schedule' }));
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      console.error(`❌ Failed to apply publishing schedule to product ${productId}:`, err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  emitPublishEvents(events);
+  return events;
+};
+
+/**
+ * 🟢 Admin launch calendar for the next `days` days: scheduled launches
+ * (including drafts that have a publish_at but won't go live until
+ * published) and live products with an unpublish_at coming up.
+ */
+export const getUpcomingLaunches = async ({ days = 30, limit = 100 } = {}) => {
+  const select = `
+    SELECT p.product_id, p.handle, p.sku, p.base_name, p.status, p.publish_at, p.unpublish_at,
+           p.category_id, c.name AS category_name,
+           (SELECT pi.image_url FROM product_images pi
+            WHERE pi.product_id = p.product_id
+            ORDER BY pi.is_primary DESC, pi.image_id LIMIT 1) AS image_url
+    FROM products p
+    LEFT JOIN categories c ON c.category_id = p.category_id`;
+
+  const [[launches], [endings]] = await Promise.all([
+    db.query(
+      `${select}
+       WHERE p.status IN ('draft', 'published')
+         AND p.publish_at > NOW() AND p.publish_at <= NOW() + INTERVAL ? DAY
+       ORDER BY p.publish_at, p.product_id
+       LIMIT ?`,
+      [days, limit]
+    ),
+    db.query(
+      `${select}
+       WHERE p.status = 'published'
+         AND p.unpublish_at > NOW() AND p.unpublish_at <= NOW() + INTERVAL ? DAY
+       ORDER BY p.unpublish_at, p.product_id
+       LIMIT ?`,
+      [days, limit]
+    ),
+  ]);
+
+  const now = new Date();
+  const toItem = (p) => ({
+    product_id: p.product_id,
+    handle: p.handle,
+    sku: p.sku,
+    name: p.base_name,
+    category: { id: p.category_id, name: p.category_name },
+    image_url: p.image_url,
+    status: p.status,
+    state: publishingState(p, now),
+    publish_at: p.publish_at,
+    unpublish_at: p.unpublish_at,
+  });
+
+  return {
+    days,
+    launches: launches.map((p) => ({
+      ...toItem(p),
+      ...(p.status === 'draft' && { warning: 'Still a draft: publish it to launch on schedule' }),
+    })),
+    endings: endings.map(toItem),
+  };
+};
+
+export const getPublishEvents = async (productId, { limit = 50 } = {}) => {
+  const [rows] = await db.query(
+    `SELECT event_id, event, source, status, publish_at, unpublish_at, changed_by, created_at
+     FROM product_publish_events
+     WHERE product_id = ?
+     ORDER BY created_at DESC, event_id DESC
+     LIMIT ?`,
+    [productId, limit]
+  );
+  return rows;
+};
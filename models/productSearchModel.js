@@ -0,0 +1,155 @@
+import db from '../database.js';
+import { createTextIndex, highlightText } from '../services/search/textIndex.js';
+import { resolveLanguageChain, pickTranslation } from './LanguageModel.js';
+import { liveProductSql } from './productPublishingModel.js';
+
+// Field weights: an SKU or name hit says far more than a description hit
+const FIELD_WEIGHTS = { sku: 8, name: 5, category: 3, keywords: 3, description: 1 };
+
+// The index is rebuilt from the database at most this often (or right after
+// a product write invalidates it)
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS || '300000', 10);
+
+let state = { index: null, products: new Map(), builtAt: 0 };
+let building = null;
+
+export const invalidateProductSearchIndex = () => {
+  state = { ...state, builtAt: 0 };
+};
+
+// 🔹 Load every active product with everything that is searchable
+const loadProducts = async () => {
+  const [products] = await db.query(`
+    SELECT p.product_id, p.handle, p.sku, p.base_name, p.base_description, p.base_price, p.sale_price,
+           p.category_id, c.name AS category_name, ps.meta_keywords
+    FROM products p
+    LEFT JOIN categories c ON c.category_id = p.category_id
+    LEFT JOIN product_seo ps ON ps.product_id = p.product_id
+    WHERE ${liveProductSql('p')}
+  `);
+  if (!products.length) return [];
+
+  const productIds = products.map((p) => p.product_id);
+  const categoryIds = [...new Set(products.map((p) => p.category_id).filter(Boolean))];
+
+  const [[translations], [categoryTranslations], [variants], [images]] = await Promise.all([
+    db.query(
+      `SELECT product_id, language_id, name, description FROM product_translations WHERE product_id IN (?)`,
+      [productIds]
+    ),
+    categoryIds.length
+      ? db.query(
+          `SELECT category_id, language_id, name FROM category_translations WHERE category_id IN (?)`,
+          [categoryIds]
+        )
+      : [[]],
+    db.query(
+      `SELECT product_id, sku FROM product_variants WHERE product_id IN (?) AND sku IS NOT NULL AND is_active = 1`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT product_id, image_url FROM product_images WHERE product_id IN (?) ORDER BY is_primary DESC, image_id ASC`,
+      [productIds]
+    ),
+  ]);
+
+  const group = (rows, key) =>
+    rows.reduce((acc, row) => {
+      (acc[row[key]] ||= []).push(row);
+      return acc;
+    }, {});
+  const translationsBy = group(translations, 'product_id');
+  const categoryTranslationsBy = group(categoryTranslations, 'category_id');
+  const variantsBy = group(variants, 'product_id');
+  const imagesBy = group(images, 'product_id');
+
+  return products.map((p) => ({
+    ...p,
+    translations: translationsBy[p.product_id] || [],
+    category_translations: categoryTranslationsBy[p.category_id] || [],
+    variant_skus: (variantsBy[p.product_id] || []).map((v) => v.sku),
+    image: imagesBy[p.product_id]?.[0]?.image_url || null,
+  }));
+};
+
+const buildIndex = async () => {
+  const products = await loadProducts();
+  const index = createTextIndex();
+
+  for (const p of products) {
+    const skus = [p.sku, ...p.variant_skus].filter(Boolean);
+    index.addDocument(p.product_id, [
+      // SKUs also go in without separators so "ts001" finds "TS-001"
+      ...skus.map((sku) => ({ text: `${sku} ${sku.replace(/[^A-Za-z0-9]/g, '')}`, weight: FIELD_WEIGHTS.sku })),
+      { text: p.base_name, weight: FIELD_WEIGHTS.name },
+      ...p.translations.map((t) => ({ text: t.name, weight: FIELD_WEIGHTS.name })),
+      { text: p.category_name, weight: FIELD_WEIGHTS.category },
+      ...p.category_translations.map((t) => ({ text: t.name, weight: FIELD_WEIGHTS.category })),
+      { text: p.meta_keywords, weight: FIELD_WEIGHTS.keywords },
+      { text: p.base_description, weight: FIELD_WEIGHTS.description },
+      ...p.translations.map((t) => ({ text: t.description, weight: FIELD_WEIGHTS.description })),
+    ]);
+  }
+
+  state = { index, products: new Map(products.map((p) => [p.product_id, p])), builtAt: Date.now() };
+  return state;
+};
+
+// Concurrent searches share one rebuild
+const getIndex = async () => {
+  if (state.index && Date.now() - state.builtAt < INDEX_TTL_MS) return state;
+  if (!building) {
+    building = buildIndex().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+};
+
+/**
+ * 🟢 Ranked, typo-tolerant product search. Names, descriptions and category
+ * names come back in the requested language (via its fallback chain) with
+ * matched words wrapped in <mark>.
+ */
+export const searchProducts = async ({ q, lang = null, limit = 20, offset = 0 }) => {
+  const [{ index, products }, chain] = await Promise.all([getIndex(), resolveLanguageChain(lang)]);
+  const result = index.search(q);
+
+  const page = result.hits.slice(offset, offset + limit).map((hit) => {
+    const p = products.get(hit.id);
+    const t = pickTranslation(p.translations, chain, ['name']);
+    const ct = pickTranslation(p.category_translations, chain, ['name']);
+    const name = t?.name || p.base_name;
+    const description = t?.description || p.base_description;
+    const category = ct?.name || p.category_name;
+
+    return {
+      product_id: p.product_id,
+      slug: p.handle,
+      sku: p.sku,
+      name,
+      category,
+      base_price: p.base_price,
+      sale_price: p.sale_price,
+      image: p.image,
+      score: hit.score,
+      highlights: {
+        name: highlightText(name, hit.terms),
+        description: highlightText(description, hit.terms, { window: 160 }),
+        category: highlightText(category, hit.terms),
+      },
+    };
+  });
+
+  const corrected = Object.keys(result.corrections).length
+    ? result.tokens.map((token) => result.corrections[token] || token).join(' ')
+    : null;
+
+  return {
+    total: result.hits.length,
+    partial_match: result.partial && result.hits.length > 0,
+    corrected_query: corrected,
+    language: chain[0].code,
+    results: page,
+  };
+};
@@ -0,0 +1,559 @@
+import db from '../database.js';
+
+// A matrix larger than this is almost certainly a mistake in the option list
+export const MAX_VARIANTS_PER_PRODUCT = parseInt(process.env.MAX_VARIANTS_PER_PRODUCT || '250', 10);
+
+// Options with these names also fill the legacy product_variants columns that
+// older readers (order lists, swatches) still look at
+const LEGACY_COLUMNS = { color: 'color', size: 'size', material: 'material' };
+
+const variantError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const signatureOf = (valueIds) => [...valueIds].sort((a, b) => a - b).join('.');
+
+// Every combination of one value per option, in option order
+const combinations = (options) =>
+  options.reduce((combos, option) => combos.flatMap((combo) => option.values.map((v) => [...combo, v])), [[]]);
+
+const skuPart = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 12);
+
+/**
+ * 🟢 Unit price of a variant in the base currency. A price override replaces
+ * the product price; otherwise the legacy price_modifier is added to it.
+ */
+export const variantPrice = (productPrice, variant) => {
+  if (variant?.price !== null && variant?.price !== undefined) return parseFloat(variant.price);
+  return productPrice + (parseFloat(variant?.price_modifier) || 0);
+};
+
+/**
+ * 🟢 Option types of a product with their values, in display order
+ */
+export const getProductOptions = async (productId, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT o.option_id, o.name, o.position, ov.value_id, ov.value, ov.hex_code, ov.position AS value_position
+     FROM product_options o
+     LEFT JOIN product_option_values ov ON ov.option_id = o.option_id
+     WHERE o.product_id = ?
+     ORDER BY o.position, o.option_id, ov.position, ov.value_id`,
+    [productId]
+  );
+
+  const options = [];
+  for (const row of rows) {
+    let option = options.find((o) => o.option_id === row.option_id);
+    if (!option) {
+      option = { option_id: row.option_id, name: row.name, position: row.position, values: [] };
+      options.push(option);
+    }
+    if (row.value_id) {
+      option.values.push({ value_id: row.value_id, value: row.value, hex_code: row.hex_code });
+    }
+  }
+  return options;
+};
+
+/**
+ * 🟢 Add `options` ({ Color: 'Red', Size: '42' }), `option_value_ids` and
+ * `title` ("Red / 42") to variant rows that carry a variant_id
+ */
+export const attachVariantOptions = async (variants, conn = db) => {
+  if (!variants.length) return variants;
+  const [links] = await conn.query(
+    `SELECT pvov.variant_id, o.name, ov.value_id, ov.value, ov.hex_code
+     FROM product_variant_option_values pvov
+     INNER JOIN product_option_values ov ON ov.value_id = pvov.value_id
+     INNER JOIN product_options o ON o.option_id = ov.option_id
+     WHERE pvov.variant_id IN (?)
+     ORDER BY o.position, o.option_id`,
+    [variants.map((v) => v.variant_id)]
+  );
+
+  return variants.map((v) => {
+    const own = links.filter((l) => l.variant_id === v.variant_id);
+    return {
+      ...v,
+      options: Object.fromEntries(own.map((l) => [l.name, l.value])),
+      option_value_ids: own.map((l) => l.value_id),
+      title: own.map((l) => l.value).join(' / ') || null,
+    };
+  });
+};
+
+/**
+ * 🟢 Concrete variants of a product with their options, price and stock.
+ * `productPrice` (the product's effective price) fills in `price` for
+ * variants without an override.
+ */
+export const getProductVariants = async (productId, { activeOnly = false, productPrice = null } = {}, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT pv.variant_id, pv.sku, pv.barcode, pv.price AS price_override, pv.price_modifier, pv.weight,
+            pv.is_active, pv.position, pv.swatch_id,
+            COALESCE(il.on_hand, pv.stock_quantity, 0) AS on_hand, COALESCE(il.reserved, 0) AS reserved
+     FROM product_variants pv
+     LEFT JOIN (
+       SELECT variant_id, SUM(on_hand) AS on_hand, SUM(reserved) AS reserved
+       FROM inventory_levels
+       GROUP BY variant_id
+     ) il ON il.variant_id = pv.variant_id
+     WHERE pv.product_id = ? ${activeOnly ? 'AND pv.is_active = 1' : ''}
+     ORDER BY pv.position, pv.variant_id`,
+    [productId]
+  );
+
+  const variants = rows.map((r) => ({
+    variant_id: r.variant_id,
+    sku: r.sku,
+    barcode: r.barcode,
+    price_override: r.price_override !== null ? parseFloat(r.price_override) : null,
+    price_modifier: parseFloat(r.price_modifier) || 0,
+    price:
+      productPrice !== null
+        ? variantPrice(productPrice, { price: r.price_override, price_modifier: r.price_modifier })
+        : null,
+    weight: r.weight !== null ? parseFloat(r.weight) : null,
+    stock: Number(r.on_hand),
+    available: Math.max(Number(r.on_hand) - Number(r.reserved), 0),
+    is_active: Boolean(r.is_active),
+    swatch_id: r.swatch_id,
+  }));
+
+  return attachVariantOptions(variants, conn);
+};
+
+// 🔹 Validate and normalize an option list:
+// [{ name, values: ['Red', { value: 'Blue', hex_code: '#0000ff' }] }]
+const normalizeOptions = (options) => {
+  if (!Array.isArray(options)) throw variantError('options must be an array', 400);
+
+  const seenNames = new Set();
+  const normalized = options.map((option, index) => {
+    const name = String(option?.name || '').trim();
+    if (!name || name.length > 50) {
+      throw variantError(`Option ${index + 1}: name is required (max 50 characters)`, 400);
+    }
+    if (seenNames.has(name.toLowerCase())) throw variantError(`Option "${name}" is listed twice`, 400);
+    seenNames.add(name.toLowerCase());
+
+    if (!Array.isArray(option.values) || !option.values.length) {
+      throw variantError(`Option "${name}": at least one value is required`, 400);
+    }
+    const seenValues = new Set();
+    const values = option.values.map((raw) => {
+      const value = String(typeof raw === 'object' && raw !== null ? raw.value ?? '' : raw).trim();
+      const hex = typeof raw === 'object' && raw !== null ? raw.hex_code || null : null;
+      if (!value || value.length > 100) {
+        throw variantError(`Option "${name}": values must be 1-100 characters`, 400);
+      }
+      if (seenValues.has(value.toLowerCase())) {
+        throw variantError(`Option "${name}": value "${value}" is listed twice`, 400);
+      }
+      if (hex && !/^#?[0-9a-fA-F]{3,8}$/.test(hex)) {
+        throw variantError(`Option "${name}": invalid hex_code for "${value}"`, 400);
+      }
+      seenValues.add(value.toLowerCase());
+      return { value, hex_code: hex ? `#${hex.replace(/^#/, '').toLowerCase()}` : null };
+    });
+
+    return { name, values };
+  });
+
+  const size = normalized.reduce((n, o) => n * o.values.length, normalized.length ? 1 : 0);
+  if (size > MAX_VARIANTS_PER_PRODUCT) {
+    throw variantError(`The options make ${size} variants; the limit is ${MAX_VARIANTS_PER_PRODUCT}`, 400, {
+      variant_count: size,
+    });
+  }
+  return normalized;
+};
+
+/**
+ * 🔴 Replace a product's options and regenerate its variant matrix inside the
+ * caller's transaction.
+ *
+ * Options and values are matched by name, so their ids (and the variants
+ * built from them) survive a resave. Every combination gets a variant:
+ * existing ones are kept (and reactivated), variants created before the
+ * matrix are adopted when their color / size / material match, the rest are
+ * created with a generated SKU and no stock. Variants whose combination is
+ * gone are deactivated, not deleted, because order lines point at them.
+ */
+export const generateVariantMatrix = async (conn, productId, options) => {
+  const normalized = normalizeOptions(options);
+
+  const [[product]] = await conn.query('SELECT product_id, sku FROM products WHERE product_id = ? FOR UPDATE', [
+    productId,
+  ]);
+  if (!product) throw variantError('Product not found', 404);
+
+  // 🔹 Upsert options and values by name
+  const existing = await getProductOptions(productId, conn);
+  const keptOptionIds = [];
+  const resolved = [];
+
+  for (const [position, option] of normalized.entries()) {
+    let current = existing.find((o) => o.name.toLowerCase() === option.name.toLowerCase());
+    if (current) {
+      await conn.query('UPDATE product_options SET name = ?, position = ? WHERE option_id = ?', [
+        option.name,
+        position + 1,
+        current.option_id,
+      ]);
+    } else {
+      const [result] = await conn.query(
+        'INSERT INTO product_options (product_id, name, position) VALUES (?, ?, ?)',
+        [productId, option.name, position + 1]
+      );
+      current = { option_id: result.insertId, values: [] };
+    }
+    keptOptionIds.push(current.option_id);
+
+    const values = [];
+    for (const [valuePosition, v] of option.values.entries()) {
+      const match = current.values.find((cv) => cv.value.toLowerCase() === v.value.toLowerCase());
+      if (match) {
+        await conn.query('UPDATE product_option_values SET value = ?, hex_code = ?, position = ? WHERE value_id = ?', [
+          v.value,
+          v.hex_code ?? match.hex_code,
+          valuePosition + 1,
+          match.value_id,
+        ]);
+        values.push({ ...v, value_id: match.value_id });
+      } else {
+        const [result] = await conn.query(
+          'INSERT INTO product_option_values (option_id, value, hex_code, position) VALUES (?, ?, ?, ?)',
+          [current.option_id, v.value, v.hex_code, valuePosition + 1]
+        );
+        values.push({ ...v, value_id: result.insertId });
+      }
+    }
+
+    const keptValueIds = values.map((v) => v.value_id);
+    await conn.query('DELETE FROM product_option_values WHERE option_id = ? AND value_id NOT IN (?)', [
+      current.option_id,
+      keptValueIds,
+    ]);
+    resolved.push({ option_id: current.option_id, name: option.name, values });
+  }
+
+  if (keptOptionIds.length) {
+    await conn.query('DELETE FROM product_options WHERE product_id = ? AND option_id NOT IN (?)', [
+      productId,
+      keptOptionIds,
+    ]);
+  } else {
+    await conn.query('DELETE FROM product_options WHERE product_id = ?', [productId]);
+  }
+
+  // 🔹 Match combinations to variants
+  const [variants] = await conn.query(
+    `SELECT variant_id, sku, color, size, material, option_signature, is_active
+     FROM product_variants WHERE product_id = ? FOR UPDATE`,
+    [productId]
+  );
+  const bySignature = new Map(variants.filter((v) => v.option_signature).map((v) => [v.option_signature, v]));
+  const legacy = variants.filter((v) => !v.option_signature);
+  const legacyKey = (combo) =>
+    resolved.every((o) => LEGACY_COLUMNS[o.name.toLowerCase()])
+      ? resolved.map((o, i) => `${LEGACY_COLUMNS[o.name.toLowerCase()]}=${combo[i].value.toLowerCase()}`).join('|')
+      : null;
+
+  const [skuRows] = await conn.query('SELECT sku FROM product_variants WHERE sku IS NOT NULL');
+  const takenSkus = new Set(skuRows.map((r) => r.sku.toUpperCase()));
+  const uniqueSku = (base) => {
+    let sku = base;
+    for (let n = 2; takenSkus.has(sku.toUpperCase()); n++) sku = `${base}-${n}`;
+    takenSkus.add(sku.toUpperCase());
+    return sku;
+  };
+
+  const result = { created: [], adopted: [], kept: [], deactivated: [] };
+  const activeIds = new Set();
+
+  for (const [position, combo] of (resolved.length ? combinations(resolved) : []).entries()) {
+    const signature = signatureOf(combo.map((v) => v.value_id));
+    const legacyColumns = {};
+    resolved.forEach((o, i) => {
+      const column = LEGACY_COLUMNS[o.name.toLowerCase()];
+      if (column) legacyColumns[column] = combo[i].value;
+    });
+
+    let variant = bySignature.get(signature);
+    let status = 'kept';
+
+    if (!variant) {
+      const key = legacyKey(combo);
+      variant = key
+        ? legacy.find(
+            (v) =>
+              !activeIds.has(v.variant_id) &&
+              resolved.map((o, i) => {
+                const column = LEGACY_COLUMNS[o.name.toLowerCase()];
+                return `${column}=${String(v[column] || '').toLowerCase()}`;
+              }).join('|') === key
+          )
+        : null;
+      status = variant ? 'adopted' : 'created';
+    }
+
+    if (!variant) {
+      const sku = uniqueSku([product.sku, ...combo.map((v) => skuPart(v.value))].filter(Boolean).join('-'));
+      const [insert] = await conn.query(
+        `INSERT INTO product_variants
+          (product_id, sku, color, size, material, stock_quantity, price_modifier, option_signature, position, is_active)
+         VALUES (?, ?, ?, ?, ?, 0, 0, ?, ?, 1)`,
+        [
+          productId,
+          sku,
+          legacyColumns.color || null,
+          legacyColumns.size || null,
+          legacyColumns.material || null,
+          signature,
+          position,
+        ]
+      );
+      variant = { variant_id: insert.insertId, sku };
+      await conn.query(
+        'INSERT INTO inventory_levels (variant_id, location_id, on_hand, reserved) VALUES (?, 0, 0, 0)',
+        [variant.variant_id]
+      );
+    } else {
+      await conn.query(
+        `UPDATE product_variants
+         SET option_signature = ?, position = ?, is_active = 1,
+             color = COALESCE(?, color), size = COALESCE(?, size), material = COALESCE(?, material)
+         WHERE variant_id = ?`,
+        [
+          signature,
+          position,
+          legacyColumns.color || null,
+          legacyColumns.size || null,
+          legacyColumns.material || null,
+          variant.variant_id,
+        ]
+      );
+    }
+
+    await conn.query('DELETE FROM product_variant_option_values WHERE variant_id = ?', [variant.variant_id]);
+    await conn.query('INSERT INTO product_variant_option_values (variant_id, value_id) VALUES ?', [
+      combo.map((v) => [variant.variant_id, v.value_id]),
+    ]);
+
+    activeIds.add(variant.variant_id);
+    result[status].push({ variant_id: variant.variant_id, sku: variant.sku, title: combo.map((v) => v.value).join(' / ') });
+  }
+
+  // 🔹 Everything else leaves the matrix
+  for (const v of variants) {
+    if (activeIds.has(v.variant_id) || !v.is_active) continue;
+    await conn.query('UPDATE product_variants SET is_active = 0 WHERE variant_id = ?', [v.variant_id]);
+    result.deactivated.push({ variant_id: v.variant_id, sku: v.sku });
+  }
+
+  return result;
+};
+
+/**
+ * 🟢 Replace a product's options and regenerate its matrix in one transaction
+ */
+export const setProductOptions = async (productId, options) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await generateVariantMatrix(conn, productId, options);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// 🔹 Set a variant's total on-hand stock; the difference is booked on the
+// default location, which must not drop below what it has reserved
+const setVariantStock = async (conn, variant, stock) => {
+  const [levels] = await conn.query(
+    `SELECT inventory_id, location_id, on_hand, reserved
+     FROM inventory_levels WHERE variant_id = ?
+     ORDER BY location_id = 0 DESC, inventory_id
+     FOR UPDATE`,
+    [variant.variant_id]
+  );
+
+  if (!levels.length) {
+    await conn.query(
+      'INSERT INTO inventory_levels (variant_id, location_id, on_hand, reserved) VALUES (?, 0, ?, 0)',
+      [variant.variant_id, stock]
+    );
+  } else {
+    const delta = stock - levels.reduce((sum, l) => sum + l.on_hand, 0);
+    const target = levels[0];
+    if (target.on_hand + delta < target.reserved) {
+      throw variantError(`Variant ${variant.sku || variant.variant_id}: stock cannot go below reserved units`, 409, {
+        variant_id: variant.variant_id,
+        reserved: levels.reduce((sum, l) => sum + l.reserved, 0),
+      });
+    }
+    await conn.query('UPDATE inventory_levels SET on_hand = on_hand + ? WHERE inventory_id = ?', [
+      delta,
+      target.inventory_id,
+    ]);
+  }
+  await conn.query('UPDATE product_variants SET stock_quantity = ? WHERE variant_id = ?', [stock, variant.variant_id]);
+};
+
+/**
+ * 🔴 Update the SKU, barcode, price override, weight, stock or active flag of
+ * some of a product's variants inside the caller's transaction.
+ * updates: [{ variant_id | options, sku?, barcode?, price?, weight?, stock?, is_active? }]
+ * `options` ({ Color: 'Red', Size: '42' }) picks the variant by its option
+ * values; `price: null` clears the override.
+ */
+export const applyVariantUpdates = async (conn, productId, updates) => {
+  if (!Array.isArray(updates) || !updates.length) {
+    throw variantError('variants must be a non-empty array', 400);
+  }
+
+  const [rows] = await conn.query(
+    `SELECT variant_id, sku, barcode, is_active FROM product_variants
+     WHERE product_id = ?
+     ORDER BY is_active DESC, variant_id
+     FOR UPDATE`,
+    [productId]
+  );
+  const variants = updates.some((u) => !u.variant_id && u.options) ? await attachVariantOptions(rows, conn) : rows;
+  const variantMap = Object.fromEntries(variants.map((v) => [v.variant_id, v]));
+
+  for (const [index, update] of updates.entries()) {
+    const label = `Variant ${index + 1}`;
+    const variant = update.variant_id
+      ? variantMap[Number(update.variant_id)]
+      : variants.find((v) => update.options && matchesOptions(v, update.options));
+    if (!variant) {
+      throw variantError(
+        update.variant_id
+          ? `${label}: variant ${update.variant_id} does not belong to this product`
+          : `${label}: no variant matches its options`,
+        400
+      );
+    }
+
+    const set = [];
+    const params = [];
+
+    if (update.sku !== undefined) {
+      const sku = String(update.sku || '').trim();
+      if (!sku || sku.length > 100) throw variantError(`${label}: sku must be 1-100 characters`, 400);
+      const [dupes] = await conn.query('SELECT variant_id FROM product_variants WHERE sku = ? AND variant_id <> ?', [
+        sku,
+        variant.variant_id,
+      ]);
+      if (dupes.length) throw variantError(`${label}: SKU ${sku} is already used`, 409, { sku });
+      set.push('sku = ?');
+      params.push(sku);
+    }
+    if (update.barcode !== undefined) {
+      const barcode = update.barcode === null || update.barcode === '' ? null : String(update.barcode).trim();
+      if (barcode && !/^[0-9A-Za-z-]{4,64}$/.test(barcode)) {
+        throw variantError(`${label}: barcode must be 4-64 letters, digits or dashes`, 400);
+      }
+      if (barcode) {
+        const [dupes] = await conn.query(
+          'SELECT variant_id FROM product_variants WHERE barcode = ? AND variant_id <> ?',
+          [barcode, variant.variant_id]
+        );
+        if (dupes.length) throw variantError(`${label}: barcode ${barcode} is already used`, 409, { barcode });
+      }
+      set.push('barcode = ?');
+      params.push(barcode);
+    }
+    if (update.price !== undefined) {
+      const price = update.price === null || update.price === '' ? null : Number(update.price);
+      if (price !== null && !(price >= 0)) throw variantError(`${label}: price must be zero or more`, 400);
+      set.push('price = ?');
+      params.push(price);
+    }
+    if (update.weight !== undefined) {
+      const weight = update.weight === null || update.weight === '' ? null : Number(update.weight);
+      if (weight !== null && !(weight >= 0)) throw variantError(`${label}: weight must be zero or more`, 400);
+      set.push('weight = ?');
+      params.push(weight);
+    }
+    if (update.is_active !== undefined) {
+      set.push('is_active = ?');
+      params.push(update.is_active === true || update.is_active === 1 || update.is_active === 'true' ? 1 : 0);
+    }
+
+    if (set.length) {
+      await conn.query(`UPDATE product_variants SET ${set.join(', ')} WHERE variant_id = ?`, [
+        ...params,
+        variant.variant_id,
+      ]);
+    }
+
+    if (update.stock !== undefined) {
+      const stock = Number(update.stock);
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw variantError(`${label}: stock must be a whole number, zero or more`, 400);
+      }
+      await setVariantStock(conn, variant, stock);
+    }
+  }
+};
+
+/**
+ * 🟢 Same, all or nothing in its own transaction
+ */
+export const updateProductVariants = async (productId, updates) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await applyVariantUpdates(conn, productId, updates);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Option names and values compare case-insensitively; every option must match
+const matchesOptions = (variant, selected) => {
+  const wanted = Object.fromEntries(
+    Object.entries(selected || {}).map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()])
+  );
+  const own = Object.entries(variant.options || {});
+  return (
+    own.length > 0 &&
+    own.length === Object.keys(wanted).length &&
+    own.every(([name, value]) => wanted[name.toLowerCase()] === value.toLowerCase())
+  );
+};
+
+/**
+ * 🟢 Find the active variant of a product with exactly these option values
+ * ({ Color: 'Red', Size: '42' }, names and values case-insensitive)
+ */
+export const findVariantByOptions = async (conn, productId, selected) => {
+  const [variants, options] = await Promise.all([
+    getProductVariants(productId, { activeOnly: true }, conn),
+    getProductOptions(productId, conn),
+  ]);
+  const variant = variants.find((v) => matchesOptions(v, selected));
+
+  if (!variant) {
+    throw variantError('No variant matches the selected options', 400, {
+      product_id: Number(productId),
+      options: options.map((o) => ({ name: o.name, values: o.values.map((v) => v.value) })),
+    });
+  }
+  return variant;
+};
@@ -0,0 +1,361 @@
+import db from "../database.js";
+import { roundMoney, PRICE_TOLERANCE } from "./pricingModel.js";
+import { transitionOrderStatus, recordStatusHistory } from "./orderStatusModel.js";
+import { refundPaymentInTransaction, getPaymentById } from "./paymentModel.js";
+import { releaseReservedUnits, returnCommittedUnits } from "./inventoryModel.js";
+
+export const REFUND_REASONS = [
+  "customer_request",
+  "damaged",
+  "defective",
+  "wrong_item",
+  "not_received",
+  "returned",
+  "duplicate",
+  "fraud",
+  "other",
+];
+
+const REFUNDABLE_STATUSES = ["processing", "shipped", "delivered", "returned", "cancelled"];
+
+const refundError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// Refund value of `quantity` units of a line: its share of the discounted line
+// total plus the matching share of the order's tax. The last units refunded
+// take whatever is left so the line never over- or under-refunds.
+const lineRefundAmount = (item, quantity, order) => {
+  const remainingQty = item.quantity - item.refunded_quantity;
+  const lineTotal = parseFloat(item.line_total ?? item.unit_price * item.quantity);
+  const taxable = parseFloat(order.subtotal_amount) - parseFloat(order.discount_amount);
+  const taxRatio = taxable > 0 ? parseFloat(order.tax_amount) / taxable : 0;
+  const lineWithTax = roundMoney(lineTotal * (1 + taxRatio));
+
+  if (quantity === remainingQty) {
+    return roundMoney(lineWithTax - parseFloat(item.refunded_amount));
+  }
+  return roundMoney((lineWithTax / item.quantity) * quantity);
+};
+
+/**
+ * 🔴 Refund an order inside the caller's transaction. A partial refund only
+ * sets the order's refund_status; a full one moves the order to `refunded`.
+ *
+ * options:
+ * - `items`: [{ order_item_id, quantity, restock? }] refunds those units
+ * - `amount`: refunds a plain amount (goodwill, price adjustment)
+ * - neither: refunds everything that is left, shipping included
+ * - `includeShipping`: add the not-yet-refunded shipping to an item refund
+ * - `restock`: put shipped units back into stock (per-item `restock` wins);
+ *   only units that actually shipped are returned
+ * - `external`: money was returned outside the gateway; skip payment refunds
+ * - `paymentId`: pay the refund back from this payment only
+ */
+export const issueRefund = async (
+  conn,
+  orderId,
+  {
+    items = null,
+    amount = null,
+    includeShipping = false,
+    reason,
+    note = null,
+    restock = false,
+    external = false,
+    paymentId = null,
+    createdBy = null,
+    changedByType = "admin",
+  }
+) => {
+  if (!REFUND_REASONS.includes(reason)) {
+    throw refundError("A valid refund reason is required", 400, { allowed_reasons: REFUND_REASONS });
+  }
+  const hasItems = Array.isArray(items) && items.length > 0;
+  const hasAmount = amount !== null && amount !== undefined;
+  if (hasItems && hasAmount) {
+    throw refundError("Refund either items or an amount, not both", 400);
+  }
+
+  const [orders] = await conn.query(
+    `SELECT order_id, status, subtotal_amount, discount_amount, tax_amount, shipping_amount,
+            total_amount, refunded_amount
+     FROM orders WHERE order_id = ? FOR UPDATE`,
+    [orderId]
+  );
+  const order = orders[0];
+  if (!order) throw refundError("Order not found", 404);
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw refundError(`Cannot refund an order that is ${order.status}`, 409, {
+      current_status: order.status,
+    });
+  }
+
+  const refundable = roundMoney(parseFloat(order.total_amount) - parseFloat(order.refunded_amount));
+  if (refundable <= 0) throw refundError("Order is already fully refunded", 409);
+
+  const [orderItems] = await conn.query(
+    `SELECT order_item_id, variant_id, quantity, unit_price, line_total, refunded_quantity, refunded_amount
+     FROM order_items WHERE order_id = ? FOR UPDATE`,
+    [orderId]
+  );
+  const itemMap = Object.fromEntries(orderItems.map((i) => [i.order_item_id, i]));
+
+  // 🔹 Work out which units are refunded
+  let requested = [];
+  if (hasItems) {
+    requested = items.map((entry, index) => {
+      const item = itemMap[Number(entry.order_item_id)];
+      const quantity = Number(entry.quantity);
+      if (!item) {
+        throw refundError(`Item ${index + 1}: order item ${entry.order_item_id} not found`, 400);
+      }
+      const remaining = item.quantity - item.refunded_quantity;
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > remaining) {
+        throw refundError(`Item ${index + 1}: quantity must be between 1 and ${remaining}`, 400);
+      }
+      return { item, quantity, restock: entry.restock ?? restock };
+    });
+  } else if (!hasAmount) {
+    requested = orderItems
+      .filter((i) => i.quantity > i.refunded_quantity)
+      .map((item) => ({ item, quantity: item.quantity - item.refunded_quantity, restock }));
+    includeShipping = true;
+  }
+
+  const lines = requested.map((r) => ({ ...r, amount: lineRefundAmount(r.item, r.quantity, order) }));
+
+  const [[{ shipping_refunded }]] = await conn.query(
+    `SELECT COALESCE(SUM(shipping_amount), 0) AS shipping_refunded FROM order_refunds WHERE order_id = ?`,
+    [orderId]
+  );
+  const shippingAmount = includeShipping
+    ? roundMoney(Math.max(parseFloat(order.shipping_amount) - parseFloat(shipping_refunded), 0))
+    : 0;
+
+  let total = hasAmount
+    ? roundMoney(amount)
+    : roundMoney(lines.reduce((sum, l) => sum + l.amount, 0) + shippingAmount);
+  if (!hasItems && !hasAmount) total = refundable; // full refund absorbs rounding leftovers
+
+  if (!(total > 0) || total - refundable > PRICE_TOLERANCE) {
+    throw refundError("Refund amount must be positive and not exceed the refundable amount", 400, {
+      refundable_amount: refundable,
+      requested_amount: total,
+    });
+  }
+  total = Math.min(total, refundable);
+
+  // 🔹 Pay the money back from captured payments, oldest first
+  const paid = [];
+  if (!external) {
+    const [payments] = await conn.query(
+      `SELECT payment_id, amount_captured, amount_refunded
+       FROM payments
+       WHERE order_id = ? AND status IN ('captured', 'partially_refunded')
+         ${paymentId ? "AND payment_id = ?" : ""}
+       ORDER BY payment_id`,
+      paymentId ? [orderId, paymentId] : [orderId]
+    );
+    const available = roundMoney(
+      payments.reduce((sum, p) => sum + parseFloat(p.amount_captured) - parseFloat(p.amount_refunded), 0)
+    );
+    if (available + PRICE_TOLERANCE < total) {
+      throw refundError("Refund exceeds the captured payments for this order", 409, {
+        refundable_from_payments: available,
+        requested_amount: total,
+      });
+    }
+
+    let remaining = total;
+    for (const p of payments) {
+      if (remaining <= 0) break;
+      const take = roundMoney(
+        Math.min(parseFloat(p.amount_captured) - parseFloat(p.amount_refunded), remaining)
+      );
+      if (take <= 0) continue;
+      await refundPaymentInTransaction(conn, p.payment_id, take, { note: `Order refund: ${reason}` });
+      paid.push({ payment_id: p.payment_id, amount: take });
+      remaining = roundMoney(remaining - take);
+    }
+  }
+
+  // 🔹 Record the refund
+  const [result] = await conn.query(
+    `INSERT INTO order_refunds (order_id, amount, shipping_amount, reason, note, restocked, created_by)
+     VALUES (?, ?, ?, ?, ?, 0, ?)`,
+    [orderId, total, shippingAmount, reason, note, createdBy]
+  );
+  const refundId = result.insertId;
+
+  for (const line of lines) {
+    const { item, quantity } = line;
+    line.restocked = false;
+
+    if (item.variant_id) {
+      // Units that never shipped go back regardless; shipped ones only on restock
+      const released = await releaseReservedUnits(conn, orderId, item.variant_id, quantity);
+      if (line.restock && quantity > released) {
+        line.restocked = (await returnCommittedUnits(conn, orderId, item.variant_id, quantity - released)) > 0;
+      }
+    }
+
+    await conn.query(
+      `INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount, restocked)
+       VALUES (?, ?, ?, ?, ?)`,
+      [refundId, item.order_item_id, quantity, line.amount, line.restocked ? 1 : 0]
+    );
+    await conn.query(
+      `UPDATE order_items
+       SET refunded_quantity = refunded_quantity + ?, refunded_amount = refunded_amount + ?
+       WHERE order_item_id = ?`,
+      [quantity, line.amount, item.order_item_id]
+    );
+  }
+
+  if (lines.some((l) => l.restocked)) {
+    await conn.query(`UPDATE order_refunds SET restocked = 1 WHERE refund_id = ?`, [refundId]);
+  }
+
+  for (const p of paid) {
+    await conn.query(
+      `INSERT INTO order_refund_payments (refund_id, payment_id, amount) VALUES (?, ?, ?)`,
+      [refundId, p.payment_id, p.amount]
+    );
+  }
+
+  // 🔹 Roll the refund state forward; only a full refund changes the order status
+  const refundedAmount = roundMoney(parseFloat(order.refunded_amount) + total);
+  const fullyRefunded = refundedAmount + PRICE_TOLERANCE >= parseFloat(order.total_amount);
+  const refundStatus = fullyRefunded ? "full" : "partial";
+  await conn.query(`UPDATE orders SET refunded_amount = ?, refund_status = ? WHERE order_id = ?`, [
+    refundedAmount,
+    refundStatus,
+    orderId,
+  ]);
+
+  const newStatus = fullyRefunded ? "refunded" : order.status;
+  const statusNote = `Refund #${refundId} (${reason})${note ? `: ${note}` : ""}`;
+
+  if (newStatus !== order.status) {
+    await transitionOrderStatus(conn, orderId, newStatus, {
+      changedByType,
+      changedById: createdBy,
+      note: statusNote,
+    });
+  } else {
+    await recordStatusHistory(conn, orderId, {
+      fromStatus: order.status,
+      toStatus: newStatus,
+      changedByType,
+      changedById: createdBy,
+      note: statusNote,
+    });
+  }
+
+  return {
+    refund_id: refundId,
+    order_id: Number(orderId),
+    amount: total,
+    shipping_amount: shippingAmount,
+    reason,
+    items: lines.map((l) => ({
+      order_item_id: l.item.order_item_id,
+      quantity: l.quantity,
+      amount: l.amount,
+      restocked: l.restocked,
+    })),
+    payments: paid,
+    order_status: newStatus,
+    refund_status: refundStatus,
+    order_refunded_amount: refundedAmount,
+  };
+};
+
+/**
+ * 🟢 Run a refund in its own transaction
+ */
+export const createRefund = async (orderId, options) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await issueRefund(conn, orderId, options);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * 🟢 Refund a single payment as an order refund, so it lands in the order's
+ * refund ledger like any other. Without `amount` everything still refundable
+ * on the payment is returned. Resolves to { refund, payment }.
+ */
+export const refundOrderPayment = async (paymentId, { amount = null, ...options }) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [payments] = await conn.query(
+      `SELECT payment_id, order_id, amount_captured, amount_refunded FROM payments WHERE payment_id = ? FOR UPDATE`,
+      [paymentId]
+    );
+    const payment = payments[0];
+    if (!payment) throw refundError("Payment not found", 404);
+
+    const refund = await issueRefund(conn, payment.order_id, {
+      ...options,
+      amount:
+        amount ?? roundMoney(parseFloat(payment.amount_captured) - parseFloat(payment.amount_refunded)),
+      paymentId: payment.payment_id,
+    });
+    const result = { refund, payment: await getPaymentById(payment.payment_id, conn) };
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * 🟢 Refunds of an order with their lines, oldest first
+ */
+export const getOrderRefunds = async (orderId, conn = db) => {
+  const [refunds] = await conn.query(
+    `SELECT refund_id, amount, shipping_amount, reason, note, restocked, created_by, created_at
+     FROM order_refunds WHERE order_id = ?
+     ORDER BY created_at ASC, refund_id ASC`,
+    [orderId]
+  );
+  if (!refunds.length) return [];
+
+  const [items] = await conn.query(
+    `SELECT refund_id, order_item_id, quantity, amount, restocked
+     FROM order_refund_items WHERE refund_id IN (?)`,
+    [refunds.map((r) => r.refund_id)]
+  );
+
+  return refunds.map((r) => ({
+    ...r,
+    amount: parseFloat(r.amount),
+    shipping_amount: parseFloat(r.shipping_amount),
+    restocked: Boolean(r.restocked),
+    items: items
+      .filter((i) => i.refund_id === r.refund_id)
+      .map((i) => ({
+        order_item_id: i.order_item_id,
+        quantity: i.quantity,
+        amount: parseFloat(i.amount),
+        restocked: Boolean(i.restocked),
+      })),
+  }));
+};
@@ -0,0 +1,535 @@
+import db from "../database.js";
+import dotenv from "dotenv";
+import { issueRefund } from "./refundModel.js";
+import { recordStatusHistory, transitionOrderStatus } from "./orderStatusModel.js";
+import { reserveStock, returnCommittedUnits } from "./inventoryModel.js";
+dotenv.config();
+
+// Days after delivery during which customers may open a return
+export const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || "30", 10);
+
+export const RETURN_REASONS = [
+  "wrong_size",
+  "damaged",
+  "defective",
+  "not_as_described",
+  "wrong_item",
+  "changed_mind",
+  "other",
+];
+
+export const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received"],
+  received: ["inspected"],
+  inspected: ["refunded", "exchanged"],
+  rejected: [],
+  refunded: [],
+  exchanged: [],
+};
+
+export const RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS);
+
+const returnError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const withTransaction = async (work) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// A return leaves a note in the order's trail until the last unit comes back
+const noteOrderHistory = async (conn, orderId, { changedByType = "admin", changedById = null, note }) => {
+  const [[order]] = await conn.query(`SELECT status FROM orders WHERE order_id = ?`, [orderId]);
+  await recordStatusHistory(conn, orderId, {
+    fromStatus: order.status,
+    toStatus: order.status,
+    changedByType,
+    changedById,
+    note,
+  });
+};
+
+// Every unit is either refunded or came back through an exchange
+const isFullyReturned = async (conn, orderId) => {
+  const [items] = await conn.query(
+    `SELECT oi.order_item_id, oi.quantity, oi.refunded_quantity,
+            COALESCE(SUM(CASE WHEN r.status = 'exchanged' THEN ri.accepted_quantity END), 0) AS exchanged
+     FROM order_items oi
+     LEFT JOIN order_return_items ri ON ri.order_item_id = oi.order_item_id
+     LEFT JOIN order_returns r ON r.return_id = ri.return_id
+     WHERE oi.order_id = ?
+     GROUP BY oi.order_item_id, oi.quantity, oi.refunded_quantity`,
+    [orderId]
+  );
+  return items.length > 0 && items.every((i) => i.refunded_quantity + Number(i.exchanged) >= i.quantity);
+};
+
+const getDeliveredAt = async (conn, orderId) => {
+  const [[row]] = await conn.query(
+    `SELECT MAX(created_at) AS delivered_at
+     FROM order_status_history
+     WHERE order_id = ? AND to_status = 'delivered'`,
+    [orderId]
+  );
+  return row?.delivered_at ? new Date(row.delivered_at) : null;
+};
+
+/**
+ * 🟢 Whether a customer can still open a return on this order
+ */
+export const getReturnEligibility = async (order, conn = db) => {
+  // A delivered order stays returnable after a partial refund (e.g. an earlier return)
+  const deliveredAt = order.status === "delivered"
+    ? await getDeliveredAt(conn, order.order_id)
+    : null;
+  if (!deliveredAt) {
+    return { eligible: false, reason: "Only delivered orders can be returned", window_ends_at: null };
+  }
+
+  const windowEndsAt = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEndsAt < new Date()) {
+    return { eligible: false, reason: "The return window has closed", window_ends_at: windowEndsAt };
+  }
+  return { eligible: true, reason: null, window_ends_at: windowEndsAt };
+};
+
+const loadReturnItems = async (conn, returnIds) => {
+  if (!returnIds.length) return [];
+  const [items] = await conn.query(
+    `SELECT ri.*, oi.product_id, oi.variant_id, oi.unit_price, p.base_name AS product_name
+     FROM order_return_items ri
+     INNER JOIN order_items oi ON oi.order_item_id = ri.order_item_id
+     LEFT JOIN products p ON p.product_id = oi.product_id
+     WHERE ri.return_id IN (?)
+     ORDER BY ri.return_item_id`,
+    [returnIds]
+  );
+  return items.map((i) => ({
+    ...i,
+    restockable: i.restockable === null ? null : Boolean(i.restockable),
+  }));
+};
+
+const attachItems = async (conn, returns) => {
+  const items = await loadReturnItems(conn, returns.map((r) => r.return_id));
+  return returns.map((r) => ({ ...r, items: items.filter((i) => i.return_id === r.return_id) }));
+};
+
+export const getReturnById = async (returnId, conn = db) => {
+  const [rows] = await conn.query(`SELECT * FROM order_returns WHERE return_id = ?`, [returnId]);
+  if (!rows.length) return null;
+  return (await attachItems(conn, rows))[0];
+};
+
+export const getOrderReturns = async (orderId, conn = db) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM order_returns WHERE order_id = ? ORDER BY created_at ASC, return_id ASC`,
+    [orderId]
+  );
+  return attachItems(conn, rows);
+};
+
+/**
+ * 🟢 Admin queue, newest first, optionally filtered by status
+ */
+export const listReturns = async ({ status = null, limit = 20, offset = 0 } = {}) => {
+  const params = [];
+  let where = "";
+  if (status) {
+    where = "WHERE r.status = ?";
+    params.push(status);
+  }
+
+  const [rows] = await db.query(
+    `SELECT r.*, u.email, u.first_name, u.last_name
+     FROM order_returns r
+     LEFT JOIN users u ON u.user_id = r.user_id
+     ${where}
+     ORDER BY r.created_at DESC, r.return_id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [[{ total }]] = await db.query(
+    `SELECT COUNT(*) AS total FROM order_returns r ${where}`,
+    params
+  );
+
+  return { returns: await attachItems(db, rows), total };
+};
+
+/**
+ * 🟢 Customer opens a return for some lines of a delivered order
+ */
+export const createReturnRequest = async (orderId, userId, { items, note = null }) =>
+  withTransaction(async (conn) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw returnError("Select at least one item to return", 400);
+    }
+
+    const [orders] = await conn.query(
+      `SELECT order_id, user_id, status FROM orders WHERE order_id = ? FOR UPDATE`,
+      [orderId]
+    );
+    const order = orders[0];
+    if (!order || order.user_id !== userId) throw returnError("Order not found", 404);
+
+    const eligibility = await getReturnEligibility(order, conn);
+    if (!eligibility.eligible) {
+      throw returnError(eligibility.reason, 409, { window_ends_at: eligibility.window_ends_at });
+    }
+
+    // Units already refunded or in another open return cannot be returned again
+    const [orderItems] = await conn.query(
+      `SELECT oi.order_item_id, oi.quantity, oi.refunded_quantity,
+              COALESCE(SUM(CASE WHEN r.status NOT IN ('rejected', 'refunded') THEN ri.quantity END), 0) AS in_return
+       FROM order_items oi
+       LEFT JOIN order_return_items ri ON ri.order_item_id = oi.order_item_id
+       LEFT JOIN order_returns r ON r.return_id = ri.return_id
+       WHERE oi.order_id = ?
+       GROUP BY oi.order_item_id`,
+      [orderId]
+    );
+    const itemMap = Object.fromEntries(orderItems.map((i) => [i.order_item_id, i]));
+
+    const lines = items.map((entry, index) => {
+      const item = itemMap[Number(entry.order_item_id)];
+      if (!item) throw returnError(`Item ${index + 1}: order item ${entry.order_item_id} not found`, 400);
+
+      const returnable = item.quantity - item.refunded_quantity - Number(item.in_return);
+      const quantity = Number(entry.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > returnable) {
+        throw returnError(`Item ${index + 1}: quantity must be between 1 and ${returnable}`, 400, {
+          returnable_quantity: returnable,
+        });
+      }
+      if (!RETURN_REASONS.includes(entry.reason)) {
+        throw returnError(`Item ${index + 1}: a valid reason is required`, 400, {
+          allowed_reasons: RETURN_REASONS,
+        });
+      }
+      return { order_item_id: item.order_item_id, quantity, reason: entry.reason, comment: entry.comment || null };
+    });
+
+    const [[{ count }]] = await conn.query(
+      `SELECT COUNT(*) AS count FROM order_returns WHERE order_id = ?`,
+      [orderId]
+    );
+    const rmaNumber = `RMA-${orderId}-${Number(count) + 1}`;
+
+    const [result] = await conn.query(
+      `INSERT INTO order_returns (rma_number, order_id, user_id, status, customer_note)
+       VALUES (?, ?, ?, 'requested', ?)`,
+      [rmaNumber, orderId, userId, note]
+    );
+
+    for (const line of lines) {
+      await conn.query(
+        `INSERT INTO order_return_items (return_id, order_item_id, quantity, reason, comment)
+         VALUES (?, ?, ?, ?, ?)`,
+        [result.insertId, line.order_item_id, line.quantity, line.reason, line.comment]
+      );
+    }
+
+    await noteOrderHistory(conn, orderId, {
+      changedByType: "customer",
+      changedById: userId,
+      note: `Return ${rmaNumber} requested`,
+    });
+
+    return getReturnById(result.insertId, conn);
+  });
+
+// Lock a return and check the requested step is allowed from its status
+const lockReturn = async (conn, returnId, toStatus) => {
+  const [rows] = await conn.query(`SELECT * FROM order_returns WHERE return_id = ? FOR UPDATE`, [returnId]);
+  const ret = rows[0];
+  if (!ret) throw returnError("Return not found", 404);
+
+  if (!(RETURN_TRANSITIONS[ret.status] || []).includes(toStatus)) {
+    throw returnError(`Cannot move return from ${ret.status} to ${toStatus}`, 409, {
+      current_status: ret.status,
+      allowed_transitions: RETURN_TRANSITIONS[ret.status] || [],
+    });
+  }
+
+  ret.items = await loadReturnItems(conn, [ret.return_id]);
+  return ret;
+};
+
+// Per-item admin input keyed by return_item_id; unknown ids are rejected
+const indexItemInput = (ret, input = []) => {
+  const map = {};
+  for (const entry of input || []) {
+    const id = Number(entry.return_item_id);
+    if (!ret.items.some((i) => i.return_item_id === id)) {
+      throw returnError(`Return item ${entry.return_item_id} is not part of ${ret.rma_number}`, 400);
+    }
+    map[id] = entry;
+  }
+  return map;
+};
+
+export const approveReturn = async (returnId, { adminId = null, note = null } = {}) =>
+  withTransaction(async (conn) => {
+    const ret = await lockReturn(conn, returnId, "approved");
+    await conn.query(
+      `UPDATE order_returns SET status = 'approved', approved_at = NOW(), admin_note = COALESCE(?, admin_note)
+       WHERE return_id = ?`,
+      [note, ret.return_id]
+    );
+    await noteOrderHistory(conn, ret.order_id, {
+      changedById: adminId,
+      note: `Return ${ret.rma_number} approved`,
+    });
+    return getReturnById(ret.return_id, conn);
+  });
+
+export const rejectReturn = async (returnId, { adminId = null, note = null } = {}) =>
+  withTransaction(async (conn) => {
+    const ret = await lockReturn(conn, returnId, "rejected");
+    await conn.query(
+      `UPDATE order_returns SET status = 'rejected', closed_at = NOW(), admin_note = COALESCE(?, admin_note)
+       WHERE return_id = ?`,
+      [note, ret.return_id]
+    );
+    await noteOrderHistory(conn, ret.order_id, {
+      changedById: adminId,
+      note: `Return ${ret.rma_number} rejected${note ? `: ${note}` : ""}`,
+    });
+    return getReturnById(ret.return_id, conn);
+  });
+
+/**
+ * 🟡 Parcel arrived. `items` may lower the received quantity per line;
+ * lines not listed are taken as received in full.
+ */
+export const receiveReturn = async (returnId, { items = [], note = null } = {}) =>
+  withTransaction(async (conn) => {
+    const ret = await lockReturn(conn, returnId, "received");
+    const input = indexItemInput(ret, items);
+
+    for (const item of ret.items) {
+      const received = input[item.return_item_id]?.received_quantity ?? item.quantity;
+      if (!Number.isInteger(Number(received)) || received < 0 || received > item.quantity) {
+        throw returnError(`Return item ${item.return_item_id}: received quantity must be 0-${item.quantity}`, 400);
+      }
+      await conn.query(
+        `UPDATE order_return_items SET received_quantity = ? WHERE return_item_id = ?`,
+        [Number(received), item.return_item_id]
+      );
+    }
+
+    await conn.query(
+      `UPDATE order_returns SET status = 'received', received_at = NOW(), admin_note = COALESCE(?, admin_note)
+       WHERE return_id = ?`,
+      [note, ret.return_id]
+    );
+    return getReturnById(ret.return_id, conn);
+  });
+
+/**
+ * 🟡 Inspection decides how many units are accepted and whether they can be
+ * sold again. Defaults: everything received is accepted and restockable.
+ */
+export const inspectReturn = async (returnId, { items = [], note = null } = {}) =>
+  withTransaction(async (conn) => {
+    const ret = await lockReturn(conn, returnId, "inspected");
+    const input = indexItemInput(ret, items);
+
+    for (const item of ret.items) {
+      const entry = input[item.return_item_id] || {};
+      const accepted = Number(entry.accepted_quantity ?? item.received_quantity);
+      if (!Number.isInteger(accepted) || accepted < 0 || accepted > item.received_quantity) {
+        throw returnError(
+          `Return item ${item.return_item_id}: accepted quantity must be 0-${item.received_quantity}`,
+          400
+        );
+      }
+      await conn.query(
+        `UPDATE order_return_items
+         SET accepted_quantity = ?, restockable = ?, inspection_note = ?
+         WHERE return_item_id = ?`,
+        [accepted, entry.restockable === false ? 0 : 1, entry.note || null, item.return_item_id]
+      );
+    }
+
+    await conn.query(
+      `UPDATE order_returns SET status = 'inspected', inspected_at = NOW(), admin_note = COALESCE(?, admin_note)
+       WHERE return_id = ?`,
+      [note, ret.return_id]
+    );
+    return getReturnById(ret.return_id, conn);
+  });
+
+const generateTrackingNumber = async (conn) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const trackingNumber = `TRK${Math.floor(Math.random() * (99999999 - 100000 + 1)) + 100000}`;
+    const [existing] = await conn.query(`SELECT order_id FROM orders WHERE tracking_number = ?`, [trackingNumber]);
+    if (existing.length === 0) return trackingNumber;
+  }
+  return `TRK${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 100).toString().padStart(2, "0")}`;
+};
+
+// Replacement order: already paid for, so it starts in processing at zero cost
+const createExchangeOrder = async (conn, orderId, lines, adminId) => {
+  const [[original]] = await conn.query(
+    `SELECT user_id, currency_id, currency_code, exchange_rate, language_id, language_code,
+            shipping_address_id, billing_address_id
+     FROM orders WHERE order_id = ?`,
+    [orderId]
+  );
+
+  const [result] = await conn.query(
+    `INSERT INTO orders (
+      user_id, subtotal_amount, discount_amount, tax_amount, shipping_amount, total_amount,
+      base_subtotal_amount, base_discount_amount, base_tax_amount, base_shipping_amount, base_total_amount,
+      currency_id, currency_code, exchange_rate, language_id, language_code, status, payment_method,
+      shipping_address_id, billing_address_id, tracking_number, created_at, updated_at
+    ) VALUES (?, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, ?, ?, ?, ?, ?, 'processing', 'exchange', ?, ?, ?, NOW(), NOW())`,
+    [
+      original.user_id,
+      original.currency_id,
+      original.currency_code,
+      original.exchange_rate,
+      original.language_id,
+      original.language_code,
+      original.shipping_address_id,
+      original.billing_address_id,
+      await generateTrackingNumber(conn),
+    ]
+  );
+  const exchangeOrderId = result.insertId;
+
+  for (const line of lines) {
+    await conn.query(
+      `INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price, base_unit_price, line_subtotal, discount_amount, line_total, base_line_total)
+       VALUES (?, ?, ?, ?, 0, 0, 0, 0, 0, 0)`,
+      [exchangeOrderId, line.product_id, line.variant_id, line.quantity]
+    );
+  }
+
+  await recordStatusHistory(conn, exchangeOrderId, {
+    toStatus: "processing",
+    changedByType: "admin",
+    changedById: adminId,
+    note: `Exchange for order #${orderId}`,
+  });
+  await reserveStock(conn, exchangeOrderId, lines);
+
+  return exchangeOrderId;
+};
+
+/**
+ * 🔴 Close an inspected return with a refund or an exchange.
+ * Refunds go through the refund engine (which restocks restockable units);
+ * exchanges restock here and ship replacement variants of the same product:
+ * `items: [{ return_item_id, variant_id }]`.
+ */
+export const resolveReturn = async (returnId, { resolution, items = [], adminId = null, note = null }) =>
+  withTransaction(async (conn) => {
+    if (!["refund", "exchange"].includes(resolution)) {
+      throw returnError("resolution must be refund or exchange", 400);
+    }
+
+    const toStatus = resolution === "refund" ? "refunded" : "exchanged";
+    const ret = await lockReturn(conn, returnId, toStatus);
+    const accepted = ret.items.filter((i) => i.accepted_quantity > 0);
+    if (!accepted.length) {
+      throw returnError(`No units of ${ret.rma_number} were accepted at inspection`, 409);
+    }
+
+    let refundId = null;
+    let exchangeOrderId = null;
+
+    if (resolution === "refund") {
+      const refund = await issueRefund(conn, ret.order_id, {
+        items: accepted.map((i) => ({
+          order_item_id: i.order_item_id,
+          quantity: i.accepted_quantity,
+          restock: i.restockable,
+        })),
+        reason: "returned",
+        note: note ? `${ret.rma_number}: ${note}` : ret.rma_number,
+        createdBy: adminId,
+      });
+      refundId = refund.refund_id;
+    } else {
+      const input = indexItemInput(ret, items);
+      const replacementIds = accepted.map((i) => Number(input[i.return_item_id]?.variant_id || i.variant_id));
+
+      const [variants] = await conn.query(
+        `SELECT variant_id, product_id FROM product_variants WHERE variant_id IN (?)`,
+        [replacementIds]
+      );
+      const variantMap = Object.fromEntries(variants.map((v) => [v.variant_id, v]));
+
+      const lines = accepted.map((item, index) => {
+        const variant = variantMap[replacementIds[index]];
+        if (!variant || variant.product_id !== item.product_id) {
+          throw returnError(
+            `Return item ${item.return_item_id}: replacement must be a variant of the same product`,
+            400
+          );
+        }
+        return { product_id: item.product_id, variant_id: variant.variant_id, quantity: item.accepted_quantity };
+      });
+
+      for (const item of accepted) {
+        if (item.restockable && item.variant_id) {
+          await returnCommittedUnits(conn, ret.order_id, item.variant_id, item.accepted_quantity);
+        }
+      }
+      for (const [index, item] of accepted.entries()) {
+        await conn.query(
+          `UPDATE order_return_items SET exchange_variant_id = ? WHERE return_item_id = ?`,
+          [lines[index].variant_id, item.return_item_id]
+        );
+      }
+
+      exchangeOrderId = await createExchangeOrder(conn, ret.order_id, lines, adminId);
+    }
+
+    await conn.query(
+      `UPDATE order_returns
+       SET status = ?, resolution = ?, refund_id = ?, exchange_order_id = ?, closed_at = NOW(),
+           admin_note = COALESCE(?, admin_note)
+       WHERE return_id = ?`,
+      [toStatus, resolution, refundId, exchangeOrderId, note, ret.return_id]
+    );
+
+    // 🔹 Last units back: the order itself is returned. A refund that covered
+    // everything has already moved it to refunded.
+    const historyNote =
+      resolution === "exchange"
+        ? `Return ${ret.rma_number} exchanged (order #${exchangeOrderId})`
+        : `Return ${ret.rma_number} refunded`;
+    const [[order]] = await conn.query(`SELECT status FROM orders WHERE order_id = ?`, [ret.order_id]);
+
+    if (["shipped", "delivered"].includes(order.status) && (await isFullyReturned(conn, ret.order_id))) {
+      await transitionOrderStatus(conn, ret.order_id, "returned", {
+        changedByType: "admin",
+        changedById: adminId,
+        note: historyNote,
+        onlyFrom: ["shipped", "delivered"],
+      });
+    } else if (resolution === "exchange") {
+      await noteOrderHistory(conn, ret.order_id, { changedById: adminId, note: historyNote });
+    }
+
+    return getReturnById(ret.return_id, conn);
+  });
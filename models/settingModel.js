@@ -1,4 +1,5 @@
 import db from "../database.js";
+import { resolveLanguageChain, pickTranslation, pickTranslationByCode } from "./LanguageModel.js";
 // ✅ GET all default colors
 export const getAllColors = async () => {
   const [rows] = await db.query(
@@ -66,8 +67,9 @@ export const deleteColor = async (id) => {
   }
 };
 
-// ✅ GET all default sizes
-export const getAllSizes = async () => {
+// ✅ GET all default sizes; with `langCode`, `label` is resolved through that
+// language's fallback chain
+export const getAllSizes = async (langCode = null) => {
   const [rows] = await db.query(`
     SELECT 
       s.id AS size_id,
@@ -108,7 +110,19 @@ export const getAllSizes = async () => {
     }
   }
 
-  return Object.values(sizesMap);
+  const sizes = Object.values(sizesMap);
+  if (!langCode) return sizes;
+
+  const chain = await resolveLanguageChain(langCode);
+  return sizes.map((size) => {
+    const t = pickTranslationByCode(size.translations, chain, ["label", "description"]);
+    return {
+      ...size,
+      label: t?.label || size.name,
+      description: t?.description || null,
+      language: t?.language_code || null,
+    };
+  });
 };
 
 
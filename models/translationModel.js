@@ -0,0 +1,440 @@
+import db from '../database.js';
+import { getAllLanguage, getDefaultLanguage } from './LanguageModel.js';
+
+/**
+ * Every translatable entity: the query that yields its source (default
+ * language) text and the translation table holding the localized copies.
+ * Source queries return `entity_id`, `entity_label` and one column per field;
+ * `sourceTable`/`sourceKey` identify the entity row itself.
+ */
+export const TRANSLATABLE_ENTITIES = {
+  product: {
+    table: 'product_translations',
+    key: 'product_id',
+    sourceTable: 'products',
+    sourceKey: 'product_id',
+    fields: ['name', 'description', 'meta_title', 'meta_description'],
+    source: `SELECT p.product_id AS entity_id, p.base_name AS entity_label,
+                    p.base_name AS name, p.base_description AS description,
+                    ps.meta_title, ps.meta_description
+             FROM products p
+             LEFT JOIN product_seo ps ON ps.product_id = p.product_id`,
+  },
+  category: {
+    table: 'category_translations',
+    key: 'category_id',
+    sourceTable: 'categories',
+    sourceKey: 'category_id',
+    fields: ['name', 'description'],
+    source: `SELECT category_id AS entity_id, name AS entity_label, name, description FROM categories`,
+  },
+  size: {
+    table: 'product_size_translations',
+    key: 'size_tbl_id',
+    sourceTable: 'sizes',
+    sourceKey: 'id',
+    fields: ['label'],
+    source: `SELECT id AS entity_id, name AS entity_label, name AS label FROM sizes`,
+  },
+  product_size: {
+    table: 'product_size_translations',
+    key: 'size_id',
+    sourceTable: 'product_sizes',
+    sourceKey: 'size_id',
+    fields: ['label'],
+    source: `SELECT ps.size_id AS entity_id, CONCAT(p.base_name, ' / ', ps.size_lebel_text) AS entity_label,
+                    ps.size_lebel_text AS label
+             FROM product_sizes ps
+             INNER JOIN products p ON p.product_id = ps.product_id`,
+  },
+  faq: {
+    table: 'product_faq_translations',
+    key: 'faq_id',
+    sourceTable: 'product_faqs',
+    sourceKey: 'faq_id',
+    fields: ['question', 'answer'],
+    source: `SELECT faq_id AS entity_id, question AS entity_label, question, ques_ans AS answer FROM product_faqs`,
+  },
+  page: {
+    table: 'page_translations',
+    key: 'page_id',
+    sourceTable: 'pages',
+    sourceKey: 'id',
+    fields: ['title', 'content'],
+    source: `SELECT id AS entity_id, slug AS entity_label, title, content FROM pages`,
+  },
+  // Top header text only exists as translations; the default language's row is the source
+  top_header: {
+    table: 'top_header_translations',
+    key: 'top_header_id',
+    sourceTable: 'top_header',
+    sourceKey: 'id',
+    fields: ['text'],
+    source: `SELECT th.id AS entity_id, CONCAT(th.type, ' #', th.id) AS entity_label, src.text
+             FROM top_header th
+             LEFT JOIN top_header_translations src
+               ON src.top_header_id = th.id AND src.language_id = ?`,
+    sourceParams: (defaultLanguage) => [defaultLanguage.language_id],
+  },
+  discount_tier: {
+    table: 'discount_tier_translations',
+    key: 'tier_id',
+    sourceTable: 'discount_tiers',
+    sourceKey: 'tier_id',
+    fields: ['label', 'description'],
+    source: `SELECT tier_id AS entity_id, COALESCE(label, discount_code) AS entity_label, label, description
+             FROM discount_tiers`,
+  },
+  flash_discount: {
+    table: 'flash_discount_translations',
+    key: 'flash_id',
+    sourceTable: 'flash_discounts',
+    sourceKey: 'flash_id',
+    fields: ['message'],
+    source: `SELECT flash_id AS entity_id, CONCAT('Flash discount #', flash_id) AS entity_label, message
+             FROM flash_discounts`,
+  },
+};
+
+const translationError = (message, status, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 100);
+
+// 🔹 Validate ?entity=a,b and ?languages=fr,de style filters
+export const resolveEntityTypes = (entities) => {
+  const requested = entities ? String(entities).split(',').map((e) => e.trim()).filter(Boolean) : [];
+  if (!requested.length) return Object.keys(TRANSLATABLE_ENTITIES);
+  const unknown = requested.filter((e) => !TRANSLATABLE_ENTITIES[e]);
+  if (unknown.length) {
+    throw translationError('Unknown entity type', 400, {
+      unknown_entities: unknown,
+      allowed_entities: Object.keys(TRANSLATABLE_ENTITIES),
+    });
+  }
+  return requested;
+};
+
+// Active languages to report on: all but the default (which holds the source
+// text) unless specific codes are asked for
+export const resolveTargetLanguages = async (codes) => {
+  const [languages, defaultLanguage] = await Promise.all([getAllLanguage(), getDefaultLanguage()]);
+  const requested = codes ? String(codes).split(',').map((c) => c.trim()).filter(Boolean) : [];
+  if (!requested.length) {
+    return languages.filter((l) => l.language_id !== defaultLanguage.language_id);
+  }
+  const unknown = requested.filter((c) => !languages.some((l) => l.code === c));
+  if (unknown.length) throw translationError('Unknown or inactive language', 400, { unknown_languages: unknown });
+  return languages.filter((l) => requested.includes(l.code));
+};
+
+// 🔹 Source rows of one entity type
+export const getSourceRows = async (entityType, conn = db) => {
+  const entity = TRANSLATABLE_ENTITIES[entityType];
+  const params = entity.sourceParams ? entity.sourceParams(await getDefaultLanguage()) : [];
+  const [rows] = await conn.query(entity.source, params);
+  return rows;
+};
+
+// 🔹 Existing translations of one entity type, keyed "<entity_id>:<language_id>"
+export const getTranslationRows = async (entityType, languageIds, conn = db) => {
+  const entity = TRANSLATABLE_ENTITIES[entityType];
+  if (!languageIds.length) return new Map();
+  const [rows] = await conn.query(
+    `SELECT ${entity.key} AS entity_id, language_id, ${entity.fields.join(', ')}
+     FROM ${entity.table}
+     WHERE ${entity.key} IS NOT NULL AND language_id IN (?)`,
+    [languageIds]
+  );
+  return new Map(rows.map((r) => [`${r.entity_id}:${r.language_id}`, r]));
+};
+
+/**
+ * 🟢 Translatable strings of one entity type for the given languages. A field
+ * counts when its source text is non-empty; it is a gap when the translation
+ * is missing or blank. An entity is `missing` without any translation row,
+ * `incomplete` when some fields are blank.
+ */
+const collectEntityStrings = async (entityType, languages) => {
+  const entity = TRANSLATABLE_ENTITIES[entityType];
+  const [sources, translations] = await Promise.all([
+    getSourceRows(entityType),
+    getTranslationRows(entityType, languages.map((l) => l.language_id)),
+  ]);
+
+  const results = [];
+  for (const language of languages) {
+    const stats = {
+      entities: 0,
+      complete: 0,
+      missing: 0,
+      incomplete: 0,
+      fields: 0,
+      translated_fields: 0,
+    };
+    const strings = [];
+
+    for (const source of sources) {
+      const required = entity.fields.filter((f) => !isBlank(source[f]));
+      if (!required.length) continue;
+
+      stats.entities++;
+      stats.fields += required.length;
+
+      const translation = translations.get(`${source.entity_id}:${language.language_id}`);
+      const emptyFields = required.filter((f) => !translation || isBlank(translation[f]));
+      stats.translated_fields += required.length - emptyFields.length;
+
+      if (!emptyFields.length) stats.complete++;
+      else if (translation) stats.incomplete++;
+      else stats.missing++;
+
+      for (const field of required) {
+        strings.push({
+          entity_type: entityType,
+          entity_id: source.entity_id,
+          entity_label: source.entity_label,
+          language_code: language.code,
+          field,
+          status: !translation ? 'missing' : emptyFields.includes(field) ? 'empty' : 'translated',
+          source_text: source[field],
+          translation: translation?.[field] ?? '',
+        });
+      }
+    }
+
+    results.push({ language, stats, strings });
+  }
+  return results;
+};
+
+/**
+ * 🟢 Completeness per language and entity type, with counts and percentages
+ */
+export const getCompletenessReport = async ({ languages: codes, entities } = {}) => {
+  const entityTypes = resolveEntityTypes(entities);
+  const languages = await resolveTargetLanguages(codes);
+  const defaultLanguage = await getDefaultLanguage();
+
+  const report = languages.map((l) => ({
+    language_id: l.language_id,
+    code: l.code,
+    name: l.name,
+    totals: { entities: 0, complete: 0, missing: 0, incomplete: 0, fields: 0, translated_fields: 0 },
+    entities: {},
+  }));
+
+  for (const entityType of entityTypes) {
+    const perLanguage = await collectEntityStrings(entityType, languages);
+    perLanguage.forEach(({ stats }, idx) => {
+      const entry = report[idx];
+      entry.entities[entityType] = {
+        ...stats,
+        completeness: percent(stats.complete, stats.entities),
+        field_completeness: percent(stats.translated_fields, stats.fields),
+      };
+      for (const key of Object.keys(entry.totals)) entry.totals[key] += stats[key];
+    });
+  }
+
+  for (const entry of report) {
+    entry.totals.completeness = percent(entry.totals.complete, entry.totals.entities);
+    entry.totals.field_completeness = percent(entry.totals.translated_fields, entry.totals.fields);
+  }
+
+  return {
+    source_language: defaultLanguage.code,
+    entity_types: entityTypes,
+    languages: report,
+    generated_at: new Date().toISOString(),
+  };
+};
+
+/**
+ * 🟢 Source strings with their current translation, for export to
+ * translators; `onlyGaps` keeps just the untranslated fields
+ */
+export const getTranslationStrings = async ({ languages: codes, entities, onlyGaps = false } = {}) => {
+  const entityTypes = resolveEntityTypes(entities);
+  const languages = await resolveTargetLanguages(codes);
+
+  const strings = [];
+  for (const entityType of entityTypes) {
+    const perLanguage = await collectEntityStrings(entityType, languages);
+    for (const { strings: entityStrings } of perLanguage) {
+      strings.push(...(onlyGaps ? entityStrings.filter((s) => s.status !== 'translated') : entityStrings));
+    }
+  }
+  return strings;
+};
+
+/**
+ * 🟢 Flat list of every untranslated field, for export to translators
+ */
+export const getTranslationGaps = (filters = {}) => getTranslationStrings({ ...filters, onlyGaps: true });
+
+// Columns a translation import row needs (CSV header / XLIFF unit id + trgLang)
+export const TRANSLATION_IMPORT_COLUMNS = ['entity_type', 'entity_id', 'language_code', 'field', 'translation'];
+
+const validateImportRow = (row, languagesByCode) => {
+  const entity = TRANSLATABLE_ENTITIES[row.entity_type];
+  if (!entity) return `Unknown entity_type "${row.entity_type}"`;
+  if (!/^\d+$/.test(String(row.entity_id ?? '').trim())) return 'entity_id must be a positive integer';
+  if (!entity.fields.includes(row.field)) {
+    return `Field "${row.field}" is not translatable for ${row.entity_type} (allowed: ${entity.fields.join(', ')})`;
+  }
+  if (!languagesByCode.has(row.language_code)) return `Unknown or inactive language "${row.language_code}"`;
+  return null;
+};
+
+/**
+ * 🟡 Upsert translations from an import file inside one transaction.
+ *
+ * `rows` are { ref, entity_type, entity_id, language_code, field, translation }
+ * where `ref` (CSV line or XLIFF unit id) is echoed in the report. Each row
+ * gets a status: inserted, updated, unchanged, skipped (blank translation;
+ * existing text is never blanked) or error. Invalid rows are never written;
+ * with `allOrNothing` any error aborts the whole import. `dryRun` validates
+ * and reports without committing.
+ */
+export const importTranslations = async (rows, { dryRun = false, allOrNothing = false } = {}) => {
+  const languages = await getAllLanguage();
+  const languagesByCode = new Map(languages.map((l) => [l.code, l]));
+
+  const results = rows.map((row) => ({
+    ref: row.ref,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    language_code: row.language_code,
+    field: row.field,
+    status: null,
+    message: null,
+  }));
+  const fail = (idx, message) => {
+    results[idx].status = 'error';
+    results[idx].message = message;
+  };
+
+  // 🔹 Row-level validation and duplicate detection
+  const seen = new Map();
+  rows.forEach((row, idx) => {
+    const error = validateImportRow(row, languagesByCode);
+    if (error) return fail(idx, error);
+
+    if (isBlank(row.translation)) {
+      results[idx].status = 'skipped';
+      results[idx].message = 'Blank translation';
+      return;
+    }
+
+    const dupKey = `${row.entity_type}:${Number(row.entity_id)}:${row.language_code}:${row.field}`;
+    if (seen.has(dupKey)) return fail(idx, `Duplicate of ${results[seen.get(dupKey)].ref}`);
+    seen.set(dupKey, idx);
+  });
+
+  // 🔹 Referenced entities must exist
+  const pendingIdx = () => results.map((r, idx) => (r.status === null ? idx : -1)).filter((idx) => idx >= 0);
+  const byType = {};
+  for (const idx of pendingIdx()) {
+    (byType[rows[idx].entity_type] ||= new Set()).add(Number(rows[idx].entity_id));
+  }
+  for (const [entityType, ids] of Object.entries(byType)) {
+    const entity = TRANSLATABLE_ENTITIES[entityType];
+    const [found] = await db.query(
+      `SELECT ${entity.sourceKey} AS id FROM ${entity.sourceTable} WHERE ${entity.sourceKey} IN (?)`,
+      [[...ids]]
+    );
+    const existing = new Set(found.map((f) => Number(f.id)));
+    for (const idx of pendingIdx()) {
+      if (rows[idx].entity_type === entityType && !existing.has(Number(rows[idx].entity_id))) {
+        fail(idx, `${entityType} ${rows[idx].entity_id} not found`);
+      }
+    }
+  }
+
+  const summarize = (applied) => {
+    const totals = { rows: results.length, inserted: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0 };
+    for (const r of results) {
+      if (r.status === 'error') totals.errors++;
+      else if (r.status) totals[r.status]++;
+    }
+    return { dry_run: dryRun, applied, totals, rows: results };
+  };
+
+  const hasErrors = results.some((r) => r.status === 'error');
+  if (allOrNothing && hasErrors) {
+    for (const r of results) {
+      if (r.status === null) {
+        r.status = 'skipped';
+        r.message = 'Import aborted because other rows failed';
+      }
+    }
+    return summarize(false);
+  }
+
+  // 🔹 Group the remaining rows per translation row and upsert
+  const groups = new Map();
+  for (const idx of pendingIdx()) {
+    const row = rows[idx];
+    const key = `${row.entity_type}:${Number(row.entity_id)}:${row.language_code}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(idx);
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    for (const indexes of groups.values()) {
+      const first = rows[indexes[0]];
+      const entity = TRANSLATABLE_ENTITIES[first.entity_type];
+      const entityId = Number(first.entity_id);
+      const languageId = languagesByCode.get(first.language_code).language_id;
+
+      const [existingRows] = await conn.query(
+        `SELECT ${entity.fields.join(', ')} FROM ${entity.table}
+         WHERE ${entity.key} = ? AND language_id = ? LIMIT 1 FOR UPDATE`,
+        [entityId, languageId]
+      );
+      const existing = existingRows[0];
+
+      if (!existing) {
+        const values = Object.fromEntries(entity.fields.map((f) => [f, '']));
+        for (const idx of indexes) values[rows[idx].field] = rows[idx].translation;
+        await conn.query(
+          `INSERT INTO ${entity.table} (${entity.key}, language_id, ${entity.fields.join(', ')})
+           VALUES (?, ?, ${entity.fields.map(() => '?').join(', ')})`,
+          [entityId, languageId, ...entity.fields.map((f) => values[f])]
+        );
+        for (const idx of indexes) results[idx].status = 'inserted';
+        continue;
+      }
+
+      const changed = indexes.filter((idx) => (existing[rows[idx].field] ?? '') !== rows[idx].translation);
+      for (const idx of indexes) results[idx].status = changed.includes(idx) ? 'updated' : 'unchanged';
+      if (!changed.length) continue;
+
+      await conn.query(
+        `UPDATE ${entity.table} SET ${changed.map((idx) => `${rows[idx].field} = ?`).join(', ')}
+         WHERE ${entity.key} = ? AND language_id = ?`,
+        [...changed.map((idx) => rows[idx].translation), entityId, languageId]
+      );
+    }
+
+    if (dryRun) await conn.rollback();
+    else await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return summarize(!dryRun);
+};
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getCartQuote } from '../controllers/cartController.js';
+
+const router = express.Router();
+
+// POST /api/cart/quote
+router.post('/quote', getCartQuote);
+
+export default router;
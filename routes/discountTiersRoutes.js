@@ -9,7 +9,8 @@ import {
   createFlashDiscount,
   getFlashDiscount,
   updateFlashDiscount,
-  deleteFlashDiscount
+  deleteFlashDiscount,
+  evaluateFlashDiscount
 } from '../controllers/discountTierController.js';
 
 const router = express.Router();
@@ -23,6 +24,7 @@ router.delete("/:id", deleteDiscountTier);
 
 
 router.post("/flash-discounts", createFlashDiscount);
+router.post("/flash-discounts/evaluate", evaluateFlashDiscount);
 router.get("/flash-discounts/:id", getFlashDiscount);
 router.put("/flash-discounts/:id", updateFlashDiscount);
 router.delete("/flash-discounts/:id", deleteFlashDiscount);
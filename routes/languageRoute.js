@@ -1,9 +1,28 @@
 import express from 'express';
-import { getLanguages } from '../controllers/languageController.js';
+import {
+  getLanguages,
+  getAdminLanguages,
+  getFallbackChain,
+  createLanguage,
+  updateLanguage,
+  setLanguageStatus,
+  setDefaultLanguage,
+  reorderLanguages,
+} from '../controllers/languageController.js';
+import { authenticate, authorizeAdmin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // GET /api/languages
 router.get('/', getLanguages);
+router.get('/:code/fallback-chain', getFallbackChain);
+
+// 👑 Admin
+router.get('/admin', authenticate, authorizeAdmin, getAdminLanguages);
+router.post('/', authenticate, authorizeAdmin, createLanguage);
+router.put('/reorder', authenticate, authorizeAdmin, reorderLanguages);
+router.put('/:id', authenticate, authorizeAdmin, updateLanguage);
+router.patch('/:id/status', authenticate, authorizeAdmin, setLanguageStatus);
+router.put('/:id/default', authenticate, authorizeAdmin, setDefaultLanguage);
 
 export default router;
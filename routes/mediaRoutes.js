@@ -0,0 +1,31 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, authorizeAdmin } from '../middleware/authMiddleware.js';
+import {
+  listMedia,
+  getMedia,
+  uploadMedia,
+  updateMedia,
+  replaceMediaFile,
+  deleteMedia,
+  sweepMedia,
+} from '../controllers/mediaController.js';
+
+const router = express.Router();
+
+// Images stay in memory until services/imagePipeline.js has rendered them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// 👑 Admin only
+router.get('/', authenticate, authorizeAdmin, listMedia);
+router.post('/', authenticate, authorizeAdmin, upload.array('files', 10), uploadMedia);
+router.post('/sweep', authenticate, authorizeAdmin, sweepMedia);
+router.get('/:id', authenticate, authorizeAdmin, getMedia);
+router.patch('/:id', authenticate, authorizeAdmin, updateMedia);
+router.put('/:id/file', authenticate, authorizeAdmin, upload.single('file'), replaceMediaFile);
+router.delete('/:id', authenticate, authorizeAdmin, deleteMedia);
+
+export default router;
@@ -1,7 +1,27 @@
 import express from "express";
 import { verifyClerkAuth } from "../middleware/clerkAuth.js";
 import { authenticate, authorizeAdmin } from "../middleware/authMiddleware.js";
+import { idempotent } from "../middleware/idempotency.js";
 import db from "../database.js";
+import { priceCart, assertClientTotals, resolveLocale, convertPricing } from "../models/pricingModel.js";
+import { reserveStock } from "../models/inventoryModel.js";
+import { getVisitorId } from "../models/flashWindowModel.js";
+import { resolveLanguageChain, pickTranslation, chainLanguageIds } from "../models/LanguageModel.js";
+import { getOrderPayments } from "../models/paymentModel.js";
+import { REFUND_REASONS, createRefund, getOrderRefunds } from "../models/refundModel.js";
+import {
+  RETURN_REASONS,
+  getReturnEligibility,
+  getOrderReturns,
+  createReturnRequest,
+} from "../models/returnModel.js";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  recordStatusHistory,
+  changeOrderStatus,
+  getStatusHistory,
+} from "../models/orderStatusModel.js";
 
 const router = express.Router();
 
@@ -16,6 +36,68 @@ const getUserByClerkId = async (clerkId) => {
   return users[0] || null;
 };
 
+// Order lines with product names in the order's own language (or the first
+// language of its fallback chain that has a translation)
+const getOrderItems = async (orderId, conn = db) => {
+  const [items] = await conn.query(`
+    SELECT 
+      oi.order_item_id,
+      oi.order_id,
+      oi.product_id,
+      oi.variant_id,
+      COALESCE(oi.sku, v.sku) AS sku,
+      oi.variant_title,
+      oi.quantity,
+      oi.unit_price,
+      oi.base_unit_price,
+      oi.line_subtotal,
+      oi.discount_amount,
+      oi.line_total,
+      oi.base_line_total,
+      oi.refunded_quantity,
+      oi.refunded_amount,
+      p.product_id AS translated_product_id,
+      p.base_name,
+      o.language_code,
+      v.size,
+      v.color
+    FROM order_items oi
+    INNER JOIN orders o ON o.order_id = oi.order_id
+    LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
+    LEFT JOIN products p ON p.product_id = COALESCE(oi.product_id, v.product_id)
+    WHERE oi.order_id = ?
+  `, [orderId]);
+  if (!items.length) return items;
+
+  const chain = await resolveLanguageChain(items[0].language_code);
+  const productIds = [...new Set(items.map((i) => i.translated_product_id).filter(Boolean))];
+  const [translations] = productIds.length
+    ? await conn.query(
+        `SELECT product_id, language_id, name FROM product_translations
+         WHERE language_id IN (?) AND product_id IN (?)`,
+        [chainLanguageIds(chain), productIds]
+      )
+    : [[]];
+
+  return items.map(({ translated_product_id, base_name, language_code, ...item }) => ({
+    ...item,
+    product_name:
+      pickTranslation(
+        translations.filter((t) => t.product_id === translated_product_id),
+        chain,
+        ["name"]
+      )?.name || base_name,
+  }));
+};
+
+// Errors raised by the order models carry their HTTP status and details
+const sendModelError = (res, err) =>
+  res.status(err.status).json({
+    success: false,
+    message: err.message,
+    ...err.details
+  });
+
 
 
 // --------------------
@@ -38,10 +120,19 @@ router.get('/', verifyClerkAuth, async (req, res) => {
       SELECT 
         o.order_id,
         o.user_id,
+        o.subtotal_amount,
+        o.discount_amount,
+        o.tax_amount,
+        o.shipping_amount,
         o.total_amount,
+        o.base_total_amount,
         o.currency_id,
+        o.currency_code,
+        o.exchange_rate,
         o.language_id,
+        o.language_code,
         o.status,
+        o.payment_method,
         o.tracking_number,
         o.created_at,
         o.updated_at,
@@ -65,22 +156,7 @@ router.get('/', verifyClerkAuth, async (req, res) => {
     // Get order items for each order
     const ordersWithItems = await Promise.all(
       orders.map(async (order) => {
-        const [items] = await db.query(`
-          SELECT 
-            oi.order_item_id,
-            oi.order_id,
-            oi.variant_id,
-            oi.quantity,
-            oi.unit_price,
-            p.name as product_name,
-            p.image_url,
-            v.size,
-            v.color
-          FROM order_items oi
-          LEFT JOIN variants v ON oi.variant_id = v.variant_id
-          LEFT JOIN products p ON v.product_id = p.product_id
-          WHERE oi.order_id = ?
-        `, [order.order_id]);
+        const items = await getOrderItems(order.order_id);
 
         return {
           ...order,
@@ -120,10 +196,21 @@ router.get('/:id', verifyClerkAuth, async (req, res) => {
       SELECT 
         o.order_id,
         o.user_id,
+        o.subtotal_amount,
+        o.discount_amount,
+        o.tax_amount,
+        o.shipping_amount,
         o.total_amount,
+        o.base_total_amount,
+        o.refunded_amount,
+        o.refund_status,
         o.currency_id,
+        o.currency_code,
+        o.exchange_rate,
         o.language_id,
+        o.language_code,
         o.status,
+        o.payment_method,
         o.tracking_number,
         o.created_at,
         o.updated_at,
@@ -153,24 +240,21 @@ router.get('/:id', verifyClerkAuth, async (req, res) => {
     const order = orders[0];
 
     // Get order items
-    const [items] = await db.query(`
-      SELECT 
-        oi.order_item_id,
-        oi.order_id,
-        oi.variant_id,
-        oi.quantity,
-        oi.unit_price,
-        p.name as product_name,
-        p.image_url,
-        v.size,
-        v.color
-      FROM order_items oi
-      LEFT JOIN variants v ON oi.variant_id = v.variant_id
-      LEFT JOIN products p ON v.product_id = p.product_id
-      WHERE oi.order_id = ?
-    `, [id]);
+    const items = await getOrderItems(id);
 
     order.items = items || [];
+    order.status_history = await getStatusHistory(order.order_id);
+    order.payments = await getOrderPayments(order.order_id);
+    order.refunds = await getOrderRefunds(order.order_id);
+    order.returns = await getOrderReturns(order.order_id);
+    order.return_eligibility = await getReturnEligibility(order);
+
+    const [discounts] = await db.query(
+      `SELECT tier_id, discount_code, label, discount_amount, shipping_discount, free_ebook
+       FROM order_discounts WHERE order_id = ?`,
+      [id]
+    );
+    order.discounts = discounts;
 
     res.json({ 
       success: true, 
@@ -186,8 +270,120 @@ router.get('/:id', verifyClerkAuth, async (req, res) => {
   }
 });
 
+// 🕓 Get status history for an order
+router.get('/:id/history', verifyClerkAuth, async (req, res) => {
+  try {
+    const { clerkUser } = req;
+    const { id } = req.params;
+
+    const user = await getUserByClerkId(clerkUser.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const [orders] = await db.query(
+      'SELECT order_id, status FROM orders WHERE order_id = ? AND user_id = ?',
+      [id, user.user_id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Order not found or access denied" 
+      });
+    }
+
+    const history = await getStatusHistory(id);
+
+    res.json({
+      success: true,
+      data: {
+        order_id: orders[0].order_id,
+        status: orders[0].status,
+        history
+      }
+    });
+  } catch (err) {
+    console.error('❌ Get order history error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch order history',
+      error: err.message 
+    });
+  }
+});
+
+// ↩️ Return requests for an order
+router.get('/:id/returns', verifyClerkAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await getUserByClerkId(req.clerkUser.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const [orders] = await db.query(
+      'SELECT order_id, status FROM orders WHERE order_id = ? AND user_id = ?',
+      [id, user.user_id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Order not found or access denied" 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order_id: orders[0].order_id,
+        eligibility: await getReturnEligibility(orders[0]),
+        reasons: RETURN_REASONS,
+        returns: await getOrderReturns(id)
+      }
+    });
+  } catch (err) {
+    console.error('❌ Get order returns error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch returns',
+      error: err.message 
+    });
+  }
+});
+
+// ↩️ Ask to return items of a delivered order
+router.post('/:id/returns', verifyClerkAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, note } = req.body || {};
+
+    const user = await getUserByClerkId(req.clerkUser.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const request = await createReturnRequest(id, user.user_id, { items, note: note || null });
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${request.rma_number} requested`,
+      data: request
+    });
+  } catch (err) {
+    console.error('❌ Create return error:', err);
+    if (err.status) return sendModelError(res, err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to create return request',
+      error: err.message 
+    });
+  }
+});
+
 // ➕ Create new order
-router.post('/', verifyClerkAuth, async (req, res) => {
+// Retries carrying the same Idempotency-Key replay the first response
+router.post('/', verifyClerkAuth, idempotent('orders.create'), async (req, res) => {
   let connection;
   try {
     const { clerkUser } = req;
@@ -196,7 +392,11 @@ router.post('/', verifyClerkAuth, async (req, res) => {
       shipping_address, 
       billing_address, 
       payment_method = 'card',
+      currency = 'USD',
+      language = null,
+      discount_code,
       subtotal,
+      discount,
       shipping,
       tax,
       total 
@@ -228,6 +428,23 @@ router.post('/', verifyClerkAuth, async (req, res) => {
     await connection.beginTransaction();
 
     try {
+      // 0. Recompute every line and discount server-side in the base currency, then
+      //    convert with a snapshot of today's rate; client amounts are only checked
+      const { currency: orderCurrency, language: orderLanguage } = await resolveLocale(connection, {
+        currencyCode: currency,
+        languageCode: language
+      });
+      const basePricing = await priceCart(connection, {
+        items,
+        discountCode: discount_code,
+        shippingAddress: shipping_address,
+        visitorId: getVisitorId(req)
+      });
+      const pricing = convertPricing(basePricing, orderCurrency);
+      const { lines: pricedLines, totals } = pricing;
+      const baseTotals = basePricing.totals;
+      assertClientTotals(pricedLines, totals, items, { subtotal, discount, shipping, tax, total });
+
       // 1. Create or get shipping address
       let shippingAddressId;
       const [existingShippingAddress] = await connection.query(
@@ -314,41 +531,65 @@ router.post('/', verifyClerkAuth, async (req, res) => {
       // 4. Create order
       const [orderResult] = await connection.query(
         `INSERT INTO orders (
-          user_id, total_amount, currency_id, language_id, status, 
+          user_id, subtotal_amount, discount_amount, tax_amount, shipping_amount, total_amount,
+          base_subtotal_amount, base_discount_amount, base_tax_amount, base_shipping_amount, base_total_amount,
+          currency_id, currency_code, exchange_rate, language_id, language_code, status, payment_method,
           shipping_address_id, billing_address_id, tracking_number, created_at, updated_at
-        ) VALUES (?, ?, 1, 1, 'pending', ?, ?, ?, NOW(), NOW())`,
-        [user.user_id, total, shippingAddressId, billingAddressId, trackingNumber]
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          user.user_id,
+          totals.subtotal,
+          totals.discount,
+          totals.tax,
+          totals.shipping,
+          totals.total,
+          baseTotals.subtotal,
+          baseTotals.discount,
+          baseTotals.tax,
+          baseTotals.shipping,
+          baseTotals.total,
+          orderCurrency.currency_id,
+          pricing.currency.code,
+          pricing.currency.rate,
+          orderLanguage.language_id,
+          orderLanguage.code,
+          payment_method,
+          shippingAddressId,
+          billingAddressId,
+          trackingNumber
+        ]
       );
 
       const orderId = orderResult.insertId;
 
-      // 5. Create order items and update stock
-      for (const item of items) {
-        // Insert order item
+      await recordStatusHistory(connection, orderId, {
+        toStatus: 'pending',
+        changedByType: 'customer',
+        changedById: user.user_id
+      });
+
+      // 5. Create order items
+      for (const [i, line] of pricedLines.entries()) {
+        const baseLine = basePricing.lines[i];
         await connection.query(
-          `INSERT INTO order_items (order_id, variant_id, quantity, unit_price)
-           VALUES (?, ?, ?, ?)`,
-          [orderId, item.variant_id || item.product_id, item.quantity, item.unit_price || item.price]
+          `INSERT INTO order_items (order_id, product_id, variant_id, sku, variant_title, quantity, unit_price, base_unit_price, line_subtotal, discount_amount, line_total, base_line_total)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [orderId, line.product_id, line.variant_id, line.sku, line.variant_title, line.quantity, line.unit_price, baseLine.unit_price, line.line_subtotal, line.discount_amount, line.line_total, baseLine.line_total]
         );
+      }
 
-        // Update product stock - check if variant exists first
-        if (item.variant_id || item.product_id) {
-          const [variantCheck] = await connection.query(
-            'SELECT variant_id FROM product_variants WHERE variant_id = ?',
-            [item.variant_id || item.product_id]
-          );
-          
-          if (variantCheck.length > 0) {
-            await connection.query(
-              'UPDATE product_variants SET stock_quantity = stock_quantity - ? WHERE variant_id = ?',
-              [item.quantity, item.variant_id || item.product_id]
-            );
-          } else {
-            console.warn(`⚠️ Variant not found for stock update: ${item.variant_id || item.product_id}`);
-          }
-        }
+      // Applied discount tiers
+      for (const d of pricing.discounts) {
+        await connection.query(
+          `INSERT INTO order_discounts (order_id, tier_id, discount_code, label, discount_amount, shipping_discount, free_ebook)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [orderId, d.tier_id, d.discount_code, d.label, d.discount_amount, d.shipping_discount, d.free_ebook ? 1 : 0]
+        );
       }
 
+      // 6. Reserve stock (locks inventory rows; deducted on shipment)
+      await reserveStock(connection, orderId, pricedLines);
+
       // Commit transaction
       await connection.commit();
 
@@ -357,10 +598,19 @@ router.post('/', verifyClerkAuth, async (req, res) => {
         SELECT 
           o.order_id,
           o.user_id,
+          o.subtotal_amount,
+          o.discount_amount,
+          o.tax_amount,
+          o.shipping_amount,
           o.total_amount,
+          o.base_total_amount,
           o.currency_id,
+          o.currency_code,
+          o.exchange_rate,
           o.language_id,
+          o.language_code,
           o.status,
+          o.payment_method,
           o.tracking_number,
           o.created_at,
           o.updated_at,
@@ -383,23 +633,12 @@ router.post('/', verifyClerkAuth, async (req, res) => {
       const order = newOrders[0];
 
       // Get order items
-      const [orderItems] = await connection.query(`
-        SELECT 
-          oi.order_item_id,
-          oi.order_id,
-          oi.variant_id,
-          oi.quantity,
-          oi.unit_price,
-          p.base_name as product_name,
-          v.size,
-          v.color
-        FROM order_items oi
-        LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
-        LEFT JOIN products p ON v.product_id = p.product_id
-        WHERE oi.order_id = ?
-      `, [orderId]);
+      const orderItems = await getOrderItems(orderId, connection);
 
       order.items = orderItems || [];
+      order.discounts = pricing.discounts;
+      order.perks = pricing.perks;
+      order.discount_code = pricing.discount_code;
 
 
       res.status(201).json({ 
@@ -416,6 +655,8 @@ router.post('/', verifyClerkAuth, async (req, res) => {
   } catch (err) {
     console.error('❌ Create order error:', err);
     if (connection) await connection.rollback();
+
+    if (err.status) return sendModelError(res, err);
     
     res.status(500).json({ 
       success: false, 
@@ -436,6 +677,7 @@ router.patch('/:id/cancel', verifyClerkAuth, async (req, res) => {
   try {
     const { clerkUser } = req;
     const { id } = req.params;
+    const { note } = req.body || {};
 
     // Get user to verify ownership
     const user = await getUserByClerkId(clerkUser.id);
@@ -443,25 +685,14 @@ router.patch('/:id/cancel', verifyClerkAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
-    // Check if order exists and belongs to user
-    const [existingOrders] = await db.query(
-      'SELECT * FROM orders WHERE order_id = ? AND user_id = ? AND status IN ("pending", "processing")',
-      [id, user.user_id]
-    );
-
-    if (existingOrders.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Order not found, already cancelled/delivered, or cannot be cancelled" 
-      });
-    }
-
-    // Update order status to cancelled
-    await db.query(
-      'UPDATE orders SET status = "cancelled", updated_at = NOW() WHERE order_id = ? AND user_id = ?',
-      [id, user.user_id]
-    );
-
+    // Customers may only cancel before shipment; this also releases reserved stock
+    await changeOrderStatus(id, 'cancelled', {
+      changedByType: 'customer',
+      changedById: user.user_id,
+      userId: user.user_id,
+      onlyFrom: ['pending', 'processing'],
+      note: note || null
+    });
 
     res.json({ 
       success: true, 
@@ -469,6 +700,13 @@ router.patch('/:id/cancel', verifyClerkAuth, async (req, res) => {
     });
   } catch (err) {
     console.error('❌ Cancel order error:', err);
+    if (err.status === 404 || err.status === 409) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: "Order not found, already cancelled/delivered, or cannot be cancelled",
+        ...err.details
+      });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Failed to cancel order',
@@ -485,8 +723,16 @@ router.get('/', authenticate, authorizeAdmin, async (req, res) => {
       SELECT 
         o.order_id,
         o.user_id,
+        o.subtotal_amount,
+        o.discount_amount,
+        o.tax_amount,
+        o.shipping_amount,
         o.total_amount,
+        o.base_total_amount,
+        o.currency_code,
+        o.exchange_rate,
         o.status,
+        o.payment_method,
         o.tracking_number,
         o.created_at,
         o.updated_at,
@@ -518,18 +764,20 @@ router.get('/', authenticate, authorizeAdmin, async (req, res) => {
           SELECT 
             oi.order_item_id,
             oi.order_id,
+            COALESCE(oi.product_id, pv.product_id) AS product_id,
             oi.variant_id,
+            oi.variant_title,
             oi.quantity,
             oi.unit_price,
             p.base_name as product_name,
             p.base_name,
-            pv.sku,
+            COALESCE(oi.sku, pv.sku, p.sku) AS sku,
             pv.color,
             pv.size,
             pv.material
           FROM order_items oi
           LEFT JOIN product_variants pv ON oi.variant_id = pv.variant_id
-          LEFT JOIN products p ON pv.product_id = p.product_id
+          LEFT JOIN products p ON p.product_id = COALESCE(oi.product_id, pv.product_id)
           WHERE oi.order_id = ?
         `, [order.order_id]);
 
@@ -560,39 +808,76 @@ router.get('/', authenticate, authorizeAdmin, async (req, res) => {
   }
 });
 
+// Status history (admin only)
+router.get('/admin/:id/history', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [orders] = await db.query('SELECT order_id, status FROM orders WHERE order_id = ?', [id]);
+    if (orders.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+
+    const history = await getStatusHistory(id);
+
+    res.json({
+      success: true,
+      data: {
+        order_id: orders[0].order_id,
+        status: orders[0].status,
+        allowed_transitions: ORDER_TRANSITIONS[orders[0].status] || [],
+        history
+      }
+    });
+  } catch (err) {
+    console.error('❌ Get admin order history error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch order history',
+      error: err.message 
+    });
+  }
+});
+
 // Update order status (admin only)
 router.put('/:id/status', authenticate, authorizeAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
         success: false, 
         message: 'Invalid status' 
       });
     }
 
-    const [result] = await db.query(
-      'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE order_id = ?',
-      [status, id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Order not found' 
+    // A refunded order must come with an actual refund record
+    if (status === 'refunded') {
+      return res.status(409).json({
+        success: false,
+        message: `Use POST /api/orders/${id}/refunds to refund an order`
       });
     }
 
+    // Only edges in ORDER_TRANSITIONS are accepted; shipping/cancelling moves stock
+    const result = await changeOrderStatus(id, status, {
+      changedByType: 'admin',
+      changedById: req.user.userId,
+      note: note || null
+    });
+
     res.json({ 
       success: true, 
-      message: `Order status updated to ${status}` 
+      message: `Order status updated to ${status}`,
+      data: result
     });
   } catch (err) {
     console.error('❌ Update order status error:', err);
+    if (err.status) return sendModelError(res, err);
     res.status(500).json({ 
       success: false, 
       message: 'Failed to update order status',
@@ -605,18 +890,13 @@ router.put('/:id/status', authenticate, authorizeAdmin, async (req, res) => {
 router.patch('/:id/cancel', authenticate, authorizeAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+    const { note } = req.body || {};
 
-    const [result] = await db.query(
-      'UPDATE orders SET status = "cancelled", updated_at = CURRENT_TIMESTAMP WHERE order_id = ?',
-      [id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Order not found' 
-      });
-    }
+    await changeOrderStatus(id, 'cancelled', {
+      changedByType: 'admin',
+      changedById: req.user.userId,
+      note: note || null
+    });
 
     res.json({ 
       success: true, 
@@ -624,6 +904,7 @@ router.patch('/:id/cancel', authenticate, authorizeAdmin, async (req, res) => {
     });
   } catch (err) {
     console.error('❌ Cancel order error:', err);
+    if (err.status) return sendModelError(res, err);
     res.status(500).json({ 
       success: false, 
       message: 'Failed to cancel order',
@@ -631,6 +912,85 @@ router.patch('/:id/cancel', authenticate, authorizeAdmin, async (req, res) => {
     });
   }
 });
+// Refunds of an order (admin only)
+router.get('/admin/:id/refunds', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [orders] = await db.query(
+      'SELECT order_id, status, total_amount, refunded_amount, refund_status FROM orders WHERE order_id = ?',
+      [id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...orders[0],
+        refunds: await getOrderRefunds(id)
+      }
+    });
+  } catch (err) {
+    console.error('❌ Get order refunds error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: err.message
+    });
+  }
+});
+
+// 💸 Refund an order: whole order, some lines, or a plain amount (admin only)
+router.post('/:id/refunds', authenticate, authorizeAdmin, idempotent('orders.refund'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      items,
+      amount,
+      include_shipping = false,
+      restock = false,
+      external = false,
+      reason,
+      note
+    } = req.body || {};
+
+    if (!REFUND_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid refund reason is required',
+        allowed_reasons: REFUND_REASONS
+      });
+    }
+
+    const refund = await createRefund(id, {
+      items: items || null,
+      amount: amount ?? null,
+      includeShipping: Boolean(include_shipping),
+      restock: Boolean(restock),
+      external: Boolean(external),
+      reason,
+      note: note || null,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refunded ${refund.amount}`,
+      data: refund
+    });
+  } catch (err) {
+    console.error('❌ Refund order error:', err);
+    if (err.status) return sendModelError(res, err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund order',
+      error: err.message
+    });
+  }
+});
+
 // --------------------
 // 🩺 Health check
 // --------------------
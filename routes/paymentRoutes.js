@@ -0,0 +1,135 @@
+import express from "express";
+import { verifyClerkAuth } from "../middleware/clerkAuth.js";
+import { authenticate, authorizeAdmin } from "../middleware/authMiddleware.js";
+import { idempotent } from "../middleware/idempotency.js";
+import db from "../database.js";
+import {
+  createPayment,
+  confirmPayment,
+  capturePayment,
+  voidPayment,
+  getOrderPayments,
+} from "../models/paymentModel.js";
+import { refundOrderPayment } from "../models/refundModel.js";
+
+const router = express.Router();
+
+const getUserByClerkId = async (clerkId) => {
+  const [users] = await db.query(
+    'SELECT user_id, email, first_name, last_name, role, clerk_id FROM users WHERE clerk_id = ?',
+    [clerkId]
+  );
+  return users[0] || null;
+};
+
+// Model errors carry their HTTP status; anything else is a 500
+const sendPaymentError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...err.details,
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// ====================
+// 👤 CUSTOMER ROUTES
+// ====================
+
+// 💳 Pay a pending order
+router.post('/', verifyClerkAuth, idempotent('payments.create'), async (req, res) => {
+  try {
+    const { order_id, payment_method_token, capture_method = 'automatic' } = req.body;
+    if (!order_id) {
+      return res.status(400).json({ success: false, message: 'order_id is required' });
+    }
+
+    const user = await getUserByClerkId(req.clerkUser.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const payment = await createPayment({
+      orderId: order_id,
+      userId: user.user_id,
+      token: payment_method_token || null,
+      captureMethod: capture_method,
+    });
+
+    res.status(201).json({ success: true, data: payment });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to create payment');
+  }
+});
+
+// 🔐 Complete a payment that required customer action
+router.post('/:id/confirm', verifyClerkAuth, idempotent('payments.confirm'), async (req, res) => {
+  try {
+    const user = await getUserByClerkId(req.clerkUser.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const payment = await confirmPayment(req.params.id, {
+      userId: user.user_id,
+      actionResult: req.body?.action_result,
+    });
+
+    res.json({ success: true, data: payment });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to confirm payment');
+  }
+});
+
+// ====================
+// 👑 ADMIN ROUTES
+// ====================
+
+router.get('/admin/order/:orderId', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const payments = await getOrderPayments(req.params.orderId);
+    res.json({ success: true, data: payments });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to fetch payments');
+  }
+});
+
+// Capture an authorized (manual capture) payment, optionally for less
+router.post('/:id/capture', authenticate, authorizeAdmin, idempotent('payments.capture'), async (req, res) => {
+  try {
+    const payment = await capturePayment(req.params.id, { amount: req.body?.amount ?? null });
+    res.json({ success: true, message: 'Payment captured', data: payment });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to capture payment');
+  }
+});
+
+router.post('/:id/void', authenticate, authorizeAdmin, idempotent('payments.void'), async (req, res) => {
+  try {
+    const payment = await voidPayment(req.params.id, { note: req.body?.note || null });
+    res.json({ success: true, message: 'Payment voided', data: payment });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to void payment');
+  }
+});
+
+// Refund from one payment; recorded as an order refund (body: amount?, reason, note?)
+router.post('/:id/refund', authenticate, authorizeAdmin, idempotent('payments.refund'), async (req, res) => {
+  try {
+    const { amount = null, reason, note = null } = req.body || {};
+    const { refund, payment } = await refundOrderPayment(req.params.id, {
+      amount,
+      reason,
+      note,
+      createdBy: req.user.userId,
+    });
+    res.json({ success: true, message: 'Payment refunded', data: { ...payment, refund } });
+  } catch (err) {
+    sendPaymentError(res, err, 'Failed to refund payment');
+  }
+});
+
+export default router;
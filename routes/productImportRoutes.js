@@ -0,0 +1,27 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, authorizeAdmin } from '../middleware/authMiddleware.js';
+import {
+  getImportTemplate,
+  importProducts,
+  listImportJobs,
+  getImportJob,
+  downloadImportErrors,
+} from '../controllers/productImportController.js';
+
+const router = express.Router();
+
+// Import files are parsed in memory; the parsed rows are kept on the job
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// 👑 Admin only
+router.get('/template', authenticate, authorizeAdmin, getImportTemplate);
+router.post('/', authenticate, authorizeAdmin, upload.single('file'), importProducts);
+router.get('/jobs', authenticate, authorizeAdmin, listImportJobs);
+router.get('/jobs/:jobId', authenticate, authorizeAdmin, getImportJob);
+router.get('/jobs/:jobId/errors', authenticate, authorizeAdmin, downloadImportErrors);
+
+export default router;
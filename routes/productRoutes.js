@@ -1,7 +1,5 @@
 import express from "express";
-import fs from "fs";
 import multer from "multer";
-import path from "path";
 import { authenticate, authorizeAdmin } from "../middleware/authMiddleware.js";
 import {
   getProducts,
@@ -11,35 +9,32 @@ import {
   deleteProduct,
   frontendProductData,
   frontendProductDetails,
-  frontendMultiProductDetails
+  frontendMultiProductDetails,
+  searchProducts,
+  frontendProductListing,
+  adminProductListing
 } from "../controllers/productController.js";
+import {
+  getVariantMatrix,
+  replaceProductOptions,
+  patchProductVariants
+} from "../controllers/productVariantController.js";
+import { exportCatalog } from "../controllers/productExportController.js";
+import {
+  listUpcomingLaunches,
+  getPublishing,
+  updatePublishing
+} from "../controllers/productPublishingController.js";
+import { localStorageDir } from "../services/storage/index.js";
 
 const router = express.Router();
 
-// ====================
-// 📁 Upload Directory Setup
-// ====================
-const uploadDir = path.join(process.cwd(), "Uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-
-}
-
 // ====================
 // ⚙️ Multer Configuration
 // ====================
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`
-    );
-  },
-});
+// Uploads stay in memory: services/imagePipeline.js checks their magic bytes
+// and writes only the rendered size variants to disk
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
 
@@ -53,10 +48,6 @@ const fileFilter = (req, file, cb) => {
     );
   }
 
-  const fileTypes = /jpeg|jpg|png|gif|webp/; // Added webp support
-  const extname = fileTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = fileTypes.test(file.mimetype);
-
   // ✅ UPDATED: Accept the field names that frontend is actually sending
   const validField =
     file.fieldname === "productImages" ||
@@ -64,7 +55,7 @@ const fileFilter = (req, file, cb) => {
     file.fieldname.startsWith("images[") || // Frontend is sending images[0], images[1], etc.
     file.fieldname.startsWith("color_variant_images["); // Frontend might send color_variant_images[index]
 
-  if (extname && mimetype && validField) {
+  if (validField) {
     cb(null, true);
   } else {
     const errorMsg = `Invalid file field: ${
@@ -87,7 +78,17 @@ const upload = multer({
 // ====================
 
 router.get("/", getProducts);
+router.get("/search", searchProducts); // before "/:id" so "search" isn't taken as an id
+router.get("/listing", frontendProductListing);
+router.get("/admin/listing", authenticate, authorizeAdmin, adminProductListing);
+router.get("/export", authenticate, authorizeAdmin, exportCatalog);
+router.get("/launches", authenticate, authorizeAdmin, listUpcomingLaunches);
 router.get("/:id", getProduct);
+router.get("/:id/variants", authenticate, authorizeAdmin, getVariantMatrix);
+router.put("/:id/options", authenticate, authorizeAdmin, replaceProductOptions);
+router.patch("/:id/variants", authenticate, authorizeAdmin, patchProductVariants);
+router.get("/:id/publishing", authenticate, authorizeAdmin, getPublishing);
+router.put("/:id/publishing", authenticate, authorizeAdmin, updatePublishing);
 router.put("/:id", updateProduct);
 router.delete("/:id", deleteProduct);
 
@@ -167,7 +168,7 @@ router.post(
 // ====================
 // 🖼️ Serve Uploaded Files
 // ====================
-router.use("/uploads", express.static(uploadDir));
+router.use("/uploads", express.static(localStorageDir()));
 
 //for frontend
 router.get("/frontend/productData", frontendProductData);
@@ -0,0 +1,130 @@
+import express from "express";
+import { authenticate, authorizeAdmin } from "../middleware/authMiddleware.js";
+import {
+  RETURN_STATUSES,
+  listReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  resolveReturn,
+} from "../models/returnModel.js";
+
+// Admin side of the RMA workflow; customers open returns via /api/orders/:id/returns
+const router = express.Router();
+
+router.use(authenticate, authorizeAdmin);
+
+const sendReturnError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...err.details,
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  res.status(500).json({ success: false, message: fallbackMessage, error: err.message });
+};
+
+// 📋 Return queue
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status', allowed_statuses: RETURN_STATUSES });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const { returns, total } = await listReturns({
+      status: status || null,
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize,
+    });
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to fetch returns');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const ret = await getReturnById(req.params.id);
+    if (!ret) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+    res.json({ success: true, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to fetch return');
+  }
+});
+
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const ret = await approveReturn(req.params.id, { adminId: req.user.userId, note: req.body?.note || null });
+    res.json({ success: true, message: `Return ${ret.rma_number} approved`, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to approve return');
+  }
+});
+
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const ret = await rejectReturn(req.params.id, { adminId: req.user.userId, note: req.body?.note || null });
+    res.json({ success: true, message: `Return ${ret.rma_number} rejected`, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to reject return');
+  }
+});
+
+// items: [{ return_item_id, received_quantity }]
+router.post('/:id/receive', async (req, res) => {
+  try {
+    const { items, note } = req.body || {};
+    const ret = await receiveReturn(req.params.id, { items, note: note || null });
+    res.json({ success: true, message: `Return ${ret.rma_number} received`, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to receive return');
+  }
+});
+
+// items: [{ return_item_id, accepted_quantity, restockable, note }]
+router.post('/:id/inspect', async (req, res) => {
+  try {
+    const { items, note } = req.body || {};
+    const ret = await inspectReturn(req.params.id, { items, note: note || null });
+    res.json({ success: true, message: `Return ${ret.rma_number} inspected`, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to inspect return');
+  }
+});
+
+// resolution: 'refund' | 'exchange'; exchange items: [{ return_item_id, variant_id }]
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const { resolution, items, note } = req.body || {};
+    const ret = await resolveReturn(req.params.id, {
+      resolution,
+      items,
+      note: note || null,
+      adminId: req.user.userId,
+    });
+    res.json({ success: true, message: `Return ${ret.rma_number} ${ret.status}`, data: ret });
+  } catch (err) {
+    sendReturnError(res, err, 'Failed to resolve return');
+  }
+});
+
+export default router;
@@ -26,6 +26,17 @@ updateLogo,
 deleteLogo,
 setActiveLogo
 } from "../controllers/settingController.js";
+import {
+  getCurrencies,
+  getCurrency,
+  createCurrency,
+  updateCurrency,
+  setCurrencyStatus,
+  deleteCurrency,
+  getCurrencyRateHistory,
+  importCurrencyRates,
+} from "../controllers/currencyController.js";
+import { authenticate, authorizeAdmin } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -70,5 +81,14 @@ router.put('/website-logo/:id', updateLogo);
 router.delete('/website-logo/:id', deleteLogo);
 router.put('/website-logo/:id/set-active', setActiveLogo);
 
+// 💱 Currencies (listing is public for the storefront switcher)
+router.get("/currencies", getCurrencies);
+router.post("/currencies/import-rates", authenticate, authorizeAdmin, importCurrencyRates);
+router.get("/currencies/:id", getCurrency);
+router.get("/currencies/:id/rates", authenticate, authorizeAdmin, getCurrencyRateHistory);
+router.post("/currencies", authenticate, authorizeAdmin, createCurrency);
+router.put("/currencies/:id", authenticate, authorizeAdmin, updateCurrency);
+router.patch("/currencies/:id/status", authenticate, authorizeAdmin, setCurrencyStatus);
+router.delete("/currencies/:id", authenticate, authorizeAdmin, deleteCurrency);
 
 export default router;
\ No newline at end of file
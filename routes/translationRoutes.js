@@ -0,0 +1,37 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, authorizeAdmin } from '../middleware/authMiddleware.js';
+import {
+  getCompletenessReport,
+  exportTranslationGaps,
+  exportTranslations,
+  importTranslations,
+  getPendingMachineTranslations,
+  autoTranslateProduct,
+  approveProductMachineTranslations,
+  approveMachineTranslation,
+  rejectMachineTranslation,
+} from '../controllers/translationController.js';
+
+const router = express.Router();
+
+// Translation files are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// 👑 Admin only
+router.get('/report', authenticate, authorizeAdmin, getCompletenessReport);
+router.get('/gaps', authenticate, authorizeAdmin, exportTranslationGaps);
+router.get('/export', authenticate, authorizeAdmin, exportTranslations);
+router.post('/import', authenticate, authorizeAdmin, upload.single('file'), importTranslations);
+
+// 🤖 Machine translation review
+router.get('/machine/pending', authenticate, authorizeAdmin, getPendingMachineTranslations);
+router.post('/machine/products/:productId', authenticate, authorizeAdmin, autoTranslateProduct);
+router.post('/machine/products/:productId/approve', authenticate, authorizeAdmin, approveProductMachineTranslations);
+router.post('/machine/:entityType/:entityId/:languageCode/approve', authenticate, authorizeAdmin, approveMachineTranslation);
+router.post('/machine/:entityType/:entityId/:languageCode/reject', authenticate, authorizeAdmin, rejectMachineTranslation);
+
+export default router;
@@ -1,36 +1,16 @@
 // routes/uploadRoutes.js
 import express from "express";
 import multer from "multer";
-import path from "path";
-import fs from "fs";
+import { processUploadedImages, imageSrcset, detectImageType } from "../services/imagePipeline.js";
+import { storeFile, newStorageKey, absoluteUrl } from "../services/storage/index.js";
+import { createMedia, recordProcessedImages } from "../models/mediaModel.js";
 
 const router = express.Router();
 
-// ====================
-// 📁 Upload Directory Setup
-// ====================
-const uploadDir = path.join(process.cwd(), "Uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-
-}
-
 // ====================
 // ⚙️ Multer Configuration for Tiptap
 // ====================
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      `tiptap-${uniqueSuffix}${path.extname(file.originalname)}`
-    );
-  },
-});
-
+// Uploads stay in memory and are saved through the storage service
 const fileFilter = (req, file, cb) => {
 
 
@@ -38,14 +18,10 @@ const fileFilter = (req, file, cb) => {
     return cb(new Error("Invalid file"));
   }
 
-  const fileTypes = /jpeg|jpg|png|gif|webp/;
-  const extname = fileTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = fileTypes.test(file.mimetype);
-
   // ✅ Accept both 'image' and 'file' field names for Tiptap
   const validField = file.fieldname === "image" || file.fieldname === "file";
 
-  if (extname && mimetype && validField) {
+  if (validField) {
     cb(null, true);
   } else {
     const errorMsg = `Invalid file type or field. Field: ${file.fieldname}, Type: ${file.mimetype}`;
@@ -54,15 +30,15 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per file
 });
 
-// ====================
-// 🖼️ Tiptap Image Upload Endpoint
-// ====================
-router.post("/tiptap-upload", upload.single("image"), (req, res) => {
+// Editor images are stored as uploaded, once their magic bytes show an image
+const EDITOR_IMAGE_EXTENSIONS = { jpeg: ".jpg", png: ".png", gif: ".gif", webp: ".webp", avif: ".avif" };
+
+const storeEditorImage = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -71,16 +47,35 @@ router.post("/tiptap-upload", upload.single("image"), (req, res) => {
       });
     }
 
-    // Construct the public URL - Use your server's port and correct path
-    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3009}`;
-    const imageUrl = `${baseUrl}/Uploads/${req.file.filename}`;
+    const type = detectImageType(req.file.buffer);
+    if (!type) {
+      return res.status(400).json({
+        success: false,
+        error: "Only JPEG, PNG, GIF, WebP and AVIF images are accepted"
+      });
+    }
 
+    const { key, url } = await storeFile(newStorageKey("tiptap", EDITOR_IMAGE_EXTENSIONS[type]), req.file.buffer, {
+      contentType: `image/${type}`,
+    });
 
+    // Files the media library misses are adopted by its sweep
+    const mediaId = await createMedia({
+      url,
+      keys: [key],
+      contentType: `image/${type}`,
+      sizeBytes: req.file.size,
+      originalName: req.file.originalname,
+    }).catch((err) => {
+      console.warn("Failed to record upload in the media library:", err.message);
+      return null;
+    });
 
     res.json({
       success: true,
-      url: imageUrl,
-      filename: req.file.filename,
+      url: absoluteUrl(url),
+      filename: key,
+      media_id: mediaId,
       message: "Image uploaded successfully"
     });
 
@@ -92,25 +87,28 @@ router.post("/tiptap-upload", upload.single("image"), (req, res) => {
       details: error.message
     });
   }
-});
+};
+
+// ====================
+// 🖼️ Tiptap Image Upload Endpoint
+// ====================
+router.post("/tiptap-upload", upload.single("image"), storeEditorImage);
 
 // ====================
 // 📤 Multiple File Upload Endpoint (for products, etc.)
 // ====================
+// Product images stay in memory; only their rendered size variants are stored
 const productUpload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   fileFilter: (req, file, cb) => {
-    const fileTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = fileTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = fileTypes.test(file.mimetype);
-
     const validField = 
       file.fieldname === "productImages" ||
       file.fieldname.startsWith("colorImages[") ||
       file.fieldname.startsWith("images[") ||
-      file.fieldname.startsWith("color_variant_images[");
+      file.fieldname.startsWith("color_variant_images[") ||
+      file.fieldname === "images";
 
-    if (extname && mimetype && validField) {
+    if (validField) {
       cb(null, true);
     } else {
       cb(new Error(`Invalid file field: ${file.fieldname}`));
@@ -119,7 +117,7 @@ const productUpload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
-router.post("/product-upload", productUpload.array("images", 10), (req, res) => {
+router.post("/product-upload", productUpload.array("images", 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -128,15 +126,31 @@ router.post("/product-upload", productUpload.array("images", 10), (req, res) =>
       });
     }
 
-    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3009}`;
-    const uploadedFiles = req.files.map(file => ({
-      url: `${baseUrl}/Uploads/${file.filename}`,
-      filename: file.filename,
-      originalname: file.originalname,
-      fieldname: file.fieldname
-    }));
-
+    const images = await processUploadedImages(req.files, { prefix: "product" });
+    const mediaIds = await recordProcessedImages(images).catch((err) => {
+      console.warn("Failed to record uploads in the media library:", err.message);
+      return [];
+    });
 
+    const uploadedFiles = images.map((image, i) => {
+      const variants = Object.fromEntries(
+        Object.entries(image.variants).map(([size, v]) => [
+          size,
+          { ...v, avif: absoluteUrl(v.avif), webp: absoluteUrl(v.webp) },
+        ])
+      );
+      return {
+        url: absoluteUrl(image.url),
+        filename: image.url.split("/").pop(),
+        media_id: mediaIds[i] ?? null,
+        originalname: image.originalname,
+        fieldname: image.fieldname,
+        width: image.width,
+        height: image.height,
+        variants,
+        srcset: imageSrcset(variants),
+      };
+    });
 
     res.json({
       success: true,
@@ -145,6 +159,9 @@ router.post("/product-upload", productUpload.array("images", 10), (req, res) =>
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error("❌ Product upload error:", error);
     res.status(500).json({
       success: false,
@@ -156,36 +173,6 @@ router.post("/product-upload", productUpload.array("images", 10), (req, res) =>
 
 // 🖼️ Tiptap Image Upload Endpoint
 // ====================
-router.post("/upload", upload.single("image"), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: "No file uploaded"
-      });
-    }
-
-    // Construct the public URL - Use your server's port and correct path
-    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3009}`;
-    const imageUrl = `${baseUrl}/Uploads/${req.file.filename}`;
-
-
-
-    res.json({
-      success: true,
-      url: imageUrl,
-      filename: req.file.filename,
-      message: "Image uploaded successfully"
-    });
-
-  } catch (error) {
-    console.error("❌ Tiptap upload error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Upload failed",
-      details: error.message
-    });
-  }
-});
+router.post("/upload", upload.single("image"), storeEditorImage);
 
 export default router;
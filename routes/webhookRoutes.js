@@ -2,6 +2,8 @@
 import express from 'express';
 import { Webhook } from 'svix';
 import db from '../database.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import { handlePaymentWebhook } from '../models/paymentModel.js';
 
 const router = express.Router();
 
@@ -67,6 +69,30 @@ router.post('/clerk', express.raw({ type: 'application/json' }), async (req, res
   }
 });
 
+// Payment provider webhook (signature checked by the provider against the raw body)
+router.post('/payments', async (req, res) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(req.query.provider);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const event = provider.verifyWebhook(req.rawBody, req.headers);
+  if (!event || !event.id || !event.type) {
+    console.error('❌ Invalid payment webhook signature or payload');
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const result = await handlePaymentWebhook(provider.name, event);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error processing payment webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
 async function handleUserSync(clerkUser) {
   const { id, email_addresses, first_name, last_name } = clerkUser;
   const email = email_addresses[0]?.email_address;
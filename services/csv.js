@@ -0,0 +1,84 @@
+// services/csv.js
+// Minimal RFC 4180 CSV reading/writing for admin imports and exports.
+
+const needsQuoting = /[",\r\n]/;
+
+// Formula-looking cells are prefixed with ' so spreadsheets don't execute
+// them; parseCsv strips the prefix again so exports round-trip
+const formulaStart = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (formulaStart.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+  return needsQuoting.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) from an array of values
+export const toCsvRow = (values) => `${values.map(escapeCell).join(",")}\r\n`;
+
+// Whole document from `columns` and row objects keyed by those columns
+export const toCsv = (columns, rows) =>
+  toCsvRow(columns) + rows.map((row) => toCsvRow(columns.map((c) => row[c]))).join("");
+
+/**
+ * Parse CSV text into row objects keyed by the header line. Each row also
+ * carries its 1-based file line as `__line` for error reports.
+ */
+export const parseCsv = (text) => {
+  const input = String(text).replace(/^﻿/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const rows = records.filter((r) => r.values.some((v) => v.trim() !== ""));
+  if (!rows.length) return [];
+
+  const header = rows[0].values.map((h) => h.trim());
+  return rows.slice(1).map(({ values, line: rowLine }) => {
+    const row = { __line: rowLine };
+    header.forEach((column, idx) => {
+      const value = values[idx] ?? "";
+      row[column] = value.startsWith("'") && formulaStart.test(value.slice(1)) ? value.slice(1) : value;
+    });
+    return row;
+  });
+};
@@ -0,0 +1,23 @@
+// services/exchangeRates/fileSource.js
+// Reads rates from a JSON file (EXCHANGE_RATE_FILE) in the
+// { base, date, rates } shape; defaults to the bundled fixture.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "rates.json");
+
+const fileSource = {
+  name: "file",
+
+  async fetchRates() {
+    const file = process.env.EXCHANGE_RATE_FILE || DEFAULT_FILE;
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!data.base || typeof data.rates !== "object") {
+      throw new Error(`Exchange rate file ${file} must contain "base" and "rates"`);
+    }
+    return { base: data.base, date: data.date || null, rates: data.rates };
+  },
+};
+
+export default fileSource;
@@ -0,0 +1,24 @@
+// services/exchangeRates/httpSource.js
+// Fetches rates from EXCHANGE_RATE_URL. The response must be JSON with
+// `base` (or `base_code`) and `rates` (or `conversion_rates`), which covers
+// the common free rate APIs.
+import axios from "axios";
+
+const httpSource = {
+  name: "http",
+
+  async fetchRates() {
+    const url = process.env.EXCHANGE_RATE_URL;
+    if (!url) throw new Error("EXCHANGE_RATE_URL is not set");
+
+    const { data } = await axios.get(url, { timeout: 10000 });
+    const base = data.base || data.base_code;
+    const rates = data.rates || data.conversion_rates;
+    if (!base || typeof rates !== "object") {
+      throw new Error("Exchange rate response is missing base or rates");
+    }
+    return { base, date: data.date || data.time_last_update_utc || null, rates };
+  },
+};
+
+export default httpSource;
@@ -0,0 +1,22 @@
+// services/exchangeRates/index.js
+// Exchange-rate source registry. A source implements:
+//   fetchRates() → { base, date, rates: { EUR: 0.92, GBP: 0.79, ... } }
+// Rates are units of each currency per one unit of `base`.
+import fileSource from "./fileSource.js";
+import httpSource from "./httpSource.js";
+
+const sources = {
+  [fileSource.name]: fileSource,
+  [httpSource.name]: httpSource,
+};
+
+export const registerExchangeRateSource = (source) => {
+  sources[source.name] = source;
+};
+
+// EXCHANGE_RATE_SOURCE picks the feed (default: file, which works offline)
+export const getExchangeRateSource = (name = process.env.EXCHANGE_RATE_SOURCE || "file") => {
+  const source = sources[name];
+  if (!source) throw new Error(`Unknown exchange rate source: ${name}`);
+  return source;
+};
@@ -0,0 +1,152 @@
+// services/imagePipeline.js
+// Product and color swatch uploads are decoded, checked by their magic bytes,
+// stripped of metadata and rendered as responsive WebP/AVIF variants. The
+// original upload is never stored.
+import sharp from "sharp";
+import { storeFile, newStorageKey, deleteFile, deleteFileByUrl } from "./storage/index.js";
+
+// Longest edge per variant, in pixels
+export const IMAGE_SIZES = { thumbnail: 160, card: 480, zoom: 1600 };
+export const IMAGE_FORMATS = ["avif", "webp"];
+
+const QUALITY = { avif: 50, webp: 80 };
+const MAX_INPUT_PIXELS = parseInt(process.env.IMAGE_MAX_INPUT_PIXELS || "40000000", 10);
+
+const imageError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/**
+ * Image type from the file's first bytes: jpeg, png, gif, webp or avif, or
+ * null for anything else. The file name and the browser's MIME type are
+ * not trusted.
+ */
+export const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return "png";
+
+  const head = buffer.toString("latin1", 0, 12);
+  if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) return "gif";
+  if (head.startsWith("RIFF") && head.slice(8) === "WEBP") return "webp";
+  if (head.slice(4, 8) === "ftyp" && ["avif", "avis"].includes(head.slice(8))) return "avif";
+  return null;
+};
+
+/**
+ * Decode an image and store its variants through the storage service. Returns
+ * { url, width, height, variants, keys, bytes } where url is the largest WebP
+ * (for readers that only know image_url), variants is
+ * { thumbnail: { width, height, avif, webp }, card: …, zoom: … }, and keys /
+ * bytes are the stored files and their total size.
+ * Invalid or undecodable images are rejected with a 400.
+ */
+export const processImage = async (buffer, { prefix = "image" } = {}) => {
+  if (!detectImageType(buffer)) {
+    throw imageError("Only JPEG, PNG, GIF, WebP and AVIF images are accepted");
+  }
+
+  // rotate() applies the EXIF orientation; sharp writes no metadata unless
+  // asked to, so EXIF (camera, GPS) is dropped from every variant
+  const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: "error" }).rotate();
+
+  let metadata;
+  try {
+    metadata = await source.metadata();
+  } catch (err) {
+    throw imageError(`Image could not be decoded: ${err.message}`);
+  }
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const name = newStorageKey(prefix);
+  const stored = [];
+  const variants = {};
+  let bytes = 0;
+
+  try {
+    for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+      for (const format of IMAGE_FORMATS) {
+        let rendered;
+        try {
+          rendered = await source
+            .clone()
+            .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+            .toFormat(format, { quality: QUALITY[format] })
+            .toBuffer({ resolveWithObject: true });
+        } catch (err) {
+          throw imageError(`Image could not be processed: ${err.message}`);
+        }
+
+        const { key, url } = await storeFile(`${name}-${size}.${format}`, rendered.data, {
+          contentType: `image/${format}`,
+        });
+        stored.push(key);
+        bytes += rendered.info.size;
+
+        variants[size] ||= { width: rendered.info.width, height: rendered.info.height };
+        variants[size][format] = url;
+      }
+    }
+  } catch (err) {
+    await Promise.all(stored.map((key) => deleteFile(key).catch(() => {})));
+    throw err;
+  }
+
+  return { url: variants.zoom.webp, width, height, variants, keys: stored, bytes };
+};
+
+/**
+ * Process multer memory uploads one at a time (image encoding is CPU and
+ * memory heavy). Results keep the upload's fieldname and originalname. If
+ * one file fails, the variants already written are removed.
+ */
+export const processUploadedImages = async (files = [], { prefix } = {}) => {
+  const processed = [];
+  try {
+    for (const file of files) {
+      try {
+        const image = await processImage(file.buffer, { prefix: prefix || file.fieldname.replace(/\W+/g, "") });
+        processed.push({ ...image, fieldname: file.fieldname, originalname: file.originalname });
+      } catch (err) {
+        if (err.status) err.message = `${file.originalname}: ${err.message}`;
+        throw err;
+      }
+    }
+  } catch (err) {
+    await removeProcessedImages(processed);
+    throw err;
+  }
+  return processed;
+};
+
+// Every stored file URL of an image's variants
+export const imageVariantUrls = (variants) => {
+  const parsed = typeof variants === "string" ? JSON.parse(variants) : variants;
+  return Object.values(parsed || {}).flatMap((v) => IMAGE_FORMATS.map((f) => v[f]).filter(Boolean));
+};
+
+// Delete the variant files of processed images (e.g. after a failed save)
+export const removeProcessedImages = async (images = []) => {
+  const urls = images.flatMap((image) => imageVariantUrls(image?.variants));
+  await Promise.all(urls.map((url) => deleteFileByUrl(url).catch(() => {})));
+};
+
+/**
+ * srcset strings per format, e.g. { avif: "/uploads/a-thumbnail.avif 160w, …",
+ * webp: "…" }. Sizes that came out the same width (small originals) are
+ * listed once. Null for images stored before the pipeline.
+ */
+export const imageSrcset = (variants) => {
+  const parsed = typeof variants === "string" ? JSON.parse(variants) : variants;
+  if (!parsed) return null;
+
+  const bySize = Object.values(parsed).sort((a, b) => a.width - b.width);
+  const unique = bySize.filter((v, i) => i === 0 || v.width !== bySize[i - 1].width);
+  return Object.fromEntries(
+    IMAGE_FORMATS.map((format) => [format, unique.map((v) => `${v[format]} ${v.width}w`).join(", ")])
+  );
+};
@@ -0,0 +1,20 @@
+// services/machineTranslation/index.js
+// Machine translation provider registry. A provider implements:
+//   translate(texts, { from, to }) → Promise<string[]>  (same order and length as `texts`)
+// `from`/`to` are language codes from the languages table (e.g. "en", "fr-CA").
+import stubProvider from "./stubProvider.js";
+
+const providers = {
+  [stubProvider.name]: stubProvider,
+};
+
+export const registerMachineTranslator = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// MACHINE_TRANSLATION_PROVIDER picks the translator (default: stub)
+export const getMachineTranslator = (name = process.env.MACHINE_TRANSLATION_PROVIDER || "stub") => {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown machine translation provider: ${name}`);
+  return provider;
+};
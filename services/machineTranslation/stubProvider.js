@@ -0,0 +1,13 @@
+// services/machineTranslation/stubProvider.js
+// Deterministic local translator for development and tests: prefixes each
+// text with the target language ("Shirt" → "[fr] Shirt"). Never calls out.
+
+const stubProvider = {
+  name: "stub",
+
+  async translate(texts, { to }) {
+    return texts.map((text) => (text === null || text === undefined || text === "" ? text : `[${to}] ${text}`));
+  },
+};
+
+export default stubProvider;
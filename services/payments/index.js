@@ -0,0 +1,39 @@
+// services/payments/index.js
+// Payment provider registry. A provider implements:
+//   createPayment({ amount, currency, orderId, token }) → { providerPaymentId, status, nextAction?, failureReason? }
+//   confirmPayment(providerPaymentId, { actionResult })  → same shape as createPayment
+//   capture(providerPaymentId, amount)                   → { status: 'captured', amount, reference }
+//   void(providerPaymentId)                              → { status: 'voided' }
+//   refund(providerPaymentId, amount)                    → { status: 'succeeded', amount, reference }
+//   verifyWebhook(rawBody, headers)                      → event | null
+// `status` is one of: authorized, requires_action, failed, captured, voided.
+import mockProvider from "./mockProvider.js";
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// PAYMENT_PROVIDER picks the gateway for new payments. Outside production it
+// defaults to mock; in production it must name a real gateway, since the mock
+// authorizes any token and never charges anyone.
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || (isProduction() ? null : "mock")) => {
+  if (!name) throw new Error("PAYMENT_PROVIDER is not set");
+  if (name === mockProvider.name && isProduction()) {
+    throw new Error("The mock payment provider cannot be used in production");
+  }
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+// Called at startup so a production deploy without a real gateway fails
+// before it takes any orders
+export const assertPaymentProviderConfigured = () => {
+  getPaymentProvider();
+};
@@ -0,0 +1,105 @@
+// services/payments/mockProvider.js
+// Local gateway for development and tests. Outcomes are driven by the payment
+// method token, the same way test cards work on real gateways:
+//   mock_success (default) → authorized
+//   mock_fail              → declined
+//   mock_requires_action   → requires_action (3-D Secure style), then confirm
+//                            with action_result 'success' or 'fail'
+// MOCK_PAYMENT_OUTCOME=success|fail|requires_action overrides the token.
+import crypto from "crypto";
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const outcomeFor = (token) => {
+  const forced = process.env.MOCK_PAYMENT_OUTCOME;
+  if (forced) return forced;
+  if (token === "mock_fail") return "fail";
+  if (token === "mock_requires_action") return "requires_action";
+  return "success";
+};
+
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || "";
+
+// Header format: `t=<unix seconds>,v1=<hex hmac-sha256 of "<t>.<raw body>">`
+export const signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000), secret = webhookSecret()) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const mockProvider = {
+  name: "mock",
+
+  async createPayment({ amount, token }) {
+    const providerPaymentId = newId("mockpi");
+    const outcome = outcomeFor(token);
+
+    if (outcome === "fail") {
+      return { providerPaymentId, status: "failed", failureReason: "card_declined" };
+    }
+    if (outcome === "requires_action") {
+      return {
+        providerPaymentId,
+        status: "requires_action",
+        nextAction: { type: "redirect", url: `/mock-3ds/${providerPaymentId}` },
+      };
+    }
+    return { providerPaymentId, status: "authorized", amount };
+  },
+
+  async confirmPayment(providerPaymentId, { actionResult = "success" } = {}) {
+    if (actionResult !== "success") {
+      return { providerPaymentId, status: "failed", failureReason: "authentication_failed" };
+    }
+    return { providerPaymentId, status: "authorized" };
+  },
+
+  async capture(providerPaymentId, amount) {
+    return { providerPaymentId, status: "captured", amount, reference: newId("mockch") };
+  },
+
+  async void(providerPaymentId) {
+    return { providerPaymentId, status: "voided" };
+  },
+
+  async refund(providerPaymentId, amount) {
+    return { providerPaymentId, status: "succeeded", amount, reference: newId("mockre") };
+  },
+
+  /**
+   * Verify `X-Payment-Signature` against the raw request body and return the
+   * parsed event `{ id, type, data: { provider_payment_id, amount } }`.
+   * Returns null when the signature is missing, wrong or too old.
+   */
+  verifyWebhook(rawBody, headers) {
+    const secret = webhookSecret();
+    const header = headers["x-payment-signature"];
+    if (!secret || !header || !rawBody) return null;
+
+    const parts = Object.fromEntries(
+      String(header)
+        .split(",")
+        .map((p) => p.trim().split("="))
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return null;
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+    const expected = signPayload(rawBody.toString("utf8"), timestamp, secret).split("v1=")[1];
+    const a = Buffer.from(expected, "hex");
+    const b = Buffer.from(String(parts.v1), "hex");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      return JSON.parse(rawBody.toString("utf8"));
+    } catch {
+      return null;
+    }
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,19 @@
+// services/productEvents.js
+// In-process product lifecycle events, emitted after the change is committed:
+//   "product.published"    a product went live (publish_at passed, or an admin published it)
+//   "product.unpublished"  a product left the storefront (unpublish_at passed,
+//                          or it was moved to draft / archived)
+// The payload is the product_publish_events row plus the product's handle
+// and name. Listeners can't break the change that triggered them: errors
+// are logged.
+import { EventEmitter } from "events";
+
+export const productEvents = new EventEmitter();
+
+export const emitProductEvent = (name, payload) => {
+  try {
+    productEvents.emit(name, payload);
+  } catch (err) {
+    console.error(`❌ ${name} listener failed:`, err);
+  }
+};
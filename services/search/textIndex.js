@@ -0,0 +1,195 @@
+// services/search/textIndex.js
+// Small in-memory inverted index with prefix and typo-tolerant matching.
+// Documents are lists of { text, weight } fields; scores are weight × idf ×
+// match quality (exact 1, prefix 0.8, one typo 0.6, two typos 0.4).
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, typo1: 0.6, typo2: 0.4 };
+
+// Lower-case, strip accents and HTML; "Café <b>Noir</b>" → "cafe noir"
+export const normalizeText = (text) =>
+  String(text ?? "")
+    .replace(/<[^>]*>/g, " ")
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push(new Array(b.length + 1).fill(0));
+    rows[i][0] = i;
+  }
+  for (let j = 0; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a query token of this length
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+export const createTextIndex = () => {
+  const postings = new Map(); // term → Map(docId → weight)
+  let documentCount = 0;
+
+  const addDocument = (id, fields) => {
+    documentCount++;
+    for (const { text, weight = 1 } of fields) {
+      for (const term of new Set(tokenize(text))) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(id, (docs.get(id) || 0) + weight);
+      }
+    }
+  };
+
+  // Index terms a query token can stand for, best match kind per term
+  const expandToken = (token, allowPrefix) => {
+    const candidates = new Map();
+    if (postings.has(token)) candidates.set(token, MATCH_QUALITY.exact);
+
+    const maxTypos = allowedTypos(token.length);
+    for (const term of postings.keys()) {
+      if (term === token) continue;
+      if (allowPrefix && token.length >= 2 && term.startsWith(token)) {
+        candidates.set(term, MATCH_QUALITY.prefix);
+        continue;
+      }
+      if (!maxTypos) continue;
+      // Compare against the term's prefix too, so "tshrt" still finds "tshirts"
+      const distance = Math.min(
+        editDistance(token, term, maxTypos),
+        allowPrefix ? editDistance(token, term.slice(0, token.length), maxTypos) : Infinity
+      );
+      if (distance <= maxTypos) {
+        const quality = distance === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2;
+        if ((candidates.get(term) || 0) < quality) candidates.set(term, quality);
+      }
+    }
+    return candidates;
+  };
+
+  /**
+   * Search the index. Documents matching every query token rank first; when
+   * none do, documents matching any token are returned instead. Each hit has
+   * the index terms it matched (for highlighting); `corrections` maps query
+   * tokens that only matched through typos to the most common such term.
+   */
+  const search = (query) => {
+    const tokens = [...new Set(tokenize(query))].slice(0, 10);
+    const docs = new Map(); // docId → { score, tokens: Set, terms: Set }
+    const corrections = {};
+
+    tokens.forEach((token, idx) => {
+      const candidates = expandToken(token, idx === tokens.length - 1);
+      let bestTypo = null;
+
+      const tokenScores = new Map(); // docId → { score, terms }
+      for (const [term, quality] of candidates) {
+        const termDocs = postings.get(term);
+        const idf = Math.log(1 + documentCount / termDocs.size);
+        for (const [docId, weight] of termDocs) {
+          const entry = tokenScores.get(docId) || { score: 0, terms: [] };
+          entry.score = Math.max(entry.score, weight * idf * quality);
+          entry.terms.push(term);
+          tokenScores.set(docId, entry);
+        }
+        if (quality < MATCH_QUALITY.prefix && (!bestTypo || termDocs.size > postings.get(bestTypo).size)) {
+          bestTypo = term;
+        }
+      }
+
+      const onlyTypos = [...candidates.values()].every((q) => q < MATCH_QUALITY.prefix);
+      if (onlyTypos && bestTypo) corrections[token] = bestTypo;
+
+      for (const [docId, { score, terms }] of tokenScores) {
+        if (!docs.has(docId)) docs.set(docId, { score: 0, tokens: new Set(), terms: new Set() });
+        const entry = docs.get(docId);
+        entry.score += score;
+        entry.tokens.add(token);
+        for (const term of terms) entry.terms.add(term);
+      }
+    });
+
+    let hits = [...docs.entries()].filter(([, entry]) => entry.tokens.size === tokens.length);
+    const partial = hits.length === 0;
+    if (partial) hits = [...docs.entries()];
+
+    return {
+      tokens,
+      partial,
+      corrections,
+      hits: hits
+        .map(([id, entry]) => ({
+          id,
+          score: Math.round(entry.score * (entry.tokens.size / tokens.length) * 1000) / 1000,
+          terms: entry.terms,
+        }))
+        .sort((a, b) => b.score - a.score || b.id - a.id),
+    };
+  };
+
+  return {
+    addDocument,
+    search,
+    get size() {
+      return documentCount;
+    },
+  };
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Wrap words of `text` whose normalized form is one of `terms` in <mark>.
+ * HTML in `text` is stripped; the result is safe to render. With `window`,
+ * only a snippet around the first match (about `window` characters) is kept.
+ */
+export const highlightText = (text, terms, { window = null } = {}) => {
+  if (!text) return text ?? null;
+  let plain = String(text).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
+  if (window && plain.length > window) {
+    const words = plain.split(" ");
+    let offset = 0;
+    let matchAt = 0;
+    for (const word of words) {
+      if (tokenize(word).some((t) => terms.has(t))) {
+        matchAt = offset;
+        break;
+      }
+      offset += word.length + 1;
+    }
+    // Cut on word boundaries around the match
+    let start = Math.max(0, matchAt - Math.floor(window / 3));
+    if (start > 0) start = plain.indexOf(" ", start) + 1 || start;
+    let end = Math.min(plain.length, start + window);
+    if (end < plain.length) end = plain.lastIndexOf(" ", end) > start ? plain.lastIndexOf(" ", end) : end;
+    plain = `${start > 0 ? "…" : ""}${plain.slice(start, end).trim()}${end < plain.length ? "…" : ""}`;
+  }
+
+  return plain
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part) => {
+      const token = tokenize(part)[0];
+      return token && terms.has(token) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+    })
+    .join("");
+};
@@ -0,0 +1,73 @@
+// services/storage/index.js
+// File storage registry. A driver implements:
+//   put(key, body, { contentType }) → Promise<void>   (body is a Buffer)
+//   delete(key)                     → Promise<void>   (missing keys are not an error)
+//   url(key)                        → public URL of the stored file
+//   keyFromUrl(url)                 → key, or null if the URL isn't one of ours
+//   list()                          → async iterable of { key, size } (optional;
+//                                     lets the media sweep find untracked files)
+// Keys are relative paths such as "product-3f2a…-card.webp".
+import crypto from "crypto";
+import localDriver, { localStorageDir } from "./localDriver.js";
+import s3Driver from "./s3Driver.js";
+
+const drivers = {
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver,
+};
+
+// Directory the local driver writes to, for static serving
+export { localStorageDir };
+
+export const registerStorageDriver = (driver) => {
+  drivers[driver.name] = driver;
+};
+
+// STORAGE_DRIVER picks where uploads go (default: local)
+export const getStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+};
+
+const checkKey = (key) => {
+  if (!key || typeof key !== "string" || key.startsWith("/") || key.split("/").includes("..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+// Unique key for a new file: "<prefix>-<uuid><suffix>"
+export const newStorageKey = (prefix, suffix = "") =>
+  `${String(prefix || "file").replace(/[^A-Za-z0-9_-]+/g, "")}-${crypto.randomUUID()}${suffix}`;
+
+// 🔹 Store a file and return its key and public URL
+export const storeFile = async (key, body, { contentType } = {}) => {
+  const storage = getStorage();
+  await storage.put(checkKey(key), body, { contentType });
+  return { key, url: storage.url(key) };
+};
+
+export const publicUrl = (key) => getStorage().url(checkKey(key));
+
+export const deleteFile = (key) => getStorage().delete(checkKey(key));
+
+/**
+ * Delete a stored file by the URL saved in the database. URLs the current
+ * driver doesn't recognise (external images, files from another driver) are
+ * left alone; returns whether anything was deleted.
+ */
+export const deleteFileByUrl = async (url) => {
+  const storage = getStorage();
+  const key = url ? storage.keyFromUrl(url) : null;
+  if (!key) return false;
+  await storage.delete(checkKey(key));
+  return true;
+};
+
+// Absolute URL for API responses; local URLs are relative to this server
+export const absoluteUrl = (url) => {
+  if (!url || !url.startsWith("/")) return url || null;
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3009}`;
+  return `${baseUrl.replace(/\/$/, "")}${url}`;
+};
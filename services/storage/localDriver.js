@@ -0,0 +1,86 @@
+// services/storage/localDriver.js
+// Files under Uploads/ (or STORAGE_LOCAL_DIR), served by this server at
+// /uploads. Fine for development and single-server hosting; files are lost
+// wherever the disk is ephemeral.
+import fs from "fs/promises";
+import path from "path";
+
+export const localStorageDir = () =>
+  path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "Uploads"));
+
+// Public path prefix; STORAGE_PUBLIC_URL can point it at a CDN in front of the server
+const urlPrefix = () => (process.env.STORAGE_PUBLIC_URL || "/uploads").replace(/\/$/, "");
+
+// Absolute keys and ".." segments (either slash) would step out of the storage directory
+const isUnsafeKey = (key) => !key || path.isAbsolute(key) || key.split(/[\\/]/).includes("..");
+
+// Absolute path of a key; anything that resolves outside the storage directory is refused
+const filePath = (key) => {
+  const dir = localStorageDir();
+  const target = path.resolve(dir, key);
+  if (isUnsafeKey(key) || !target.startsWith(`${dir}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return target;
+};
+
+const localDriver = {
+  name: "local",
+
+  async put(key, body) {
+    const target = filePath(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, body);
+  },
+
+  async delete(key) {
+    try {
+      await fs.unlink(filePath(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+
+  // Every stored file, for the media sweep
+  async *list() {
+    const dir = localStorageDir();
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const full = path.join(entry.parentPath ?? entry.path, entry.name);
+      const { size } = await fs.stat(full);
+      yield { key: path.relative(dir, full).split(path.sep).join("/"), size };
+    }
+  },
+
+  url(key) {
+    return `${urlPrefix()}/${key}`;
+  },
+
+  // Accepts the stored forms: "/uploads/x", "/Uploads/x" and absolute URLs
+  // on BASE_URL or STORAGE_PUBLIC_URL
+  keyFromUrl(url) {
+    const baseUrl = (process.env.BASE_URL || "").replace(/\/$/, "");
+    const prefixes = [urlPrefix(), "/uploads", "/Uploads"];
+    if (baseUrl) prefixes.push(`${baseUrl}/uploads`, `${baseUrl}/Uploads`);
+
+    const prefix = prefixes.find((p) => url.startsWith(`${p}/`));
+    if (!prefix) return null;
+
+    let key;
+    try {
+      key = decodeURIComponent(url.slice(prefix.length + 1).split(/[?#]/)[0]);
+    } catch {
+      return null;
+    }
+    return isUnsafeKey(key) ? null : key;
+  },
+};
+
+export default localDriver;
@@ -0,0 +1,83 @@
+// services/storage/s3Driver.js
+// Any S3-compatible object store (AWS S3, MinIO, R2, Spaces).
+//   S3_BUCKET                                 bucket name (required)
+//   S3_REGION                                 default us-east-1
+//   S3_ENDPOINT                               e.g. http://localhost:9000 for MinIO; unset for AWS
+//   S3_FORCE_PATH_STYLE=true                  bucket in the path (MinIO)
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY   credentials; unset uses the AWS default chain
+//   S3_PUBLIC_URL                             public base URL of the bucket (CDN); defaults
+//                                             to the endpoint / AWS bucket URL
+// Public read access comes from the bucket policy; the driver never sets ACLs.
+import { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+
+let client = null;
+
+const bucket = () => {
+  if (!process.env.S3_BUCKET) throw new Error("S3_BUCKET is not set");
+  return process.env.S3_BUCKET;
+};
+
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const publicBase = () => {
+  if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/$/, "");
+  if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket()}`;
+  return `https://${bucket()}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`;
+};
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+const s3Driver = {
+  name: "s3",
+
+  async put(key, body, { contentType } = {}) {
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: bucket(),
+        Key: key,
+        Body: body,
+        ContentType: contentType || "application/octet-stream",
+        // Keys are never reused, so clients may cache forever
+        CacheControl: "public, max-age=31536000, immutable",
+      })
+    );
+  },
+
+  // S3 answers 204 for missing keys too
+  async delete(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+  },
+
+  async *list() {
+    let ContinuationToken;
+    do {
+      const page = await getClient().send(new ListObjectsV2Command({ Bucket: bucket(), ContinuationToken }));
+      for (const object of page.Contents || []) yield { key: object.Key, size: object.Size };
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  },
+
+  url(key) {
+    return `${publicBase()}/${encodeKey(key)}`;
+  },
+
+  keyFromUrl(url) {
+    const base = publicBase();
+    if (!url.startsWith(`${base}/`)) return null;
+    return decodeURIComponent(url.slice(base.length + 1).split(/[?#]/)[0]) || null;
+  },
+};
+
+export default s3Driver;
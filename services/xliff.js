@@ -0,0 +1,113 @@
+// services/xliff.js
+// XLIFF 2.0 documents for translator hand-off. Each unit is one field of one
+// entity, identified as "<entity_type>:<entity_id>:<field>".
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const unitId = (entityType, entityId, field) => `${entityType}:${entityId}:${field}`;
+
+/**
+ * Build an XLIFF 2.0 document. `units` are
+ * { entity_type, entity_id, field, source, target?, note? }; one <file> is
+ * written per entity type.
+ */
+export const buildXliff = ({ sourceLanguage, targetLanguage, units }) => {
+  const files = new Map();
+  for (const unit of units) {
+    if (!files.has(unit.entity_type)) files.set(unit.entity_type, []);
+    files.get(unit.entity_type).push(unit);
+  }
+
+  const body = [...files.entries()]
+    .map(([entityType, fileUnits]) => {
+      const unitsXml = fileUnits
+        .map((u) => {
+          const note = u.note ? `\n      <notes><note>${escapeXml(u.note)}</note></notes>` : "";
+          const state = u.target ? "translated" : "initial";
+          return `    <unit id="${escapeXml(unitId(u.entity_type, u.entity_id, u.field))}">${note}
+      <segment state="${state}">
+        <source>${escapeXml(u.source)}</source>
+        <target>${escapeXml(u.target)}</target>
+      </segment>
+    </unit>`;
+        })
+        .join("\n");
+      return `  <file id="${escapeXml(entityType)}">\n${unitsXml}\n  </file>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(
+    sourceLanguage
+  )}" trgLang="${escapeXml(targetLanguage)}">
+${body}
+</xliff>
+`;
+};
+
+const decodeXml = (text) =>
+  text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, cdata) => cdata.replace(/&/g, "&amp;").replace(/</g, "&lt;"))
+    .replace(/<[^>]+>/g, "") // inline markup (<ph/>, <pc>…) carries no text of its own
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const attr = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[2] ?? match[3]) : null;
+};
+
+/**
+ * Parse an XLIFF 2.0 document into { sourceLanguage, targetLanguage, units }
+ * where units are { id, target, state }. Targets of multi-segment units are
+ * joined in order. Throws on anything that is not XLIFF 2.x.
+ */
+export const parseXliff = (xml) => {
+  const text = String(xml).replace(/<!--[\s\S]*?-->/g, "");
+  const root = text.match(/<xliff\b[^>]*>/);
+  if (!root) throw new Error("Not an XLIFF document");
+
+  const version = attr(root[0], "version");
+  if (!version || !version.startsWith("2.")) {
+    throw new Error(`Unsupported XLIFF version ${version || "(none)"}; export as XLIFF 2.0`);
+  }
+
+  const units = [];
+  const unitPattern = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+  let match;
+  while ((match = unitPattern.exec(text))) {
+    const id = attr(match[1], "id");
+    const segments = [...match[2].matchAll(/<segment\b([^>]*)>([\s\S]*?)<\/segment>/g)];
+    let target = null;
+    let state = null;
+    for (const [, segmentAttrs, segmentBody] of segments) {
+      state = state || attr(segmentAttrs, "state");
+      const targetMatch = segmentBody.match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+      if (targetMatch) target = (target ?? "") + decodeXml(targetMatch[1]);
+    }
+    units.push({ id, target, state });
+  }
+
+  return {
+    sourceLanguage: attr(root[0], "srcLang"),
+    targetLanguage: attr(root[0], "trgLang"),
+    units,
+  };
+};
+
+// "product:12:name" → { entity_type, entity_id, field }
+export const parseUnitId = (id) => {
+  const [entityType, entityId, field, ...rest] = String(id || "").split(":");
+  if (!entityType || !entityId || !field || rest.length) return null;
+  return { entity_type: entityType, entity_id: entityId, field };
+};
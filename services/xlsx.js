@@ -0,0 +1,135 @@
+// services/xlsx.js
+// Minimal .xlsx reading for admin imports: the first worksheet as row objects
+// keyed by its header row, the same shape parseCsv returns.
+import { inflateRawSync } from "zlib";
+
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+const xlsxError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// 🔹 Read every entry of a zip archive into { name: Buffer }
+const readZip = (buffer) => {
+  // The end-of-central-directory record sits in the last 64KB (+22 bytes)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw xlsxError("File is not a valid .xlsx workbook");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = {};
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw xlsxError("Corrupt .xlsx central directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    total += size;
+    if (total > MAX_UNCOMPRESSED_BYTES) throw xlsxError("Workbook is too large");
+
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) entries[name] = data;
+    else if (method === 8) entries[name] = inflateRawSync(data);
+    else throw xlsxError(`Unsupported .xlsx compression method ${method}`);
+  }
+  return entries;
+};
+
+const decodeXml = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, "&");
+
+// All <t> runs of a string item (rich text splits one cell into several)
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+$/, "");
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+// 🔹 Path of the first worksheet in workbook order
+const firstSheetPath = (entries) => {
+  const workbook = entries["xl/workbook.xml"]?.toString("utf8") || "";
+  const rels = entries["xl/_rels/workbook.xml.rels"]?.toString("utf8") || "";
+  const relId = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const target = relId && rels.match(new RegExp(`<Relationship\\b[^>]*Id="${relId}"[^>]*Target="([^"]+)"`))?.[1];
+  const alt = relId && rels.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${relId}"`))?.[1];
+  const path = target || alt;
+  if (!path) return "xl/worksheets/sheet1.xml";
+  return path.startsWith("/") ? path.slice(1) : `xl/${path.replace(/^\.\//, "")}`;
+};
+
+/**
+ * Parse the first worksheet of an .xlsx buffer into row objects keyed by the
+ * header row. Each row carries its spreadsheet row number as `__line`.
+ * Values come back as text, as they would from a CSV export.
+ */
+export const parseXlsx = (buffer) => {
+  const entries = readZip(buffer);
+  const sheet = entries[firstSheetPath(entries)];
+  if (!sheet) throw xlsxError("Workbook has no worksheet");
+
+  const shared = [...(entries["xl/sharedStrings.xml"]?.toString("utf8") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+    (m) => textOf(m[1])
+  );
+
+  const records = [];
+  for (const rowMatch of sheet.toString("utf8").matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const line = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1] || records.length + 1);
+    const values = [];
+    for (const cell of (rowMatch[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const body = cell[2] || "";
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+      const index = ref ? columnIndex(ref) : values.length;
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw !== undefined) value = decodeXml(raw);
+      values[index] = value;
+    }
+    records.push({ values: Array.from(values, (v) => v ?? ""), line });
+  }
+
+  const rows = records.filter((r) => r.values.some((v) => String(v).trim() !== ""));
+  if (!rows.length) return [];
+
+  const header = rows[0].values.map((h) => String(h).trim());
+  return rows.slice(1).map(({ values, line }) => {
+    const row = { __line: line };
+    header.forEach((column, idx) => {
+      if (column) row[column] = values[idx] ?? "";
+    });
+    return row;
+  });
+};
@@ -0,0 +1,135 @@
+// The Idempotency-Key middleware against an in-memory idempotency_keys table:
+// first request runs, retries replay, and a key stays claimed until its
+// handler answers.
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import db from "../database.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+// One row per (scope, owner, key), written through the middleware's own queries
+let keys;
+beforeEach(() => {
+  keys = new Map();
+});
+
+db.query = async (sql, params) => {
+  if (/^\s*DELETE[\s\S]*expires_at < NOW\(\)/.test(sql)) return [{ affectedRows: 0 }];
+  if (/^\s*DELETE FROM idempotency_keys/.test(sql)) {
+    const [scope, owner, key] = params;
+    keys.delete(`${scope}|${owner}|${key}`);
+    return [{ affectedRows: 1 }];
+  }
+  if (/^\s*INSERT IGNORE INTO idempotency_keys/.test(sql)) {
+    const [key, scope, owner, requestHash] = params;
+    const id = `${scope}|${owner}|${key}`;
+    if (keys.has(id)) return [{ affectedRows: 0 }];
+    keys.set(id, { request_hash: requestHash, status: "processing" });
+    return [{ affectedRows: 1 }];
+  }
+  if (/^\s*SELECT request_hash/.test(sql)) {
+    const [scope, owner, key] = params;
+    const row = keys.get(`${scope}|${owner}|${key}`);
+    return [row ? [row] : []];
+  }
+  if (/^\s*UPDATE idempotency_keys/.test(sql)) {
+    const [status, body, scope, owner, key] = params;
+    Object.assign(keys.get(`${scope}|${owner}|${key}`), {
+      status: "completed",
+      response_status: status,
+      response_body: body,
+    });
+    return [{ affectedRows: 1 }];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const request = (body, key = "key-1") => ({
+  method: "POST",
+  baseUrl: "/api/orders",
+  path: "/",
+  body,
+  user: { userId: 4 },
+  get: (name) => (name === "Idempotency-Key" ? key : undefined),
+});
+
+// Just enough of an Express response; `sent` resolves with what went out
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.sent = new Promise((resolve) => {
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.json = (body) => {
+      resolve({ status: res.statusCode, body, headers: res.headers });
+      return res;
+    };
+  });
+  return res;
+};
+
+// Run the middleware and, if it lets the request through, the handler
+const run = async (req, handler) => {
+  const res = response();
+  await idempotent("orders.create")(req, res, () => handler(res));
+  return res.sent;
+};
+
+test("a retry with the same key and body replays the stored response", async () => {
+  let calls = 0;
+  const handler = (res) => {
+    calls++;
+    res.status(201).json({ success: true, order_id: 9 });
+  };
+
+  const first = await run(request({ a: 1, b: 2 }), handler);
+  const retry = await run(request({ b: 2, a: 1 }), handler);
+
+  assert.equal(calls, 1);
+  assert.equal(first.status, 201);
+  assert.deepEqual(retry, {
+    status: 201,
+    body: { success: true, order_id: 9 },
+    headers: { "Idempotent-Replayed": "true" },
+  });
+});
+
+test("reusing a key with a different body is rejected with 422", async () => {
+  await run(request({ a: 1 }), (res) => res.json({ success: true }));
+  const reused = await run(request({ a: 2 }), () => assert.fail("handler must not run"));
+  assert.equal(reused.status, 422);
+});
+
+test("a retry while the handler is still running gets 409, even after the client left", async () => {
+  let finish;
+  const original = response();
+  await idempotent("orders.create")(request({ a: 1 }), original, () => {
+    finish = () => original.status(201).json({ success: true });
+  });
+
+  const retry = await run(request({ a: 1 }), () => assert.fail("handler must not run"));
+  assert.equal(retry.status, 409);
+  assert.equal(retry.headers["Retry-After"], "1");
+
+  finish();
+  await original.sent;
+  const replay = await run(request({ a: 1 }), () => assert.fail("handler must not run"));
+  assert.equal(replay.status, 201);
+});
+
+test("a 5xx from the handler frees the key for another attempt", async () => {
+  await run(request({ a: 1 }), (res) => res.status(503).json({ success: false }));
+  const again = await run(request({ a: 1 }), (res) => res.status(201).json({ success: true }));
+  assert.equal(again.status, 201);
+  assert.equal(again.headers["Idempotent-Replayed"], undefined);
+});
+
+test("requests without a key skip the middleware", async () => {
+  const result = await run(request({ a: 1 }, null), (res) => res.json({ success: true }));
+  assert.equal(result.status, 200);
+  assert.equal(keys.size, 0);
+});
@@ -0,0 +1,95 @@
+// Reservation allocation against an in-memory connection: which inventory
+// rows are reserved, and what happens when stock runs short.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reserveStock } from "../models/inventoryModel.js";
+
+// Answers the queries reserveStock makes and records every write
+const fakeConn = ({ variants, levels, tracked = variants.map((v) => v.variant_id) }) => {
+  const writes = [];
+  return {
+    writes,
+    query: async (sql, params) => {
+      if (/FROM product_variants\b/.test(sql)) return [variants];
+      if (/SELECT DISTINCT variant_id FROM inventory_levels\b/.test(sql)) {
+        return [tracked.map((variant_id) => ({ variant_id }))];
+      }
+      if (/FROM inventory_levels\b/.test(sql)) return [levels];
+      writes.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return [{ affectedRows: 1, insertId: writes.length }];
+    },
+  };
+};
+
+test("reserveStock takes from locations in order and merges lines of the same variant", async () => {
+  const conn = fakeConn({
+    variants: [{ variant_id: 5, sku: "TEE-M", stock_quantity: 12 }],
+    levels: [
+      { inventory_id: 1, variant_id: 5, on_hand: 5, reserved: 3 },
+      { inventory_id: 2, variant_id: 5, on_hand: 10, reserved: 0 },
+    ],
+  });
+
+  const allocations = await reserveStock(conn, 42, [
+    { variant_id: 5, quantity: 1 },
+    { variant_id: 5, quantity: 3 },
+  ]);
+
+  assert.deepEqual(allocations, [
+    { variant_id: 5, inventory_id: 1, quantity: 2 },
+    { variant_id: 5, inventory_id: 2, quantity: 2 },
+  ]);
+  const reservations = conn.writes.filter((w) => w.sql.startsWith("INSERT INTO inventory_reservations"));
+  assert.deepEqual(
+    reservations.map((w) => w.params.slice(0, 4)),
+    [
+      [42, 5, 1, 2],
+      [42, 5, 2, 2],
+    ]
+  );
+});
+
+test("reserveStock seeds inventory for variants that predate inventory_levels", async () => {
+  const conn = fakeConn({
+    variants: [{ variant_id: 8, sku: "MUG", stock_quantity: 4 }],
+    levels: [{ inventory_id: 9, variant_id: 8, on_hand: 4, reserved: 0 }],
+    tracked: [],
+  });
+
+  await reserveStock(conn, 1, [{ variant_id: 8, quantity: 1 }]);
+
+  const seed = conn.writes.find((w) => w.sql.startsWith("INSERT INTO inventory_levels"));
+  assert.deepEqual(seed.params, [8, 4]);
+});
+
+test("reserveStock rejects a shortage with 409 and reserves nothing", async () => {
+  const conn = fakeConn({
+    variants: [
+      { variant_id: 3, sku: "CAP", stock_quantity: 1 },
+      { variant_id: 4, sku: "HAT", stock_quantity: 9 },
+    ],
+    levels: [
+      { inventory_id: 1, variant_id: 3, on_hand: 2, reserved: 1 },
+      { inventory_id: 2, variant_id: 4, on_hand: 9, reserved: 0 },
+    ],
+  });
+
+  await assert.rejects(
+    reserveStock(conn, 7, [
+      { variant_id: 4, quantity: 2 },
+      { variant_id: 3, quantity: 2 },
+    ]),
+    (err) => {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.details.shortages, [{ variant_id: 3, sku: "CAP", requested: 2, available: 1 }]);
+      return true;
+    }
+  );
+  assert.deepEqual(conn.writes, []);
+});
+
+test("reserveStock has nothing to do for lines without a variant", async () => {
+  const conn = fakeConn({ variants: [], levels: [] });
+  assert.deepEqual(await reserveStock(conn, 1, [{ variant_id: null, quantity: 2 }]), []);
+  assert.deepEqual(conn.writes, []);
+});
@@ -0,0 +1,48 @@
+// The order lifecycle in ORDER_TRANSITIONS: every edge the admin and refund
+// flows rely on, and the ones that must stay closed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ORDER_TRANSITIONS, ORDER_STATUSES, canTransition } from "../models/orderStatusModel.js";
+
+test("canTransition allows the fulfilment and refund edges", () => {
+  for (const [from, to] of [
+    ["pending", "processing"],
+    ["pending", "cancelled"],
+    ["processing", "shipped"],
+    ["shipped", "delivered"],
+    ["shipped", "returned"],
+    ["delivered", "returned"],
+    ["delivered", "refunded"],
+    ["returned", "refunded"],
+    ["cancelled", "refunded"],
+  ]) {
+    assert.equal(canTransition(from, to), true, `${from} → ${to}`);
+  }
+});
+
+test("canTransition refuses skipped, backward and terminal moves", () => {
+  for (const [from, to] of [
+    ["pending", "shipped"],
+    ["pending", "refunded"],
+    ["shipped", "cancelled"],
+    ["delivered", "shipped"],
+    ["returned", "delivered"],
+    ["refunded", "pending"],
+    ["cancelled", "processing"],
+  ]) {
+    assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+  }
+});
+
+test("canTransition rejects unknown statuses", () => {
+  assert.equal(canTransition("lost", "pending"), false);
+  assert.equal(canTransition("pending", "lost"), false);
+  assert.equal(canTransition(undefined, "pending"), false);
+});
+
+test("every transition target is itself a known status", () => {
+  for (const targets of Object.values(ORDER_TRANSITIONS)) {
+    for (const to of targets) assert.ok(ORDER_STATUSES.includes(to), to);
+  }
+  assert.deepEqual(ORDER_TRANSITIONS.refunded, []);
+});
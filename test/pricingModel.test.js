@@ -0,0 +1,80 @@
+// Prices a cart end to end against an in-memory connection, so a broken
+// pricing path fails here instead of as a 500 on every checkout.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { priceCart, buildPriceBreakdown, calculateShipping, calculateTax } from "../models/pricingModel.js";
+
+const PRODUCTS = [
+  { product_id: 1, base_name: "Notebook", sku: "NB-1", base_price: "12.50", sale_price: null, status: "published" },
+  { product_id: 2, base_name: "Pen", sku: "PEN-1", base_price: "3.00", sale_price: "2.40", status: "published" },
+];
+
+const TIERS = [
+  {
+    tier_id: 7, Discount_APPLY_type: "AUTO", discount_code: null, type: "percentage",
+    min_quantity: 1, max_quantity: null, percentage_discount: "10", fixed_discount: null,
+    price_per_unit: null, free_ebook: 0, free_shipping: 0, label: "10% off", description: null,
+  },
+];
+
+// Answers the queries priceCart makes; anything else is an empty result
+const fakeConn = {
+  query: async (sql) => {
+    if (/FROM products\b/.test(sql)) return [PRODUCTS];
+    if (/FROM discount_tiers\b/.test(sql)) return [TIERS];
+    return [[]];
+  },
+};
+
+test("priceCart prices catalog lines, applies the best tier and totals the order", async () => {
+  const pricing = await priceCart(fakeConn, {
+    items: [
+      { product_id: 1, quantity: 2 },
+      { product_id: 2, quantity: 3 },
+    ],
+  });
+
+  assert.deepEqual(
+    pricing.lines.map((l) => [l.unit_price, l.line_subtotal, l.discount_amount, l.line_total]),
+    [
+      [12.5, 25, 2.5, 22.5],
+      [2.4, 7.2, 0.72, 6.48],
+    ]
+  );
+
+  const { subtotal, discount, shipping, tax, total } = pricing.totals;
+  assert.equal(subtotal, 32.2);
+  assert.equal(discount, 3.22);
+  assert.equal(shipping, calculateShipping(subtotal - discount));
+  assert.equal(tax, calculateTax(subtotal - discount));
+  assert.equal(total, Math.round((subtotal - discount + shipping + tax) * 100) / 100);
+  assert.equal(pricing.discounts[0].tier_id, 7);
+});
+
+test("buildPriceBreakdown rounds to cents", () => {
+  const totals = buildPriceBreakdown([
+    { line_subtotal: 0.1, discount_amount: 0 },
+    { line_subtotal: 0.2, discount_amount: 0.005 },
+  ]);
+  assert.equal(totals.subtotal, 0.3);
+  assert.equal(totals.discount, 0.01);
+});
+
+test("priceCart drops a quantity-triggered flash discount when the order falls below its threshold", async () => {
+  const flash = {
+    flash_id: 3, product_id: 1, percentage_discount: "20", fixed_discount: null, message: "",
+    trigger_condition: "quantity_threshold:3", duration_minutes: 15, end_date: null,
+  };
+  const conn = {
+    query: async (sql) => {
+      if (/FROM flash_discounts\b/.test(sql)) return [[flash]];
+      if (/FROM flash_discount_windows\b/.test(sql)) return [[{ flash_id: 3, started_at: new Date(), expires_at: null }]];
+      return fakeConn.query(sql);
+    },
+  };
+  const price = (quantity) =>
+    priceCart(conn, { items: [{ product_id: 1, quantity }], visitorId: "visitor-0001" });
+
+  assert.equal((await price(2)).lines[0].unit_price, 12.5);
+  assert.equal((await price(3)).lines[0].unit_price, 10);
+});
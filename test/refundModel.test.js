@@ -0,0 +1,106 @@
+// Refund ledger math against an in-memory connection: per-unit amounts with
+// tax, the last unit absorbing rounding, shipping on a full refund and the
+// order's refund_status.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { issueRefund } from "../models/refundModel.js";
+
+// Order of 100.00 + 10% tax + 5.00 shipping = 115.00
+const ORDER = {
+  order_id: 10, user_id: 1, status: "delivered", subtotal_amount: "100.00", discount_amount: "0.00",
+  tax_amount: "10.00", shipping_amount: "5.00", total_amount: "115.00", refunded_amount: "0.00",
+};
+
+const ITEMS = [
+  {
+    order_item_id: 1, variant_id: null, quantity: 3, unit_price: "20.00", line_total: "60.00",
+    refunded_quantity: 0, refunded_amount: "0.00",
+  },
+  {
+    order_item_id: 2, variant_id: null, quantity: 1, unit_price: "40.00", line_total: "40.00",
+    refunded_quantity: 0, refunded_amount: "0.00",
+  },
+];
+
+// Answers the queries issueRefund makes and records every write
+const fakeConn = ({ order = ORDER, items = ITEMS } = {}) => {
+  const writes = [];
+  return {
+    writes,
+    query: async (sql, params) => {
+      if (/FROM orders WHERE\b/.test(sql)) return [[order]];
+      if (/FROM order_items WHERE\b/.test(sql)) return [items];
+      if (/FROM order_refunds WHERE\b/.test(sql)) return [[{ shipping_refunded: 0 }]];
+      if (/^\s*SELECT/.test(sql)) return [[]];
+      writes.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return [{ affectedRows: 1, insertId: 77 }];
+    },
+  };
+};
+
+const writesTo = (conn, prefix) => conn.writes.filter((w) => w.sql.startsWith(prefix));
+
+test("issueRefund refunds units at their share of the line plus tax", async () => {
+  const conn = fakeConn();
+  const refund = await issueRefund(conn, 10, {
+    items: [{ order_item_id: 1, quantity: 1 }],
+    reason: "damaged",
+    external: true,
+  });
+
+  assert.equal(refund.amount, 22);
+  assert.equal(refund.shipping_amount, 0);
+  assert.equal(refund.refund_status, "partial");
+  assert.equal(refund.order_status, "delivered");
+  assert.deepEqual(writesTo(conn, "UPDATE order_items")[0].params, [1, 22, 1]);
+  assert.deepEqual(writesTo(conn, "UPDATE orders")[0].params, [22, "partial", 10]);
+});
+
+test("issueRefund gives the last units of a line whatever is left of it", async () => {
+  const conn = fakeConn({
+    order: { ...ORDER, subtotal_amount: "10.00", tax_amount: "0.00", total_amount: "15.00", refunded_amount: "6.66" },
+    items: [
+      {
+        order_item_id: 1, variant_id: null, quantity: 3, unit_price: "3.33", line_total: "10.00",
+        refunded_quantity: 2, refunded_amount: "6.66",
+      },
+    ],
+  });
+
+  const refund = await issueRefund(conn, 10, {
+    items: [{ order_item_id: 1, quantity: 1 }],
+    reason: "returned",
+    external: true,
+  });
+  assert.equal(refund.amount, 3.34);
+});
+
+test("issueRefund without items or amount refunds the rest, shipping included, and ends the order", async () => {
+  const conn = fakeConn({ order: { ...ORDER, refunded_amount: "22.00" } });
+  const refund = await issueRefund(conn, 10, { reason: "customer_request", external: true });
+
+  assert.equal(refund.amount, 93);
+  assert.equal(refund.shipping_amount, 5);
+  assert.equal(refund.refund_status, "full");
+  assert.equal(refund.order_status, "refunded");
+  assert.equal(refund.order_refunded_amount, 115);
+  assert.deepEqual(
+    writesTo(conn, "UPDATE orders SET status").map((w) => w.params),
+    [["refunded", 10]]
+  );
+});
+
+test("issueRefund refuses more than is left to refund", async () => {
+  await assert.rejects(
+    issueRefund(fakeConn(), 10, { amount: 120, reason: "other", external: true }),
+    (err) => err.status === 400 && err.details.refundable_amount === 115
+  );
+  await assert.rejects(
+    issueRefund(fakeConn(), 10, { items: [{ order_item_id: 2, quantity: 2 }], reason: "other", external: true }),
+    (err) => err.status === 400
+  );
+});
+
+test("issueRefund requires a known reason", async () => {
+  await assert.rejects(issueRefund(fakeConn(), 10, { amount: 5 }), (err) => err.status === 400);
+});